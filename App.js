@@ -5,6 +5,7 @@ import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { StatusBar } from 'expo-status-bar';
 import { SafeAreaProvider, useSafeAreaInsets } from 'react-native-safe-area-context';
+import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import * as SplashScreen from 'expo-splash-screen';
 import {
   useFonts,
@@ -13,7 +14,7 @@ import {
   Poppins_600SemiBold,
   Poppins_700Bold,
 } from '@expo-google-fonts/poppins';
-import { Home, BookOpen, Library, Settings, User } from 'lucide-react-native';
+import { Home, BookOpen, Library, RefreshCw, Settings, User } from 'lucide-react-native';
 import { colors } from './constants/theme';
 
 // Services - Mihon-inspired architecture
@@ -29,6 +30,11 @@ import ReaderScreen from './screens/ReaderScreen';
 import SettingsScreen from './screens/SettingsScreen';
 import ProfileScreen from './screens/ProfileScreen';
 import SourceLanguageScreen from './screens/SourceLanguageScreen';
+import DownloadQueueScreen from './screens/DownloadQueueScreen';
+import UpdatesScreen from './screens/UpdatesScreen';
+import HistoryScreen from './screens/HistoryScreen';
+import GlobalSearchScreen from './screens/GlobalSearchScreen';
+import MigrationScreen from './screens/MigrationScreen';
 
 // Keep splash screen visible while loading fonts
 SplashScreen.preventAutoHideAsync();
@@ -58,7 +64,9 @@ function SourcesStack() {
       <Stack.Screen name="SourcesList" component={SourcesScreen} />
       <Stack.Screen name="SourceLanguage" component={SourceLanguageScreen} />
       <Stack.Screen name="Browse" component={BrowseScreen} />
+      <Stack.Screen name="GlobalSearch" component={GlobalSearchScreen} />
       <Stack.Screen name="MangaDetails" component={MangaDetailsScreen} />
+      <Stack.Screen name="Migration" component={MigrationScreen} />
       <Stack.Screen 
         name="Reader" 
         component={ReaderScreen}
@@ -78,6 +86,36 @@ function LibraryStack() {
       }}
     >
       <Stack.Screen name="LibraryList" component={LibraryScreen} />
+      <Stack.Screen name="MangaDetails" component={MangaDetailsScreen} />
+      <Stack.Screen name="Migration" component={MigrationScreen} />
+      <Stack.Screen 
+        name="Reader" 
+        component={ReaderScreen}
+        options={{
+          headerShown: false,
+        }}
+      />
+    </Stack.Navigator>
+  );
+}
+
+function UpdatesStack() {
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerShown: false,
+      }}
+    >
+      <Stack.Screen name="UpdatesList" component={UpdatesScreen} />
+      <Stack.Screen name="MangaDetails" component={MangaDetailsScreen} />
+      <Stack.Screen name="Migration" component={MigrationScreen} />
+      <Stack.Screen 
+        name="Reader" 
+        component={ReaderScreen}
+        options={{
+          headerShown: false,
+        }}
+      />
     </Stack.Navigator>
   );
 }
@@ -90,6 +128,7 @@ function SettingsStack() {
       }}
     >
       <Stack.Screen name="SettingsList" component={SettingsScreen} />
+      <Stack.Screen name="DownloadQueue" component={DownloadQueueScreen} />
     </Stack.Navigator>
   );
 }
@@ -102,6 +141,16 @@ function ProfileStack() {
       }}
     >
       <Stack.Screen name="ProfileList" component={ProfileScreen} />
+      <Stack.Screen name="History" component={HistoryScreen} />
+      <Stack.Screen name="MangaDetails" component={MangaDetailsScreen} />
+      <Stack.Screen name="Migration" component={MigrationScreen} />
+      <Stack.Screen 
+        name="Reader" 
+        component={ReaderScreen}
+        options={{
+          headerShown: false,
+        }}
+      />
     </Stack.Navigator>
   );
 }
@@ -195,6 +244,23 @@ function TabNavigator() {
           },
         }}
       />
+      <Tab.Screen
+        name="Updates"
+        component={UpdatesStack}
+        options={{
+          tabBarIcon: ({ color, size }) => (
+            <RefreshCw size={size || 24} color={color} />
+          ),
+          tabBarStyle: currentRoute === 'Reader' ? { display: 'none' } : {
+            backgroundColor: colors.surface,
+            borderTopWidth: 1,
+            borderTopColor: colors.border,
+            paddingBottom: Math.max(insets.bottom, 12),
+            paddingTop: 12,
+            height: 70 + Math.max(insets.bottom - 8, 0),
+          },
+        }}
+      />
       <Tab.Screen
         name="Settings"
         component={SettingsStack}
@@ -343,11 +409,13 @@ export default function App() {
   }
 
   return (
-    <SafeAreaProvider>
-      <NavigationContainer>
-        <StatusBar style="light" />
-        <TabNavigator />
-      </NavigationContainer>
-    </SafeAreaProvider>
+    <GestureHandlerRootView style={{ flex: 1 }}>
+      <SafeAreaProvider>
+        <NavigationContainer>
+          <StatusBar style="light" />
+          <TabNavigator />
+        </NavigationContainer>
+      </SafeAreaProvider>
+    </GestureHandlerRootView>
   );
 }
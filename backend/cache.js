@@ -0,0 +1,57 @@
+/**
+ * In-memory response cache with per-entry TTL
+ * Keeps the scraper from hitting xbato.com for every app request
+ */
+
+const MAX_ENTRIES = 500;
+
+export class ResponseCache {
+  constructor(maxEntries = MAX_ENTRIES) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert so Map order doubles as LRU order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    if (this.entries.size >= this.maxEntries && !this.entries.has(key)) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Return the cached value for key, or compute, cache and return it
+   */
+  async wrap(key, ttlMs, compute) {
+    const cached = this.get(key);
+    if (cached !== null) return cached;
+
+    const value = await compute();
+    this.set(key, value, ttlMs);
+    return value;
+  }
+
+  size() {
+    return this.entries.size;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Xbato (xbato.com) scraper
+ * Fetches pages with browser headers and parses them with cheerio into the
+ * JSON shapes services/xbatoService.js expects
+ */
+
+import fetch from 'node-fetch';
+import * as cheerio from 'cheerio';
+
+export const XBATO_BASE_URL = process.env.XBATO_BASE_URL || 'https://xbato.com';
+
+const USER_AGENT = 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Mobile Safari/537.36';
+const TIMEOUT_MS = 30000;
+const MAX_RETRIES = 3;
+
+/**
+ * Error carrying the HTTP status the API should answer with
+ */
+export class ScraperError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'ScraperError';
+    this.status = status;
+  }
+}
+
+/**
+ * Fetch a page from xbato.com with retry and exponential backoff
+ */
+const fetchPage = async (path) => {
+  const url = `${XBATO_BASE_URL}${path}`;
+  let lastError;
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+      console.log(`[Scraper] Attempt ${attempt + 1}/${MAX_RETRIES} for: ${url}`);
+      const response = await fetch(url, {
+        signal: controller.signal,
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.9',
+          'Referer': `${XBATO_BASE_URL}/`,
+        },
+      });
+
+      if (response.status === 404) {
+        throw new ScraperError(`Not found: ${path}`, 404);
+      }
+      if (!response.ok) {
+        throw new ScraperError(`Upstream returned ${response.status} for ${path}`);
+      }
+
+      return await response.text();
+    } catch (error) {
+      lastError = error.name === 'AbortError'
+        ? new ScraperError(`Upstream timeout after ${TIMEOUT_MS}ms: ${path}`, 504)
+        : error;
+
+      // A missing page will not appear on retry
+      if (lastError.status === 404) throw lastError;
+
+      if (attempt < MAX_RETRIES - 1) {
+        await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  throw lastError instanceof ScraperError ? lastError : new ScraperError(lastError.message);
+};
+
+/**
+ * Make a relative URL absolute against the xbato domain
+ */
+const absoluteUrl = (url) => {
+  if (!url) return null;
+  if (url.startsWith('//')) return `https:${url}`;
+  if (url.startsWith('http')) return url;
+  return `${XBATO_BASE_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+/**
+ * Collapse whitespace in scraped text
+ */
+const cleanText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Extract the manga ID from a /title/<id> link
+ */
+const mangaIdFromHref = (href) => {
+  const match = (href || '').match(/\/title\/([^/?#]+)/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Parse manga cards from a search/browse results page
+ */
+const parseMangaList = (html) => {
+  const $ = cheerio.load(html);
+  const results = [];
+  const seen = new Set();
+
+  $('a[href^="/title/"]').each((_, element) => {
+    const link = $(element);
+    const img = link.find('img').first();
+    if (img.length === 0) return;
+
+    const href = link.attr('href');
+    const id = mangaIdFromHref(href);
+    // Chapter links live under /title/<id>/<chapter>
+    if (!id || href.split('/').filter(Boolean).length > 2 || seen.has(id)) return;
+    seen.add(id);
+
+    const card = link.closest('div').parent();
+    const titleLink = card.find(`h3 a[href="${href}"], a.link-hover[href="${href}"]`).first();
+
+    results.push({
+      id,
+      title: cleanText(titleLink.text()) || cleanText(img.attr('alt')) || 'Unknown Title',
+      description: '',
+      coverUrl: absoluteUrl(img.attr('src') || img.attr('data-src')),
+      author: cleanText(card.find('a[href^="/author"]').first().text()) || null,
+      status: 'unknown',
+      url: absoluteUrl(href),
+    });
+  });
+
+  return results;
+};
+
+/**
+ * Read a labelled info row (e.g. "Genres:") from the details page
+ */
+const infoRow = ($, label) => {
+  const labelNode = $('span, b, div')
+    .filter((_, element) => cleanText($(element).text()).toLowerCase() === `${label.toLowerCase()}:`)
+    .first();
+  return labelNode.length ? labelNode.parent() : null;
+};
+
+/**
+ * Search manga
+ */
+export const searchManga = async (query, page = 1) => {
+  const html = await fetchPage(`/v3x-search?word=${encodeURIComponent(query)}&page=${page}`);
+  return parseMangaList(html);
+};
+
+/**
+ * Popular manga (most viewed in the last 30 days)
+ */
+export const getPopularManga = async (page = 1) => {
+  const html = await fetchPage(`/v3x-search?sort=views_d030&page=${page}`);
+  return parseMangaList(html);
+};
+
+/**
+ * Manga details
+ */
+export const getMangaDetails = async (mangaId) => {
+  const html = await fetchPage(`/title/${encodeURIComponent(mangaId)}`);
+  const $ = cheerio.load(html);
+
+  const title = cleanText($('h3 a[href^="/title/"]').first().text()) ||
+                cleanText($('meta[property="og:title"]').attr('content'));
+  if (!title) {
+    throw new ScraperError(`Could not parse manga ${mangaId}`);
+  }
+
+  const authors = $('a[href^="/author?"]').map((_, element) => cleanText($(element).text())).get();
+  const genresRow = infoRow($, 'Genres');
+  const statusRow = infoRow($, 'Upload status') || infoRow($, 'Original Publication');
+
+  return {
+    id: mangaId,
+    title,
+    description: cleanText($('.limit-html-p').first().text()) ||
+                 cleanText($('meta[name="description"]').attr('content')),
+    coverUrl: absoluteUrl($('img[src*="/thumb/"]').first().attr('src') ||
+                          $('meta[property="og:image"]').attr('content')),
+    author: authors[0] || null,
+    artist: authors[1] || null,
+    status: statusRow ? cleanText(statusRow.children().last().text()).toLowerCase() : 'unknown',
+    genres: genresRow
+      ? genresRow.find('span').map((_, element) => cleanText($(element).text())).get()
+          .filter(genre => genre && !genre.endsWith(':'))
+      : [],
+    url: absoluteUrl(`/title/${mangaId}`),
+  };
+};
+
+/**
+ * Chapter list, newest first
+ */
+export const getChapters = async (mangaId) => {
+  const html = await fetchPage(`/title/${encodeURIComponent(mangaId)}`);
+  const $ = cheerio.load(html);
+  const chapters = [];
+  const seen = new Set();
+
+  $(`a[href^="/title/${mangaId}/"]`).each((_, element) => {
+    const link = $(element);
+    const href = link.attr('href');
+    const id = href.split('/').filter(Boolean).pop();
+    if (!id || seen.has(id)) return;
+    seen.add(id);
+
+    const name = cleanText(link.text());
+    const numberMatch = name.match(/(?:ch(?:apter)?\.?\s*)([\d.]+)/i);
+    const volumeMatch = name.match(/vol(?:ume)?\.?\s*([\d.]+)/i);
+    const row = link.closest('div').parent();
+    const time = row.find('time').first();
+
+    chapters.push({
+      id,
+      name: name || `Chapter ${chapters.length + 1}`,
+      chapter: numberMatch ? numberMatch[1] : null,
+      volume: volumeMatch ? volumeMatch[1] : null,
+      date: time.attr('time') || time.attr('datetime') || cleanText(time.text()) || null,
+      scanlationGroup: cleanText(row.find('a[href^="/g/"], a[href^="/group/"]').first().text()) || null,
+      url: absoluteUrl(href),
+    });
+  });
+
+  return chapters;
+};
+
+/**
+ * Page images for a chapter
+ */
+export const getChapterImages = async (chapterId) => {
+  const html = await fetchPage(`/chapter/${encodeURIComponent(chapterId)}`);
+  const $ = cheerio.load(html);
+  let urls = [];
+
+  // v3 pages embed the image list in the reader island's props
+  $('astro-island').each((_, element) => {
+    if (urls.length > 0) return;
+    const props = $(element).attr('props') || '';
+    if (!props.includes('imageFiles')) return;
+
+    try {
+      const parsed = JSON.parse(props);
+      const imageFiles = JSON.parse(parsed.imageFiles[1]);
+      urls = imageFiles.map(entry => (Array.isArray(entry) ? entry[1] : entry));
+    } catch (error) {
+      console.log('[Scraper] Could not parse reader props:', error.message);
+    }
+  });
+
+  // Older layout: a plain script array
+  if (urls.length === 0) {
+    const match = html.match(/const\s+imgHttps\s*=\s*(\[[\s\S]*?\]);/);
+    if (match) {
+      try {
+        urls = JSON.parse(match[1]);
+      } catch (error) {
+        console.log('[Scraper] Could not parse image script:', error.message);
+      }
+    }
+  }
+
+  if (urls.length === 0) {
+    throw new ScraperError(`No images found for chapter ${chapterId}`);
+  }
+
+  return urls.map((url, index) => ({
+    url: absoluteUrl(url),
+    page: index + 1,
+  }));
+};
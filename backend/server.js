@@ -1,218 +1,126 @@
 /**
- * Service for Xbato (xbato.com) manga source
- * Uses custom backend API that bypasses Cloudflare
- * 
- * SETUP:
- * 1. Deploy the backend (server.js) to Vercel/Railway/Render
- * 2. Update API_BASE_URL below with your deployed URL
+ * Xbato scraper API
+ * Self-hosted backend for the Xbato source (services/xbatoService.js)
+ *
+ * Routes:
+ *   GET /                            health check ({ status: 'online' })
+ *   GET /api/search?query=&page=     search results
+ *   GET /api/popular?page=           popular manga
+ *   GET /api/manga/:id               manga details
+ *   GET /api/manga/:id/chapters      chapter list
+ *   GET /api/chapter/:id/images      page images
+ *
+ * Errors are returned as { error: message } with a matching status code.
+ *
+ * Run with `npm start` (PORT defaults to 3000, XBATO_BASE_URL to https://xbato.com)
  */
 
-// CHANGE THIS to your deployed backend URL
-const API_BASE_URL = 'http://localhost:3000'; // For local testing
-// const API_BASE_URL = 'https://your-app.vercel.app'; // For production
+import express from 'express';
+import cors from 'cors';
+import { ResponseCache } from './cache.js';
+import {
+  XBATO_BASE_URL,
+  ScraperError,
+  searchManga,
+  getPopularManga,
+  getMangaDetails,
+  getChapters,
+  getChapterImages,
+} from './scraper.js';
 
-/**
- * Helper function to make fetch request with better error handling
- */
-const fetchXbatoApi = async (endpoint) => {
-  try {
-    const url = `${API_BASE_URL}${endpoint}`;
-    console.log('Fetching from backend:', url);
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-      },
-    });
-    
-    console.log('Response status:', response.status);
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('Error response:', errorData);
-      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    console.log('Response received:', data);
-    return data;
-  } catch (error) {
-    console.error('Fetch error:', error);
-    throw error;
-  }
-};
+const PORT = process.env.PORT || 3000;
 
 /**
- * Search manga on Xbato
+ * Cache lifetimes per route
  */
-export const searchXbatoManga = async (query) => {
-  try {
-    console.log('Searching Xbato for:', query);
-    
-    // Validate query length
-    if (!query || query.trim().length < 2) {
-      console.log('Query too short, minimum 2 characters required');
-      return [];
-    }
-    
-    const data = await fetchXbatoApi(`/api/search?query=${encodeURIComponent(query)}`);
-    
-    if (!Array.isArray(data)) {
-      console.log('Unexpected response format');
-      return [];
-    }
-    
-    console.log(`Found ${data.length} results`);
-    
-    return data.map(item => ({
-      id: item.id,
-      title: item.title,
-      description: item.description || '',
-      coverUrl: item.coverUrl,
-      author: item.author || null,
-      status: item.status || 'unknown',
-      type: 'manga',
-      _originalUrl: item.url,
-    }));
-  } catch (error) {
-    console.error('Error searching Xbato manga:', error);
-    return [];
-  }
+const CACHE_TTL = {
+  SEARCH: 10 * 60 * 1000,      // 10 minutes
+  POPULAR: 30 * 60 * 1000,     // 30 minutes
+  MANGA: 60 * 60 * 1000,       // 1 hour
+  CHAPTERS: 15 * 60 * 1000,    // 15 minutes
+  IMAGES: 6 * 60 * 60 * 1000,  // 6 hours
 };
 
-/**
- * Get popular/latest manga from Xbato
- */
-export const getXbatoPopularManga = async () => {
-  try {
-    console.log('Fetching popular manga from Xbato');
-    
-    const data = await fetchXbatoApi('/api/popular');
-    
-    if (!Array.isArray(data)) {
-      console.log('Unexpected response format');
-      return [];
-    }
-    
-    console.log(`Found ${data.length} popular manga`);
-    
-    return data.map(item => ({
-      id: item.id,
-      title: item.title,
-      description: item.description || '',
-      coverUrl: item.coverUrl,
-      author: item.author || null,
-      status: item.status || 'unknown',
-      type: 'manga',
-      _originalUrl: item.url,
-    }));
-  } catch (error) {
-    console.error('Error fetching popular Xbato manga:', error);
-    return [];
-  }
-};
+const cache = new ResponseCache();
+const app = express();
 
-/**
- * Get manga details from Xbato
- */
-export const getXbatoMangaDetails = async (mangaId) => {
-  try {
-    console.log('Fetching Xbato manga details for ID:', mangaId);
-    
-    const data = await fetchXbatoApi(`/api/manga/${mangaId}`);
-    
-    if (!data || !data.id) {
-      console.log('No details found');
-      return null;
-    }
-    
-    return {
-      id: data.id,
-      title: data.title,
-      description: data.description || '',
-      coverUrl: data.coverUrl,
-      author: data.author,
-      artist: data.artist,
-      status: data.status || 'unknown',
-      type: 'manga',
-      genres: data.genres || [],
-      _originalUrl: data.url,
-    };
-  } catch (error) {
-    console.error('Error fetching Xbato manga details:', error);
-    return null;
-  }
-};
+app.use(cors());
 
 /**
- * Get chapters for a manga from Xbato
+ * Parse the optional ?page= parameter
  */
-export const getXbatoChapters = async (mangaId) => {
-  try {
-    console.log('Fetching Xbato chapters for manga ID:', mangaId);
-    
-    const data = await fetchXbatoApi(`/api/manga/${mangaId}/chapters`);
-    
-    if (!Array.isArray(data)) {
-      console.log('Unexpected response format');
-      return [];
-    }
-    
-    console.log(`Found ${data.length} chapters`);
-    
-    return data.map((chapter, index) => ({
-      id: chapter.id,
-      name: chapter.name || `Chapter ${index + 1}`,
-      chapter: chapter.chapter || index + 1,
-      volume: chapter.volume || null,
-      date: chapter.date,
-      scanlationGroup: chapter.scanlationGroup,
-      _originalUrl: chapter.url,
-    }));
-  } catch (error) {
-    console.error('Error fetching Xbato chapters:', error);
-    return [];
-  }
+const parsePage = (value) => {
+  const page = parseInt(value, 10);
+  return Number.isFinite(page) && page > 0 ? page : 1;
 };
 
 /**
- * Get chapter pages/images from Xbato
+ * Wrap an async handler so rejections reach the error middleware
  */
-export const getXbatoChapterPages = async (chapterId) => {
-  try {
-    console.log('Fetching Xbato chapter pages for chapter ID:', chapterId);
-    
-    const data = await fetchXbatoApi(`/api/chapter/${chapterId}/images`);
-    
-    if (!Array.isArray(data)) {
-      console.log('Unexpected response format');
-      return [];
-    }
-    
-    console.log(`Found ${data.length} pages`);
-    
-    return data.map((image, index) => ({
-      url: image.url,
-      page: image.page || index + 1,
-    }));
-  } catch (error) {
-    console.error('Error fetching Xbato chapter pages:', error);
-    return [];
-  }
+const route = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res)).catch(next);
 };
 
-/**
- * Test connection to backend
- */
-export const testXbatoConnection = async () => {
-  try {
-    const response = await fetch(API_BASE_URL);
-    const data = await response.json();
-    console.log('Backend connection test:', data);
-    return data.status === 'online';
-  } catch (error) {
-    console.error('Backend connection failed:', error);
-    return false;
+app.get('/', (req, res) => {
+  res.json({
+    status: 'online',
+    name: 'xbato-scraper-api',
+    upstream: XBATO_BASE_URL,
+    uptime: Math.round(process.uptime()),
+    cacheEntries: cache.size(),
+  });
+});
+
+app.get('/api/search', route(async (req, res) => {
+  const query = (req.query.query || '').trim();
+  if (query.length < 2) {
+    throw new ScraperError('Query must be at least 2 characters', 400);
   }
-};
\ No newline at end of file
+
+  const page = parsePage(req.query.page);
+  const results = await cache.wrap(`search:${query.toLowerCase()}:${page}`, CACHE_TTL.SEARCH,
+    () => searchManga(query, page));
+  res.json(results);
+}));
+
+app.get('/api/popular', route(async (req, res) => {
+  const page = parsePage(req.query.page);
+  const results = await cache.wrap(`popular:${page}`, CACHE_TTL.POPULAR,
+    () => getPopularManga(page));
+  res.json(results);
+}));
+
+app.get('/api/manga/:id', route(async (req, res) => {
+  const { id } = req.params;
+  const details = await cache.wrap(`manga:${id}`, CACHE_TTL.MANGA,
+    () => getMangaDetails(id));
+  res.json(details);
+}));
+
+app.get('/api/manga/:id/chapters', route(async (req, res) => {
+  const { id } = req.params;
+  const chapters = await cache.wrap(`chapters:${id}`, CACHE_TTL.CHAPTERS,
+    () => getChapters(id));
+  res.json(chapters);
+}));
+
+app.get('/api/chapter/:id/images', route(async (req, res) => {
+  const { id } = req.params;
+  const images = await cache.wrap(`images:${id}`, CACHE_TTL.IMAGES,
+    () => getChapterImages(id));
+  res.json(images);
+}));
+
+app.use((req, res) => {
+  res.status(404).json({ error: `Unknown route: ${req.method} ${req.path}` });
+});
+
+app.use((error, req, res, next) => {
+  const status = error instanceof ScraperError ? error.status : 500;
+  console.error(`[Server] ${req.method} ${req.originalUrl} failed (${status}):`, error.message);
+  res.status(status).json({ error: error.message });
+});
+
+app.listen(PORT, () => {
+  console.log(`[Server] Xbato scraper API listening on http://localhost:${PORT}`);
+});
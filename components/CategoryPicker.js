@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+} from 'react-native';
+import { Square, SquareCheck } from 'lucide-react-native';
+import { colors, spacing, borderRadius } from '../constants/theme';
+
+/**
+ * Dialog for choosing which library categories a manga belongs to
+ * Similar to Mihon's ChangeCategoryDialog
+ */
+export default function CategoryPicker({ visible, categories, selectedIds, onSave, onClose }) {
+  const [selection, setSelection] = useState([]);
+
+  // Start from the manga's current categories each time the dialog opens
+  useEffect(() => {
+    if (visible) {
+      setSelection(selectedIds || []);
+    }
+  }, [visible, selectedIds]);
+
+  const toggleCategory = (categoryId) => {
+    setSelection(prev =>
+      prev.includes(categoryId)
+        ? prev.filter(id => id !== categoryId)
+        : [...prev, categoryId]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.modalOverlay}>
+          <TouchableWithoutFeedback>
+            <View style={styles.modalContent}>
+              <Text style={styles.modalTitle}>Set categories</Text>
+
+              <ScrollView style={styles.list}>
+                {categories.map(category => {
+                  const checked = selection.includes(category.id);
+                  return (
+                    <TouchableOpacity
+                      key={category.id}
+                      style={styles.categoryRow}
+                      onPress={() => toggleCategory(category.id)}
+                    >
+                      {checked
+                        ? <SquareCheck size={22} color={colors.primary} />
+                        : <Square size={22} color={colors.textTertiary} />}
+                      <Text style={styles.categoryName}>{category.name}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+
+              <View style={styles.actions}>
+                <TouchableOpacity style={[styles.actionButton, styles.cancelButton]} onPress={onClose}>
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.saveButton]}
+                  onPress={() => onSave(selection)}
+                >
+                  <Text style={styles.saveButtonText}>OK</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    width: '85%',
+    maxHeight: '70%',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.lg,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: spacing.md,
+    fontFamily: 'Poppins-Bold',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  categoryName: {
+    fontSize: 16,
+    color: colors.text,
+    marginLeft: spacing.sm,
+    fontFamily: 'Poppins-Regular',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: spacing.md,
+  },
+  actionButton: {
+    flex: 1,
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: colors.surfaceElevated,
+    marginRight: spacing.sm,
+  },
+  cancelButtonText: {
+    color: colors.text,
+    fontSize: 16,
+    fontWeight: '600',
+    fontFamily: 'Poppins-SemiBold',
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonText: {
+    color: colors.background,
+    fontSize: 16,
+    fontWeight: '600',
+    fontFamily: 'Poppins-SemiBold',
+  },
+});
@@ -0,0 +1,103 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { CircleAlert } from 'lucide-react-native';
+import { getTransitionWarnings } from '../utils/chapters';
+import { colors, spacing, borderRadius } from '../constants/theme';
+
+/**
+ * Page shown between two chapters in the reader
+ * Similar to Mihon's ChapterTransition
+ */
+export default function ChapterTransition({ chapter, nextChapter, onContinue, style }) {
+  const warnings = nextChapter ? getTransitionWarnings(chapter, nextChapter) : [];
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.label}>Finished</Text>
+      <Text style={styles.chapterName} numberOfLines={2}>
+        {chapter.name || 'Chapter'}
+      </Text>
+
+      {nextChapter ? (
+        <>
+          <Text style={[styles.label, styles.nextLabel]}>Next</Text>
+          <Text style={styles.chapterName} numberOfLines={2}>
+            {nextChapter.name || 'Chapter'}
+          </Text>
+
+          {warnings.map(warning => (
+            <View key={warning} style={styles.warning}>
+              <CircleAlert size={16} color={colors.warning} />
+              <Text style={styles.warningText}>{warning}</Text>
+            </View>
+          ))}
+
+          {onContinue && (
+            <TouchableOpacity style={styles.continueButton} onPress={onContinue}>
+              <Text style={styles.continueButtonText}>Read next chapter</Text>
+            </TouchableOpacity>
+          )}
+        </>
+      ) : (
+        <Text style={styles.noNext}>There's no next chapter</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    justifyContent: 'center',
+    padding: spacing.xl,
+    backgroundColor: colors.background,
+  },
+  label: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: 4,
+    fontFamily: 'Poppins-Regular',
+  },
+  nextLabel: {
+    marginTop: spacing.lg,
+  },
+  chapterName: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.text,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  warning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: spacing.md,
+    padding: spacing.sm,
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.surfaceElevated,
+  },
+  warningText: {
+    flex: 1,
+    marginLeft: spacing.sm,
+    fontSize: 13,
+    color: colors.text,
+    fontFamily: 'Poppins-Regular',
+  },
+  continueButton: {
+    marginTop: spacing.xl,
+    paddingVertical: 12,
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.primary,
+    alignItems: 'center',
+  },
+  continueButtonText: {
+    color: colors.background,
+    fontSize: 16,
+    fontWeight: '600',
+    fontFamily: 'Poppins-SemiBold',
+  },
+  noNext: {
+    marginTop: spacing.lg,
+    fontSize: 14,
+    color: colors.textSecondary,
+    fontFamily: 'Poppins-Regular',
+  },
+});
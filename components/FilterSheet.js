@@ -0,0 +1,403 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import {
+  Square,
+  SquareCheck,
+  SquareX,
+  ArrowUp,
+  ArrowDown,
+  ChevronDown,
+  ChevronRight,
+} from 'lucide-react-native';
+import { FilterType, TriState } from '../services/filterSystem';
+import { colors, spacing, borderRadius } from '../constants/theme';
+
+/**
+ * Bottom sheet that renders a source's FilterList
+ * Similar to Mihon's SourceFilterDialog: filters are edited in place,
+ * Reset restores their defaults and Filter applies them to the search
+ */
+export default function FilterSheet({ visible, filters, onApply, onClose }) {
+  const insets = useSafeAreaInsets();
+  const [, setVersion] = useState(0);
+  const [expandedGroups, setExpandedGroups] = useState({});
+
+  // Filters are mutable objects, so bump a counter to re-render after editing one
+  const refresh = () => setVersion(version => version + 1);
+
+  const update = (mutate) => {
+    mutate();
+    refresh();
+  };
+
+  const handleReset = () => update(() => filters.reset());
+
+  const toggleGroup = (name) => {
+    setExpandedGroups(prev => ({ ...prev, [name]: !prev[name] }));
+  };
+
+  const renderTriStateIcon = (state) => {
+    if (state === TriState.INCLUDED) {
+      return <SquareCheck size={22} color={colors.primary} />;
+    }
+    if (state === TriState.EXCLUDED) {
+      return <SquareX size={22} color={colors.error} />;
+    }
+    return <Square size={22} color={colors.textTertiary} />;
+  };
+
+  const renderFilter = (filter, key) => {
+    switch (filter.type) {
+      case FilterType.HEADER:
+        return (
+          <Text key={key} style={styles.headerText}>{filter.name}</Text>
+        );
+
+      case FilterType.SEPARATOR:
+        return <View key={key} style={styles.separator} />;
+
+      case FilterType.TEXT:
+        return (
+          <View key={key} style={styles.textFilter}>
+            <Text style={styles.filterLabel}>{filter.name}</Text>
+            <TextInput
+              style={styles.textInput}
+              value={filter.value}
+              placeholder={filter.placeholder}
+              placeholderTextColor={colors.textTertiary}
+              onChangeText={text => update(() => filter.setValue(text))}
+            />
+          </View>
+        );
+
+      case FilterType.CHECKBOX:
+        return (
+          <TouchableOpacity
+            key={key}
+            style={styles.toggleRow}
+            onPress={() => update(() => filter.setChecked(!filter.checked))}
+          >
+            {filter.checked
+              ? <SquareCheck size={22} color={colors.primary} />
+              : <Square size={22} color={colors.textTertiary} />}
+            <Text style={styles.toggleLabel}>{filter.name}</Text>
+          </TouchableOpacity>
+        );
+
+      case FilterType.TRISTATE:
+        return (
+          <TouchableOpacity
+            key={key}
+            style={styles.toggleRow}
+            onPress={() => update(() => filter.cycle())}
+          >
+            {renderTriStateIcon(filter.state)}
+            <Text style={[
+              styles.toggleLabel,
+              filter.state === TriState.EXCLUDED && styles.toggleLabelExcluded,
+            ]}>
+              {filter.name}
+            </Text>
+          </TouchableOpacity>
+        );
+
+      case FilterType.SELECT:
+        return (
+          <View key={key} style={styles.selectFilter}>
+            <Text style={styles.filterLabel}>{filter.name}</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {filter.options.map((option, index) => {
+                const selected = index === filter.selectedIndex;
+                return (
+                  <TouchableOpacity
+                    key={`${key}-${index}`}
+                    style={[styles.chip, selected && styles.chipSelected]}
+                    onPress={() => update(() => filter.setSelected(index))}
+                  >
+                    <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                      {option.label || option}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          </View>
+        );
+
+      case FilterType.SORT:
+        return (
+          <View key={key}>
+            {filter.options.map((option, index) => {
+              const selected = filter.selected === option;
+              const ArrowIcon = filter.ascending ? ArrowUp : ArrowDown;
+              return (
+                <TouchableOpacity
+                  key={`${key}-${index}`}
+                  style={styles.toggleRow}
+                  // Tapping the active option flips the direction
+                  onPress={() => update(() => filter.setSort(option, selected ? !filter.ascending : filter.ascending))}
+                >
+                  <View style={styles.sortIcon}>
+                    {selected && <ArrowIcon size={20} color={colors.primary} />}
+                  </View>
+                  <Text style={[styles.toggleLabel, selected && styles.toggleLabelSelected]}>
+                    {option.label || option}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        );
+
+      case FilterType.GROUP: {
+        const expanded = !!expandedGroups[filter.name];
+        const activeCount = filter.filters.filter(child =>
+          (child.type === FilterType.TRISTATE && child.state !== TriState.DISABLED) ||
+          (child.type === FilterType.CHECKBOX && child.checked)
+        ).length;
+        const ChevronIcon = expanded ? ChevronDown : ChevronRight;
+
+        return (
+          <View key={key}>
+            <TouchableOpacity style={styles.groupHeader} onPress={() => toggleGroup(filter.name)}>
+              <Text style={styles.groupTitle}>{filter.name}</Text>
+              {activeCount > 0 && (
+                <Text style={styles.groupCount}>{activeCount}</Text>
+              )}
+              <ChevronIcon size={20} color={colors.textSecondary} />
+            </TouchableOpacity>
+            {expanded && (
+              <View style={styles.groupChildren}>
+                {filter.filters.map((child, index) => renderFilter(child, `${key}-${index}`))}
+              </View>
+            )}
+          </View>
+        );
+      }
+
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay}>
+          <TouchableWithoutFeedback>
+            <View style={[styles.sheet, { paddingBottom: insets.bottom + spacing.md }]}>
+              <View style={styles.handle} />
+              <ScrollView
+                style={styles.content}
+                keyboardShouldPersistTaps="handled"
+              >
+                {filters && !filters.isEmpty() ? (
+                  filters.filters.map((filter, index) => renderFilter(filter, `filter-${index}`))
+                ) : (
+                  <Text style={styles.emptyText}>This source has no filters.</Text>
+                )}
+              </ScrollView>
+
+              <View style={styles.actions}>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.resetButton]}
+                  onPress={handleReset}
+                  disabled={!filters}
+                >
+                  <Text style={styles.resetButtonText}>Reset</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.actionButton, styles.applyButton]}
+                  onPress={onApply}
+                  disabled={!filters}
+                >
+                  <Text style={styles.applyButtonText}>Filter</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    maxHeight: '80%',
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: borderRadius.lg,
+    borderTopRightRadius: borderRadius.lg,
+    paddingTop: spacing.sm,
+  },
+  handle: {
+    alignSelf: 'center',
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: colors.border,
+    marginBottom: spacing.sm,
+  },
+  content: {
+    paddingHorizontal: spacing.md,
+  },
+  headerText: {
+    fontSize: 14,
+    color: colors.primary,
+    marginTop: spacing.md,
+    marginBottom: spacing.xs,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  separator: {
+    height: 1,
+    backgroundColor: colors.divider,
+    marginVertical: spacing.sm,
+  },
+  filterLabel: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+    fontFamily: 'Poppins-Regular',
+  },
+  textFilter: {
+    marginBottom: spacing.sm,
+  },
+  textInput: {
+    backgroundColor: colors.surfaceElevated,
+    borderRadius: borderRadius.sm,
+    padding: 12,
+    fontSize: 14,
+    color: colors.text,
+    fontFamily: 'Poppins-Regular',
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  toggleLabel: {
+    fontSize: 15,
+    color: colors.text,
+    marginLeft: spacing.sm,
+    fontFamily: 'Poppins-Regular',
+  },
+  toggleLabelSelected: {
+    color: colors.primary,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  toggleLabelExcluded: {
+    color: colors.textTertiary,
+    textDecorationLine: 'line-through',
+  },
+  sortIcon: {
+    width: 22,
+    alignItems: 'center',
+  },
+  selectFilter: {
+    marginBottom: spacing.sm,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: 6,
+    borderRadius: borderRadius.xl,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: spacing.sm,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    fontFamily: 'Poppins-Regular',
+  },
+  chipTextSelected: {
+    color: colors.background,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  groupTitle: {
+    flex: 1,
+    fontSize: 15,
+    color: colors.text,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  groupCount: {
+    fontSize: 12,
+    color: colors.background,
+    backgroundColor: colors.primary,
+    borderRadius: borderRadius.sm,
+    paddingHorizontal: 6,
+    marginRight: spacing.sm,
+    overflow: 'hidden',
+    fontFamily: 'Poppins-SemiBold',
+  },
+  groupChildren: {
+    paddingLeft: spacing.sm,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    paddingVertical: spacing.xl,
+    fontFamily: 'Poppins-Regular',
+  },
+  actions: {
+    flexDirection: 'row',
+    paddingHorizontal: spacing.md,
+    paddingTop: spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  actionButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: borderRadius.md,
+    alignItems: 'center',
+  },
+  resetButton: {
+    backgroundColor: colors.surfaceElevated,
+    marginRight: spacing.sm,
+  },
+  resetButtonText: {
+    color: colors.text,
+    fontSize: 16,
+    fontWeight: '600',
+    fontFamily: 'Poppins-SemiBold',
+  },
+  applyButton: {
+    backgroundColor: colors.primary,
+  },
+  applyButtonText: {
+    color: colors.background,
+    fontSize: 16,
+    fontWeight: '600',
+    fontFamily: 'Poppins-SemiBold',
+  },
+});
@@ -0,0 +1,111 @@
+import React, { useState, useRef } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import { colors, spacing } from '../constants/theme';
+
+const THUMB_SIZE = 16;
+
+/**
+ * "Jump to page" slider for the reader controls
+ * Similar to Mihon's reader page slider
+ *
+ * Shows the page it would jump to while dragging and calls `onSelectPage(page)`
+ * (0-based) on release. `inverted` puts the first page on the right, for
+ * right-to-left reading.
+ */
+export default function PageSlider({ page, pageCount, inverted = false, onSelectPage }) {
+  // Page under the thumb while dragging, null otherwise
+  const [dragPage, setDragPage] = useState(null);
+  const trackWidthRef = useRef(0);
+
+  const lastPage = Math.max(pageCount - 1, 0);
+  const shownPage = Math.min(dragPage ?? page, lastPage);
+
+  const pageAt = (x) => {
+    const width = trackWidthRef.current;
+    if (width === 0 || lastPage === 0) return 0;
+
+    const fraction = Math.min(Math.max(x / width, 0), 1);
+    return Math.round((inverted ? 1 - fraction : fraction) * lastPage);
+  };
+
+  const pan = Gesture.Pan()
+    .runOnJS(true)
+    .onBegin((event) => setDragPage(pageAt(event.x)))
+    .onUpdate((event) => setDragPage(pageAt(event.x)))
+    .onEnd((event) => onSelectPage(pageAt(event.x)))
+    .onFinalize(() => setDragPage(null));
+
+  const tap = Gesture.Tap()
+    .runOnJS(true)
+    .onEnd((event, success) => {
+      if (success) {
+        onSelectPage(pageAt(event.x));
+      }
+    });
+
+  const fraction = lastPage === 0 ? 0 : shownPage / lastPage;
+  const position = inverted ? 1 - fraction : fraction;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>
+        {shownPage + 1} / {pageCount}
+      </Text>
+      <GestureDetector gesture={Gesture.Exclusive(pan, tap)}>
+        <View
+          style={styles.touchArea}
+          onLayout={(event) => { trackWidthRef.current = event.nativeEvent.layout.width; }}
+        >
+          <View style={styles.track} />
+          <View
+            style={[
+              styles.fill,
+              inverted ? { right: 0 } : { left: 0 },
+              { width: `${fraction * 100}%` },
+            ]}
+          />
+          <View style={[styles.thumb, { left: `${position * 100}%` }]} />
+        </View>
+      </GestureDetector>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    marginHorizontal: spacing.md,
+  },
+  label: {
+    color: colors.text,
+    fontSize: 14,
+    fontWeight: '500',
+    fontFamily: 'Poppins-Medium',
+  },
+  touchArea: {
+    alignSelf: 'stretch',
+    height: 32,
+    justifyContent: 'center',
+  },
+  track: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: colors.surfaceElevated,
+  },
+  fill: {
+    position: 'absolute',
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: colors.primary,
+  },
+  thumb: {
+    position: 'absolute',
+    width: THUMB_SIZE,
+    height: THUMB_SIZE,
+    marginLeft: -THUMB_SIZE / 2,
+    borderRadius: THUMB_SIZE / 2,
+    backgroundColor: colors.primary,
+  },
+});
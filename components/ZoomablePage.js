@@ -0,0 +1,194 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { View, Image, Animated, StyleSheet } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+
+/**
+ * Zoom levels a double tap steps through, back to 1 after the last
+ */
+export const ZOOM_LEVELS = [1, 2, 3];
+
+const MAX_SCALE = 5;
+// How far past the page's edge a zoomed pan has to go to hand off to page turning
+const EDGE_SWIPE_DISTANCE = 80;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Reader page with pinch zoom, double-tap zoom and panning
+ * Similar to Mihon's ReaderPageImageView
+ *
+ * `edgeAxis` ('horizontal' or 'vertical') is the direction pages turn in: a zoomed
+ * pan that keeps going past that edge resets the zoom and calls
+ * `onEdgeSwipe('left' | 'right' | 'up' | 'down')` with the finger's direction.
+ * `onZoomChange(zoomed)` lets the reader stop its own scrolling while a page is zoomed.
+ * `onTap({ pageX, pageY })` gets single taps, once they can't be a double tap.
+ * The zoom resets when `active` turns false, e.g. when the reader moves to another page.
+ */
+export default function ZoomablePage({
+  uri,
+  style,
+  imageStyle,
+  edgeAxis = 'horizontal',
+  active = true,
+  onTap,
+  onZoomChange,
+  onEdgeSwipe,
+}) {
+  const [zoomed, setZoomed] = useState(false);
+  const zoomedRef = useRef(false);
+
+  const scale = useRef(new Animated.Value(1)).current;
+  const translateX = useRef(new Animated.Value(0)).current;
+  const translateY = useRef(new Animated.Value(0)).current;
+
+  // Current transform as numbers; the Animated values only render it
+  const transformRef = useRef({ scale: 1, x: 0, y: 0 });
+  const gestureStartRef = useRef(transformRef.current);
+  const overshootRef = useRef(0);
+  const sizeRef = useRef({ width: 0, height: 0 });
+
+  const clampTranslation = (value, nextScale, size) => {
+    const max = (size * (nextScale - 1)) / 2;
+    return clamp(value, -max, max);
+  };
+
+  const setTransform = ({ scale: nextScale, x, y }, animated = false) => {
+    const { width, height } = sizeRef.current;
+    const next = {
+      scale: nextScale,
+      x: clampTranslation(x, nextScale, width),
+      y: clampTranslation(y, nextScale, height),
+    };
+    transformRef.current = next;
+
+    if (animated) {
+      Animated.parallel([
+        Animated.spring(scale, { toValue: next.scale, useNativeDriver: true, bounciness: 0 }),
+        Animated.spring(translateX, { toValue: next.x, useNativeDriver: true, bounciness: 0 }),
+        Animated.spring(translateY, { toValue: next.y, useNativeDriver: true, bounciness: 0 }),
+      ]).start();
+    } else {
+      scale.setValue(next.scale);
+      translateX.setValue(next.x);
+      translateY.setValue(next.y);
+    }
+
+    const isZoomed = next.scale > 1;
+    if (isZoomed !== zoomedRef.current) {
+      zoomedRef.current = isZoomed;
+      setZoomed(isZoomed);
+      onZoomChange?.(isZoomed);
+    }
+  };
+
+  /**
+   * Zoom to `nextScale`, keeping the point at (focalX, focalY) of the page in place
+   */
+  const zoomAround = (start, nextScale, focalX, focalY, animated = false) => {
+    const { width, height } = sizeRef.current;
+    const offsetX = focalX - width / 2;
+    const offsetY = focalY - height / 2;
+    const ratio = nextScale / start.scale;
+
+    setTransform({
+      scale: nextScale,
+      x: offsetX - (offsetX - start.x) * ratio,
+      y: offsetY - (offsetY - start.y) * ratio,
+    }, animated);
+  };
+
+  useEffect(() => {
+    if (!active && zoomedRef.current) {
+      setTransform({ scale: 1, x: 0, y: 0 });
+    }
+  }, [active]);
+
+  // An unmounted page can't hold the reader's scrolling
+  useEffect(() => () => {
+    if (zoomedRef.current) {
+      onZoomChange?.(false);
+    }
+  }, []);
+
+  const pinch = Gesture.Pinch()
+    .runOnJS(true)
+    .onStart(() => {
+      gestureStartRef.current = transformRef.current;
+    })
+    .onUpdate((event) => {
+      const nextScale = clamp(gestureStartRef.current.scale * event.scale, 1, MAX_SCALE);
+      zoomAround(gestureStartRef.current, nextScale, event.focalX, event.focalY);
+    });
+
+  const pan = Gesture.Pan()
+    .runOnJS(true)
+    .enabled(zoomed)
+    .averageTouches(true)
+    .onStart(() => {
+      gestureStartRef.current = transformRef.current;
+      overshootRef.current = 0;
+    })
+    .onUpdate((event) => {
+      const start = gestureStartRef.current;
+      const x = start.x + event.translationX;
+      const y = start.y + event.translationY;
+      setTransform({ scale: start.scale, x, y });
+
+      const current = transformRef.current;
+      overshootRef.current = edgeAxis === 'horizontal' ? x - current.x : y - current.y;
+    })
+    .onEnd(() => {
+      const overshoot = overshootRef.current;
+      overshootRef.current = 0;
+      if (Math.abs(overshoot) < EDGE_SWIPE_DISTANCE || !onEdgeSwipe) return;
+
+      setTransform({ scale: 1, x: 0, y: 0 });
+      if (edgeAxis === 'horizontal') {
+        onEdgeSwipe(overshoot < 0 ? 'left' : 'right');
+      } else {
+        onEdgeSwipe(overshoot < 0 ? 'up' : 'down');
+      }
+    });
+
+  const doubleTap = Gesture.Tap()
+    .runOnJS(true)
+    .numberOfTaps(2)
+    .onEnd((event, success) => {
+      if (!success) return;
+
+      const current = transformRef.current;
+      const nextScale = ZOOM_LEVELS.find(level => level > current.scale + 0.01) || ZOOM_LEVELS[0];
+      zoomAround(current, nextScale, event.x, event.y, true);
+    });
+
+  const singleTap = Gesture.Tap()
+    .runOnJS(true)
+    .onEnd((event, success) => {
+      if (success) {
+        onTap?.({ pageX: event.absoluteX, pageY: event.absoluteY });
+      }
+    });
+
+  const gesture = Gesture.Simultaneous(pinch, pan, Gesture.Exclusive(doubleTap, singleTap));
+
+  const handleLayout = (event) => {
+    const { width, height } = event.nativeEvent.layout;
+    sizeRef.current = { width, height };
+  };
+
+  return (
+    <GestureDetector gesture={gesture}>
+      <View style={[styles.container, style]} onLayout={handleLayout} collapsable={false}>
+        <Animated.View style={{ transform: [{ translateX }, { translateY }, { scale }] }}>
+          <Image source={{ uri }} style={imageStyle} resizeMode="contain" />
+        </Animated.View>
+      </View>
+    </GestureDetector>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    overflow: 'hidden',
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import {
   View,
   Text,
@@ -10,53 +10,122 @@ import {
   Image,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { ArrowLeft } from 'lucide-react-native';
-import { searchManga, getPopularManga } from '../services/mangaService';
+import { ArrowLeft, SlidersHorizontal } from 'lucide-react-native';
+import {
+  searchManga,
+  getPopularManga,
+  getFilterList,
+  isSourceSupported,
+} from '../services/mangaService';
+import FilterSheet from '../components/FilterSheet';
 import { colors, spacing, borderRadius } from '../constants/theme';
 
 export default function BrowseScreen({ route, navigation }) {
   const { source } = route.params || {};
   const [mangaList, setMangaList] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [activeQuery, setActiveQuery] = useState('');
+  const [filters, setFilters] = useState(null);
+  const [activeFilters, setActiveFilters] = useState(null);
+  const [showFilters, setShowFilters] = useState(false);
+  const [page, setPage] = useState(1);
+  const [hasNextPage, setHasNextPage] = useState(false);
+
+  // Bumped on every new listing so late responses from an older one are dropped
+  const requestIdRef = useRef(0);
+  const loadingMoreRef = useRef(false);
+  const seenKeysRef = useRef(new Set());
 
   React.useEffect(() => {
     if (source) {
-      loadPopularManga();
+      setFilters(getFilterList(source));
+      setActiveFilters(null);
+      loadFirstPage('', null);
     }
   }, [source]);
 
-  const loadPopularManga = async () => {
+  // Applied filters turn browsing into a search, even without a query
+  const fetchPage = (query, pageFilters, pageNumber) => (
+    query || pageFilters
+      ? searchManga(source, query, pageNumber, pageFilters)
+      : getPopularManga(source, pageNumber)
+  );
+
+  // Sources often repeat titles across pages when their ordering shifts
+  const takeUnseen = (mangas) => mangas.filter(manga => {
+    const key = manga.id || manga.title;
+    if (seenKeysRef.current.has(key)) return false;
+    seenKeysRef.current.add(key);
+    return true;
+  });
+
+  const loadFirstPage = async (query, pageFilters) => {
     if (!source) return;
-    
+
+    const requestId = ++requestIdRef.current;
+    loadingMoreRef.current = false;
+    setLoadingMore(false);
+    setActiveQuery(query);
+    setActiveFilters(pageFilters);
     setLoading(true);
     try {
-      const data = await getPopularManga(source);
-      setMangaList(data);
+      const result = await fetchPage(query, pageFilters, 1);
+      if (requestId !== requestIdRef.current) return;
+
+      seenKeysRef.current = new Set();
+      setMangaList(takeUnseen(result.mangas));
+      setPage(1);
+      setHasNextPage(result.hasNextPage);
     } catch (error) {
-      console.error('Error loading popular manga:', error);
+      console.error('Error loading manga:', error);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
     }
   };
 
-  const handleSearch = async () => {
-    if (!source || !searchQuery.trim()) {
-      loadPopularManga();
-      return;
-    }
+  const loadNextPage = async () => {
+    if (loading || loadingMoreRef.current || !hasNextPage) return;
 
-    setLoading(true);
+    const requestId = requestIdRef.current;
+    const nextPage = page + 1;
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
     try {
-      const data = await searchManga(source, searchQuery);
-      setMangaList(data);
+      const result = await fetchPage(activeQuery, activeFilters, nextPage);
+      if (requestId !== requestIdRef.current) return;
+
+      const unseen = takeUnseen(result.mangas);
+      setMangaList(prev => [...prev, ...unseen]);
+      setPage(nextPage);
+      // A page of nothing but repeats means the source is cycling
+      setHasNextPage(result.hasNextPage && unseen.length > 0);
     } catch (error) {
-      console.error('Error searching manga:', error);
+      console.error('Error loading next page:', error);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        loadingMoreRef.current = false;
+        setLoadingMore(false);
+      }
     }
   };
 
+  const handleSearch = () => {
+    loadFirstPage(searchQuery.trim(), activeFilters);
+  };
+
+  // The sheet keeps editing `filters`, so the listing gets a copy that only changes on Apply;
+  // filters left at their defaults browse the popular list again
+  const handleApplyFilters = () => {
+    setShowFilters(false);
+    loadFirstPage(searchQuery.trim(), filters.isDefault() ? null : filters.clone());
+  };
+
+  const hasFilters = !!filters && !filters.isEmpty();
+
   const renderMangaItem = ({ item }) => (
     <TouchableOpacity
       style={styles.mangaItem}
@@ -115,6 +184,14 @@ export default function BrowseScreen({ route, navigation }) {
         <TouchableOpacity style={styles.searchButton} onPress={handleSearch}>
           <Text style={styles.searchButtonText}>Search</Text>
         </TouchableOpacity>
+        {hasFilters && (
+          <TouchableOpacity
+            style={[styles.filterButton, activeFilters && styles.filterButtonActive]}
+            onPress={() => setShowFilters(true)}
+          >
+            <SlidersHorizontal size={22} color={activeFilters ? colors.background : colors.primary} />
+          </TouchableOpacity>
+        )}
       </View>
 
       {loading ? (
@@ -130,22 +207,38 @@ export default function BrowseScreen({ route, navigation }) {
           contentContainerStyle={styles.listContent}
           numColumns={2}
           columnWrapperStyle={styles.row}
+          onEndReached={loadNextPage}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={
+            loadingMore ? (
+              <View style={styles.footerLoader}>
+                <ActivityIndicator size="small" color={colors.primary} />
+              </View>
+            ) : null
+          }
           ListEmptyComponent={
             <View style={styles.emptyContainer}>
               <Text style={styles.emptyText}>
-                {searchQuery
+                {activeQuery || activeFilters
                   ? 'No results found'
                   : 'No manga available. Try searching or select a different source.'}
               </Text>
-              {!source?.baseUrl?.includes('mangadex') && (
+              {!isSourceSupported(source) && (
                 <Text style={styles.emptySubtext}>
-                  Note: Only MangaDex is currently supported.
+                  Note: Only Bato, Xbato and MangaDex are currently supported.
                 </Text>
               )}
             </View>
           }
         />
       )}
+
+      <FilterSheet
+        visible={showFilters}
+        filters={filters}
+        onApply={handleApplyFilters}
+        onClose={() => setShowFilters(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -198,6 +291,17 @@ const styles = StyleSheet.create({
     borderRadius: borderRadius.sm,
     justifyContent: 'center',
   },
+  filterButton: {
+    marginLeft: spacing.sm,
+    paddingHorizontal: 12,
+    borderRadius: borderRadius.sm,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    justifyContent: 'center',
+  },
+  filterButtonActive: {
+    backgroundColor: colors.primary,
+  },
   searchButtonText: {
     color: colors.background,
     fontSize: 16,
@@ -267,6 +371,10 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     fontFamily: 'Poppins-Regular',
   },
+  footerLoader: {
+    paddingVertical: spacing.md,
+    alignItems: 'center',
+  },
   emptyContainer: {
     padding: spacing.xl,
     alignItems: 'center',
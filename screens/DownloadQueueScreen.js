@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { ArrowLeft, Pause, Play, X, Trash2 } from 'lucide-react-native';
+import { DownloadManager, DownloadState } from '../services/downloadManager';
+import { colors, spacing, borderRadius } from '../constants/theme';
+
+/**
+ * Download queue with pause/resume and per-chapter cancel
+ * Similar to Mihon's DownloadQueueScreen
+ */
+export default function DownloadQueueScreen({ navigation }) {
+  const [queue, setQueue] = useState([]);
+  const [paused, setPaused] = useState(false);
+
+  useEffect(() => {
+    return DownloadManager.subscribe(items => {
+      setQueue(items);
+      setPaused(DownloadManager.isPaused());
+    });
+  }, []);
+
+  const togglePaused = () => {
+    if (paused) {
+      DownloadManager.resume();
+    } else {
+      DownloadManager.pause();
+    }
+  };
+
+  const getStatusText = (item) => {
+    switch (item.state) {
+      case DownloadState.DOWNLOADING:
+        return item.totalPages > 0
+          ? `${item.downloadedPages} / ${item.totalPages} pages`
+          : 'Fetching pages...';
+      case DownloadState.ERROR:
+        return item.error || 'Download failed';
+      default:
+        return paused ? 'Paused' : 'Queued';
+    }
+  };
+
+  const renderItem = ({ item }) => {
+    const progress = item.totalPages > 0 ? item.downloadedPages / item.totalPages : 0;
+    const failed = item.state === DownloadState.ERROR;
+
+    return (
+      <View style={styles.item}>
+        <View style={styles.itemInfo}>
+          <Text style={styles.mangaTitle} numberOfLines={1}>{item.manga.title}</Text>
+          <Text style={styles.chapterName} numberOfLines={1}>{item.chapter.name}</Text>
+          <View style={styles.progressTrack}>
+            <View style={[styles.progressFill, { width: `${progress * 100}%` }]} />
+          </View>
+          <Text style={[styles.statusText, failed && styles.statusTextError]} numberOfLines={1}>
+            {getStatusText(item)}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.cancelButton}
+          onPress={() => DownloadManager.cancel(item.id)}
+        >
+          <X size={22} color={colors.textSecondary} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => navigation.goBack()}
+        >
+          <ArrowLeft size={28} color={colors.primary} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Download queue</Text>
+        {queue.length > 0 && (
+          <>
+            <TouchableOpacity style={styles.headerButton} onPress={() => DownloadManager.clearQueue()}>
+              <Trash2 size={24} color={colors.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.headerButton} onPress={togglePaused}>
+              {paused
+                ? <Play size={24} color={colors.primary} />
+                : <Pause size={24} color={colors.primary} />}
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+
+      <FlatList
+        data={queue}
+        renderItem={renderItem}
+        keyExtractor={item => item.id}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>No downloads</Text>
+            <Text style={styles.emptySubtext}>
+              Select chapters on a manga's page and tap Download to read them offline.
+            </Text>
+          </View>
+        }
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  headerButton: {
+    padding: 4,
+    marginLeft: spacing.sm,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginLeft: spacing.sm,
+    fontFamily: 'Poppins-Bold',
+  },
+  listContent: {
+    padding: spacing.md,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    padding: spacing.md,
+    marginBottom: spacing.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  mangaTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  chapterName: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+    fontFamily: 'Poppins-Regular',
+  },
+  progressTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: colors.surfaceElevated,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: colors.primary,
+  },
+  statusText: {
+    fontSize: 12,
+    color: colors.textTertiary,
+    marginTop: spacing.xs,
+    fontFamily: 'Poppins-Regular',
+  },
+  statusTextError: {
+    color: colors.error,
+  },
+  cancelButton: {
+    padding: 4,
+    marginLeft: spacing.sm,
+  },
+  emptyContainer: {
+    padding: spacing.xl,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: spacing.sm,
+    fontFamily: 'Poppins-Regular',
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: colors.textTertiary,
+    textAlign: 'center',
+    fontFamily: 'Poppins-Regular',
+  },
+});
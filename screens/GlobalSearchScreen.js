@@ -0,0 +1,275 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Image,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { ArrowLeft } from 'lucide-react-native';
+import { searchAllSources, getSearchableSources } from '../services/globalSearch';
+import { colors, spacing, borderRadius } from '../constants/theme';
+
+/**
+ * Search every source at once, one row of results per source
+ * Similar to Mihon's GlobalSearchScreen
+ */
+export default function GlobalSearchScreen({ route, navigation }) {
+  const initialQuery = route.params?.query || '';
+  const [searchQuery, setSearchQuery] = useState(initialQuery);
+  // One row per source; `result` stays null until that source finishes
+  const [rows, setRows] = useState([]);
+
+  // Bumped on every search so results from an older one are dropped
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    if (initialQuery) {
+      runSearch(initialQuery);
+    }
+  }, [initialQuery]);
+
+  const runSearch = async (query) => {
+    if (!query) return;
+
+    const requestId = ++requestIdRef.current;
+    const sources = getSearchableSources();
+    setRows(sources.map(source => ({ source, result: null })));
+
+    await searchAllSources(query, {
+      sources,
+      onResult: (result) => {
+        if (requestId !== requestIdRef.current) return;
+        setRows(prev => prev.map(row => (
+          row.source.id === result.sourceId ? { ...row, result } : row
+        )));
+      },
+    });
+  };
+
+  const handleSearch = () => {
+    runSearch(searchQuery.trim());
+  };
+
+  const getStatusText = (result) => {
+    if (result.error) return result.error;
+    if (result.mangas.length === 0) return 'No results';
+    return `${result.mangas.length} result${result.mangas.length !== 1 ? 's' : ''}`;
+  };
+
+  const renderMangaItem = (source) => ({ item }) => (
+    <TouchableOpacity
+      style={styles.mangaItem}
+      onPress={() => navigation.navigate('MangaDetails', { manga: item, source })}
+    >
+      {item.coverUrl ? (
+        <Image source={{ uri: item.coverUrl }} style={styles.cover} resizeMode="cover" />
+      ) : (
+        <View style={[styles.cover, styles.coverPlaceholder]}>
+          <Text style={styles.thumbnailPlaceholder}>📚</Text>
+        </View>
+      )}
+      <Text style={styles.mangaTitle} numberOfLines={2}>
+        {item.title || 'Manga Title'}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderSourceRow = ({ item }) => {
+    const { source, result } = item;
+
+    return (
+      <View style={styles.sourceRow}>
+        <View style={styles.sourceHeader}>
+          <Text style={styles.sourceName}>{source.name}</Text>
+          {result ? (
+            <Text
+              style={[styles.statusText, result.error && styles.statusTextError]}
+              numberOfLines={1}
+            >
+              {getStatusText(result)}
+            </Text>
+          ) : (
+            <ActivityIndicator size="small" color={colors.primary} />
+          )}
+        </View>
+        {result && result.mangas.length > 0 && (
+          <FlatList
+            horizontal
+            data={result.mangas}
+            renderItem={renderMangaItem(source)}
+            keyExtractor={(manga, index) => `${manga.id || manga.title}-${index}`}
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.mangaList}
+          />
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <ArrowLeft size={28} color={colors.primary} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Global search</Text>
+      </View>
+
+      <View style={styles.searchContainer}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search all sources..."
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          onSubmitEditing={handleSearch}
+          placeholderTextColor={colors.textTertiary}
+          autoFocus={!initialQuery}
+          returnKeyType="search"
+        />
+        <TouchableOpacity style={styles.searchButton} onPress={handleSearch}>
+          <Text style={styles.searchButtonText}>Search</Text>
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={rows}
+        renderItem={renderSourceRow}
+        keyExtractor={item => item.source.id}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>Search for a title in every source at once</Text>
+          </View>
+        }
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  backButton: {
+    marginRight: 12,
+    padding: 4,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    fontFamily: 'Poppins-Bold',
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.md,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  searchInput: {
+    flex: 1,
+    backgroundColor: colors.surfaceElevated,
+    borderRadius: borderRadius.sm,
+    padding: 12,
+    fontSize: 16,
+    color: colors.text,
+    marginRight: spacing.sm,
+    fontFamily: 'Poppins-Regular',
+  },
+  searchButton: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: borderRadius.sm,
+    justifyContent: 'center',
+  },
+  searchButtonText: {
+    color: colors.background,
+    fontSize: 16,
+    fontWeight: '600',
+    fontFamily: 'Poppins-SemiBold',
+  },
+  listContent: {
+    paddingVertical: spacing.sm,
+  },
+  sourceRow: {
+    paddingVertical: spacing.sm,
+  },
+  sourceHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.md,
+    marginBottom: spacing.sm,
+  },
+  sourceName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginRight: spacing.md,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  statusText: {
+    flexShrink: 1,
+    fontSize: 13,
+    color: colors.textSecondary,
+    fontFamily: 'Poppins-Regular',
+  },
+  statusTextError: {
+    color: colors.error,
+  },
+  mangaList: {
+    paddingHorizontal: spacing.md,
+  },
+  mangaItem: {
+    width: 100,
+    marginRight: spacing.sm,
+  },
+  cover: {
+    width: 100,
+    height: 140,
+    borderRadius: borderRadius.sm,
+    marginBottom: spacing.xs,
+  },
+  coverPlaceholder: {
+    backgroundColor: colors.surfaceElevated,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  thumbnailPlaceholder: {
+    fontSize: 32,
+  },
+  mangaTitle: {
+    fontSize: 12,
+    color: colors.text,
+    fontFamily: 'Poppins-Regular',
+  },
+  emptyContainer: {
+    padding: spacing.xl,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    fontFamily: 'Poppins-Regular',
+  },
+});
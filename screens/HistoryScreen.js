@@ -0,0 +1,336 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity,
+  TextInput,
+  Image,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import { ArrowLeft, Trash2 } from 'lucide-react-native';
+import { SourceManager } from '../services/sourceManager';
+import {
+  getHistory,
+  getLibrary,
+  removeHistoryEntry,
+  removeMangaHistory,
+  clearHistory,
+} from '../services/storageService';
+import { groupByDay } from '../utils/dateSections';
+import { colors, spacing, borderRadius } from '../constants/theme';
+
+const mangaKey = (sourceId, mangaId) => `${sourceId}:${mangaId}`;
+
+/**
+ * Format a read duration in milliseconds as e.g. "1h 5m" or "12m"
+ */
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return null;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+/**
+ * Reading history grouped by day
+ * Similar to Mihon's HistoryScreen
+ */
+export default function HistoryScreen({ navigation }) {
+  const [history, setHistory] = useState([]);
+  const [library, setLibrary] = useState({});
+  const [searchQuery, setSearchQuery] = useState('');
+
+  useFocusEffect(
+    useCallback(() => {
+      loadHistory();
+    }, [])
+  );
+
+  const loadHistory = async () => {
+    try {
+      const [historyData, libraryData] = await Promise.all([getHistory(null), getLibrary()]);
+
+      const libraryMap = {};
+      libraryData.forEach(manga => {
+        libraryMap[mangaKey(manga.sourceId, manga.id)] = manga;
+      });
+
+      setHistory(historyData);
+      setLibrary(libraryMap);
+    } catch (error) {
+      console.error('Error loading history:', error);
+    }
+  };
+
+  const sections = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    const filtered = query
+      ? history.filter(entry =>
+          entry.mangaTitle?.toLowerCase().includes(query) ||
+          entry.chapterTitle?.toLowerCase().includes(query)
+        )
+      : history;
+    return groupByDay(filtered, entry => entry.readAt);
+  }, [history, searchQuery]);
+
+  const getSource = (entry) => {
+    const manga = library[mangaKey(entry.sourceId, entry.mangaId)];
+    return SourceManager.getSourceOrStub(entry.sourceId, manga?.sourceName);
+  };
+
+  const getManga = (entry) => (
+    library[mangaKey(entry.sourceId, entry.mangaId)] || {
+      id: entry.mangaId,
+      sourceId: entry.sourceId,
+      title: entry.mangaTitle,
+      coverUrl: entry.coverUrl,
+    }
+  );
+
+  // The reader reopens the chapter at its saved page
+  const resumeEntry = (entry) => {
+    navigation.navigate('Reader', {
+      chapter: { id: entry.chapterId, name: entry.chapterTitle },
+      source: getSource(entry),
+      manga: getManga(entry),
+    });
+  };
+
+  const openManga = (entry) => {
+    navigation.navigate('MangaDetails', {
+      manga: getManga(entry),
+      source: getSource(entry),
+    });
+  };
+
+  const handleRemove = (entry) => {
+    Alert.alert(
+      'Remove from history',
+      `Remove "${entry.chapterTitle || 'this chapter'}" from your history?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'All of this series',
+          style: 'destructive',
+          onPress: async () => {
+            await removeMangaHistory(entry.mangaId, entry.sourceId);
+            loadHistory();
+          },
+        },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await removeHistoryEntry(entry.mangaId, entry.chapterId);
+            loadHistory();
+          },
+        },
+      ]
+    );
+  };
+
+  const handleClearAll = () => {
+    Alert.alert(
+      'Clear history',
+      'Remove every entry from your reading history?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            await clearHistory();
+            loadHistory();
+          },
+        },
+      ]
+    );
+  };
+
+  const renderItem = ({ item }) => {
+    const duration = formatDuration(item.readDuration);
+    const readTime = new Date(item.readAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    return (
+      <TouchableOpacity style={styles.item} onPress={() => resumeEntry(item)}>
+        <TouchableOpacity onPress={() => openManga(item)}>
+          {item.coverUrl ? (
+            <Image source={{ uri: item.coverUrl }} style={styles.cover} resizeMode="cover" />
+          ) : (
+            <View style={[styles.cover, styles.coverPlaceholder]}>
+              <Text style={styles.thumbnailPlaceholder}>📚</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+        <View style={styles.itemInfo}>
+          <Text style={styles.mangaTitle} numberOfLines={1}>{item.mangaTitle}</Text>
+          <Text style={styles.chapterName} numberOfLines={1}>
+            {item.chapterTitle || 'Chapter'}
+          </Text>
+          <Text style={styles.readTime}>
+            {duration ? `${readTime} · ${duration}` : readTime}
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.removeButton} onPress={() => handleRemove(item)}>
+          <Trash2 size={20} color={colors.textSecondary} />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <ArrowLeft size={28} color={colors.primary} />
+        </TouchableOpacity>
+        <Text style={styles.title}>History</Text>
+        {history.length > 0 && (
+          <TouchableOpacity style={styles.headerButton} onPress={handleClearAll}>
+            <Trash2 size={24} color={colors.primary} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.searchContainer}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search history..."
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholderTextColor={colors.textTertiary}
+        />
+      </View>
+
+      <SectionList
+        sections={sections}
+        renderItem={renderItem}
+        renderSectionHeader={({ section }) => (
+          <Text style={styles.sectionHeader}>{section.title}</Text>
+        )}
+        keyExtractor={item => `${item.sourceId}:${item.mangaId}:${item.chapterId}`}
+        contentContainerStyle={styles.listContent}
+        stickySectionHeadersEnabled={false}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>
+              {searchQuery ? 'No history matches your search' : 'Nothing read yet'}
+            </Text>
+          </View>
+        }
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  backButton: {
+    marginRight: 12,
+    padding: 4,
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    fontFamily: 'Poppins-Bold',
+  },
+  headerButton: {
+    marginLeft: spacing.md,
+    padding: 4,
+  },
+  searchContainer: {
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  searchInput: {
+    backgroundColor: colors.surfaceElevated,
+    borderRadius: borderRadius.sm,
+    padding: 12,
+    fontSize: 16,
+    color: colors.text,
+    fontFamily: 'Poppins-Regular',
+  },
+  listContent: {
+    paddingBottom: spacing.md,
+  },
+  sectionHeader: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    paddingHorizontal: spacing.md,
+    paddingTop: spacing.md,
+    paddingBottom: spacing.sm,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  cover: {
+    width: 50,
+    height: 70,
+    borderRadius: borderRadius.sm,
+  },
+  coverPlaceholder: {
+    backgroundColor: colors.surfaceElevated,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  thumbnailPlaceholder: {
+    fontSize: 24,
+  },
+  itemInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+  mangaTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  chapterName: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    fontFamily: 'Poppins-Regular',
+  },
+  readTime: {
+    fontSize: 12,
+    color: colors.textTertiary,
+    fontFamily: 'Poppins-Regular',
+  },
+  removeButton: {
+    padding: spacing.sm,
+    marginLeft: spacing.sm,
+  },
+  emptyContainer: {
+    padding: spacing.xl,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    fontFamily: 'Poppins-Regular',
+  },
+});
@@ -1,21 +1,325 @@
-import React from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import {
   View,
   Text,
   StyleSheet,
+  FlatList,
+  ScrollView,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  TextInput,
+  ActivityIndicator,
+  Image,
+  Modal,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { colors, spacing } from '../constants/theme';
+import { useFocusEffect } from '@react-navigation/native';
+import { LayoutGrid, List, ArrowUpDown, ArrowUp, ArrowDown } from 'lucide-react-native';
+import {
+  getLibrary,
+  getCategories,
+  getLastReadTimes,
+  getAppPreferences,
+  setAppPreferences,
+} from '../services/storageService';
+import { SourceManager } from '../services/sourceManager';
+import { colors, spacing, borderRadius } from '../constants/theme';
+
+const SORT_OPTIONS = [
+  { mode: 'alphabetical', label: 'Alphabetical', defaultAscending: true },
+  { mode: 'lastRead', label: 'Last Read', defaultAscending: false },
+  { mode: 'dateAdded', label: 'Date Added', defaultAscending: false },
+  { mode: 'unread', label: 'Unread Count', defaultAscending: false },
+];
+
+const libraryKey = (manga) => `${manga.sourceId}:${manga.id}`;
+
+/**
+ * Compare two library entries in ascending order for a sort mode
+ */
+const compareManga = (a, b, sortMode, lastRead) => {
+  switch (sortMode) {
+    case 'lastRead':
+      return (lastRead[libraryKey(a)] || 0) - (lastRead[libraryKey(b)] || 0);
+    case 'dateAdded':
+      return a.dateAdded - b.dateAdded;
+    case 'unread':
+      return a.unreadCount - b.unreadCount;
+    default:
+      return (a.title || '').localeCompare(b.title || '');
+  }
+};
+
+export default function LibraryScreen({ navigation }) {
+  const [library, setLibrary] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [lastRead, setLastRead] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [selectedCategory, setSelectedCategory] = useState('default');
+  const [displayMode, setDisplayMode] = useState('grid');
+  const [sortMode, setSortMode] = useState('alphabetical');
+  const [sortAscending, setSortAscending] = useState(true);
+  const [showSortOptions, setShowSortOptions] = useState(false);
+
+  // Reload whenever the tab regains focus so additions elsewhere show up
+  useFocusEffect(
+    useCallback(() => {
+      loadLibrary();
+    }, [])
+  );
+
+  const loadLibrary = async () => {
+    try {
+      const [libraryData, categoryData, lastReadData, prefs] = await Promise.all([
+        getLibrary(),
+        getCategories(),
+        getLastReadTimes(),
+        getAppPreferences(),
+      ]);
+
+      const sortedCategories = [...categoryData].sort((a, b) => a.order - b.order);
+      setLibrary(libraryData);
+      setCategories(sortedCategories);
+      setLastRead(lastReadData);
+      setDisplayMode(prefs.libraryDisplayMode);
+      setSortMode(prefs.librarySortMode);
+      setSortAscending(prefs.librarySortAscending);
+
+      setSelectedCategory(current =>
+        sortedCategories.some(category => category.id === current)
+          ? current
+          : sortedCategories[0]?.id || 'default'
+      );
+    } catch (error) {
+      console.error('[Library] Error loading library screen:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Entries whose categories were all deleted fall back to the default category
+  const categoryIdsFor = useCallback((manga) => {
+    const known = manga.categories.filter(id => categories.some(category => category.id === id));
+    return known.length > 0 ? known : ['default'];
+  }, [categories]);
+
+  const categoryCounts = useMemo(() => {
+    const counts = {};
+    library.forEach(manga => {
+      categoryIdsFor(manga).forEach(id => {
+        counts[id] = (counts[id] || 0) + 1;
+      });
+    });
+    return counts;
+  }, [library, categoryIdsFor]);
+
+  const visibleManga = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+
+    const filtered = library.filter(manga => {
+      if (!categoryIdsFor(manga).includes(selectedCategory)) return false;
+      if (!query) return true;
+      return (manga.title || '').toLowerCase().includes(query) ||
+             (manga.author || '').toLowerCase().includes(query);
+    });
+
+    filtered.sort((a, b) => {
+      const result = compareManga(a, b, sortMode, lastRead);
+      return sortAscending ? result : -result;
+    });
+
+    return filtered;
+  }, [library, selectedCategory, searchQuery, sortMode, sortAscending, lastRead, categoryIdsFor]);
+
+  const savePreferences = async (values) => {
+    const saved = await setAppPreferences(values);
+    if (!saved) {
+      console.error('[Library] Could not save library preferences:', values);
+    }
+  };
+
+  const toggleDisplayMode = async () => {
+    const nextMode = displayMode === 'grid' ? 'list' : 'grid';
+    setDisplayMode(nextMode);
+    await savePreferences({ libraryDisplayMode: nextMode });
+  };
+
+  const handleSortSelect = async (option) => {
+    // Selecting the active sort flips its direction
+    const ascending = option.mode === sortMode ? !sortAscending : option.defaultAscending;
+    setSortMode(option.mode);
+    setSortAscending(ascending);
+    // Mode and direction go in one write so they can't come back out of sync
+    await savePreferences({ librarySortMode: option.mode, librarySortAscending: ascending });
+  };
+
+  const openManga = (manga) => {
+    const source = SourceManager.getSourceOrStub(manga.sourceId, manga.sourceName);
+    navigation.navigate('MangaDetails', { manga, source });
+  };
+
+  const renderUnreadBadge = (manga) => (
+    manga.unreadCount > 0 ? (
+      <View style={styles.unreadBadge}>
+        <Text style={styles.unreadBadgeText}>{manga.unreadCount}</Text>
+      </View>
+    ) : null
+  );
+
+  const renderCover = (manga, style) => (
+    manga.coverUrl ? (
+      <Image source={{ uri: manga.coverUrl }} style={style} resizeMode="cover" />
+    ) : (
+      <View style={[style, styles.coverPlaceholder]}>
+        <Text style={styles.thumbnailPlaceholder}>📚</Text>
+      </View>
+    )
+  );
+
+  const renderGridItem = ({ item }) => (
+    <TouchableOpacity style={styles.gridItem} onPress={() => openManga(item)}>
+      <View style={styles.gridCover}>
+        {renderCover(item, styles.coverImage)}
+        {renderUnreadBadge(item)}
+      </View>
+      <Text style={styles.gridTitle} numberOfLines={2}>
+        {item.title}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderListItem = ({ item }) => (
+    <TouchableOpacity style={styles.listItem} onPress={() => openManga(item)}>
+      {renderCover(item, styles.listCover)}
+      <View style={styles.listInfo}>
+        <Text style={styles.listTitle} numberOfLines={2}>
+          {item.title}
+        </Text>
+        {item.author && (
+          <Text style={styles.listAuthor} numberOfLines={1}>
+            {item.author}
+          </Text>
+        )}
+      </View>
+      {renderUnreadBadge(item)}
+    </TouchableOpacity>
+  );
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyText}>
+        {searchQuery
+          ? 'No manga in your library matches your search'
+          : library.length === 0
+            ? 'Your library is empty'
+            : 'This category is empty'}
+      </Text>
+      {library.length === 0 && (
+        <Text style={styles.emptySubtext}>
+          Add manga from a source's details page and they will appear here
+        </Text>
+      )}
+    </View>
+  );
 
-export default function LibraryScreen() {
   return (
-    <SafeAreaView style={styles.container}>
-      <View style={styles.content}>
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <View style={styles.header}>
         <Text style={styles.title}>Library</Text>
-        <Text style={styles.subtitle}>
-          Your saved manga and reading history will appear here
-        </Text>
+        <TouchableOpacity style={styles.headerButton} onPress={toggleDisplayMode}>
+          {displayMode === 'grid'
+            ? <List size={24} color={colors.primary} />
+            : <LayoutGrid size={24} color={colors.primary} />}
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.headerButton} onPress={() => setShowSortOptions(true)}>
+          <ArrowUpDown size={24} color={colors.primary} />
+        </TouchableOpacity>
       </View>
+
+      <View style={styles.searchContainer}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search library..."
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholderTextColor={colors.textTertiary}
+        />
+      </View>
+
+      {categories.length > 1 && (
+        <View style={styles.tabBar}>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {categories.map(category => {
+              const selected = category.id === selectedCategory;
+              return (
+                <TouchableOpacity
+                  key={category.id}
+                  style={[styles.tab, selected && styles.tabSelected]}
+                  onPress={() => setSelectedCategory(category.id)}
+                >
+                  <Text style={[styles.tabText, selected && styles.tabTextSelected]}>
+                    {category.name}
+                  </Text>
+                  <Text style={[styles.tabCount, selected && styles.tabTextSelected]}>
+                    {categoryCounts[category.id] || 0}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        </View>
+      )}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : (
+        <FlatList
+          key={displayMode}
+          data={visibleManga}
+          renderItem={displayMode === 'grid' ? renderGridItem : renderListItem}
+          keyExtractor={libraryKey}
+          numColumns={displayMode === 'grid' ? 3 : 1}
+          columnWrapperStyle={displayMode === 'grid' ? styles.row : undefined}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={renderEmpty}
+        />
+      )}
+
+      <Modal
+        visible={showSortOptions}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setShowSortOptions(false)}
+      >
+        <TouchableWithoutFeedback onPress={() => setShowSortOptions(false)}>
+          <View style={styles.modalOverlay}>
+            <TouchableWithoutFeedback>
+              <View style={styles.modalContent}>
+                <Text style={styles.modalTitle}>Sort by</Text>
+                {SORT_OPTIONS.map(option => {
+                  const selected = option.mode === sortMode;
+                  const ArrowIcon = sortAscending ? ArrowUp : ArrowDown;
+                  return (
+                    <TouchableOpacity
+                      key={option.mode}
+                      style={[styles.sortOption, selected && styles.sortOptionActive]}
+                      onPress={() => handleSortSelect(option)}
+                    >
+                      <Text style={[styles.sortOptionText, selected && styles.sortOptionTextActive]}>
+                        {option.label}
+                      </Text>
+                      {selected && <ArrowIcon size={20} color={colors.primary} />}
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </TouchableWithoutFeedback>
+          </View>
+        </TouchableWithoutFeedback>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -25,24 +329,214 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: colors.background,
   },
-  content: {
-    flex: 1,
-    justifyContent: 'center',
+  header: {
+    flexDirection: 'row',
     alignItems: 'center',
-    padding: spacing.xl,
+    padding: spacing.md,
+    backgroundColor: colors.surface,
   },
   title: {
+    flex: 1,
     fontSize: 28,
     fontWeight: 'bold',
     color: colors.text,
-    marginBottom: spacing.md,
     fontFamily: 'Poppins-Bold',
   },
-  subtitle: {
+  headerButton: {
+    marginLeft: spacing.md,
+    padding: 4,
+  },
+  searchContainer: {
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  searchInput: {
+    backgroundColor: colors.surfaceElevated,
+    borderRadius: borderRadius.sm,
+    padding: 12,
+    fontSize: 16,
+    color: colors.text,
+    fontFamily: 'Poppins-Regular',
+  },
+  tabBar: {
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    paddingHorizontal: spacing.sm,
+  },
+  tab: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: 12,
+    borderBottomWidth: 2,
+    borderBottomColor: 'transparent',
+  },
+  tabSelected: {
+    borderBottomColor: colors.primary,
+  },
+  tabText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    fontFamily: 'Poppins-Medium',
+  },
+  tabTextSelected: {
+    color: colors.primary,
+  },
+  tabCount: {
+    fontSize: 12,
+    color: colors.textTertiary,
+    marginLeft: 6,
+    fontFamily: 'Poppins-Regular',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  listContent: {
+    padding: spacing.sm,
+    flexGrow: 1,
+  },
+  row: {
+    paddingHorizontal: spacing.xs,
+  },
+  gridItem: {
+    width: '31%',
+    marginHorizontal: '1%',
+    marginBottom: spacing.md,
+  },
+  gridCover: {
+    width: '100%',
+    aspectRatio: 0.7,
+    borderRadius: borderRadius.sm,
+    overflow: 'hidden',
+    backgroundColor: colors.surfaceElevated,
+  },
+  coverImage: {
+    width: '100%',
+    height: '100%',
+  },
+  coverPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.surfaceElevated,
+  },
+  thumbnailPlaceholder: {
+    fontSize: 32,
+  },
+  gridTitle: {
+    fontSize: 12,
+    color: colors.text,
+    marginTop: spacing.xs,
+    fontFamily: 'Poppins-Medium',
+  },
+  unreadBadge: {
+    position: 'absolute',
+    top: spacing.xs,
+    left: spacing.xs,
+    minWidth: 22,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.primary,
+    alignItems: 'center',
+  },
+  unreadBadgeText: {
+    fontSize: 11,
+    color: colors.background,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  listItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  listCover: {
+    width: 50,
+    height: 70,
+    borderRadius: borderRadius.sm,
+  },
+  listInfo: {
+    flex: 1,
+    marginHorizontal: spacing.md,
+  },
+  listTitle: {
+    fontSize: 15,
+    color: colors.text,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  listAuthor: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 2,
+    fontFamily: 'Poppins-Regular',
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+  emptyText: {
     fontSize: 16,
     color: colors.textSecondary,
     textAlign: 'center',
+    marginBottom: spacing.sm,
     fontFamily: 'Poppins-Regular',
   },
+  emptySubtext: {
+    fontSize: 14,
+    color: colors.textTertiary,
+    textAlign: 'center',
+    fontFamily: 'Poppins-Regular',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    width: '85%',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.lg,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: spacing.md,
+    fontFamily: 'Poppins-Bold',
+  },
+  sortOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.surfaceElevated,
+    marginBottom: spacing.sm,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  sortOptionActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.background,
+  },
+  sortOptionText: {
+    fontSize: 16,
+    color: colors.text,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  sortOptionTextActive: {
+    color: colors.primary,
+  },
 });
-
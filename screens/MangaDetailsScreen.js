@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import {
   View,
   Text,
@@ -9,8 +9,36 @@ import {
   Image,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { ArrowLeft } from 'lucide-react-native';
-import { getMangaDetails, getChapters } from '../services/mangaService';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  ArrowLeft,
+  Heart,
+  FolderOpen,
+  ArrowLeftRight,
+  Play,
+  X,
+  CircleCheck,
+  CircleAlert,
+  Clock,
+} from 'lucide-react-native';
+import { getMangaDetails, getChapters, getSourceId } from '../services/mangaService';
+import {
+  getLibraryManga,
+  addToLibrary,
+  removeFromLibrary,
+  updateLibraryManga,
+  getCategories,
+  getMangaProgress,
+  markChaptersRead,
+} from '../services/storageService';
+import {
+  DownloadManager,
+  DownloadState,
+  getDownloadedChapterIds,
+  deleteDownloadedChapters,
+} from '../services/downloadManager';
+import { markChaptersSeen } from '../services/libraryUpdater';
+import CategoryPicker from '../components/CategoryPicker';
 import { colors, spacing, borderRadius } from '../constants/theme';
 
 export default function MangaDetailsScreen({ route, navigation }) {
@@ -18,11 +46,91 @@ export default function MangaDetailsScreen({ route, navigation }) {
   const [details, setDetails] = useState(null);
   const [chapters, setChapters] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [libraryEntry, setLibraryEntry] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [showCategoryPicker, setShowCategoryPicker] = useState(false);
+  // Chapter ID -> ReadingProgress, null until loaded
+  const [progressMap, setProgressMap] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [downloadedIds, setDownloadedIds] = useState([]);
+  // Chapter ID -> queued download of this manga
+  const [downloads, setDownloads] = useState({});
+
+  const sourceId = getSourceId(source);
+
+  React.useEffect(() => {
+    loadDownloadedIds();
+  }, [chapters]);
+
+  React.useEffect(() => {
+    if (!manga) return;
+
+    let queuedIds = [];
+    return DownloadManager.subscribe(queue => {
+      const items = queue.filter(item => item.sourceId === sourceId && item.manga.id === manga.id);
+      const byChapter = {};
+      items.forEach(item => {
+        byChapter[item.chapter.id] = item;
+      });
+
+      // A chapter leaving the queue has either finished or been cancelled
+      if (queuedIds.some(id => !byChapter[id])) {
+        loadDownloadedIds();
+      }
+      queuedIds = Object.keys(byChapter);
+      setDownloads(byChapter);
+    });
+  }, [manga, source, chapters]);
 
   React.useEffect(() => {
     loadMangaDetails();
+    loadLibraryState();
   }, [manga, source]);
 
+  // Reload progress when coming back from the reader
+  useFocusEffect(
+    useCallback(() => {
+      loadProgress();
+    }, [manga])
+  );
+
+  const isRead = (chapter) => !!progressMap?.[chapter.id]?.completed;
+
+  // Keep the library's unread badge in sync with the chapter list
+  React.useEffect(() => {
+    if (!libraryEntry || !progressMap || chapters.length === 0) return;
+
+    const unreadCount = chapters.filter(chapter => !isRead(chapter)).length;
+    if (unreadCount !== libraryEntry.unreadCount) {
+      updateLibraryManga(manga.id, sourceId, { unreadCount });
+      setLibraryEntry(prev => ({ ...prev, unreadCount }));
+    }
+  }, [progressMap, chapters, libraryEntry]);
+
+  const loadDownloadedIds = async () => {
+    if (!manga || chapters.length === 0) return;
+    setDownloadedIds(await getDownloadedChapterIds(sourceId, manga.id, chapters));
+  };
+
+  const loadProgress = async () => {
+    if (!manga) return;
+
+    const progressList = await getMangaProgress(manga.id);
+    const map = {};
+    progressList.forEach(progress => {
+      map[progress.chapterId] = progress;
+    });
+    setProgressMap(map);
+  };
+
+  const loadLibraryState = async () => {
+    if (!manga || !source) return;
+
+    const [entry, allCategories] = await Promise.all([getLibraryManga(manga.id, sourceId), getCategories()]);
+    setLibraryEntry(entry);
+    setCategories([...allCategories].sort((a, b) => a.order - b.order));
+  };
+
   const loadMangaDetails = async () => {
     if (!manga || !source) return;
 
@@ -40,10 +148,105 @@ export default function MangaDetailsScreen({ route, navigation }) {
     }
   };
 
+  const handleToggleLibrary = async () => {
+    if (libraryEntry) {
+      await removeFromLibrary(manga.id, sourceId);
+      setLibraryEntry(null);
+      return;
+    }
+
+    // Store the full record so the library can reopen the manga from its source
+    const libraryManga = {
+      ...manga,
+      ...details,
+      id: manga.id,
+      sourceId,
+      sourceName: source.name,
+      unreadCount: chapters.filter(chapter => !isRead(chapter)).length,
+    };
+    const added = await addToLibrary(libraryManga);
+    if (!added) return;
+
+    await markChaptersSeen(libraryManga, chapters);
+
+    await loadLibraryState();
+    setShowCategoryPicker(true);
+  };
+
+  const handleSaveCategories = async (categoryIds) => {
+    setShowCategoryPicker(false);
+    const updated = await updateLibraryManga(manga.id, sourceId, { categories: categoryIds });
+    if (updated) {
+      setLibraryEntry(prev => ({ ...prev, categories: categoryIds }));
+    }
+  };
+
   const handleChapterPress = (chapter) => {
-    navigation.navigate('Reader', { chapter, source, manga: details || manga });
+    if (selectedIds.length > 0) {
+      toggleSelected(chapter);
+      return;
+    }
+    navigation.navigate('Reader', { chapter, chapters, source, manga: details || manga });
+  };
+
+  const toggleSelected = (chapter) => {
+    setSelectedIds(prev =>
+      prev.includes(chapter.id)
+        ? prev.filter(id => id !== chapter.id)
+        : [...prev, chapter.id]
+    );
+  };
+
+  const markRead = async (chapterIds, read) => {
+    setSelectedIds([]);
+    await markChaptersRead(manga.id, chapterIds, read);
+    await loadProgress();
+  };
+
+  const handleDownload = () => {
+    const selected = chapters.filter(chapter => selectedIds.includes(chapter.id));
+    setSelectedIds([]);
+    DownloadManager.enqueue(source, details || manga, selected);
+  };
+
+  const handleDeleteDownloads = async () => {
+    const ids = selectedIds.filter(id => downloadedIds.includes(id));
+    setSelectedIds([]);
+    await deleteDownloadedChapters(sourceId, manga.id, ids);
+    await loadDownloadedIds();
+  };
+
+  const renderDownloadStatus = (chapter) => {
+    const download = downloads[chapter.id];
+    if (download) {
+      if (download.state === DownloadState.ERROR) {
+        return <CircleAlert size={18} color={colors.error} />;
+      }
+      if (download.state === DownloadState.DOWNLOADING && download.totalPages > 0) {
+        return (
+          <Text style={styles.downloadProgress}>
+            {download.downloadedPages}/{download.totalPages}
+          </Text>
+        );
+      }
+      return <Clock size={18} color={colors.textTertiary} />;
+    }
+    if (downloadedIds.includes(chapter.id)) {
+      return <CircleCheck size={18} color={colors.primary} />;
+    }
+    return null;
   };
 
+  // Chapters are listed newest first, so earlier chapters come after the selected one
+  const handleMarkPreviousRead = () => {
+    const index = chapters.findIndex(chapter => chapter.id === selectedIds[0]);
+    markRead(chapters.slice(index + 1).map(chapter => chapter.id), true);
+  };
+
+  // First unread chapter in reading order (oldest first)
+  const nextChapter = [...chapters].reverse().find(chapter => !isRead(chapter));
+  const hasStarted = !!progressMap && Object.keys(progressMap).length > 0;
+
   if (loading) {
     return (
       <SafeAreaView style={styles.container}>
@@ -65,6 +268,34 @@ export default function MangaDetailsScreen({ route, navigation }) {
           >
             <ArrowLeft size={28} color={colors.primary} />
           </TouchableOpacity>
+          <View style={styles.headerActions}>
+            {libraryEntry && (
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={() => navigation.navigate('Migration', { manga: libraryEntry })}
+              >
+                <ArrowLeftRight size={24} color={colors.primary} />
+              </TouchableOpacity>
+            )}
+            {libraryEntry && (
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={() => setShowCategoryPicker(true)}
+              >
+                <FolderOpen size={24} color={colors.primary} />
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={styles.headerButton}
+              onPress={handleToggleLibrary}
+            >
+              <Heart
+                size={24}
+                color={colors.primary}
+                fill={libraryEntry ? colors.primary : 'transparent'}
+              />
+            </TouchableOpacity>
+          </View>
         </View>
 
         <View style={styles.thumbnailContainer}>
@@ -106,6 +337,18 @@ export default function MangaDetailsScreen({ route, navigation }) {
             </View>
           )}
 
+          {nextChapter && (
+            <TouchableOpacity
+              style={styles.continueButton}
+              onPress={() => navigation.navigate('Reader', { chapter: nextChapter, chapters, source, manga: details || manga })}
+            >
+              <Play size={20} color={colors.background} fill={colors.background} />
+              <Text style={styles.continueButtonText} numberOfLines={1}>
+                {hasStarted ? 'Continue' : 'Start'} · {nextChapter.name || 'Chapter'}
+              </Text>
+            </TouchableOpacity>
+          )}
+
           <View style={styles.chaptersHeader}>
             <Text style={styles.chaptersTitle}>Chapters</Text>
             <Text style={styles.chaptersCount}>
@@ -115,27 +358,44 @@ export default function MangaDetailsScreen({ route, navigation }) {
 
           {chapters.length > 0 ? (
             <View style={styles.chaptersList}>
-              {chapters.map((chapter, index) => (
-                <TouchableOpacity
-                  key={chapter.id || index}
-                  style={styles.chapterItem}
-                  onPress={() => handleChapterPress(chapter)}
-                >
-                  <View style={styles.chapterInfo}>
-                    <Text style={styles.chapterName}>
-                      {chapter.name || `Chapter ${index + 1}`}
-                    </Text>
-                    {chapter.scanlationGroup && (
-                      <Text style={styles.scanlationGroup}>
-                        {chapter.scanlationGroup}
+              {chapters.map((chapter, index) => {
+                const progress = progressMap?.[chapter.id];
+                const read = isRead(chapter);
+                const selected = selectedIds.includes(chapter.id);
+
+                return (
+                  <TouchableOpacity
+                    key={chapter.id || index}
+                    style={[styles.chapterItem, selected && styles.chapterItemSelected]}
+                    onPress={() => handleChapterPress(chapter)}
+                    onLongPress={() => toggleSelected(chapter)}
+                  >
+                    <View style={[styles.chapterInfo, read && styles.chapterRead]}>
+                      <Text style={styles.chapterName}>
+                        {chapter.name || `Chapter ${index + 1}`}
+                      </Text>
+                      {chapter.scanlationGroup && (
+                        <Text style={styles.scanlationGroup}>
+                          {chapter.scanlationGroup}
+                        </Text>
+                      )}
+                      {progress && !read && progress.lastPageRead > 0 && (
+                        <Text style={styles.chapterProgress}>
+                          Page {progress.lastPageRead + 1} of {progress.totalPages}
+                        </Text>
+                      )}
+                    </View>
+                    {chapter.date && (
+                      <Text style={[styles.chapterDate, read && styles.chapterRead]}>
+                        {chapter.date}
                       </Text>
                     )}
-                  </View>
-                  {chapter.date && (
-                    <Text style={styles.chapterDate}>{chapter.date}</Text>
-                  )}
-                </TouchableOpacity>
-              ))}
+                    <View style={styles.downloadStatus}>
+                      {renderDownloadStatus(chapter)}
+                    </View>
+                  </TouchableOpacity>
+                );
+              })}
             </View>
           ) : (
             <View style={styles.emptyChapters}>
@@ -146,6 +406,49 @@ export default function MangaDetailsScreen({ route, navigation }) {
           )}
         </View>
       </ScrollView>
+
+      {selectedIds.length > 0 && (
+        <View style={styles.selectionBar}>
+          <TouchableOpacity style={styles.selectionClose} onPress={() => setSelectedIds([])}>
+            <X size={22} color={colors.text} />
+          </TouchableOpacity>
+          <Text style={styles.selectionCount}>{selectedIds.length}</Text>
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={styles.selectionActions}
+          >
+            <TouchableOpacity style={styles.selectionAction} onPress={() => markRead(selectedIds, true)}>
+              <Text style={styles.selectionActionText}>Read</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.selectionAction} onPress={() => markRead(selectedIds, false)}>
+              <Text style={styles.selectionActionText}>Unread</Text>
+            </TouchableOpacity>
+            {selectedIds.length === 1 && (
+              <TouchableOpacity style={styles.selectionAction} onPress={handleMarkPreviousRead}>
+                <Text style={styles.selectionActionText}>Previous read</Text>
+              </TouchableOpacity>
+            )}
+            {selectedIds.some(id => downloadedIds.includes(id)) ? (
+              <TouchableOpacity style={styles.selectionAction} onPress={handleDeleteDownloads}>
+                <Text style={styles.selectionActionText}>Delete</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity style={styles.selectionAction} onPress={handleDownload}>
+                <Text style={styles.selectionActionText}>Download</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+        </View>
+      )}
+
+      <CategoryPicker
+        visible={showCategoryPicker}
+        categories={categories}
+        selectedIds={libraryEntry?.categories}
+        onSave={handleSaveCategories}
+        onClose={() => setShowCategoryPicker(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -159,13 +462,22 @@ const styles = StyleSheet.create({
     flex: 1,
   },
   header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
     padding: spacing.md,
     backgroundColor: colors.surface,
   },
   backButton: {
-    alignSelf: 'flex-start',
     padding: 4,
   },
+  headerActions: {
+    flexDirection: 'row',
+  },
+  headerButton: {
+    padding: 4,
+    marginLeft: spacing.md,
+  },
   thumbnailContainer: {
     alignItems: 'center',
     paddingVertical: spacing.lg,
@@ -233,6 +545,23 @@ const styles = StyleSheet.create({
     lineHeight: 20,
     fontFamily: 'Poppins-Regular',
   },
+  continueButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.primary,
+    borderRadius: borderRadius.md,
+    padding: 14,
+    marginBottom: spacing.lg,
+  },
+  continueButtonText: {
+    flexShrink: 1,
+    color: colors.background,
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: spacing.sm,
+    fontFamily: 'Poppins-SemiBold',
+  },
   chaptersHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -265,10 +594,31 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  chapterItemSelected: {
+    backgroundColor: colors.surfaceElevated,
+  },
   chapterInfo: {
     flex: 1,
     marginRight: spacing.sm,
   },
+  chapterRead: {
+    opacity: 0.4,
+  },
+  downloadStatus: {
+    minWidth: 18,
+    marginLeft: spacing.sm,
+    alignItems: 'flex-end',
+  },
+  downloadProgress: {
+    fontSize: 11,
+    color: colors.primary,
+    fontFamily: 'Poppins-Regular',
+  },
+  chapterProgress: {
+    fontSize: 12,
+    color: colors.primary,
+    fontFamily: 'Poppins-Regular',
+  },
   chapterName: {
     fontSize: 16,
     color: colors.text,
@@ -285,6 +635,38 @@ const styles = StyleSheet.create({
     color: colors.textTertiary,
     fontFamily: 'Poppins-Regular',
   },
+  selectionBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  selectionClose: {
+    padding: 4,
+  },
+  selectionCount: {
+    fontSize: 16,
+    color: colors.text,
+    marginHorizontal: spacing.sm,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  selectionActions: {
+    flex: 1,
+  },
+  selectionAction: {
+    paddingHorizontal: 12,
+    paddingVertical: spacing.sm,
+    marginLeft: spacing.sm,
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.surfaceElevated,
+  },
+  selectionActionText: {
+    fontSize: 13,
+    color: colors.primary,
+    fontFamily: 'Poppins-SemiBold',
+  },
   emptyChapters: {
     padding: spacing.xl,
     alignItems: 'center',
@@ -0,0 +1,354 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Image,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { ArrowLeft } from 'lucide-react-native';
+import { findMigrationCandidates, migrateManga } from '../services/migrationService';
+import { getSearchableSources } from '../services/globalSearch';
+import { colors, spacing, borderRadius } from '../constants/theme';
+
+/**
+ * Move a library entry to another source
+ * Similar to Mihon's MigrateSearchScreen
+ */
+export default function MigrationScreen({ route, navigation }) {
+  const { manga } = route.params || {};
+  const [searchQuery, setSearchQuery] = useState(manga?.title || '');
+  // One row per source; `result` stays null until that source finishes
+  const [rows, setRows] = useState([]);
+  const [migrating, setMigrating] = useState(false);
+
+  // Bumped on every search so results from an older one are dropped
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    if (manga) {
+      runSearch(manga.title);
+    }
+  }, [manga]);
+
+  const runSearch = async (query) => {
+    if (!query) return;
+
+    const requestId = ++requestIdRef.current;
+    const sources = getSearchableSources().filter(source => source.id !== manga.sourceId);
+    setRows(sources.map(source => ({ source, result: null })));
+
+    await findMigrationCandidates(manga, {
+      query,
+      onResult: (result) => {
+        if (requestId !== requestIdRef.current) return;
+        setRows(prev => prev.map(row => (
+          row.source.id === result.sourceId ? { ...row, result } : row
+        )));
+      },
+    });
+  };
+
+  const handleSearch = () => {
+    runSearch(searchQuery.trim());
+  };
+
+  const handleMigrate = async (source, candidate) => {
+    setMigrating(true);
+    try {
+      const result = await migrateManga(manga, source, candidate);
+      Alert.alert(
+        'Migration complete',
+        `Carried over ${result.readCount} read chapter${result.readCount !== 1 ? 's' : ''} and ${result.historyCount} history entr${result.historyCount !== 1 ? 'ies' : 'y'}.`
+      );
+      navigation.popTo('MangaDetails', { manga: result.manga, source: result.source });
+    } catch (error) {
+      console.error('Error migrating manga:', error);
+      Alert.alert('Migration failed', error.message);
+    } finally {
+      setMigrating(false);
+    }
+  };
+
+  const confirmMigrate = (source, candidate) => {
+    Alert.alert(
+      'Migrate',
+      `Move ${manga.title} to "${candidate.title}" on ${source.name}? Categories, read chapters and history carry over.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Migrate', onPress: () => handleMigrate(source, candidate) },
+      ]
+    );
+  };
+
+  const getStatusText = (result) => {
+    if (result.error) return result.error;
+    if (result.candidates.length === 0) return 'No results';
+    return `${result.candidates.length} result${result.candidates.length !== 1 ? 's' : ''}`;
+  };
+
+  const renderCandidate = (source) => ({ item }) => (
+    <TouchableOpacity
+      style={styles.mangaItem}
+      onPress={() => confirmMigrate(source, item.manga)}
+      disabled={migrating}
+    >
+      {item.manga.coverUrl ? (
+        <Image source={{ uri: item.manga.coverUrl }} style={styles.cover} resizeMode="cover" />
+      ) : (
+        <View style={[styles.cover, styles.coverPlaceholder]}>
+          <Text style={styles.thumbnailPlaceholder}>📚</Text>
+        </View>
+      )}
+      <View style={styles.scoreBadge}>
+        <Text style={styles.scoreText}>{Math.round(item.score * 100)}%</Text>
+      </View>
+      <Text style={styles.mangaTitle} numberOfLines={2}>
+        {item.manga.title || 'Manga Title'}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderSourceRow = ({ item }) => {
+    const { source, result } = item;
+
+    return (
+      <View style={styles.sourceRow}>
+        <View style={styles.sourceHeader}>
+          <Text style={styles.sourceName}>{source.name}</Text>
+          {result ? (
+            <Text
+              style={[styles.statusText, result.error && styles.statusTextError]}
+              numberOfLines={1}
+            >
+              {getStatusText(result)}
+            </Text>
+          ) : (
+            <ActivityIndicator size="small" color={colors.primary} />
+          )}
+        </View>
+        {result && result.candidates.length > 0 && (
+          <FlatList
+            horizontal
+            data={result.candidates}
+            renderItem={renderCandidate(source)}
+            keyExtractor={(candidate, index) => `${candidate.manga.id || candidate.manga.title}-${index}`}
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.mangaList}
+          />
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <ArrowLeft size={28} color={colors.primary} />
+        </TouchableOpacity>
+        <View style={styles.headerText}>
+          <Text style={styles.title}>Migrate</Text>
+          <Text style={styles.subtitle} numberOfLines={1}>
+            {manga?.title} · {manga?.sourceName || manga?.sourceId}
+          </Text>
+        </View>
+      </View>
+
+      <View style={styles.searchContainer}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search other sources..."
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          onSubmitEditing={handleSearch}
+          placeholderTextColor={colors.textTertiary}
+          returnKeyType="search"
+        />
+        <TouchableOpacity style={styles.searchButton} onPress={handleSearch}>
+          <Text style={styles.searchButtonText}>Search</Text>
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={rows}
+        renderItem={renderSourceRow}
+        keyExtractor={item => item.source.id}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>No other sources to migrate to</Text>
+          </View>
+        }
+      />
+
+      {migrating && (
+        <View style={styles.migratingOverlay}>
+          <ActivityIndicator size="large" color={colors.primary} />
+          <Text style={styles.migratingText}>Migrating...</Text>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  backButton: {
+    marginRight: 12,
+    padding: 4,
+  },
+  headerText: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    fontFamily: 'Poppins-Bold',
+  },
+  subtitle: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    fontFamily: 'Poppins-Regular',
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.md,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  searchInput: {
+    flex: 1,
+    backgroundColor: colors.surfaceElevated,
+    borderRadius: borderRadius.sm,
+    padding: 12,
+    fontSize: 16,
+    color: colors.text,
+    marginRight: spacing.sm,
+    fontFamily: 'Poppins-Regular',
+  },
+  searchButton: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: borderRadius.sm,
+    justifyContent: 'center',
+  },
+  searchButtonText: {
+    color: colors.background,
+    fontSize: 16,
+    fontWeight: '600',
+    fontFamily: 'Poppins-SemiBold',
+  },
+  listContent: {
+    paddingVertical: spacing.sm,
+  },
+  sourceRow: {
+    paddingVertical: spacing.sm,
+  },
+  sourceHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.md,
+    marginBottom: spacing.sm,
+  },
+  sourceName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginRight: spacing.md,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  statusText: {
+    flexShrink: 1,
+    fontSize: 13,
+    color: colors.textSecondary,
+    fontFamily: 'Poppins-Regular',
+  },
+  statusTextError: {
+    color: colors.error,
+  },
+  mangaList: {
+    paddingHorizontal: spacing.md,
+  },
+  mangaItem: {
+    width: 100,
+    marginRight: spacing.sm,
+  },
+  cover: {
+    width: 100,
+    height: 140,
+    borderRadius: borderRadius.sm,
+    marginBottom: spacing.xs,
+  },
+  coverPlaceholder: {
+    backgroundColor: colors.surfaceElevated,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  thumbnailPlaceholder: {
+    fontSize: 32,
+  },
+  scoreBadge: {
+    position: 'absolute',
+    top: spacing.xs,
+    left: spacing.xs,
+    backgroundColor: colors.primary,
+    borderRadius: borderRadius.sm,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  scoreText: {
+    fontSize: 11,
+    color: colors.background,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  mangaTitle: {
+    fontSize: 12,
+    color: colors.text,
+    fontFamily: 'Poppins-Regular',
+  },
+  emptyContainer: {
+    padding: spacing.xl,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    fontFamily: 'Poppins-Regular',
+  },
+  migratingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  migratingText: {
+    marginTop: spacing.md,
+    fontSize: 16,
+    color: colors.text,
+    fontFamily: 'Poppins-Regular',
+  },
+});
@@ -10,7 +10,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { User, BookOpen, Clock, Star, History } from 'lucide-react-native';
 import { colors, spacing, borderRadius } from '../constants/theme';
 
-export default function ProfileScreen() {
+export default function ProfileScreen({ navigation }) {
   return (
     <SafeAreaView style={styles.container} edges={['top']}>
       <ScrollView style={styles.scrollView}>
@@ -41,7 +41,10 @@ export default function ProfileScreen() {
         </View>
 
         <View style={styles.section}>
-          <TouchableOpacity style={styles.menuItem}>
+          <TouchableOpacity
+            style={styles.menuItem}
+            onPress={() => navigation.navigate('History')}
+          >
             <History size={20} color={colors.primary} />
             <Text style={styles.menuText}>Reading History</Text>
           </TouchableOpacity>
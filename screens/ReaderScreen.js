@@ -1,41 +1,221 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
   StyleSheet,
-  ScrollView,
   Image,
   TouchableOpacity,
   ActivityIndicator,
   Dimensions,
   Modal,
   TouchableWithoutFeedback,
+  AppState,
 } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import { ScrollView, FlatList } from 'react-native-gesture-handler';
 import { ArrowLeft, Settings as SettingsIcon, BookOpen } from 'lucide-react-native';
-import { getChapterPages } from '../services/mangaService';
-import { getReadingPreferences, setReadingPreferences } from '../services/storageService';
+import { getChapterPages, getChapters, getSourceId } from '../services/mangaService';
+import {
+  getReadingPreferences,
+  setReadingPreferences,
+  getReadingProgress,
+  saveReadingProgress,
+  addToHistory,
+} from '../services/storageService';
+import { getDownloadedPages } from '../services/downloadManager';
+import { ImageLoader, ImageLoadState } from '../services/imageLoader';
+import { getSourceHeaders } from '../services/networkUtils';
+import { SourceManager } from '../services/sourceManager';
+import {
+  TapAction,
+  TAP_ZONE_LAYOUTS,
+  DEFAULT_TAP_ZONE_LAYOUT,
+  getTapAction,
+  getTapZoneRegions,
+} from '../utils/tapZones';
+import { getNextChapter } from '../utils/chapters';
+import ChapterTransition from '../components/ChapterTransition';
+import ZoomablePage from '../components/ZoomablePage';
+import PageSlider from '../components/PageSlider';
 import { colors, spacing, borderRadius } from '../constants/theme';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
+const READING_MODE_OPTIONS = [
+  { mode: 'paged', title: 'Paged (Left to Right)', description: 'Swipe left/right to change pages' },
+  { mode: 'paged_rtl', title: 'Paged (Right to Left)', description: 'For manga; the next page is on the left' },
+  { mode: 'webtoon', title: 'Webtoon', description: 'Scroll vertically, optimized for webtoons' },
+  { mode: 'continuous', title: 'Continuous Vertical', description: 'Scroll vertically through all pages' },
+];
+
+// Share of the screen a next/previous tap scrolls in the vertical modes
+const TAP_SCROLL_FRACTION = 0.75;
+
+// How many pages before the end of a chapter the next one starts loading
+const PRELOAD_NEXT_CHAPTER_AT = 3;
+
+// Choices for how many pages are kept loaded on each side of the current one
+const PRELOAD_PAGE_OPTIONS = [2, 4, 6, 10];
+const DEFAULT_PRELOAD_PAGES = 4;
+
+// Width / height assumed for vertical pages until their image is loaded
+const DEFAULT_PAGE_ASPECT_RATIO = 0.7;
+
+// Screens of pages the vertical list keeps mounted around the visible one
+const VERTICAL_WINDOW_SIZE = 5;
+
 export default function ReaderScreen({ route, navigation }) {
-  const { chapter, source, manga } = route.params || {};
+  const { chapter, source, manga, chapters } = route.params || {};
+  // The chapter being read; changes when the reader moves on to the next one
+  const [currentChapter, setCurrentChapter] = useState(chapter);
+  // Chapter list, newest first like the source returns it
+  const [chapterList, setChapterList] = useState(chapters || []);
+  // Sent with page requests, for sources that block hotlinked images
+  const imageHeaders = useMemo(
+    () => getSourceHeaders(SourceManager.resolveSource(source) || source),
+    [source]
+  );
+  // Next chapter's pages, loaded near the end of this one: { chapterId, pages }
+  const [preloadedChapter, setPreloadedChapter] = useState(null);
   const [pages, setPages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState(0);
   const [showControls, setShowControls] = useState(true);
-  const [readingMode, setReadingMode] = useState('paged'); // 'paged', 'webtoon', 'continuous'
+  const [readingMode, setReadingMode] = useState('paged'); // 'paged', 'paged_rtl', 'webtoon', 'continuous'
+  const [tapZones, setTapZones] = useState(DEFAULT_TAP_ZONE_LAYOUT);
+  // Shows the tap zones over the page for a moment after the layout changes
+  const [showTapZones, setShowTapZones] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
-  
+  const [preloadPages, setPreloadPages] = useState(DEFAULT_PRELOAD_PAGES);
+  // Page URL -> { state: ImageLoadState, progress (0-1), uri of the loaded image }
+  const [pageStates, setPageStates] = useState({});
+  // While a page is zoomed, dragging pans it instead of scrolling the reader
+  const [pageZoomed, setPageZoomed] = useState(false);
+
   const scrollViewRef = useRef(null);
+  const listRef = useRef(null);
   const hideControlsTimeout = useRef(null);
+  const hideTapZonesTimeout = useRef(null);
+  // Scroll position in the vertical modes, for tap scrolling
+  const scrollOffsetRef = useRef(0);
+  // Page to jump to once the pages are laid out (resumed page, or the page kept across a mode change)
+  const pendingScrollPageRef = useRef(null);
+  // Scroll position to restore instead, after scrolling on into the next chapter
+  const pendingScrollOffsetRef = useRef(null);
+  // Set while moving on to the next chapter, which then starts at the top instead of its saved page
+  const continuedChapterIdRef = useRef(null);
+  const preloadingChapterIdRef = useRef(null);
+  // Page URLs already handed to the image loader
+  const requestedPagesRef = useRef(new Set());
+  // Last progress step (in tenths) shown per page URL, so downloads don't re-render on every chunk
+  const progressStepsRef = useRef(new Map());
+  // Progress is only saved after the stored page was restored, so opening a chapter never overwrites it
+  const progressRestoredRef = useRef(false);
+  // Start of the current reading session, null while nothing is being read
+  const sessionStartRef = useRef(null);
   const insets = useSafeAreaInsets();
 
+  const isPaged = readingMode === 'paged' || readingMode === 'paged_rtl';
+  const isRtl = readingMode === 'paged_rtl';
+  // The paged modes end with a transition page after the last page
+  const lastPageIndex = isPaged ? pages.length : pages.length - 1;
+
+  const nextChapter = getNextChapter(chapterList, currentChapter?.id);
+  const nextChapterPages = nextChapter && preloadedChapter?.chapterId === nextChapter.id
+    ? preloadedChapter.pages
+    : null;
+
+  /**
+   * Items of the vertical list: the chapter's pages, the transition, then the
+   * preloaded next chapter's pages, so reading runs on into it
+   * Each has its height and offset, from the page's aspect ratio once its image is
+   * loaded, so the list can jump to any page without rendering the ones before it
+   */
+  const verticalItems = useMemo(() => {
+    if (isPaged) return [];
+
+    const pageStyle = StyleSheet.flatten(
+      readingMode === 'webtoon' ? styles.webtoonPageContainer : styles.continuousPageContainer
+    );
+    const items = [];
+    let offset = 0;
+    const addItem = (item, height, gap = 0) => {
+      items.push({ ...item, height, offset, length: height + gap });
+      offset += height + gap;
+    };
+    const addPages = (pageList, chapterId, firstIndex) => pageList.forEach((page, i) => {
+      const aspectRatio = pageStates[page.url]?.aspectRatio || DEFAULT_PAGE_ASPECT_RATIO;
+      const height = Math.max(SCREEN_WIDTH / aspectRatio, pageStyle.minHeight || 0);
+      addItem({ key: `${chapterId}-${i}`, page, index: firstIndex + i }, height, pageStyle.marginBottom || 0);
+    });
+
+    addPages(pages, currentChapter?.id, 0);
+    addItem({ key: 'transition', transition: true }, StyleSheet.flatten(styles.transitionContainer).height);
+    if (nextChapterPages) {
+      addPages(nextChapterPages, nextChapter.id, pages.length);
+    }
+    return items;
+  }, [isPaged, readingMode, pages, pageStates, nextChapterPages, currentChapter]);
+
+  useEffect(() => {
+    setCurrentChapter(chapter);
+  }, [chapter]);
+
   useEffect(() => {
-    loadChapterPages();
     loadPreferences();
-  }, [chapter, source]);
+    loadChapterList();
+  }, [manga, source]);
+
+  useEffect(() => {
+    loadChapterPages();
+    return () => recordHistory();
+  }, [currentChapter, source]);
+
+  useEffect(() => {
+    if (!progressRestoredRef.current || !manga || pages.length === 0) return;
+    // The transition page counts as the last page
+    saveReadingProgress(manga.id, currentChapter.id, Math.min(currentPage, pages.length - 1), pages.length);
+  }, [currentPage, pages]);
+
+  useEffect(() => {
+    if (!nextChapter || pages.length === 0 || currentPage < pages.length - PRELOAD_NEXT_CHAPTER_AT) return;
+    if (nextChapterPages || preloadingChapterIdRef.current === nextChapter.id) return;
+    preloadNextChapter(nextChapter);
+  }, [currentPage, pages, nextChapter]);
+
+  useEffect(() => {
+    if (pages.length === 0) return;
+
+    // Load the window around the current page, nearest pages first; it runs on
+    // into the next chapter once that's preloaded
+    const windowPages = [...pages, ...(nextChapterPages || [])];
+    const urls = [];
+    for (let distance = 0; distance <= preloadPages; distance++) {
+      [currentPage + distance, currentPage - distance].forEach(index => {
+        const url = windowPages[index]?.url;
+        if (url && !urls.includes(url) && !requestedPagesRef.current.has(url)) {
+          urls.push(url);
+        }
+      });
+    }
+    if (urls.length > 0) {
+      loadPageImages(urls);
+    }
+  }, [currentPage, pages, nextChapterPages, preloadPages]);
+
+  useEffect(() => {
+    // Backgrounding ends the session, since the app may be closed from there
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        if (pages.length > 0 && sessionStartRef.current === null) {
+          sessionStartRef.current = Date.now();
+        }
+      } else {
+        recordHistory();
+      }
+    });
+    return () => subscription.remove();
+  }, [pages]);
 
   useEffect(() => {
     // Auto-hide controls after 3 seconds
@@ -48,18 +228,121 @@ export default function ReaderScreen({ route, navigation }) {
     return () => clearTimeout(hideControlsTimeout.current);
   }, [showControls, readingMode]);
 
+  useEffect(() => () => clearTimeout(hideTapZonesTimeout.current), []);
+
   const loadPreferences = async () => {
     const prefs = await getReadingPreferences();
     setReadingMode(prefs.mode || 'paged');
+    setTapZones(prefs.tapZones || DEFAULT_TAP_ZONE_LAYOUT);
+    setPreloadPages(prefs.preloadPages || DEFAULT_PRELOAD_PAGES);
+  };
+
+  const loadChapterList = async () => {
+    if (chapters) {
+      setChapterList(chapters);
+      return;
+    }
+    if (!manga || !source) return;
+
+    try {
+      setChapterList(await getChapters(source, manga.id));
+    } catch (error) {
+      console.error('Error loading chapter list:', error);
+    }
+  };
+
+  const fetchChapterPages = async (target) => {
+    // Downloaded chapters are read from local files
+    const downloadedPages = manga
+      ? await getDownloadedPages(getSourceId(source), manga.id, target.id)
+      : null;
+    return downloadedPages || await getChapterPages(source, target.id);
+  };
+
+  const preloadNextChapter = async (target) => {
+    preloadingChapterIdRef.current = target.id;
+    try {
+      const nextPages = await fetchChapterPages(target);
+      setPreloadedChapter({ chapterId: target.id, pages: nextPages });
+    } catch (error) {
+      console.error('Error preloading next chapter:', error);
+    } finally {
+      preloadingChapterIdRef.current = null;
+    }
+  };
+
+  const updatePageState = (url, changes) => {
+    setPageStates(prev => ({ ...prev, [url]: { ...prev[url], ...changes } }));
+  };
+
+  const loadPageImages = (urls) => {
+    urls.forEach(url => {
+      requestedPagesRef.current.add(url);
+      progressStepsRef.current.set(url, 0);
+    });
+    setPageStates(prev => {
+      const next = { ...prev };
+      urls.forEach(url => {
+        next[url] = { state: ImageLoadState.LOADING, progress: 0 };
+      });
+      return next;
+    });
+
+    ImageLoader.preloadImages(urls, {
+      headers: imageHeaders,
+      onProgress: ({ url, itemProgress }) => {
+        const step = Math.floor(itemProgress * 10);
+        if (step === progressStepsRef.current.get(url)) return;
+        progressStepsRef.current.set(url, step);
+        updatePageState(url, { progress: itemProgress });
+      },
+      onImageLoaded: (url, result) => {
+        // The vertical modes show pages at their own aspect ratio
+        Image.getSize(
+          result.uri,
+          (width, height) => updatePageState(url, {
+            state: ImageLoadState.SUCCESS,
+            uri: result.uri,
+            aspectRatio: width / height,
+          }),
+          () => updatePageState(url, { state: ImageLoadState.SUCCESS, uri: result.uri })
+        );
+      },
+      onError: (url) => updatePageState(url, { state: ImageLoadState.ERROR }),
+    });
   };
 
   const loadChapterPages = async () => {
-    if (!chapter || !source) return;
+    if (!currentChapter || !source) return;
 
-    setLoading(true);
+    progressRestoredRef.current = false;
+    const continued = continuedChapterIdRef.current === currentChapter.id;
+    continuedChapterIdRef.current = null;
+    const preloadedPages = preloadedChapter?.chapterId === currentChapter.id ? preloadedChapter.pages : null;
+
+    // A preloaded chapter opens in place, without the loading screen
+    if (!preloadedPages) {
+      setLoading(true);
+    }
     try {
-      const pagesData = await getChapterPages(source, chapter.id);
+      const pagesData = preloadedPages || await fetchChapterPages(currentChapter);
+
+      // Moving on from the previous chapter already positioned the reader at the start
+      if (!continued) {
+        const progress = manga ? await getReadingProgress(manga.id, currentChapter.id) : null;
+
+        // Completed chapters start over from the first page
+        const startPage = progress && !progress.completed && progress.lastPageRead < pagesData.length
+          ? progress.lastPageRead
+          : 0;
+
+        // Always set: in right-to-left mode even the first page needs a scroll
+        pendingScrollPageRef.current = startPage;
+        setCurrentPage(startPage);
+      }
       setPages(pagesData);
+      progressRestoredRef.current = true;
+      sessionStartRef.current = pagesData.length > 0 ? Date.now() : null;
     } catch (error) {
       console.error('Error loading chapter pages:', error);
       setPages([]);
@@ -68,59 +351,207 @@ export default function ReaderScreen({ route, navigation }) {
     }
   };
 
-  const toggleControls = () => {
-    setShowControls(!showControls);
+  /**
+   * Add the time spent since the session started to the chapter's history entry
+   */
+  const recordHistory = () => {
+    if (!manga || !currentChapter || sessionStartRef.current === null) return;
+
+    const readDuration = Date.now() - sessionStartRef.current;
+    sessionStartRef.current = null;
+    addToHistory({ ...manga, sourceId: getSourceId(source) }, currentChapter, readDuration);
   };
 
-  const handlePageTap = () => {
-    toggleControls();
+  /**
+   * Move on to the next chapter without leaving the reader
+   * `scrollOffset` is the position inside the next chapter when the vertical
+   * modes scrolled into it; otherwise it opens at its first page
+   */
+  const continueToNextChapter = (scrollOffset = null) => {
+    if (!nextChapter) return;
+
+    continuedChapterIdRef.current = nextChapter.id;
+    if (scrollOffset !== null) {
+      pendingScrollOffsetRef.current = scrollOffset;
+    } else {
+      pendingScrollPageRef.current = 0;
+    }
+
+    if (nextChapterPages) {
+      setPages(nextChapterPages);
+    } else {
+      setLoading(true);
+    }
+    setCurrentPage(0);
+    setCurrentChapter(nextChapter);
   };
 
-  const goToPreviousPage = () => {
-    if (currentPage > 0) {
-      const newPage = currentPage - 1;
-      setCurrentPage(newPage);
-      
-      if (readingMode === 'paged' && scrollViewRef.current) {
-        scrollViewRef.current.scrollTo({
-          x: newPage * SCREEN_WIDTH,
-          animated: true,
-        });
+  const scrollToPage = (page, animated = true) => {
+    if (isPaged) {
+      if (!scrollViewRef.current) return;
+      // Right-to-left pages are laid out last page first
+      const position = isRtl ? lastPageIndex - page : page;
+      scrollViewRef.current.scrollTo({ x: position * SCREEN_WIDTH, animated });
+    } else if (listRef.current && verticalItems[page]) {
+      listRef.current.scrollToOffset({ offset: verticalItems[page].offset, animated });
+    }
+  };
+
+  /**
+   * Jump to the pending page once the pager or list is there to scroll
+   */
+  const applyPendingScroll = () => {
+    const page = pendingScrollPageRef.current;
+    if (page === null || !(isPaged ? scrollViewRef.current : listRef.current)) return;
+
+    scrollToPage(page, false);
+    pendingScrollPageRef.current = null;
+  };
+
+  const handleContentSizeChange = () => {
+    if (pendingScrollOffsetRef.current !== null && listRef.current) {
+      listRef.current.scrollToOffset({ offset: pendingScrollOffsetRef.current, animated: false });
+      pendingScrollOffsetRef.current = null;
+      return;
+    }
+    applyPendingScroll();
+  };
+
+  /**
+   * Page at the middle of the screen in the vertical modes
+   */
+  const getVisiblePage = (offsetY) => {
+    const line = offsetY + SCREEN_HEIGHT / 2;
+
+    // The chapter's pages come first in the list; find the last one starting above the line
+    let low = 0;
+    let high = pages.length - 1;
+    let page = 0;
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      if (verticalItems[middle].offset <= line) {
+        page = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
       }
     }
+    return page;
+  };
+
+  const toggleControls = () => {
+    setShowControls(!showControls);
   };
 
+  const goToPage = (page) => {
+    if (page < 0 || page > lastPageIndex) return;
+    setCurrentPage(page);
+    scrollToPage(page);
+  };
+
+  const goToPreviousPage = () => goToPage(currentPage - 1);
+
   const goToNextPage = () => {
-    if (currentPage < pages.length - 1) {
-      const newPage = currentPage + 1;
-      setCurrentPage(newPage);
-      
-      if (readingMode === 'paged' && scrollViewRef.current) {
-        scrollViewRef.current.scrollTo({
-          x: newPage * SCREEN_WIDTH,
-          animated: true,
-        });
-      }
+    if (isPaged && currentPage === lastPageIndex) {
+      continueToNextChapter();
+      return;
     }
+    goToPage(currentPage + 1);
+  };
+
+  /**
+   * Scroll the vertical modes by most of a screen, down for 1 and up for -1
+   */
+  const scrollByScreen = (direction) => {
+    if (!listRef.current) return;
+
+    listRef.current.scrollToOffset({
+      offset: Math.max(0, scrollOffsetRef.current + direction * SCREEN_HEIGHT * TAP_SCROLL_FRACTION),
+      animated: true,
+    });
+  };
+
+  const handlePageTap = ({ pageX, pageY }) => {
+    // With the menu open, any tap just closes it
+    if (showControls) {
+      setShowControls(false);
+      return;
+    }
+
+    const action = getTapAction(tapZones, pageX / SCREEN_WIDTH, pageY / SCREEN_HEIGHT, { rtl: isRtl });
+
+    if (action === TapAction.MENU) {
+      toggleControls();
+    } else if (!isPaged) {
+      scrollByScreen(action === TapAction.NEXT ? 1 : -1);
+    } else if (action === TapAction.NEXT) {
+      goToNextPage();
+    } else {
+      goToPreviousPage();
+    }
+  };
+
+  /**
+   * A zoomed page was panned past its edge; turn the page the way the finger went
+   */
+  const handleEdgeSwipe = (direction) => {
+    if (!isPaged) {
+      scrollByScreen(direction === 'up' ? 1 : -1);
+    } else if ((direction === 'left') !== isRtl) {
+      goToNextPage();
+    } else {
+      goToPreviousPage();
+    }
+  };
+
+  const handlePreloadPagesChange = async (count) => {
+    setPreloadPages(count);
+    const prefs = await getReadingPreferences();
+    await setReadingPreferences({ ...prefs, preloadPages: count });
+  };
+
+  const handleTapZonesChange = async (layoutId) => {
+    setTapZones(layoutId);
+    const prefs = await getReadingPreferences();
+    await setReadingPreferences({ ...prefs, tapZones: layoutId });
+
+    setShowSettings(false);
+    setShowTapZones(layoutId !== 'disabled');
+    clearTimeout(hideTapZonesTimeout.current);
+    hideTapZonesTimeout.current = setTimeout(() => setShowTapZones(false), 1500);
   };
 
   const handleReadingModeChange = async (mode) => {
+    // Stay on the current page in the new layout
+    pendingScrollPageRef.current = currentPage;
     setReadingMode(mode);
     const prefs = await getReadingPreferences();
     await setReadingPreferences({ ...prefs, mode });
     setShowSettings(false);
-    setCurrentPage(0);
   };
 
   const handleScroll = (event) => {
-    if (readingMode === 'paged') {
+    if (isPaged) {
       const offsetX = event.nativeEvent.contentOffset.x;
-      const page = Math.round(offsetX / SCREEN_WIDTH);
-      setCurrentPage(page);
+      const position = Math.round(offsetX / SCREEN_WIDTH);
+      const page = isRtl ? lastPageIndex - position : position;
+      setCurrentPage(Math.max(0, Math.min(page, lastPageIndex)));
     } else if (readingMode === 'webtoon' || readingMode === 'continuous') {
       const offsetY = event.nativeEvent.contentOffset.y;
-      const page = Math.floor(offsetY / SCREEN_HEIGHT);
-      setCurrentPage(Math.min(page, pages.length - 1));
+      scrollOffsetRef.current = offsetY;
+
+      // Scrolled past the transition into the preloaded next chapter
+      const nextChapterStart = nextChapterPages ? verticalItems[pages.length + 1] : null;
+      if (
+        nextChapterStart
+        && continuedChapterIdRef.current === null
+        && offsetY >= nextChapterStart.offset
+      ) {
+        continueToNextChapter(offsetY - nextChapterStart.offset);
+        return;
+      }
+
+      setCurrentPage(getVisiblePage(offsetY));
     }
   };
 
@@ -151,73 +582,133 @@ export default function ReaderScreen({ route, navigation }) {
     );
   }
 
-  // Render different reading modes
-  const renderPagedMode = () => (
-    <ScrollView
-      ref={scrollViewRef}
-      horizontal
-      pagingEnabled
-      showsHorizontalScrollIndicator={false}
-      onScroll={handleScroll}
-      scrollEventThrottle={16}
-      style={styles.scrollView}
-    >
-      {pages.map((page, index) => (
-        <TouchableWithoutFeedback key={index} onPress={handlePageTap}>
-          <View style={styles.pageContainer}>
-            <Image
-              source={{ uri: page.url }}
-              style={styles.pageImage}
-              resizeMode="contain"
-            />
-          </View>
-        </TouchableWithoutFeedback>
-      ))}
-    </ScrollView>
+  const renderTransition = () => (
+    <TouchableWithoutFeedback key="transition" onPress={(event) => handlePageTap(event.nativeEvent)}>
+      <View style={isPaged ? styles.pageContainer : styles.transitionContainer}>
+        <ChapterTransition
+          chapter={currentChapter}
+          nextChapter={nextChapter}
+          onContinue={() => continueToNextChapter()}
+          style={styles.transition}
+        />
+      </View>
+    </TouchableWithoutFeedback>
   );
 
-  const renderWebtoonMode = () => (
-    <ScrollView
-      ref={scrollViewRef}
-      showsVerticalScrollIndicator={false}
-      onScroll={handleScroll}
-      scrollEventThrottle={16}
-      style={styles.scrollView}
-    >
-      {pages.map((page, index) => (
-        <TouchableWithoutFeedback key={index} onPress={handlePageTap}>
-          <View style={styles.webtoonPageContainer}>
-            <Image
-              source={{ uri: page.url }}
-              style={styles.webtoonPageImage}
-              resizeMode="contain"
-            />
+  const renderPageStatus = (page, index, pageState) => {
+    if (pageState?.state === ImageLoadState.ERROR) {
+      return (
+        <>
+          <Text style={styles.pageStatusText}>Page {index + 1} failed to load</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={() => loadPageImages([page.url])}>
+            <Text style={styles.retryButtonText}>Retry</Text>
+          </TouchableOpacity>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <ActivityIndicator color={colors.primary} />
+        <Text style={styles.pageStatusText}>
+          {Math.round((pageState?.progress || 0) * 100)}%
+        </Text>
+      </>
+    );
+  };
+
+  /**
+   * A page, if it's within `preloadPages` of the current one and loaded
+   * Other pages render as an empty box of the same size, so only the window
+   * around the current page holds images; `index` counts on into the next chapter
+   */
+  const renderPage = (page, index, containerStyle, imageStyle, edgeAxis) => {
+    const pageState = pageStates[page.url];
+    const inWindow = Math.abs(index - currentPage) <= preloadPages;
+    // Vertical pages keep their measured aspect ratio, also while unmounted, so the pages below don't move
+    const pageImageStyle = edgeAxis === 'vertical' && pageState?.aspectRatio
+      ? [imageStyle, { aspectRatio: pageState.aspectRatio }]
+      : imageStyle;
+
+    if (!inWindow || pageState?.state !== ImageLoadState.SUCCESS) {
+      return (
+        <TouchableWithoutFeedback key={index} onPress={(event) => handlePageTap(event.nativeEvent)}>
+          <View style={containerStyle}>
+            <View style={[pageImageStyle, styles.pageStatus]}>
+              {inWindow && renderPageStatus(page, index, pageState)}
+            </View>
           </View>
         </TouchableWithoutFeedback>
-      ))}
-    </ScrollView>
-  );
+      );
+    }
+
+    return (
+      <ZoomablePage
+        key={index}
+        uri={pageState.uri}
+        style={containerStyle}
+        imageStyle={pageImageStyle}
+        edgeAxis={edgeAxis}
+        active={index === currentPage}
+        onTap={handlePageTap}
+        onZoomChange={setPageZoomed}
+        onEdgeSwipe={handleEdgeSwipe}
+      />
+    );
+  };
+
+  // Render different reading modes
+  // Keyed by mode and chapter, so switching direction or chapter remounts the pager and re-applies the page position
+  const renderPagedMode = () => {
+    const pageViews = pages.map((page, index) => (
+      renderPage(page, index, styles.pageContainer, styles.pageImage, 'horizontal')
+    ));
+    const transition = renderTransition();
 
-  const renderContinuousMode = () => (
-    <ScrollView
-      ref={scrollViewRef}
+    return (
+      <ScrollView
+        key={`${readingMode}-${currentChapter?.id}`}
+        ref={scrollViewRef}
+        horizontal
+        pagingEnabled
+        scrollEnabled={!pageZoomed}
+        showsHorizontalScrollIndicator={false}
+        onScroll={handleScroll}
+        onContentSizeChange={handleContentSizeChange}
+        scrollEventThrottle={16}
+        style={styles.scrollView}
+      >
+        {isRtl ? [transition, ...pageViews.reverse()] : [...pageViews, transition]}
+      </ScrollView>
+    );
+  };
+
+  // Only the pages near the screen are mounted; the item heights let the list
+  // place the rest without rendering them
+  const renderVerticalMode = (containerStyle, imageStyle) => (
+    <FlatList
+      ref={listRef}
+      data={verticalItems}
+      keyExtractor={item => item.key}
+      renderItem={({ item }) => (
+        item.transition
+          ? renderTransition()
+          : renderPage(item.page, item.index, [containerStyle, { height: item.height }], imageStyle, 'vertical')
+      )}
+      getItemLayout={(data, index) => ({ length: data[index].length, offset: data[index].offset, index })}
+      extraData={[currentPage, pageStates, showControls, preloadPages]}
+      initialNumToRender={2}
+      maxToRenderPerBatch={2}
+      windowSize={VERTICAL_WINDOW_SIZE}
       showsVerticalScrollIndicator={false}
+      scrollEnabled={!pageZoomed}
+      // Pages above that finish loading and change height don't move the one being read
+      maintainVisibleContentPosition={{ minIndexForVisible: 0 }}
       onScroll={handleScroll}
+      onContentSizeChange={handleContentSizeChange}
       scrollEventThrottle={16}
       style={styles.scrollView}
-    >
-      {pages.map((page, index) => (
-        <TouchableWithoutFeedback key={index} onPress={handlePageTap}>
-          <View style={styles.continuousPageContainer}>
-            <Image
-              source={{ uri: page.url }}
-              style={styles.continuousPageImage}
-              resizeMode="contain"
-            />
-          </View>
-        </TouchableWithoutFeedback>
-      ))}
-    </ScrollView>
+    />
   );
 
   return (
@@ -231,7 +722,7 @@ export default function ReaderScreen({ route, navigation }) {
             <ArrowLeft size={28} color={colors.text} />
           </TouchableOpacity>
           <Text style={styles.headerTitle} numberOfLines={1}>
-            {chapter?.name || 'Chapter'}
+            {currentChapter?.name || 'Chapter'}
           </Text>
           <TouchableOpacity
             style={styles.headerButton}
@@ -242,40 +733,74 @@ export default function ReaderScreen({ route, navigation }) {
         </View>
       )}
 
-      {readingMode === 'paged' && renderPagedMode()}
-      {readingMode === 'webtoon' && renderWebtoonMode()}
-      {readingMode === 'continuous' && renderContinuousMode()}
+      {isPaged && renderPagedMode()}
+      {readingMode === 'webtoon' && renderVerticalMode(styles.webtoonPageContainer, styles.webtoonPageImage)}
+      {readingMode === 'continuous' && renderVerticalMode(styles.continuousPageContainer, styles.continuousPageImage)}
 
-      {showControls && readingMode === 'paged' && (
-        <View style={[styles.footer, { paddingBottom: insets.bottom + spacing.sm }]}>
+      {showControls && isPaged && (
+        // Right-to-left puts Previous on the right, on the side the previous page is
+        <View style={[
+          styles.footer,
+          isRtl && styles.footerRtl,
+          { paddingBottom: insets.bottom + spacing.sm },
+        ]}>
           <TouchableOpacity
             style={[styles.navButton, currentPage === 0 && styles.navButtonDisabled]}
             onPress={goToPreviousPage}
             disabled={currentPage === 0}
           >
-            <Text style={styles.navButtonText}>← Previous</Text>
+            <Text style={styles.navButtonText}>{isRtl ? 'Previous →' : '← Previous'}</Text>
           </TouchableOpacity>
-          <Text style={styles.pageIndicator}>
-            {currentPage + 1} / {pages.length}
-          </Text>
+          <PageSlider
+            page={Math.min(currentPage, pages.length - 1)}
+            pageCount={pages.length}
+            inverted={isRtl}
+            onSelectPage={goToPage}
+          />
           <TouchableOpacity
             style={[
               styles.navButton,
-              currentPage === pages.length - 1 && styles.navButtonDisabled,
+              currentPage === lastPageIndex && !nextChapter && styles.navButtonDisabled,
             ]}
             onPress={goToNextPage}
-            disabled={currentPage === pages.length - 1}
+            disabled={currentPage === lastPageIndex && !nextChapter}
           >
-            <Text style={styles.navButtonText}>Next →</Text>
+            <Text style={styles.navButtonText}>{isRtl ? '← Next' : 'Next →'}</Text>
           </TouchableOpacity>
         </View>
       )}
 
       {showControls && (readingMode === 'webtoon' || readingMode === 'continuous') && (
-        <View style={[styles.floatingPageIndicator, { bottom: insets.bottom + spacing.lg }]}>
-          <Text style={styles.floatingPageText}>
-            {currentPage + 1} / {pages.length}
-          </Text>
+        <View style={[styles.footer, { paddingBottom: insets.bottom + spacing.sm }]}>
+          <PageSlider
+            page={currentPage}
+            pageCount={pages.length}
+            onSelectPage={goToPage}
+          />
+        </View>
+      )}
+
+      {showTapZones && (
+        <View style={styles.tapZoneOverlay} pointerEvents="none">
+          {getTapZoneRegions(tapZones, { rtl: isRtl }).map((region, index) => (
+            <View
+              key={index}
+              style={[
+                styles.tapZone,
+                region.action === TapAction.NEXT ? styles.tapZoneNext : styles.tapZonePrevious,
+                {
+                  left: `${region.x * 100}%`,
+                  top: `${region.y * 100}%`,
+                  width: `${region.width * 100}%`,
+                  height: `${region.height * 100}%`,
+                },
+              ]}
+            >
+              <Text style={styles.tapZoneText}>
+                {region.action === TapAction.NEXT ? 'Next' : 'Previous'}
+              </Text>
+            </View>
+          ))}
         </View>
       )}
 
@@ -295,65 +820,58 @@ export default function ReaderScreen({ route, navigation }) {
                   <Text style={styles.modalTitle}>Reading Mode</Text>
                 </View>
 
-                <TouchableOpacity
-                  style={[
-                    styles.modeOption,
-                    readingMode === 'paged' && styles.modeOptionActive,
-                  ]}
-                  onPress={() => handleReadingModeChange('paged')}
-                >
-                  <View>
-                    <Text style={[
-                      styles.modeOptionTitle,
-                      readingMode === 'paged' && styles.modeOptionTitleActive,
-                    ]}>
-                      Paged (Left to Right)
-                    </Text>
-                    <Text style={styles.modeOptionDescription}>
-                      Swipe left/right to change pages
-                    </Text>
-                  </View>
-                </TouchableOpacity>
+                {READING_MODE_OPTIONS.map(option => (
+                  <TouchableOpacity
+                    key={option.mode}
+                    style={[
+                      styles.modeOption,
+                      readingMode === option.mode && styles.modeOptionActive,
+                    ]}
+                    onPress={() => handleReadingModeChange(option.mode)}
+                  >
+                    <View>
+                      <Text style={[
+                        styles.modeOptionTitle,
+                        readingMode === option.mode && styles.modeOptionTitleActive,
+                      ]}>
+                        {option.title}
+                      </Text>
+                      <Text style={styles.modeOptionDescription}>
+                        {option.description}
+                      </Text>
+                    </View>
+                  </TouchableOpacity>
+                ))}
 
-                <TouchableOpacity
-                  style={[
-                    styles.modeOption,
-                    readingMode === 'webtoon' && styles.modeOptionActive,
-                  ]}
-                  onPress={() => handleReadingModeChange('webtoon')}
-                >
-                  <View>
-                    <Text style={[
-                      styles.modeOptionTitle,
-                      readingMode === 'webtoon' && styles.modeOptionTitleActive,
-                    ]}>
-                      Webtoon
-                    </Text>
-                    <Text style={styles.modeOptionDescription}>
-                      Scroll vertically, optimized for webtoons
-                    </Text>
-                  </View>
-                </TouchableOpacity>
+                <Text style={styles.sectionLabel}>Preload pages</Text>
+                <View style={styles.chipRow}>
+                  {PRELOAD_PAGE_OPTIONS.map(count => (
+                    <TouchableOpacity
+                      key={count}
+                      style={[styles.chip, preloadPages === count && styles.chipActive]}
+                      onPress={() => handlePreloadPagesChange(count)}
+                    >
+                      <Text style={[styles.chipText, preloadPages === count && styles.chipTextActive]}>
+                        {count}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
 
-                <TouchableOpacity
-                  style={[
-                    styles.modeOption,
-                    readingMode === 'continuous' && styles.modeOptionActive,
-                  ]}
-                  onPress={() => handleReadingModeChange('continuous')}
-                >
-                  <View>
-                    <Text style={[
-                      styles.modeOptionTitle,
-                      readingMode === 'continuous' && styles.modeOptionTitleActive,
-                    ]}>
-                      Continuous Vertical
-                    </Text>
-                    <Text style={styles.modeOptionDescription}>
-                      Scroll vertically through all pages
-                    </Text>
-                  </View>
-                </TouchableOpacity>
+                <Text style={styles.sectionLabel}>Tap zones</Text>
+                <View style={styles.chipRow}>
+                  {TAP_ZONE_LAYOUTS.map(layout => (
+                    <TouchableOpacity
+                      key={layout.id}
+                      style={[styles.chip, tapZones === layout.id && styles.chipActive]}
+                      onPress={() => handleTapZonesChange(layout.id)}
+                    >
+                      <Text style={[styles.chipText, tapZones === layout.id && styles.chipTextActive]}>
+                        {layout.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
 
                 <TouchableOpacity
                   style={styles.closeButton}
@@ -414,6 +932,37 @@ const styles = StyleSheet.create({
     width: SCREEN_WIDTH,
     height: SCREEN_HEIGHT,
   },
+  pageStatus: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  pageStatusText: {
+    marginTop: spacing.sm,
+    fontSize: 13,
+    color: colors.textSecondary,
+    fontFamily: 'Poppins-Regular',
+  },
+  retryButton: {
+    marginTop: spacing.md,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.primary,
+  },
+  retryButtonText: {
+    color: colors.background,
+    fontSize: 14,
+    fontWeight: '600',
+    fontFamily: 'Poppins-SemiBold',
+  },
+  transitionContainer: {
+    width: SCREEN_WIDTH,
+    height: SCREEN_HEIGHT * 0.6,
+    justifyContent: 'center',
+  },
+  transition: {
+    width: SCREEN_WIDTH,
+  },
   webtoonPageContainer: {
     width: SCREEN_WIDTH,
     minHeight: SCREEN_HEIGHT,
@@ -424,7 +973,7 @@ const styles = StyleSheet.create({
   webtoonPageImage: {
     width: SCREEN_WIDTH,
     height: undefined,
-    aspectRatio: 0.7,
+    aspectRatio: DEFAULT_PAGE_ASPECT_RATIO,
   },
   continuousPageContainer: {
     width: SCREEN_WIDTH,
@@ -434,7 +983,7 @@ const styles = StyleSheet.create({
   continuousPageImage: {
     width: SCREEN_WIDTH,
     height: undefined,
-    aspectRatio: 0.7,
+    aspectRatio: DEFAULT_PAGE_ASPECT_RATIO,
   },
   footer: {
     flexDirection: 'row',
@@ -448,6 +997,9 @@ const styles = StyleSheet.create({
     left: 0,
     right: 0,
   },
+  footerRtl: {
+    flexDirection: 'row-reverse',
+  },
   navButton: {
     paddingHorizontal: spacing.md,
     paddingVertical: spacing.sm,
@@ -464,26 +1016,6 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     fontFamily: 'Poppins-SemiBold',
   },
-  pageIndicator: {
-    color: colors.text,
-    fontSize: 14,
-    fontWeight: '500',
-    fontFamily: 'Poppins-Medium',
-  },
-  floatingPageIndicator: {
-    position: 'absolute',
-    right: spacing.lg,
-    backgroundColor: 'rgba(18, 18, 18, 0.8)',
-    paddingHorizontal: spacing.md,
-    paddingVertical: spacing.sm,
-    borderRadius: borderRadius.md,
-  },
-  floatingPageText: {
-    color: colors.text,
-    fontSize: 14,
-    fontWeight: '500',
-    fontFamily: 'Poppins-Medium',
-  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -570,6 +1102,61 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     fontFamily: 'Poppins-Regular',
   },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginTop: spacing.sm,
+    marginBottom: spacing.sm,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.surfaceElevated,
+    marginRight: spacing.sm,
+    marginBottom: spacing.sm,
+    borderWidth: 1,
+    borderColor: 'transparent',
+  },
+  chipActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.background,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.text,
+    fontFamily: 'Poppins-Regular',
+  },
+  chipTextActive: {
+    color: colors.primary,
+  },
+  tapZoneOverlay: {
+    ...StyleSheet.absoluteFillObject,
+  },
+  tapZone: {
+    position: 'absolute',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.background,
+  },
+  tapZoneNext: {
+    backgroundColor: 'rgba(255, 215, 0, 0.35)',
+  },
+  tapZonePrevious: {
+    backgroundColor: 'rgba(33, 150, 243, 0.35)',
+  },
+  tapZoneText: {
+    color: colors.text,
+    fontSize: 16,
+    fontFamily: 'Poppins-SemiBold',
+  },
   closeButton: {
     marginTop: spacing.md,
     padding: spacing.md,
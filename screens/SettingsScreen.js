@@ -6,14 +6,140 @@ import {
   ScrollView,
   TouchableOpacity,
   Switch,
+  Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { Settings, Moon, Bell, Globe, Shield } from 'lucide-react-native';
+import {
+  Settings,
+  Moon,
+  Bell,
+  Globe,
+  Shield,
+  Wifi,
+  Download,
+  Archive,
+  Save,
+  ArchiveRestore,
+  Import,
+} from 'lucide-react-native';
+import { getAppPreferences, setAppPreference } from '../services/storageService';
+import { exportBackup, pickBackupFile, restoreBackup, RestoreMode } from '../services/backupService';
+import { pickTachiyomiBackupFile, importTachiyomiBackup } from '../services/tachiyomiBackup';
 import { colors, spacing, borderRadius } from '../constants/theme';
 
-export default function SettingsScreen() {
+export default function SettingsScreen({ navigation }) {
   const [darkMode, setDarkMode] = React.useState(true);
   const [notifications, setNotifications] = React.useState(true);
+  const [downloadOnlyOnWifi, setDownloadOnlyOnWifi] = React.useState(true);
+  const [compressBackups, setCompressBackups] = React.useState(true);
+  const [backupBusy, setBackupBusy] = React.useState(false);
+
+  React.useEffect(() => {
+    getAppPreferences().then(prefs => {
+      setDownloadOnlyOnWifi(prefs.downloadOnlyOnWifi);
+      setCompressBackups(prefs.compressBackups);
+    });
+  }, []);
+
+  const handleDownloadOnlyOnWifiChange = (value) => {
+    setDownloadOnlyOnWifi(value);
+    setAppPreference('downloadOnlyOnWifi', value);
+  };
+
+  const handleCompressBackupsChange = (value) => {
+    setCompressBackups(value);
+    setAppPreference('compressBackups', value);
+  };
+
+  const handleCreateBackup = async () => {
+    setBackupBusy(true);
+    try {
+      await exportBackup({ compress: compressBackups });
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      Alert.alert('Backup failed', error.message);
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const runRestore = async (backup, mode) => {
+    setBackupBusy(true);
+    try {
+      const result = await restoreBackup(backup, { mode });
+      Alert.alert(
+        'Backup restored',
+        `Restored ${result.library} library entries, ${result.progress} chapter progress records and ${result.history} history entries.`
+      );
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      Alert.alert('Restore failed', error.message);
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const handleRestoreBackup = async () => {
+    let backup;
+    try {
+      backup = await pickBackupFile();
+    } catch (error) {
+      Alert.alert('Invalid backup', error.message);
+      return;
+    }
+    if (!backup) return;
+
+    Alert.alert(
+      'Restore backup',
+      `Backup from ${new Date(backup.createdAt).toLocaleString()} with ${backup.data.library.length} library entries. Merge it with your current data, or replace everything?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: () => runRestore(backup, RestoreMode.REPLACE) },
+        { text: 'Merge', onPress: () => runRestore(backup, RestoreMode.MERGE) },
+      ]
+    );
+  };
+
+  const runTachiyomiImport = async (converted) => {
+    setBackupBusy(true);
+    try {
+      const result = await importTachiyomiBackup(converted);
+      Alert.alert(
+        'Backup imported',
+        `Imported ${result.library} library entries, ${result.progress} chapter progress records and ${result.history} history entries.`
+      );
+    } catch (error) {
+      console.error('Error importing Tachiyomi backup:', error);
+      Alert.alert('Import failed', error.message);
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const handleImportTachiyomiBackup = async () => {
+    let converted;
+    try {
+      converted = await pickTachiyomiBackupFile();
+    } catch (error) {
+      Alert.alert('Invalid backup', error.message);
+      return;
+    }
+    if (!converted) return;
+
+    const { backup, stubSources } = converted;
+    const unsupported = stubSources.length > 0
+      ? ` Entries from ${stubSources.map(source => source.name).join(', ')} aren't supported by Inkora; migrate them to read them.`
+      : '';
+
+    Alert.alert(
+      'Import Mihon/Tachiyomi backup',
+      `Add ${backup.data.library.length} library entries and ${backup.data.categories.length} categories to your current data?${unsupported}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Import', onPress: () => runTachiyomiImport(converted) },
+      ]
+    );
+  };
 
   return (
     <SafeAreaView style={styles.container} edges={['top']}>
@@ -56,6 +182,81 @@ export default function SettingsScreen() {
           </View>
         </View>
 
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Downloads</Text>
+
+          <View style={styles.settingItem}>
+            <View style={styles.settingLeft}>
+              <Wifi size={20} color={colors.primary} />
+              <View style={styles.settingContent}>
+                <Text style={styles.settingTitle}>Only on Wi-Fi</Text>
+                <Text style={styles.settingSubtitle}>Pause downloads on mobile data</Text>
+              </View>
+            </View>
+            <Switch
+              value={downloadOnlyOnWifi}
+              onValueChange={handleDownloadOnlyOnWifiChange}
+              trackColor={{ false: colors.border, true: colors.primary }}
+              thumbColor={colors.text}
+            />
+          </View>
+
+          <TouchableOpacity
+            style={styles.menuItem}
+            onPress={() => navigation.navigate('DownloadQueue')}
+          >
+            <Download size={20} color={colors.primary} />
+            <Text style={styles.menuText}>Download queue</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Backup</Text>
+
+          <View style={styles.settingItem}>
+            <View style={styles.settingLeft}>
+              <Archive size={20} color={colors.primary} />
+              <View style={styles.settingContent}>
+                <Text style={styles.settingTitle}>Compress backups</Text>
+                <Text style={styles.settingSubtitle}>Save backups as .json.gz</Text>
+              </View>
+            </View>
+            <Switch
+              value={compressBackups}
+              onValueChange={handleCompressBackupsChange}
+              trackColor={{ false: colors.border, true: colors.primary }}
+              thumbColor={colors.text}
+            />
+          </View>
+
+          <TouchableOpacity
+            style={styles.menuItem}
+            onPress={handleCreateBackup}
+            disabled={backupBusy}
+          >
+            <Save size={20} color={colors.primary} />
+            <Text style={styles.menuText}>Create backup</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.menuItem}
+            onPress={handleRestoreBackup}
+            disabled={backupBusy}
+          >
+            <ArchiveRestore size={20} color={colors.primary} />
+            <Text style={styles.menuText}>Restore backup</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.menuItem}
+            onPress={handleImportTachiyomiBackup}
+            disabled={backupBusy}
+          >
+            <Import size={20} color={colors.primary} />
+            <Text style={styles.menuText}>Import Mihon/Tachiyomi backup</Text>
+          </TouchableOpacity>
+        </View>
+
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>General</Text>
           
@@ -9,7 +9,7 @@ import {
   TextInput,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { Globe, Pin } from 'lucide-react-native';
+import { Globe, Pin, Search } from 'lucide-react-native';
 import { fetchExtensions, groupSourcesByName, filterExtensions } from '../services/extensionService';
 import { getPinnedSources, togglePinSource } from '../services/storageService';
 import { colors, spacing, borderRadius } from '../constants/theme';
@@ -156,10 +156,18 @@ export default function SourcesScreen({ navigation }) {
   return (
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.title}>Sources</Text>
-        <Text style={styles.subtitle}>
-          {filteredSources.length} source{filteredSources.length !== 1 ? 's' : ''} available
-        </Text>
+        <View style={styles.headerText}>
+          <Text style={styles.title}>Sources</Text>
+          <Text style={styles.subtitle}>
+            {filteredSources.length} source{filteredSources.length !== 1 ? 's' : ''} available
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => navigation.navigate('GlobalSearch')}
+        >
+          <Search size={24} color={colors.primary} />
+        </TouchableOpacity>
       </View>
 
       <View style={styles.searchContainer}>
@@ -209,11 +217,20 @@ const styles = StyleSheet.create({
     backgroundColor: colors.background,
   },
   header: {
+    flexDirection: 'row',
+    alignItems: 'center',
     padding: spacing.md,
     backgroundColor: colors.surface,
     borderBottomWidth: 1,
     borderBottomColor: colors.border,
   },
+  headerText: {
+    flex: 1,
+  },
+  headerButton: {
+    marginLeft: spacing.md,
+    padding: 4,
+  },
   title: {
     fontSize: 28,
     fontWeight: 'bold',
@@ -0,0 +1,347 @@
+import React, { useState, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity,
+  Image,
+  RefreshControl,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import Swipeable from 'react-native-gesture-handler/Swipeable';
+import { RefreshCw, Check, Undo2 } from 'lucide-react-native';
+import { SourceManager } from '../services/sourceManager';
+import {
+  getUpdates,
+  getLibrary,
+  getMangaProgress,
+  markChaptersRead,
+} from '../services/storageService';
+import { checkLibraryUpdates } from '../services/libraryUpdater';
+import { groupByDay } from '../utils/dateSections';
+import { colors, spacing, borderRadius } from '../constants/theme';
+
+const mangaKey = (sourceId, mangaId) => `${sourceId}:${mangaId}`;
+
+/**
+ * Feed of new chapters found by the library updater
+ * Similar to Mihon's UpdatesScreen
+ */
+export default function UpdatesScreen({ navigation }) {
+  const [updates, setUpdates] = useState([]);
+  const [library, setLibrary] = useState({});
+  // Read chapter IDs, per manga ID
+  const [readChapters, setReadChapters] = useState({});
+  const [refreshing, setRefreshing] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+
+  const swipeableRefs = useRef({});
+
+  useFocusEffect(
+    useCallback(() => {
+      loadUpdates();
+    }, [])
+  );
+
+  const loadUpdates = async () => {
+    try {
+      const [updateData, libraryData] = await Promise.all([getUpdates(), getLibrary()]);
+
+      const libraryMap = {};
+      libraryData.forEach(manga => {
+        libraryMap[mangaKey(manga.sourceId, manga.id)] = manga;
+      });
+
+      const readMap = {};
+      const mangaIds = [...new Set(updateData.map(update => update.mangaId))];
+      await Promise.all(mangaIds.map(async (mangaId) => {
+        const progress = await getMangaProgress(mangaId);
+        readMap[mangaId] = progress.filter(p => p.completed).map(p => p.chapterId);
+      }));
+
+      setUpdates(updateData);
+      setLibrary(libraryMap);
+      setReadChapters(readMap);
+    } catch (error) {
+      console.error('Error loading updates:', error);
+    }
+  };
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    try {
+      const result = await checkLibraryUpdates({ force: true });
+      setLastResult(result);
+      await loadUpdates();
+    } catch (error) {
+      console.error('Error updating library:', error);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const isRead = (update) => !!readChapters[update.mangaId]?.includes(update.chapterId);
+
+  const getSource = (update) => {
+    const manga = library[mangaKey(update.sourceId, update.mangaId)];
+    return SourceManager.getSourceOrStub(update.sourceId, manga?.sourceName);
+  };
+
+  const getManga = (update) => (
+    library[mangaKey(update.sourceId, update.mangaId)] || {
+      id: update.mangaId,
+      sourceId: update.sourceId,
+      title: update.mangaTitle,
+      coverUrl: update.coverUrl,
+    }
+  );
+
+  const openChapter = (update) => {
+    navigation.navigate('Reader', {
+      chapter: { id: update.chapterId, name: update.chapterName },
+      source: getSource(update),
+      manga: getManga(update),
+    });
+  };
+
+  const openManga = (update) => {
+    navigation.navigate('MangaDetails', {
+      manga: getManga(update),
+      source: getSource(update),
+    });
+  };
+
+  const toggleRead = async (update) => {
+    const read = !isRead(update);
+    swipeableRefs.current[update.chapterId]?.close();
+    await markChaptersRead(update.mangaId, [update.chapterId], read);
+
+    setReadChapters(prev => {
+      const current = prev[update.mangaId] || [];
+      return {
+        ...prev,
+        [update.mangaId]: read
+          ? [...current, update.chapterId]
+          : current.filter(id => id !== update.chapterId),
+      };
+    });
+  };
+
+  const renderSwipeAction = (update) => {
+    const read = isRead(update);
+    return (
+      <View style={styles.swipeAction}>
+        {read
+          ? <Undo2 size={22} color={colors.background} />
+          : <Check size={22} color={colors.background} />}
+        <Text style={styles.swipeActionText}>{read ? 'Unread' : 'Read'}</Text>
+      </View>
+    );
+  };
+
+  const renderItem = ({ item }) => {
+    const read = isRead(item);
+
+    return (
+      <Swipeable
+        ref={ref => {
+          swipeableRefs.current[item.chapterId] = ref;
+        }}
+        renderRightActions={() => renderSwipeAction(item)}
+        onSwipeableOpen={() => toggleRead(item)}
+      >
+        <TouchableOpacity style={styles.item} onPress={() => openChapter(item)}>
+          <TouchableOpacity onPress={() => openManga(item)}>
+            {item.coverUrl ? (
+              <Image source={{ uri: item.coverUrl }} style={styles.cover} resizeMode="cover" />
+            ) : (
+              <View style={[styles.cover, styles.coverPlaceholder]}>
+                <Text style={styles.thumbnailPlaceholder}>📚</Text>
+              </View>
+            )}
+          </TouchableOpacity>
+          <View style={[styles.itemInfo, read && styles.itemRead]}>
+            <Text style={styles.mangaTitle} numberOfLines={1}>{item.mangaTitle}</Text>
+            <Text style={styles.chapterName} numberOfLines={1}>{item.chapterName}</Text>
+            {item.chapterDate && (
+              <Text style={styles.chapterDate}>{item.chapterDate}</Text>
+            )}
+          </View>
+        </TouchableOpacity>
+      </Swipeable>
+    );
+  };
+
+  const renderEmpty = () => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyText}>No recent updates</Text>
+      <Text style={styles.emptySubtext}>
+        Pull down to check your library for new chapters
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Updates</Text>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={handleRefresh}
+          disabled={refreshing}
+        >
+          <RefreshCw size={24} color={refreshing ? colors.textTertiary : colors.primary} />
+        </TouchableOpacity>
+      </View>
+
+      {lastResult && lastResult.errors.length > 0 && (
+        <View style={styles.errorBanner}>
+          <Text style={styles.errorBannerText}>
+            {lastResult.errors.length} {lastResult.errors.length === 1 ? 'entry' : 'entries'} could not be updated
+          </Text>
+        </View>
+      )}
+
+      <SectionList
+        sections={groupByDay(updates, update => update.fetchedAt)}
+        renderItem={renderItem}
+        renderSectionHeader={({ section }) => (
+          <Text style={styles.sectionHeader}>{section.title}</Text>
+        )}
+        keyExtractor={item => `${item.sourceId}:${item.mangaId}:${item.chapterId}`}
+        contentContainerStyle={styles.listContent}
+        stickySectionHeadersEnabled={false}
+        ListEmptyComponent={renderEmpty}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={handleRefresh}
+            tintColor={colors.primary}
+            colors={[colors.primary]}
+          />
+        }
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  title: {
+    flex: 1,
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: colors.text,
+    fontFamily: 'Poppins-Bold',
+  },
+  headerButton: {
+    marginLeft: spacing.md,
+    padding: 4,
+  },
+  errorBanner: {
+    backgroundColor: colors.surfaceElevated,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  errorBannerText: {
+    fontSize: 13,
+    color: colors.error,
+    fontFamily: 'Poppins-Regular',
+  },
+  listContent: {
+    paddingBottom: spacing.md,
+  },
+  sectionHeader: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    paddingHorizontal: spacing.md,
+    paddingTop: spacing.md,
+    paddingBottom: spacing.sm,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    backgroundColor: colors.background,
+  },
+  cover: {
+    width: 50,
+    height: 70,
+    borderRadius: borderRadius.sm,
+  },
+  coverPlaceholder: {
+    backgroundColor: colors.surfaceElevated,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  thumbnailPlaceholder: {
+    fontSize: 24,
+  },
+  itemInfo: {
+    flex: 1,
+    marginLeft: spacing.md,
+  },
+  itemRead: {
+    opacity: 0.4,
+  },
+  mangaTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  chapterName: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    fontFamily: 'Poppins-Regular',
+  },
+  chapterDate: {
+    fontSize: 12,
+    color: colors.textTertiary,
+    fontFamily: 'Poppins-Regular',
+  },
+  swipeAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    backgroundColor: colors.primary,
+    paddingHorizontal: spacing.lg,
+    minWidth: 120,
+  },
+  swipeActionText: {
+    color: colors.background,
+    fontSize: 14,
+    marginLeft: spacing.sm,
+    fontFamily: 'Poppins-SemiBold',
+  },
+  emptyContainer: {
+    padding: spacing.xl,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: spacing.sm,
+    fontFamily: 'Poppins-Regular',
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: colors.textTertiary,
+    textAlign: 'center',
+    fontFamily: 'Poppins-Regular',
+  },
+});
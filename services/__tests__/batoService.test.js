@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  getBatoMangaDetails,
+  parseBatoMangaList,
+  parseBatoMangaDetails,
+  parseBatoChapters,
+  parseBatoChapterPages,
+} from '../batoService';
+
+const readFixture = (name) =>
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'bato', `${name}.html`), 'utf8');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseBatoMangaList', () => {
+  it('parses search results, skipping duplicates and cards without a series link', () => {
+    const { mangas, hasNextPage } = parseBatoMangaList(readFixture('search'));
+
+    expect(mangas).toEqual([
+      {
+        id: '72315',
+        title: 'One Piece',
+        coverUrl: 'https://xfs-n03.xfspp.com/thumb/W300/ampi/0a1/0a1c.jpg',
+        description: '',
+        author: null,
+        status: 'unknown',
+      },
+      {
+        id: '81530',
+        title: 'One-Punch Man & Friends',
+        coverUrl: 'https://xfs-n01.xfspp.com/thumb/W300/ampi/3c2/3c2f.jpg',
+        description: '',
+        author: null,
+        status: 'unknown',
+      },
+    ]);
+    expect(hasNextPage).toBe(true);
+  });
+
+  it('parses the latest list with fallback title and cover attributes', () => {
+    const { mangas, hasNextPage } = parseBatoMangaList(readFixture('latest'));
+
+    expect(mangas.map(({ id, title, coverUrl }) => ({ id, title, coverUrl }))).toEqual([
+      {
+        id: '110023-solo-leveling-ragnarok',
+        title: 'Solo Leveling: Ragnarok',
+        coverUrl: 'https://xfs-n05.xfspp.com/thumb/W300/ampi/9f1/9f1a.webp',
+      },
+      {
+        id: '98712-the-greatest-estate-developer',
+        title: 'The Greatest Estate Developer',
+        coverUrl: 'https://xfs-n05.xfspp.com/thumb/W300/ampi/41d/41dd.webp',
+      },
+    ]);
+    // The last pagination item is disabled
+    expect(hasNextPage).toBe(false);
+  });
+
+  it('returns an empty page for markup without manga cards', () => {
+    expect(parseBatoMangaList('<html><body><p>Nothing here</p></body></html>'))
+      .toEqual({ mangas: [], hasNextPage: false });
+  });
+});
+
+describe('parseBatoMangaDetails', () => {
+  it('reads the title, cover, summary and info rows', () => {
+    expect(parseBatoMangaDetails(readFixture('details'), '72315')).toEqual({
+      id: '72315',
+      title: 'One Piece',
+      description: 'Gol D. Roger was known as the Pirate King, the strongest and most infamous '
+        + 'being to have sailed the Grand Line. Official: Manga Plus',
+      coverUrl: 'https://xfs-n03.xfspp.com/thumb/W300/ampi/0a1/0a1c.jpg',
+      author: 'Oda Eiichiro',
+      artist: 'Oda Eiichiro',
+      status: 'ongoing',
+      genres: ['Action', 'Adventure', 'Comedy', 'Shounen'],
+    });
+  });
+
+  it('falls back to the page title and meta tags', () => {
+    const html = `
+      <html><head>
+        <title>Blue Lock - Bato.To</title>
+        <meta name="description" content="Japan's striker project">
+        <meta property="og:image" content="/cover/blue-lock.jpg">
+      </head><body></body></html>`;
+
+    expect(parseBatoMangaDetails(html, '1')).toMatchObject({
+      title: 'Blue Lock',
+      description: "Japan's striker project",
+      coverUrl: 'https://bato.to/cover/blue-lock.jpg',
+      author: null,
+      status: 'unknown',
+      genres: [],
+    });
+  });
+});
+
+describe('parseBatoChapters', () => {
+  it('parses chapter rows newest first without duplicates', () => {
+    expect(parseBatoChapters(readFixture('details'))).toEqual([
+      {
+        id: '2876543',
+        name: 'Chapter 1100: Thank You, Bonney',
+        chapter: '1100',
+        volume: null,
+        date: '3 days ago',
+        scanlationGroup: 'TCB Scans',
+      },
+      {
+        id: '2871002',
+        name: 'Chapter 1099.5',
+        chapter: '1099.5',
+        volume: null,
+        date: '1 week ago',
+        scanlationGroup: 'Viz',
+      },
+      {
+        id: '2860001',
+        name: 'Vol.104 Ch.1098',
+        chapter: '1098',
+        volume: '104',
+        date: new Date(1700000000000).toLocaleDateString(),
+        scanlationGroup: 'TCB Scans',
+      },
+      {
+        id: '2845000',
+        name: 'Chapter 1097',
+        chapter: '1097',
+        volume: null,
+        date: null,
+        scanlationGroup: null,
+      },
+    ]);
+  });
+});
+
+describe('parseBatoChapterPages', () => {
+  it('reads the image list from the reader script', () => {
+    expect(parseBatoChapterPages(readFixture('pages'))).toEqual([
+      { url: 'https://xfs-n04.xfspp.com/comic/7006/a7b/65d/01.webp', page: 1 },
+      { url: 'https://xfs-n04.xfspp.com/comic/7006/a7b/65d/02.webp', page: 2 },
+      { url: 'https://xfs-n04.xfspp.com/comic/7006/a7b/65d/03.webp', page: 3 },
+    ]);
+  });
+
+  it('falls back to reader img tags', () => {
+    const html = `
+      <div id="viewer">
+        <img class="page-img" data-src="/media/01.jpg">
+        <img class="page-img" src="https://cdn.example.com/media/02.jpg">
+        <img class="logo" src="/logo.png">
+      </div>`;
+
+    expect(parseBatoChapterPages(html)).toEqual([
+      { url: 'https://bato.to/media/01.jpg', page: 1 },
+      { url: 'https://cdn.example.com/media/02.jpg', page: 2 },
+    ]);
+  });
+
+  it('returns no pages when nothing looks like a page image', () => {
+    expect(parseBatoChapterPages('<img src="/logo.png"><script>var x = 1;</script>')).toEqual([]);
+  });
+});
+
+describe('getBatoMangaDetails', () => {
+  const htmlResponse = (status, body) => ({
+    ok: status === 200,
+    status,
+    headers: { get: () => '' },
+    text: async () => body,
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('parses the first series page that loads', async () => {
+    global.fetch = jest.fn(async () => htmlResponse(200, readFixture('details')));
+
+    const details = await getBatoMangaDetails('72315');
+    expect(details.title).toBe(parseBatoMangaDetails(readFixture('details'), '72315').title);
+  });
+
+  it('rejects instead of inventing a manga when no page loads', async () => {
+    global.fetch = jest.fn(async () => htmlResponse(404, 'Not found'));
+
+    await expect(getBatoMangaDetails('72315')).rejects.toThrow('No Bato page could be loaded');
+  });
+});
@@ -0,0 +1,142 @@
+import * as FileSystem from 'expo-file-system/legacy';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+// Files on the mocked disk, by path -> size
+const files = new Map();
+
+jest.mock('expo-file-system/legacy', () => ({
+  cacheDirectory: 'file:///cache/',
+  getInfoAsync: jest.fn(),
+  makeDirectoryAsync: jest.fn(async () => {}),
+  readDirectoryAsync: jest.fn(),
+  createDownloadResumable: jest.fn(),
+  moveAsync: jest.fn(),
+  deleteAsync: jest.fn(),
+}));
+
+const PAGES_DIR = 'file:///cache/inkora/pages/';
+const MB = 1024 * 1024;
+
+let downloadAndCacheImage;
+let getCachedImage;
+let downloadSize;
+
+const mockDownload = (result) => {
+  FileSystem.createDownloadResumable.mockImplementation((url, path, options, callback) => ({
+    downloadAsync: async () => {
+      callback?.({ totalBytesWritten: 50, totalBytesExpectedToWrite: 100 });
+      if (result.status === 200) files.set(path, downloadSize);
+      return result;
+    },
+  }));
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  files.clear();
+  downloadSize = 1 * MB;
+  FileSystem.getInfoAsync.mockImplementation(async (path) => (
+    files.has(path) ? { exists: true, size: files.get(path) } : { exists: false }
+  ));
+  FileSystem.moveAsync.mockImplementation(async ({ from, to }) => {
+    files.set(to, files.get(from));
+    files.delete(from);
+  });
+  FileSystem.deleteAsync.mockImplementation(async (path) => {
+    files.delete(path);
+  });
+
+  const AsyncStorage = require('@react-native-async-storage/async-storage');
+  await AsyncStorage.clear();
+  jest.isolateModules(() => {
+    ({ downloadAndCacheImage, getCachedImage } = require('../cacheManager'));
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getCachedImage', () => {
+  it('finds a cached image without listing the directory', async () => {
+    mockDownload({ status: 200, headers: {} });
+    const path = await downloadAndCacheImage('https://example.com/1.png', 'abc123', 'page');
+
+    expect(await getCachedImage('abc123', 'page')).toBe(path);
+    expect(FileSystem.readDirectoryAsync).not.toHaveBeenCalled();
+  });
+
+  it('returns null for images that were never cached', async () => {
+    expect(await getCachedImage('abc123', 'page')).toBeNull();
+  });
+
+  it('forgets images whose file is gone', async () => {
+    mockDownload({ status: 200, headers: {} });
+    const path = await downloadAndCacheImage('https://example.com/1.png', 'abc123', 'page');
+    files.delete(path);
+
+    expect(await getCachedImage('abc123', 'page')).toBeNull();
+  });
+});
+
+describe('downloadAndCacheImage', () => {
+  it('downloads to a temporary file and moves it to the cached path', async () => {
+    mockDownload({ status: 200, headers: {} });
+    const onProgress = jest.fn();
+
+    const path = await downloadAndCacheImage('https://example.com/1.jpg', 'abc123', 'page', { onProgress });
+    expect(path).toBe(`${PAGES_DIR}page_abc123.jpg`);
+    expect(FileSystem.createDownloadResumable.mock.calls[0][1]).toBe(`${PAGES_DIR}page_abc123.part`);
+    expect(FileSystem.moveAsync).toHaveBeenCalledWith({ from: `${PAGES_DIR}page_abc123.part`, to: path });
+    expect(onProgress).toHaveBeenCalledWith(0.5);
+  });
+
+  it('names the file after the content type, then the URL', async () => {
+    mockDownload({ status: 200, headers: { 'Content-Type': 'image/webp; charset=binary' } });
+    expect(await downloadAndCacheImage('https://example.com/page?id=1', 'a', 'page'))
+      .toBe(`${PAGES_DIR}page_a.webp`);
+
+    mockDownload({ status: 200, headers: {} });
+    expect(await downloadAndCacheImage('https://example.com/2.PNG?token=x', 'b', 'page'))
+      .toBe(`${PAGES_DIR}page_b.png`);
+  });
+
+  it('sends the given headers with the download', async () => {
+    mockDownload({ status: 200, headers: {} });
+    const headers = { Referer: 'https://example.com/' };
+
+    await downloadAndCacheImage('https://example.com/1.jpg', 'abc123', 'page', { headers });
+    expect(FileSystem.createDownloadResumable.mock.calls[0][2]).toEqual({ headers });
+  });
+
+  it('removes the temporary file when the download fails', async () => {
+    mockDownload({ status: 404 });
+
+    expect(await downloadAndCacheImage('https://example.com/1.jpg', 'abc123', 'page')).toBeNull();
+    expect(FileSystem.moveAsync).not.toHaveBeenCalled();
+    expect(FileSystem.deleteAsync).toHaveBeenCalledWith(`${PAGES_DIR}page_abc123.part`, { idempotent: true });
+  });
+
+  it('evicts the least recently used pages past the size limit', async () => {
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now++);
+    mockDownload({ status: 200, headers: {} });
+    downloadSize = 60 * MB;
+
+    const first = await downloadAndCacheImage('https://example.com/1.jpg', 'first', 'page');
+    const second = await downloadAndCacheImage('https://example.com/2.jpg', 'second', 'page');
+    // Reading the first page makes the second the least recently used
+    await getCachedImage('first', 'page');
+    const third = await downloadAndCacheImage('https://example.com/3.jpg', 'third', 'page');
+
+    expect(files.has(first)).toBe(true);
+    expect(files.has(second)).toBe(false);
+    expect(files.has(third)).toBe(true);
+    expect(await getCachedImage('second', 'page')).toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Network from 'expo-network';
+import { getChapterPages } from '../mangaService';
+import { SourceManager } from '../sourceManager';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+jest.mock('expo-file-system/legacy', () => ({
+  documentDirectory: 'file:///documents/',
+  getInfoAsync: jest.fn(async () => ({ exists: false })),
+  makeDirectoryAsync: jest.fn(async () => {}),
+  downloadAsync: jest.fn(async () => ({ status: 200 })),
+  writeAsStringAsync: jest.fn(async () => {}),
+  deleteAsync: jest.fn(async () => {}),
+}));
+
+jest.mock('expo-network', () => ({
+  NetworkStateType: { WIFI: 'WIFI', CELLULAR: 'CELLULAR' },
+  getNetworkStateAsync: jest.fn(),
+  addNetworkStateListener: jest.fn(),
+}));
+
+jest.mock('../sourceManager', () => ({
+  SourceManager: { getSource: jest.fn(), resolveSource: jest.fn() },
+}));
+
+jest.mock('../mangaService', () => ({
+  getChapterPages: jest.fn(),
+}));
+
+jest.mock('../storageService', () => ({
+  getAppPreferences: jest.fn(async () => ({ downloadOnlyOnWifi: true })),
+}));
+
+const SOURCE = { id: 'example', baseUrl: 'https://example.org', headers: { 'X-Source': '1' } };
+const MANGA = { id: 'manga-1', title: 'Manga' };
+const CHAPTER = { id: 'chapter-1', name: 'Chapter 1' };
+
+const CELLULAR = { type: 'CELLULAR', isConnected: true };
+const WIFI = { type: 'WIFI', isConnected: true };
+
+const flush = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+let manager;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  SourceManager.getSource.mockReturnValue(SOURCE);
+  SourceManager.resolveSource.mockReturnValue(SOURCE);
+  getChapterPages.mockResolvedValue([
+    { url: 'https://img.example.org/1.png', page: 1 },
+    { url: 'https://img.example.org/2.png', page: 2 },
+  ]);
+
+  jest.isolateModules(() => {
+    manager = require('../downloadManager').getDownloadManager();
+  });
+});
+
+const networkListener = () => Network.addNetworkStateListener.mock.calls[0][0];
+
+describe('DownloadManager', () => {
+  it('pauses off Wi-Fi and resumes when Wi-Fi returns', async () => {
+    Network.getNetworkStateAsync.mockResolvedValue(CELLULAR);
+
+    await manager.enqueue(SOURCE, MANGA, [CHAPTER]);
+    await flush();
+    expect(manager.isPaused()).toBe(true);
+    expect(FileSystem.downloadAsync).not.toHaveBeenCalled();
+
+    Network.getNetworkStateAsync.mockResolvedValue(WIFI);
+    await networkListener()(WIFI);
+    await flush();
+
+    expect(manager.isPaused()).toBe(false);
+    expect(FileSystem.downloadAsync).toHaveBeenCalledTimes(2);
+    expect(manager.getQueue()).toEqual([]);
+  });
+
+  it('stays paused on network changes after the user paused it', async () => {
+    Network.getNetworkStateAsync.mockResolvedValue(WIFI);
+    await manager.init();
+    await manager.pause();
+
+    await networkListener()(WIFI);
+    expect(manager.isPaused()).toBe(true);
+  });
+
+  it('requests pages with the source headers', async () => {
+    Network.getNetworkStateAsync.mockResolvedValue(WIFI);
+
+    await manager.enqueue(SOURCE, MANGA, [CHAPTER]);
+    await flush();
+
+    expect(FileSystem.downloadAsync).toHaveBeenCalledWith(
+      'https://img.example.org/1.png',
+      expect.stringMatching(/chapter-1\/001\.png$/),
+      {
+        headers: expect.objectContaining({
+          'User-Agent': expect.any(String),
+          Referer: 'https://example.org/',
+          'X-Source': '1',
+        }),
+      }
+    );
+  });
+});
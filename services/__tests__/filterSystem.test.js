@@ -0,0 +1,72 @@
+import { createMangaDexFilters, FilterType, TriState } from '../filterSystem';
+
+const getSort = (filters) => filters.filters.find(filter => filter.type === FilterType.SORT);
+
+describe('FilterList.clone', () => {
+  it('copies filter state without sharing it', () => {
+    const filters = createMangaDexFilters();
+    filters.getByName('Title').setValue('berserk');
+    filters.getByName('Genres').filters[0].setState(TriState.INCLUDED);
+
+    const copy = filters.clone();
+    filters.getByName('Title').setValue('vagabond');
+    filters.getByName('Genres').filters[0].setState(TriState.EXCLUDED);
+    getSort(filters).setSort(getSort(filters).options[2], true);
+
+    expect(copy.getByName('Title').value).toBe('berserk');
+    expect(copy.getByName('Genres').filters[0].state).toBe(TriState.INCLUDED);
+    expect(getSort(copy).isDefault()).toBe(true);
+    expect(copy.toQuery()).not.toEqual(filters.toQuery());
+  });
+
+  it('keeps the filters usable after copying', () => {
+    const copy = createMangaDexFilters().clone();
+    copy.getByName('Status').setSelected(1);
+    copy.reset();
+
+    expect(copy.getByName('Status').getSelected().value).toBe('');
+  });
+});
+
+describe('SortFilter.isDefault', () => {
+  it('tracks whether the sort or direction changed', () => {
+    const sort = getSort(createMangaDexFilters());
+    expect(sort.isDefault()).toBe(true);
+
+    sort.setSort(sort.selected, true);
+    expect(sort.isDefault()).toBe(false);
+
+    sort.reset();
+    expect(sort.isDefault()).toBe(true);
+  });
+});
+
+describe('FilterList.isDefault', () => {
+  it('is true for new and reset filters', () => {
+    const filters = createMangaDexFilters();
+    expect(filters.isDefault()).toBe(true);
+
+    filters.getByName('Title').setValue('berserk');
+    filters.getByName('Genres').filters[0].setState(TriState.INCLUDED);
+    getSort(filters).setSort(getSort(filters).options[2], false);
+    expect(filters.isDefault()).toBe(false);
+
+    filters.reset();
+    expect(filters.isDefault()).toBe(true);
+  });
+
+  it('notices a change to any single filter', () => {
+    const status = createMangaDexFilters();
+    status.getByName('Status').setSelected(1);
+    expect(status.isDefault()).toBe(false);
+
+    const rating = createMangaDexFilters();
+    const erotica = rating.getByName('Content Rating').filters.find(filter => filter.name === 'Erotica');
+    erotica.setChecked(true);
+    expect(rating.isDefault()).toBe(false);
+
+    const blankTitle = createMangaDexFilters();
+    blankTitle.getByName('Title').setValue('   ');
+    expect(blankTitle.isDefault()).toBe(true);
+  });
+});
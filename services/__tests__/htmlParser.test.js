@@ -0,0 +1,191 @@
+import { parseHTML, decodeEntities } from '../htmlParser';
+
+const texts = (elements) => elements.map(element => element.text());
+
+describe('decodeEntities', () => {
+  it('decodes named and numeric references', () => {
+    expect(decodeEntities('Tom &amp; Jerry &#8212; &#x2764; &hellip;')).toBe('Tom & Jerry — ❤ …');
+  });
+
+  it('leaves unknown references alone', () => {
+    expect(decodeEntities('&middot; &bogus;')).toBe('&middot; &bogus;');
+  });
+});
+
+describe('parseHTML', () => {
+  it('builds a tree with attributes and text', () => {
+    const document = parseHTML('<div id="a" class="x y" data-src=\'/img.png\' hidden><span>Hi&nbsp;there</span></div>');
+    const div = document.querySelector('div');
+
+    expect(div.attr('id')).toBe('a');
+    expect(div.attr('DATA-SRC')).toBe('/img.png');
+    expect(div.attr('hidden')).toBe('');
+    expect(div.attr('missing')).toBeNull();
+    expect(div.hasClass('y')).toBe(true);
+    expect(div.text()).toBe('Hi there');
+  });
+
+  it('handles void and self-closing elements', () => {
+    const document = parseHTML('<p>one<br>two<img src="a.png"/><span/>three</p>');
+    const p = document.querySelector('p');
+
+    expect(p.elementChildren.map(child => child.tagName)).toEqual(['br', 'img', 'span']);
+    expect(p.rawText()).toBe('one\ntwothree');
+  });
+
+  it('implicitly closes <p> before block elements', () => {
+    const document = parseHTML('<div><p>First<p>Second<div class="box">Block</div></div>');
+
+    expect(texts(document.querySelectorAll('p'))).toEqual(['First', 'Second']);
+    expect(document.querySelector('.box').parent.tagName).toBe('div');
+    expect(document.querySelector('.box').parent.parent).toBe(document);
+  });
+
+  it('implicitly closes <li> at the next <li>', () => {
+    const document = parseHTML('<ul><li>One<li>Two<li>Three</ul>');
+
+    expect(texts(document.querySelectorAll('ul > li'))).toEqual(['One', 'Two', 'Three']);
+  });
+
+  it('ignores stray end tags', () => {
+    const document = parseHTML('<div><span>a</b></span></i><em>b</em></div>');
+
+    expect(texts(document.querySelectorAll('div > *'))).toEqual(['a', 'b']);
+  });
+
+  it('keeps script and style contents as raw text', () => {
+    const document = parseHTML(
+      '<div><script>var s = "</div><b>&amp;</b>"; if (a < b) {}</script>'
+      + '<style>.a > .b::after { content: "</p>"; }</style><p>after</p></div>'
+    );
+
+    expect(document.querySelector('script').rawText()).toBe('var s = "</div><b>&amp;</b>"; if (a < b) {}');
+    expect(document.querySelector('style').rawText()).toBe('.a > .b::after { content: "</p>"; }');
+    expect(document.querySelectorAll('b')).toHaveLength(0);
+    expect(document.querySelector('div > p').text()).toBe('after');
+  });
+
+  it('decodes entities in textarea and title but not script', () => {
+    const document = parseHTML('<title>A &amp; B</title><textarea><b>&lt;</b></textarea><script>x &amp;&amp; y</script>');
+
+    expect(document.querySelector('title').text()).toBe('A & B');
+    expect(document.querySelector('textarea').rawText()).toBe('<b><</b>');
+    expect(document.querySelector('script').rawText()).toBe('x &amp;&amp; y');
+  });
+
+  it('skips comments and doctypes and treats a lone < as text', () => {
+    const document = parseHTML('<!DOCTYPE html><!-- <div class="hidden"></div> --><p>1 < 2</p>');
+
+    expect(document.querySelector('.hidden')).toBeNull();
+    expect(document.querySelector('p').text()).toBe('1 < 2');
+  });
+
+  it('copes with unclosed markup at the end of input', () => {
+    const document = parseHTML('<div class="a"><span>text');
+
+    expect(document.querySelector('div.a > span').text()).toBe('text');
+    expect(parseHTML('<img src="x"').querySelector('img').attr('src')).toBe('x');
+    expect(parseHTML('').children).toEqual([]);
+  });
+});
+
+describe('selectors', () => {
+  const document = parseHTML(`
+    <main id="root">
+      <ul class="list">
+        <li class="item first" data-id="1" lang="en-US">Alpha</li>
+        <li class="item" data-id="2" title="hello world">Beta</li>
+        <li class="item special" data-id="3" lang="en">Gamma</li>
+        <li class="item" data-id="4" data-url="https://example.com/a.jpg">Delta</li>
+      </ul>
+      <section>
+        <h2>Title</h2>
+        <p class="note">Note one</p>
+        <p>Note two</p>
+        <div><p>Nested</p></div>
+      </section>
+    </main>
+  `);
+
+  it('matches tags, ids, classes and the universal selector', () => {
+    expect(texts(document.querySelectorAll('li.item.special'))).toEqual(['Gamma']);
+    expect(document.querySelector('#root').tagName).toBe('main');
+    expect(document.querySelectorAll('ul *')).toHaveLength(4);
+    expect(document.querySelector('LI').text()).toBe('Alpha');
+  });
+
+  it('supports descendant and child combinators', () => {
+    expect(texts(document.querySelectorAll('section p'))).toEqual(['Note one', 'Note two', 'Nested']);
+    expect(texts(document.querySelectorAll('section > p'))).toEqual(['Note one', 'Note two']);
+    expect(texts(document.querySelectorAll('main > section > div > p'))).toEqual(['Nested']);
+    expect(document.querySelectorAll('main > p')).toHaveLength(0);
+  });
+
+  it('supports sibling combinators', () => {
+    expect(texts(document.querySelectorAll('h2 + p'))).toEqual(['Note one']);
+    expect(texts(document.querySelectorAll('h2 ~ p'))).toEqual(['Note one', 'Note two']);
+    expect(texts(document.querySelectorAll('.first ~ .item'))).toEqual(['Beta', 'Gamma', 'Delta']);
+    expect(texts(document.querySelectorAll('.special + li'))).toEqual(['Delta']);
+  });
+
+  it('returns comma groups in document order without duplicates', () => {
+    expect(texts(document.querySelectorAll('p.note, h2, .note'))).toEqual(['Title', 'Note one']);
+  });
+
+  it('supports attribute operators', () => {
+    const ids = (selector) => document.querySelectorAll(selector).map(element => element.attr('data-id'));
+
+    expect(ids('[title]')).toEqual(['2']);
+    expect(ids('[data-id="3"]')).toEqual(['3']);
+    expect(ids("[data-id='3']")).toEqual(['3']);
+    expect(ids('[data-id=3]')).toEqual(['3']);
+    expect(ids('[title~=world]')).toEqual(['2']);
+    expect(ids('[title~=wor]')).toEqual([]);
+    expect(ids('[lang|=en]')).toEqual(['1', '3']);
+    expect(ids('[data-url^="https://"]')).toEqual(['4']);
+    expect(ids('[data-url$=".jpg"]')).toEqual(['4']);
+    expect(ids('[class*="spec"]')).toEqual(['3']);
+    expect(ids('[class*=""]')).toEqual([]);
+    expect(ids('[title="HELLO WORLD" i]')).toEqual(['2']);
+    expect(ids('[title="HELLO WORLD"]')).toEqual([]);
+  });
+
+  it('supports structural pseudo-classes', () => {
+    expect(texts(document.querySelectorAll('li:first-child'))).toEqual(['Alpha']);
+    expect(texts(document.querySelectorAll('li:last-child'))).toEqual(['Delta']);
+    expect(texts(document.querySelectorAll('li:nth-child(2)'))).toEqual(['Beta']);
+    expect(texts(document.querySelectorAll('section > :nth-child(3)'))).toEqual(['Note two']);
+    expect(document.querySelectorAll('li:nth-child(5)')).toHaveLength(0);
+  });
+
+  it('supports :not and :contains', () => {
+    expect(texts(document.querySelectorAll('li:not(.first, [data-id="4"])'))).toEqual(['Beta', 'Gamma']);
+    expect(texts(document.querySelectorAll('li:contains("GAM")'))).toEqual(['Gamma']);
+    expect(texts(document.querySelectorAll('p:contains(note)'))).toEqual(['Note one', 'Note two']);
+  });
+
+  it('matches and finds the closest ancestor', () => {
+    const nested = document.querySelector('div > p');
+
+    expect(nested.matches('section p')).toBe(true);
+    expect(nested.matches('section > p')).toBe(false);
+    expect(nested.closest('section').tagName).toBe('section');
+    expect(nested.closest('p')).toBe(nested);
+    expect(nested.closest('ul')).toBeNull();
+  });
+
+  it('scopes queries to the element they are called on', () => {
+    const list = document.querySelector('ul');
+
+    expect(list.querySelectorAll('li')).toHaveLength(4);
+    expect(list.querySelector('p')).toBeNull();
+  });
+
+  it('throws on invalid or unsupported selectors', () => {
+    expect(() => document.querySelectorAll('li >')).toThrow('Invalid selector');
+    expect(() => document.querySelectorAll('> li')).toThrow('Invalid selector');
+    expect(() => document.querySelectorAll('li,')).toThrow('Invalid selector');
+    expect(() => document.querySelectorAll('li:not(.a')).toThrow('Invalid selector');
+    expect(() => document.querySelectorAll('li:hover')).toThrow('Unsupported pseudo-class');
+  });
+});
@@ -0,0 +1,41 @@
+import { downloadAndCacheImage, getCachedImage } from '../cacheManager';
+import { ImageLoader } from '../imageLoader';
+
+jest.mock('../cacheManager', () => ({
+  getCachedImage: jest.fn(async () => null),
+  downloadAndCacheImage: jest.fn(async () => 'file:///cache/inkora/pages/page_1.png'),
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ImageLoader', () => {
+  it('passes the source headers to page downloads', async () => {
+    const headers = { Referer: 'https://example.org/' };
+
+    const results = await ImageLoader.preloadImages(
+      ['https://img.example.org/1.png', 'https://img.example.org/2.png'],
+      { headers }
+    );
+
+    expect(results.every(result => result.success)).toBe(true);
+    expect(downloadAndCacheImage).toHaveBeenCalledTimes(2);
+    downloadAndCacheImage.mock.calls.forEach(([, , , options]) => {
+      expect(options.headers).toBe(headers);
+    });
+  });
+
+  it('skips the download for cached pages', async () => {
+    getCachedImage.mockResolvedValueOnce('file:///cache/inkora/pages/page_2.png');
+
+    const result = await ImageLoader.loadImage('https://img.example.org/2.png');
+    expect(result).toEqual({ uri: 'file:///cache/inkora/pages/page_2.png', cached: true });
+    expect(downloadAndCacheImage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,93 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { GET } from '../networkUtils';
+import { getMangaDexChapters, getMangaDexPopular, searchMangaDex } from '../mangadexService';
+import { createMangaDexFilters, FilterType } from '../filterSystem';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('../networkUtils', () => ({
+  GET: jest.fn(),
+  parseJSON: jest.fn(async (response) => response),
+}));
+
+const requestedOrder = () => {
+  const url = GET.mock.calls[GET.mock.calls.length - 1][0];
+  return decodeURIComponent(url).match(/order\[[^\]]+\]=\w+/g);
+};
+
+const requestedRatings = () => {
+  const url = GET.mock.calls[GET.mock.calls.length - 1][0];
+  return [...decodeURIComponent(url).matchAll(/contentRating\[\]=(\w+)/g)].map(match => match[1]);
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  GET.mockResolvedValue({ data: [], offset: 0, total: 0 });
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  GET.mockReset();
+  await AsyncStorage.clear();
+});
+
+describe('searchMangaDex ordering', () => {
+  it('ranks title searches by relevance with the default filters', async () => {
+    await searchMangaDex('frieren', { filters: createMangaDexFilters() });
+    expect(requestedOrder()).toEqual(['order[relevance]=desc']);
+  });
+
+  it('uses the sort the user picked for title searches', async () => {
+    const filters = createMangaDexFilters();
+    const sort = filters.filters.find(filter => filter.type === FilterType.SORT);
+    sort.setSort(sort.options.find(option => option.value === 'rating'), false);
+
+    await searchMangaDex('frieren', { filters });
+    expect(requestedOrder()).toEqual(['order[rating]=desc']);
+  });
+
+  it('uses the default sort when browsing with filters and no title', async () => {
+    await searchMangaDex('', { filters: createMangaDexFilters() });
+    expect(requestedOrder()).toEqual(['order[latestUploadedChapter]=desc']);
+  });
+
+  it('falls back to follows without filters', async () => {
+    await searchMangaDex('', {});
+    expect(requestedOrder()).toEqual(['order[followedCount]=desc']);
+  });
+});
+
+describe('content ratings', () => {
+  it('leaves out pornographic by default', async () => {
+    await getMangaDexPopular();
+    expect(requestedRatings()).toEqual(['safe', 'suggestive', 'erotica']);
+
+    await getMangaDexChapters('manga-1');
+    expect(requestedRatings()).toEqual(['safe', 'suggestive', 'erotica']);
+  });
+
+  it('honors the content rating source preference', async () => {
+    await AsyncStorage.setItem(
+      '@inkora_source_prefs_mangadex_org',
+      JSON.stringify({ contentRatings: ['safe', 'pornographic', 'unknown'] })
+    );
+
+    await getMangaDexChapters('manga-1');
+    expect(requestedRatings()).toEqual(['safe', 'pornographic']);
+
+    await searchMangaDex('', {});
+    expect(requestedRatings()).toEqual(['safe', 'pornographic']);
+  });
+
+  it('uses the ratings checked in the filters over the preference', async () => {
+    await AsyncStorage.setItem(
+      '@inkora_source_prefs_mangadex_org',
+      JSON.stringify({ contentRatings: ['pornographic'] })
+    );
+
+    await searchMangaDex('frieren', { filters: createMangaDexFilters() });
+    expect(requestedRatings()).toEqual(['safe', 'suggestive']);
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+// Record stores cache their indexes, so every test gets fresh modules and storage
+let AsyncStorage;
+let storage;
+
+beforeEach(() => {
+  jest.resetModules();
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  storage = require('../storageService');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('app preferences', () => {
+  it('keeps every key when writes overlap', async () => {
+    await Promise.all([
+      storage.setAppPreference('librarySortMode', 'unread'),
+      storage.setAppPreference('librarySortAscending', false),
+      storage.setAppPreference('libraryDisplayMode', 'list'),
+    ]);
+
+    expect(await storage.getAppPreferences()).toMatchObject({
+      librarySortMode: 'unread',
+      librarySortAscending: false,
+      libraryDisplayMode: 'list',
+    });
+  });
+
+  it('writes several keys at once', async () => {
+    AsyncStorage.setItem.mockClear();
+
+    expect(await storage.setAppPreferences({ librarySortMode: 'dateAdded', librarySortAscending: false })).toBe(true);
+    expect(AsyncStorage.setItem).toHaveBeenCalledTimes(1);
+    expect(await storage.getAppPreferences()).toMatchObject({ librarySortMode: 'dateAdded', librarySortAscending: false });
+  });
+
+  it("doesn't overwrite stored prefs when reading them fails", async () => {
+    await storage.setAppPreference('libraryDisplayMode', 'list');
+    jest.spyOn(AsyncStorage, 'getItem').mockRejectedValueOnce(new Error('read failed'));
+
+    expect(await storage.setAppPreference('librarySortMode', 'unread')).toBe(false);
+    expect(await storage.getAppPreferences()).toMatchObject({ libraryDisplayMode: 'list', librarySortMode: 'alphabetical' });
+  });
+});
+
+describe('restoreBackupData', () => {
+  const manga = (id, extra = {}) => ({ id, sourceId: 'mangadex', title: `Manga ${id}`, ...extra });
+  const progress = (mangaId, chapterId, lastRead) => ({ mangaId, chapterId, lastPageRead: 3, lastRead });
+  const history = (mangaId, chapterId, readAt) => ({ mangaId, chapterId, sourceId: 'mangadex', readAt });
+
+  const backupData = (overrides = {}) => ({
+    library: [manga('b'), manga('c')],
+    categories: [],
+    progress: [progress('b', 'b1', 200)],
+    history: [history('b', 'b1', 200)],
+    pinnedSources: ['bato'],
+    appPreferences: { libraryDisplayMode: 'list' },
+    sourcePreferences: { bato: { domain: 'https://mto.to' } },
+    ...overrides,
+  });
+
+  const seedCurrentData = async () => {
+    await storage.addToLibrary(manga('a'));
+    await storage.addToLibrary(manga('b', { title: 'Old title' }));
+    await storage.saveReadingProgress('a', 'a1', 5, 10);
+    await storage.setSourcePreference('mangadex', 'lang', 'en');
+    await storage.setAppPreference('librarySortMode', 'unread');
+  };
+
+  const libraryIds = async () => (await storage.getLibrary()).map(entry => entry.id).sort();
+
+  it('replaces the library, progress, history and preferences', async () => {
+    await seedCurrentData();
+
+    await storage.restoreBackupData(backupData(), { merge: false });
+
+    expect(await libraryIds()).toEqual(['b', 'c']);
+    expect((await storage.getLibrary()).find(entry => entry.id === 'b').title).toBe('Manga b');
+    expect(await storage.getReadingProgress('a', 'a1')).toBeNull();
+    expect(await storage.getReadingProgress('b', 'b1')).toMatchObject({ lastPageRead: 3 });
+    expect(await storage.getSourcePreferences('mangadex')).toEqual({});
+    expect(await storage.getSourcePreferences('bato')).toEqual({ domain: 'https://mto.to' });
+    expect(await storage.getAppPreferences()).toMatchObject({
+      libraryDisplayMode: 'list',
+      librarySortMode: 'alphabetical',
+    });
+  });
+
+  it('keeps the current data of stores that were not restored when a write fails', async () => {
+    await seedCurrentData();
+    const multiSet = AsyncStorage.multiSet.getMockImplementation();
+    let calls = 0;
+    jest.spyOn(AsyncStorage, 'multiSet').mockImplementation((entries) => {
+      calls += 1;
+      // The library commits, then the progress commit fails
+      return calls === 2 ? Promise.reject(new Error('quota exceeded')) : multiSet(entries);
+    });
+
+    await expect(storage.restoreBackupData(backupData(), { merge: false })).rejects.toThrow('quota exceeded');
+
+    expect(await libraryIds()).toEqual(['b', 'c']);
+    expect(await storage.getReadingProgress('a', 'a1')).toMatchObject({ lastPageRead: 5 });
+    expect(await storage.getSourcePreferences('mangadex')).toEqual({ lang: 'en' });
+  });
+
+  it("doesn't touch storage when a record can't be built", async () => {
+    await seedCurrentData();
+
+    await expect(storage.restoreBackupData(backupData({ history: [null] }), { merge: false })).rejects.toThrow();
+
+    expect(await libraryIds()).toEqual(['a', 'b']);
+    expect(await storage.getReadingProgress('a', 'a1')).toMatchObject({ lastPageRead: 5 });
+  });
+
+  it('merges into the current data', async () => {
+    await seedCurrentData();
+
+    await storage.restoreBackupData(backupData(), { merge: true });
+
+    expect(await libraryIds()).toEqual(['a', 'b', 'c']);
+    expect(await storage.getReadingProgress('a', 'a1')).toMatchObject({ lastPageRead: 5 });
+    expect(await storage.getSourcePreferences('mangadex')).toEqual({ lang: 'en' });
+    expect(await storage.getAppPreferences()).toMatchObject({
+      libraryDisplayMode: 'list',
+      librarySortMode: 'unread',
+    });
+  });
+});
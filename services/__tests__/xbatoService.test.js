@@ -0,0 +1,76 @@
+import { GET } from '../networkUtils';
+import {
+  getXbatoChapters,
+  getXbatoPopularManga,
+  searchXbatoManga,
+  XBATO_PAGE_SIZE,
+  XbatoSource,
+} from '../xbatoService';
+import { searchAllSources } from '../globalSearch';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+jest.mock('../networkUtils', () => ({
+  ...jest.requireActual('../networkUtils'),
+  GET: jest.fn(),
+}));
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status === 200,
+  status,
+  json: async () => body,
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  GET.mockReset();
+});
+
+describe('Xbato source errors', () => {
+  it('rejects when the backend fails', async () => {
+    GET.mockResolvedValue(jsonResponse({ error: 'Scraper blocked' }, 500));
+
+    await expect(searchXbatoManga('frieren')).rejects.toThrow('Scraper blocked');
+    await expect(getXbatoChapters('abc')).rejects.toThrow('Scraper blocked');
+  });
+
+  it('rejects on a response that is not a list', async () => {
+    GET.mockResolvedValue(jsonResponse({ status: 'online' }));
+
+    await expect(searchXbatoManga('frieren')).rejects.toThrow('Unexpected response format');
+  });
+
+  it('shows up as a per-source error in global search', async () => {
+    GET.mockRejectedValue(new Error('Network request failed'));
+    const source = { id: 'xbato', name: 'Xbato', ...XbatoSource };
+
+    const [result] = await searchAllSources('frieren', { sources: [source] });
+    expect(result.error).toBe('Network request failed');
+    expect(result.mangas).toEqual([]);
+  });
+});
+
+describe('Xbato paging', () => {
+  const results = (count) => Array.from({ length: count }, (_, index) => ({
+    id: `manga-${index}`,
+    title: `Manga ${index}`,
+    coverUrl: null,
+    url: `https://xbato.com/title/manga-${index}`,
+  }));
+
+  it('has a next page only after a full page', async () => {
+    GET.mockResolvedValueOnce(jsonResponse(results(XBATO_PAGE_SIZE)));
+    expect((await getXbatoPopularManga(1)).hasNextPage).toBe(true);
+
+    GET.mockResolvedValueOnce(jsonResponse(results(5)));
+    const lastPage = await searchXbatoManga('frieren', 2);
+    expect(lastPage.mangas).toHaveLength(5);
+    expect(lastPage.hasNextPage).toBe(false);
+  });
+});
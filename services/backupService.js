@@ -0,0 +1,220 @@
+/**
+ * Backup Service - Inspired by Mihon's BackupCreator and BackupRestorer
+ * Saves the library, progress, history, categories and preferences to a
+ * versioned JSON file (optionally gzipped) and restores them
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import pako from 'pako';
+import { getBackupData, restoreBackupData } from './storageService';
+import { bytesToBase64, base64ToBytes } from '../utils/base64';
+
+/**
+ * Current backup format version
+ * Bump it whenever the shape of `data` changes
+ */
+export const BACKUP_VERSION = 1;
+
+const BACKUP_APP = 'inkora';
+
+export const RestoreMode = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+/**
+ * Thrown for files that aren't a usable Inkora backup
+ */
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+const getBackupDirectory = () => `${FileSystem.documentDirectory}inkora/backups/`;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const hasFields = (fields) => (item) => (
+  isPlainObject(item) && fields.every(field => item[field] != null && typeof item[field] !== 'object')
+);
+
+/**
+ * Required lists in `data`, with the fields every item must have
+ */
+const LIST_SCHEMAS = {
+  library: hasFields(['id', 'sourceId']),
+  categories: hasFields(['id', 'name']),
+  progress: hasFields(['mangaId', 'chapterId']),
+  history: hasFields(['mangaId', 'chapterId']),
+  pinnedSources: (item) => typeof item === 'string',
+};
+
+/**
+ * Check that a parsed backup can be restored, before anything is written
+ * Throws BackupError describing the first problem found
+ */
+export const validateBackup = (backup) => {
+  if (!isPlainObject(backup) || backup.app !== BACKUP_APP) {
+    throw new BackupError('Not an Inkora backup');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new BackupError('Backup has no valid version');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new BackupError('Backup was made by a newer version of Inkora; update the app to restore it');
+  }
+
+  const { data } = backup;
+  if (!isPlainObject(data)) {
+    throw new BackupError('Backup has no data');
+  }
+
+  Object.entries(LIST_SCHEMAS).forEach(([name, isValid]) => {
+    if (!Array.isArray(data[name])) {
+      throw new BackupError(`Backup is missing ${name}`);
+    }
+    if (!data[name].every(isValid)) {
+      throw new BackupError(`Backup has invalid ${name} entries`);
+    }
+  });
+
+  ['appPreferences', 'sourcePreferences', 'readingPreferences'].forEach(name => {
+    if (data[name] != null && !isPlainObject(data[name])) {
+      throw new BackupError(`Backup has invalid ${name}`);
+    }
+  });
+
+  return backup;
+};
+
+/**
+ * Collect all user data into a backup object
+ */
+export const createBackup = async () => ({
+  app: BACKUP_APP,
+  version: BACKUP_VERSION,
+  createdAt: Date.now(),
+  data: await getBackupData(),
+});
+
+// Gzip files start with the bytes 1f 8b, which base64-encode to "H4s"
+const isGzipBase64 = (base64) => base64.startsWith('H4s');
+
+/**
+ * Write a backup to the app's backup directory
+ * Returns the file URI
+ */
+export const writeBackupFile = async (backup, { compress = true } = {}) => {
+  const directory = getBackupDirectory();
+  await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+
+  const timestamp = new Date(backup.createdAt).toISOString().replace(/[:.]/g, '-');
+  const json = JSON.stringify(backup);
+  const uri = `${directory}inkora_${timestamp}.json${compress ? '.gz' : ''}`;
+
+  if (compress) {
+    await FileSystem.writeAsStringAsync(uri, bytesToBase64(pako.gzip(json)), {
+      encoding: FileSystem.EncodingType.Base64,
+    });
+  } else {
+    await FileSystem.writeAsStringAsync(uri, json);
+  }
+
+  console.log(`[Backup] Wrote ${uri}`);
+  return uri;
+};
+
+/**
+ * Read and validate a backup file, plain JSON or gzipped
+ */
+export const readBackupFile = async (uri) => {
+  const header = await FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+    position: 0,
+    length: 3,
+  });
+
+  let json;
+  try {
+    if (isGzipBase64(header)) {
+      const base64 = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+      json = pako.ungzip(base64ToBytes(base64), { to: 'string' });
+    } else {
+      json = await FileSystem.readAsStringAsync(uri);
+    }
+  } catch (error) {
+    throw new BackupError(`Backup file could not be read: ${error.message}`);
+  }
+
+  let backup;
+  try {
+    backup = JSON.parse(json);
+  } catch (error) {
+    throw new BackupError('Backup file is not valid JSON');
+  }
+
+  return validateBackup(backup);
+};
+
+/**
+ * Create a backup file and open the share sheet for it
+ * Returns the file URI
+ */
+export const exportBackup = async ({ compress = true } = {}) => {
+  const uri = await writeBackupFile(await createBackup(), { compress });
+
+  if (await Sharing.isAvailableAsync()) {
+    await Sharing.shareAsync(uri, {
+      mimeType: compress ? 'application/gzip' : 'application/json',
+      dialogTitle: 'Save Inkora backup',
+    });
+  }
+  return uri;
+};
+
+/**
+ * Let the user pick a backup file
+ * Returns the validated backup, or null if the picker was cancelled
+ */
+export const pickBackupFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: '*/*',
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets?.length) return null;
+
+  return readBackupFile(result.assets[0].uri);
+};
+
+/**
+ * Restore a backup, merging it into the current data or replacing it
+ * The backup is validated first, so an invalid file never touches storage.
+ * Before replacing, the current data is saved as a backup file of its own.
+ *
+ * Returns { library, progress, history } counts of restored entries
+ */
+export const restoreBackup = async (backup, { mode = RestoreMode.MERGE } = {}) => {
+  validateBackup(backup);
+  if (mode === RestoreMode.REPLACE) {
+    await writeBackupFile(await createBackup());
+  }
+  console.log(`[Backup] Restoring backup (${mode})`);
+  return restoreBackupData(backup.data, { merge: mode === RestoreMode.MERGE });
+};
+
+/**
+ * Aggregate BackupService object for convenient imports
+ */
+export const BackupService = {
+  create: createBackup,
+  validate: validateBackup,
+  writeFile: writeBackupFile,
+  readFile: readBackupFile,
+  export: exportBackup,
+  pickFile: pickBackupFile,
+  restore: restoreBackup,
+};
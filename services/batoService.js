@@ -3,6 +3,9 @@
  * Supports multiple Bato domains with Cloudflare bypass
  */
 
+import { createBatoFilters, FilterType, TriState } from './filterSystem';
+import { parseHTML } from './htmlParser';
+
 // Bato base URLs (they change domains frequently)
 const BATO_DOMAINS = [
 
@@ -18,49 +21,6 @@ let CURRENT_BATO_URL = BATO_DOMAINS[0];
  */
 const USER_AGENT = 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Mobile Safari/537.36';
 
-/**
- * Helper to extract text content from HTML
- */
-const extractText = (html, selector) => {
-  try {
-    const regex = new RegExp(`${selector}[^>]*>([^<]+)<`, 'i');
-    const match = html.match(regex);
-    return match ? match[1].trim() : null;
-  } catch (error) {
-    return null;
-  }
-};
-
-/**
- * Helper to extract attribute from HTML
- */
-const extractAttr = (html, selector, attr) => {
-  try {
-    const regex = new RegExp(`${selector}[^>]*${attr}=["']([^"']+)["']`, 'i');
-    const match = html.match(regex);
-    return match ? match[1] : null;
-  } catch (error) {
-    return null;
-  }
-};
-
-/**
- * Helper to extract all matches
- */
-const extractAll = (html, pattern) => {
-  try {
-    const regex = new RegExp(pattern, 'gi');
-    const matches = [];
-    let match;
-    while ((match = regex.exec(html)) !== null) {
-      matches.push(match);
-    }
-    return matches;
-  } catch (error) {
-    return [];
-  }
-};
-
 /**
  * Cloudflare bypass fetch with retry mechanism
  * Implements timeout and retry logic similar to Mihon
@@ -172,58 +132,100 @@ const tryBatoDomains = async (path, options = {}) => {
 };
 
 /**
- * Parse manga card from HTML
+ * Selectors for manga cards on search/browse/latest pages, most specific first
  */
-const parseMangaCard = (html) => {
-  try {
-    // Extract manga ID/URL from various possible formats
-    const urlMatch = html.match(/href=["']\/series\/([^"'\/]+)[^"']*["']/i) ||
-                    html.match(/href=["']([^"']*\/title\/[^"']+)["']/i) ||
-                    html.match(/href=["']([^"']*\/series\/[^"']+)["']/i);
-    
-    let id = null;
-    let url = null;
-    
-    if (urlMatch) {
-      if (urlMatch[1].startsWith('/')) {
-        url = urlMatch[1];
-        id = url.split('/').filter(Boolean).pop();
-      } else if (urlMatch[1].includes('/series/') || urlMatch[1].includes('/title/')) {
-        url = urlMatch[1];
-        id = url.split('/').filter(Boolean).pop();
-      } else {
-        id = urlMatch[1];
-        url = `/series/${id}`;
-      }
-    }
+const MANGA_CARD_SELECTORS = [
+  '#series-list > .item',
+  '.series-list .item',
+  'div[class*="item-"], div[class*="manga-"], div[class*="series-"]',
+  'a.item, a.card, a[class*="item"], a[class*="card"]',
+  'article',
+];
+
+const MANGA_LINK_SELECTOR = 'a[href*="/series/"], a[href*="/title/"]';
+
+/**
+ * Selectors for chapter rows on the details page, most specific first
+ */
+const CHAPTER_ROW_SELECTORS = [
+  '.episode-list .main .item',
+  'div.main div.p-2',
+  'div[class*="episode"], div[class*="chapter"]',
+  'li[class*="chapter"]',
+  'a[class*="chapter"]',
+];
+
+const CHAPTER_LINK_SELECTOR = 'a[href*="/chapter/"], a[href*="/read/"]';
+
+/**
+ * Make a relative URL absolute against the current Bato domain
+ */
+const toAbsoluteUrl = (url) => {
+  if (!url) return null;
+  if (url.startsWith('http')) return url;
+  if (url.startsWith('//')) return `https:${url}`;
+  return url.startsWith('/') ? `${CURRENT_BATO_URL}${url}` : `${CURRENT_BATO_URL}/${url}`;
+};
 
-    // Extract title from various sources
-    const titleMatch = html.match(/class=["'][^"']*(?:title|name)[^"']*["'][^>]*>([^<]+)</i) ||
-                      html.match(/alt=["']([^"']+)["']/i) ||
-                      html.match(/title=["']([^"']+)["']/i);
-    const title = titleMatch ? titleMatch[1].trim() : 'Unknown Title';
-
-    // Extract cover image
-    const coverMatch = html.match(/src=["']([^"']*(?:cover|thumb|image)[^"']*)["']/i) ||
-                      html.match(/<img[^>]*data-src=["']([^"']+)["']/i) ||
-                      html.match(/<img[^>]*src=["']([^"']+)["']/i);
-    let coverUrl = coverMatch ? coverMatch[1] : null;
-    
-    // Make sure cover URL is absolute
-    if (coverUrl && !coverUrl.startsWith('http')) {
-      coverUrl = coverUrl.startsWith('/') ? `${CURRENT_BATO_URL}${coverUrl}` : `${CURRENT_BATO_URL}/${coverUrl}`;
+/**
+ * Run selectors in order and return the first non-empty match list
+ */
+const selectFirstMatching = (root, selectors, isValid = () => true) => {
+  for (const selector of selectors) {
+    const elements = root.querySelectorAll(selector).filter(isValid);
+    if (elements.length > 0) {
+      console.log(`Matched ${elements.length} elements with selector: ${selector}`);
+      return elements;
     }
+  }
+  return [];
+};
+
+/**
+ * The element itself if it matches, otherwise its first matching descendant
+ */
+const selfOrDescendant = (element, selector) =>
+  element.matches(selector) ? element : element.querySelector(selector);
 
-    // Extract chapter count
-    const chaptersMatch = html.match(/(\d+)\s*(?:ch|chapters?)/i);
-    const chapters = chaptersMatch ? parseInt(chaptersMatch[1]) : null;
+/**
+ * Read an image URL, preferring lazy-load attributes
+ */
+const imageSource = (img) =>
+  img ? (img.attr('data-src') || img.attr('data-original') || img.attr('src')) : null;
+
+/**
+ * Extract the manga ID from a /series/<id> or /title/<id> link
+ */
+const mangaIdFromHref = (href) => {
+  const match = (href || '').match(/\/(?:series|title)\/([^/?#]+)/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Parse manga card element
+ */
+const parseMangaCard = (card) => {
+  try {
+    const link = selfOrDescendant(card, MANGA_LINK_SELECTOR);
+    const href = link ? link.attr('href') : null;
+    const id = mangaIdFromHref(href);
+    if (!id) return null;
+
+    const img = card.querySelector('img');
+    const titleElement = card.querySelector('.item-title, [class*="title"], [class*="name"]');
+    const title = (titleElement && titleElement.text()) ||
+                  (img && img.attr('alt')) ||
+                  link.attr('title') ||
+                  'Unknown Title';
+
+    const chaptersMatch = card.text().match(/(\d+)\s*(?:ch|chapters?)\b/i);
 
     return {
       id,
-      url: url ? (url.startsWith('http') ? url : `${CURRENT_BATO_URL}${url}`) : null,
-      title,
-      coverUrl,
-      chapters,
+      url: toAbsoluteUrl(href),
+      title: title.trim(),
+      coverUrl: toAbsoluteUrl(imageSource(img)),
+      chapters: chaptersMatch ? parseInt(chaptersMatch[1]) : null,
     };
   } catch (error) {
     console.error('Error parsing manga card:', error);
@@ -232,497 +234,421 @@ const parseMangaCard = (html) => {
 };
 
 /**
- * Search manga on Bato
+ * Whether the page's pagination links past the current page
  */
-export const searchBatoManga = async (query) => {
-  try {
-    console.log('Searching Bato for:', query);
-
-    const searchPath = `/search?word=${encodeURIComponent(query)}`;
-    const response = await tryBatoDomains(searchPath);
-    const html = await response.text();
-
-    // Extract manga items from search results - multiple possible class names
-    const mangaPatterns = [
-      /<div[^>]*class=["'][^"']*(?:item-|manga-|series-)[^"']*["'][^>]*>[\s\S]*?(?=<div[^>]*class=["'][^"']*(?:item-|manga-|series-)|$)/gi,
-      /<a[^>]*class=["'][^"']*(?:item|card)[^"']*["'][^>]*>[\s\S]*?<\/a>/gi,
-      /<article[^>]*>[\s\S]*?<\/article>/gi,
-    ];
-
-    let mangaCards = [];
-    for (const pattern of mangaPatterns) {
-      mangaCards = extractAll(html, pattern);
-      if (mangaCards.length > 0) {
-        console.log(`Found ${mangaCards.length} results with pattern`);
-        break;
-      }
-    }
+const hasNextPageLink = (document) =>
+  !!document.querySelector(
+    'a[rel="next"], .pagination .page-item:last-child:not(.disabled) a, .pagination li:last-child:not(.disabled) a'
+  );
 
-    const results = [];
-    for (const cardMatch of mangaCards) {
-      const card = cardMatch[0];
-      const manga = parseMangaCard(card);
-      
-      if (manga && manga.id) {
-        results.push({
-          id: manga.id,
-          title: manga.title,
-          coverUrl: manga.coverUrl,
-          description: '',
-          author: null,
-          status: 'unknown',
-        });
-      }
+/**
+ * Parse a search/browse/latest page into { mangas, hasNextPage }
+ */
+export const parseBatoMangaList = (html) => {
+  const document = parseHTML(html);
+  const cards = selectFirstMatching(document, MANGA_CARD_SELECTORS,
+    card => !!selfOrDescendant(card, MANGA_LINK_SELECTOR));
+
+  const mangas = [];
+  const seen = new Set();
+
+  for (const card of cards) {
+    const manga = parseMangaCard(card);
+
+    if (manga && !seen.has(manga.id)) {
+      seen.add(manga.id);
+      mangas.push({
+        id: manga.id,
+        title: manga.title,
+        coverUrl: manga.coverUrl,
+        description: '',
+        author: null,
+        status: 'unknown',
+      });
     }
+  }
 
-    console.log(`Parsed ${results.length} valid results`);
-    return results.slice(0, 20);
-  } catch (error) {
-    console.error('Error searching Bato manga:', error);
-    return [];
+  return {
+    mangas,
+    hasNextPage: mangas.length > 0 && hasNextPageLink(document),
+  };
+};
+
+/**
+ * Find the value element of a labelled info row (e.g. "Authors:") on the details page
+ */
+const findInfoValue = (document, labels) => {
+  for (const row of document.querySelectorAll('.attr-item, [class*="info"] > div')) {
+    const labelElement = row.querySelector('b, strong, span');
+    const label = labelElement ? labelElement.text().toLowerCase() : '';
+    if (!labels.some(candidate => label.startsWith(candidate))) continue;
+
+    const value = labelElement.nextElementSibling();
+    if (value) return value;
   }
+  return null;
 };
 
 /**
- * Get popular manga from Bato
+ * Parse a manga details page
  */
-export const getBatoPopularManga = async () => {
-  try {
-    console.log('Fetching popular manga from Bato');
-
-    // Try multiple paths for popular manga
-    const paths = [
-      '/browse',
-      '/browse?sort=views',
-      '/browse?sort=popular',
-      '/popular',
-      '/',
-    ];
-
-    let html = '';
-    for (const path of paths) {
-      try {
-        console.log(`Trying path: ${path}`);
-        const response = await tryBatoDomains(path);
-        html = await response.text();
-        if (html.length > 1000) break; // Got valid content
-      } catch (error) {
-        console.log(`Path ${path} failed, trying next...`);
-      }
-    }
+export const parseBatoMangaDetails = (html, mangaId) => {
+  const document = parseHTML(html);
+  const metaContent = (selector) => {
+    const meta = document.querySelector(selector);
+    return meta ? meta.attr('content') : null;
+  };
+
+  // Title
+  const titleElement = document.querySelector('h3.item-title, h1, h3[class*="title"]');
+  const pageTitle = document.querySelector('title');
+  const title = (titleElement && titleElement.text()) ||
+                (pageTitle && pageTitle.text().replace(/\s*[-|]\s*Bato.*$/i, '')) ||
+                'Unknown Title';
+
+  // Cover
+  const coverImage = document.querySelector('.attr-cover img, img[class*="cover"], img[class*="poster"]');
+  const coverUrl = toAbsoluteUrl(imageSource(coverImage) || metaContent('meta[property="og:image"]'));
+
+  // Description
+  const descriptionElement = document.querySelector(
+    '.limit-html, [class*="summary"], [class*="description"], [class*="synopsis"]'
+  );
+  const description = (descriptionElement && descriptionElement.text()) ||
+                      metaContent('meta[name="description"], meta[property="og:description"]') ||
+                      '';
+
+  // Author/artist
+  const authorElement = findInfoValue(document, ['author', 'writer']);
+  const artistElement = findInfoValue(document, ['artist', 'illustrator']);
+  const author = authorElement ? authorElement.text() : null;
+  const artist = artistElement ? artistElement.text() : null;
+
+  // Status
+  const statusElement = findInfoValue(document, ['upload status', 'status', 'original work', 'publication']) ||
+                        document.querySelector('[class*="status"]');
+  const status = statusElement ? statusElement.text().toLowerCase() : 'unknown';
+
+  // Genres/tags
+  const genresElement = findInfoValue(document, ['genres', 'genre', 'tags']);
+  const genres = genresElement
+    ? genresElement.text().split(',').map(genre => genre.trim()).filter(Boolean)
+    : document.querySelectorAll('[class*="genre"] a, a[class*="genre"], a[class*="tag"]')
+        .map(element => element.text())
+        .filter(Boolean);
+
+  return {
+    id: mangaId,
+    title,
+    description,
+    coverUrl,
+    author: author || artist,
+    artist,
+    status,
+    genres,
+  };
+};
 
-    if (!html) {
-      console.log('Failed to get any content');
-      return [];
-    }
+/**
+ * Format a chapter date; relative dates ("3 days ago") are kept as-is
+ */
+const formatChapterDate = (value) => {
+  if (!value) return null;
+  const timestamp = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? value : new Date(timestamp).toLocaleDateString();
+};
 
-    // Extract manga items - try multiple patterns
-    const mangaPatterns = [
-      /<div[^>]*class=["'][^"']*(?:item-|manga-|series-)[^"']*["'][^>]*>[\s\S]*?(?=<div[^>]*class=["'][^"']*(?:item-|manga-|series-)|$)/gi,
-      /<a[^>]*class=["'][^"']*(?:item|card)[^"']*["'][^>]*>[\s\S]*?<\/a>/gi,
-      /<article[^>]*>[\s\S]*?<\/article>/gi,
-    ];
-
-    let mangaCards = [];
-    for (const pattern of mangaPatterns) {
-      mangaCards = extractAll(html, pattern);
-      if (mangaCards.length > 0) {
-        console.log(`Found ${mangaCards.length} manga with pattern`);
-        break;
-      }
-    }
+/**
+ * Parse the chapter list from a manga details page, newest first
+ */
+export const parseBatoChapters = (html) => {
+  const document = parseHTML(html);
+  const rows = selectFirstMatching(document, CHAPTER_ROW_SELECTORS,
+    row => !!selfOrDescendant(row, CHAPTER_LINK_SELECTOR));
+
+  const chapters = [];
+  const seen = new Set();
+
+  for (const row of rows) {
+    const link = selfOrDescendant(row, CHAPTER_LINK_SELECTOR);
+    const chapterId = link.attr('href').split(/[?#]/)[0].split('/').filter(Boolean).pop();
+    if (!chapterId || seen.has(chapterId)) continue;
+    seen.add(chapterId);
+
+    // Chapter name/number
+    const name = link.text() || 'Unknown Chapter';
+    const numberMatch = name.match(/(?:chapter|ch\.?|episode|ep\.?)\s*([\d.]+)/i) || name.match(/([\d.]+)/);
+    const volumeMatch = name.match(/vol(?:ume)?\.?\s*([\d.]+)/i);
+
+    // Date
+    const dateElement = row.querySelector('time, .extra i.ps-3, [class*="date"]');
+    const date = dateElement
+      ? formatChapterDate(dateElement.attr('datetime') || dateElement.attr('time') || dateElement.text())
+      : null;
+
+    // Scanlation group
+    const groupElement = row.querySelector('.extra a:not(.ps-3), [class*="group"], [class*="team"]');
+
+    chapters.push({
+      id: chapterId,
+      name: /^[\d.]+$/.test(name) ? `Chapter ${name}` : name,
+      chapter: numberMatch ? numberMatch[1] : null,
+      volume: volumeMatch ? volumeMatch[1] : null,
+      date,
+      scanlationGroup: groupElement ? groupElement.text() || null : null,
+    });
+  }
 
-    const results = [];
-    for (const cardMatch of mangaCards) {
-      const card = cardMatch[0];
-      const manga = parseMangaCard(card);
-      
-      if (manga && manga.id) {
-        results.push({
-          id: manga.id,
-          title: manga.title,
-          coverUrl: manga.coverUrl,
-          description: '',
-          author: null,
-          status: 'unknown',
-        });
-      }
-    }
+  // Sort chapters by number (descending - newest first)
+  chapters.sort((a, b) => {
+    const numA = parseFloat(a.chapter) || 0;
+    const numB = parseFloat(b.chapter) || 0;
+    return numB - numA;
+  });
 
-    console.log(`Parsed ${results.length} popular manga`);
-    return results.slice(0, 20);
-  } catch (error) {
-    console.error('Error fetching popular Bato manga:', error);
-    return [];
-  }
+  return chapters;
 };
 
 /**
- * Get manga details from Bato
+ * Script variables that hold the page image list
  */
-export const getBatoMangaDetails = async (mangaId) => {
-  try {
-    console.log('Fetching Bato manga details for ID:', mangaId);
+const IMAGE_LIST_PATTERNS = [
+  /(?:const|var|let)\s+(?:imgHttps|imgHttpLis|images)\s*=\s*(\[[\s\S]*?\]);/i,
+  /images:\s*(\[[\s\S]*?\])/i,
+  /pageList\s*=\s*(\[[\s\S]*?\])/i,
+  /"images":\s*(\[[\s\S]*?\])/i,
+];
 
-    const paths = [
-      `/series/${mangaId}`,
-      `/title/${mangaId}`,
-      `/manga/${mangaId}`,
-    ];
+/**
+ * Parse page images from a chapter reader page
+ */
+export const parseBatoChapterPages = (html) => {
+  const document = parseHTML(html);
+  const toPages = (urls) => urls.map((url, index) => ({
+    url: toAbsoluteUrl(url),
+    page: index + 1,
+  }));
+
+  // Method 1: Extract from JavaScript data
+  const scripts = document.querySelectorAll('script').map(script => script.rawText());
+  for (const script of scripts) {
+    for (const pattern of IMAGE_LIST_PATTERNS) {
+      const dataMatch = script.match(pattern);
+      if (!dataMatch) continue;
 
-    let html = '';
-    for (const path of paths) {
       try {
-        const response = await tryBatoDomains(path);
-        html = await response.text();
-        if (html.length > 1000) break;
-      } catch (error) {
-        console.log(`Path ${path} failed, trying next...`);
+        // Clean up trailing commas before parsing
+        const imagesJson = dataMatch[1].replace(/,\s*\]/g, ']').replace(/,\s*}/g, '}');
+        const images = JSON.parse(imagesJson);
+
+        if (Array.isArray(images) && images.length > 0) {
+          console.log(`Found ${images.length} pages from JavaScript data`);
+          return toPages(images
+            .map(item => (typeof item === 'string' ? item : (item.url || item.src)))
+            .filter(Boolean));
+        }
+      } catch (parseError) {
+        console.log('Failed to parse images from JavaScript, trying next pattern...');
       }
     }
+  }
 
-    // Extract title
-    const titleMatch = html.match(/<h1[^>]*>([^<]+)<\/h1>/i) ||
-                      html.match(/<h3[^>]*class=["'][^"']*title[^"']*["'][^>]*>([^<]+)</i) ||
-                      html.match(/<title>([^<]+)<\/title>/i);
-    const title = titleMatch ? titleMatch[1].trim().replace(/\s*[-|]\s*Bato.*$/i, '') : 'Unknown Title';
-
-    // Extract cover
-    const coverMatch = html.match(/<img[^>]*class=["'][^"']*(?:cover|poster)[^"']*["'][^>]*src=["']([^"']+)["']/i) ||
-                      html.match(/<meta[^>]*property=["']og:image["'][^>]*content=["']([^"']+)["']/i);
-    let coverUrl = coverMatch ? coverMatch[1] : null;
-    if (coverUrl && !coverUrl.startsWith('http')) {
-      coverUrl = `${CURRENT_BATO_URL}${coverUrl}`;
-    }
-
-    // Extract description
-    const descMatch = html.match(/<div[^>]*class=["'][^"']*(?:summary|description|synopsis)[^"']*["'][^>]*>([\s\S]*?)<\/div>/i) ||
-                     html.match(/<p[^>]*class=["'][^"']*(?:summary|description)[^"']*["'][^>]*>([\s\S]*?)<\/p>/i) ||
-                     html.match(/<meta[^>]*(?:name|property)=["'](?:description|og:description)["'][^>]*content=["']([^"']+)["']/i);
-    let description = '';
-    if (descMatch) {
-      description = descMatch[1].replace(/<[^>]+>/g, '').replace(/&[^;]+;/g, ' ').trim();
-    }
-
-    // Extract author/artist
-    const authorMatch = html.match(/(?:Author|Writer)[^<]*<[^>]*>([^<]+)</i) ||
-                       html.match(/class=["'][^"']*author[^"']*["'][^>]*>([^<]+)</i);
-    const author = authorMatch ? authorMatch[1].trim() : null;
+  // Method 2: Extract from reader img tags
+  const readerImages = selectFirstMatching(document, [
+    'img.page-img, img[class*="page"]',
+    'img[id*="image"]',
+  ], img => !!imageSource(img));
 
-    const artistMatch = html.match(/(?:Artist|Illustrator)[^<]*<[^>]*>([^<]+)</i);
-    const artist = artistMatch ? artistMatch[1].trim() : null;
+  if (readerImages.length > 0) {
+    console.log(`Found ${readerImages.length} pages from HTML img tags`);
+    return toPages(readerImages.map(imageSource));
+  }
 
-    // Extract status
-    const statusMatch = html.match(/(?:Status|Publication)[^<]*<[^>]*>([^<]+)</i) ||
-                       html.match(/class=["'][^"']*status[^"']*["'][^>]*>([^<]+)</i);
-    const status = statusMatch ? statusMatch[1].trim().toLowerCase() : 'unknown';
+  // Method 3: Any img that looks like a manga page as last resort
+  const pageImages = document.querySelectorAll('img')
+    .map(imageSource)
+    .filter(url => url && (
+      url.includes('/pages/') ||
+      url.includes('/images/') ||
+      /\d+\.(jpg|jpeg|png|webp)/i.test(url)
+    ));
+
+  if (pageImages.length > 0) {
+    console.log(`Found ${pageImages.length} pages from all img tags`);
+    return toPages(pageImages);
+  }
 
-    // Extract genres/tags
-    const genresPattern = /class=["'][^"']*(?:genre|tag)[^"']*["'][^>]*>([^<]+)</gi;
-    const genreMatches = extractAll(html, genresPattern);
-    const genres = genreMatches.map(m => m[1].trim());
+  return [];
+};
 
-    return {
-      id: mangaId,
-      title,
-      description,
-      coverUrl,
-      author: author || artist,
-      artist,
-      status,
-      genres,
-    };
-  } catch (error) {
-    console.error('Error fetching Bato manga details:', error);
-    return null;
+/**
+ * Fetch the first path that returns a real page
+ * Rejects when none of them does
+ */
+const fetchFirstAvailable = async (paths) => {
+  for (const path of paths) {
+    try {
+      console.log(`Trying path: ${path}`);
+      const response = await tryBatoDomains(path);
+      const html = await response.text();
+      if (html.length > 1000) return html; // Got valid content
+    } catch (error) {
+      console.log(`Path ${path} failed, trying next...`);
+    }
   }
+  // Parsing nothing would invent an empty manga or chapter list
+  throw new Error('No Bato page could be loaded');
 };
 
 /**
- * Get chapters for a manga from Bato
+ * Add a page number to a path's query string
  */
-export const getBatoChapters = async (mangaId) => {
-  try {
-    console.log('Fetching Bato chapters for manga ID:', mangaId);
+const withPage = (path, page) => `${path}${path.includes('?') ? '&' : '?'}page=${page}`;
 
-    const paths = [
-      `/series/${mangaId}`,
-      `/title/${mangaId}`,
-      `/manga/${mangaId}`,
-    ];
-
-    let html = '';
-    for (const path of paths) {
-      try {
-        const response = await tryBatoDomains(path);
-        html = await response.text();
-        if (html.length > 1000) break;
-      } catch (error) {
-        console.log(`Path ${path} failed, trying next...`);
-      }
-    }
+/**
+ * Bato genre slugs use underscores (e.g. "Slice of Life" -> slice_of_life)
+ */
+const toGenreSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '_');
 
-    // Extract chapter list - try multiple patterns
-    const chapterPatterns = [
-      /<div[^>]*class=["'][^"']*(?:episode|chapter)[^"']*["'][^>]*>[\s\S]*?(?=<div[^>]*class=["'][^"']*(?:episode|chapter)|$)/gi,
-      /<a[^>]*class=["'][^"']*chapter[^"']*["'][^>]*>[\s\S]*?<\/a>/gi,
-      /<li[^>]*class=["'][^"']*chapter[^"']*["'][^>]*>[\s\S]*?<\/li>/gi,
-    ];
-
-    let chapterCards = [];
-    for (const pattern of chapterPatterns) {
-      chapterCards = extractAll(html, pattern);
-      if (chapterCards.length > 0) {
-        console.log(`Found ${chapterCards.length} chapters with pattern`);
-        break;
-      }
+/**
+ * Translate a FilterList from createBatoFilters() into a /browse path
+ */
+export const buildBatoBrowsePath = (filters, page = 1) => {
+  const params = [];
+
+  const genreGroup = filters ? filters.getByName('Genres') : null;
+  if (genreGroup) {
+    const slugsWithState = (state) => genreGroup.filters
+      .filter(filter => filter.state === state)
+      .map(filter => toGenreSlug(filter.name));
+    const included = slugsWithState(TriState.INCLUDED);
+    const excluded = slugsWithState(TriState.EXCLUDED);
+
+    // Bato takes included and excluded genres as "inc1,inc2|exc1"
+    if (included.length > 0 || excluded.length > 0) {
+      params.push(`genres=${encodeURIComponent(`${included.join(',')}|${excluded.join(',')}`)}`);
     }
+  }
 
-    const chapters = [];
-    for (const cardMatch of chapterCards) {
-      const card = cardMatch[0];
+  const statusFilter = filters ? filters.getByName('Status') : null;
+  const status = statusFilter?.getSelected()?.value;
+  if (status) params.push(`release=${status}`);
 
-      // Extract chapter URL and ID
-      const urlMatch = card.match(/href=["']\/(?:chapter|read)\/([^"'\/]+)[^"']*["']/i) ||
-                      card.match(/href=["']([^"']*\/(?:chapter|read)\/[^"']+)["']/i);
-      
-      let chapterId = null;
-      if (urlMatch) {
-        if (urlMatch[1].startsWith('/')) {
-          chapterId = urlMatch[1].split('/').filter(Boolean).pop();
-        } else if (urlMatch[1].includes('/chapter/') || urlMatch[1].includes('/read/')) {
-          chapterId = urlMatch[1].split('/').filter(Boolean).pop();
-        } else {
-          chapterId = urlMatch[1];
-        }
-      }
+  const sortFilter = filters ? filters.filters.find(filter => filter.type === FilterType.SORT) : null;
+  if (sortFilter?.selected) {
+    params.push(`sort=${sortFilter.selected.value}.${sortFilter.ascending ? 'az' : 'za'}`);
+  }
 
-      if (!chapterId) continue;
+  params.push(`page=${page}`);
+  return `/browse?${params.join('&')}`;
+};
 
-      // Extract chapter name/title
-      const nameMatch = card.match(/class=["'][^"']*(?:title|name)[^"']*["'][^>]*>([^<]+)</i) ||
-                       card.match(/>(?:Chapter|Ch\.?)\s*([\d.]+)[^<]*/i) ||
-                       card.match(/Chapter\s+([\d.]+)/i);
-      
-      let name = 'Unknown Chapter';
-      let chapterNum = null;
-      
-      if (nameMatch) {
-        const matched = nameMatch[1].trim();
-        // Check if it's just a number or includes full title
-        if (/^[\d.]+$/.test(matched)) {
-          chapterNum = matched;
-          name = `Chapter ${matched}`;
-        } else {
-          name = matched;
-          const numMatch = matched.match(/([\d.]+)/);
-          chapterNum = numMatch ? numMatch[1] : null;
-        }
-      }
+/**
+ * Search manga on Bato
+ * Bato's keyword search ignores filters, so filters only apply when there is no query
+ * Like the other source methods, rejects when Bato can't be reached
+ */
+export const searchBatoManga = async (query, page = 1, filters = null) => {
+  const queryFilter = filters ? filters.getByName('Query') : null;
+  const word = (query || '').trim() || (queryFilter ? queryFilter.value.trim() : '');
+  console.log('Searching Bato for:', word, 'page', page);
+
+  const searchPath = word
+    ? withPage(`/search?word=${encodeURIComponent(word)}`, page)
+    : buildBatoBrowsePath(filters, page);
+  const response = await tryBatoDomains(searchPath);
+  const html = await response.text();
+
+  const result = parseBatoMangaList(html);
+  console.log(`Parsed ${result.mangas.length} valid results`);
+  return result;
+};
 
-      // Extract date
-      const dateMatch = card.match(/datetime=["']([^"']+)["']/i) ||
-                       card.match(/class=["'][^"']*date[^"']*["'][^>]*>([^<]+)</i) ||
-                       card.match(/(\d{4}-\d{2}-\d{2})/);
-      let date = null;
-      if (dateMatch) {
-        try {
-          date = new Date(dateMatch[1]).toLocaleDateString();
-        } catch (e) {
-          date = dateMatch[1];
-        }
-      }
+/**
+ * Get popular manga from Bato
+ */
+export const getBatoPopularManga = async (page = 1) => {
+  console.log('Fetching popular manga from Bato, page', page);
+
+  // Try multiple paths for popular manga; the home page has no further pages
+  const paths = [
+    '/browse?sort=views_a',
+    '/browse?sort=views',
+    '/browse?sort=popular',
+    '/popular',
+  ].map(path => withPage(path, page));
+  if (page === 1) paths.push('/');
+
+  const html = await fetchFirstAvailable(paths);
+
+  const result = parseBatoMangaList(html);
+  console.log(`Parsed ${result.mangas.length} popular manga`);
+  return result;
+};
 
-      // Extract scanlation group
-      const groupMatch = card.match(/class=["'][^"']*(?:group|team)[^"']*["'][^>]*>([^<]+)</i);
-      const group = groupMatch ? groupMatch[1].trim() : null;
-
-      chapters.push({
-        id: chapterId,
-        name,
-        chapter: chapterNum,
-        volume: null,
-        date,
-        scanlationGroup: group,
-      });
-    }
+/**
+ * Get manga details from Bato
+ */
+export const getBatoMangaDetails = async (mangaId) => {
+  console.log('Fetching Bato manga details for ID:', mangaId);
 
-    // Sort chapters by number (descending - newest first)
-    chapters.sort((a, b) => {
-      const numA = parseFloat(a.chapter) || 0;
-      const numB = parseFloat(b.chapter) || 0;
-      return numB - numA;
-    });
+  const html = await fetchFirstAvailable([
+    `/series/${mangaId}`,
+    `/title/${mangaId}`,
+    `/manga/${mangaId}`,
+  ]);
 
-    console.log(`Parsed ${chapters.length} chapters`);
-    return chapters;
-  } catch (error) {
-    console.error('Error fetching Bato chapters:', error);
-    return [];
-  }
+  return parseBatoMangaDetails(html, mangaId);
 };
 
 /**
- * Get chapter pages/images from Bato
+ * Get chapters for a manga from Bato
  */
-export const getBatoChapterPages = async (chapterId) => {
-  try {
-    console.log('Fetching Bato chapter pages for chapter ID:', chapterId);
-
-    const paths = [
-      `/chapter/${chapterId}`,
-      `/read/${chapterId}`,
-    ];
-
-    let html = '';
-    for (const path of paths) {
-      try {
-        const response = await tryBatoDomains(path);
-        html = await response.text();
-        if (html.length > 1000) break;
-      } catch (error) {
-        console.log(`Path ${path} failed, trying next...`);
-      }
-    }
+export const getBatoChapters = async (mangaId) => {
+  console.log('Fetching Bato chapters for manga ID:', mangaId);
 
-    // Method 1: Extract from JavaScript data
-    const jsPatterns = [
-      /const\s+images\s*=\s*(\[[\s\S]*?\]);/i,
-      /var\s+images\s*=\s*(\[[\s\S]*?\]);/i,
-      /images:\s*(\[[\s\S]*?\])/i,
-      /pageList\s*=\s*(\[[\s\S]*?\])/i,
-      /"images":\s*(\[[\s\S]*?\])/i,
-    ];
-
-    for (const pattern of jsPatterns) {
-      const dataMatch = html.match(pattern);
-      if (dataMatch) {
-        try {
-          let imagesJson = dataMatch[1];
-          // Clean up the JSON
-          imagesJson = imagesJson.replace(/,\s*\]/g, ']').replace(/,\s*}/g, '}');
-          const images = JSON.parse(imagesJson);
-          
-          if (Array.isArray(images) && images.length > 0) {
-            console.log(`Found ${images.length} pages from JavaScript data`);
-            
-            return images.map((item, index) => {
-              const url = typeof item === 'string' ? item : (item.url || item.src || item);
-              return {
-                url: url.startsWith('http') ? url : `${CURRENT_BATO_URL}${url}`,
-                page: index + 1,
-              };
-            });
-          }
-        } catch (parseError) {
-          console.log('Failed to parse images from JavaScript, trying next pattern...');
-        }
-      }
-    }
+  const html = await fetchFirstAvailable([
+    `/series/${mangaId}`,
+    `/title/${mangaId}`,
+    `/manga/${mangaId}`,
+  ]);
 
-    // Method 2: Extract from img tags
-    const imgPatterns = [
-      /<img[^>]*class=["'][^"']*page[^"']*["'][^>]*src=["']([^"']+)["']/gi,
-      /<img[^>]*id=["'][^"']*image[^"']*["'][^>]*src=["']([^"']+)["']/gi,
-      /<img[^>]*data-src=["']([^"']+)["'][^>]*class=["'][^"']*page/gi,
-    ];
-
-    for (const pattern of imgPatterns) {
-      const imgMatches = extractAll(html, pattern);
-      if (imgMatches.length > 0) {
-        console.log(`Found ${imgMatches.length} pages from HTML img tags`);
-        
-        return imgMatches.map((match, index) => ({
-          url: match[1].startsWith('http') ? match[1] : `${CURRENT_BATO_URL}${match[1]}`,
-          page: index + 1,
-        }));
-      }
-    }
+  const chapters = parseBatoChapters(html);
+  console.log(`Parsed ${chapters.length} chapters`);
+  return chapters;
+};
 
-    // Method 3: Extract all img tags as last resort
-    const allImgMatches = extractAll(html, /<img[^>]*src=["']([^"']+)["']/gi);
-    const pageImages = allImgMatches.filter(match => {
-      const url = match[1];
-      // Filter for image URLs that look like manga pages
-      return url.includes('/pages/') || 
-             url.includes('/images/') || 
-             url.match(/\d+\.(jpg|jpeg|png|webp)/i);
-    });
+/**
+ * Get chapter pages/images from Bato
+ */
+export const getBatoChapterPages = async (chapterId) => {
+  console.log('Fetching Bato chapter pages for chapter ID:', chapterId);
 
-    if (pageImages.length > 0) {
-      console.log(`Found ${pageImages.length} pages from all img tags`);
-      
-      return pageImages.map((match, index) => ({
-        url: match[1].startsWith('http') ? match[1] : `${CURRENT_BATO_URL}${match[1]}`,
-        page: index + 1,
-      }));
-    }
+  const html = await fetchFirstAvailable([
+    `/chapter/${chapterId}`,
+    `/read/${chapterId}`,
+  ]);
 
+  const pages = parseBatoChapterPages(html);
+  if (pages.length === 0) {
     console.log('No pages found');
-    return [];
-  } catch (error) {
-    console.error('Error fetching Bato chapter pages:', error);
-    return [];
   }
+  return pages;
 };
 
 /**
  * Get latest updates from Bato
  */
-export const getBatoLatestUpdates = async () => {
-  try {
-    console.log('Fetching latest updates from Bato');
+export const getBatoLatestUpdates = async (page = 1) => {
+  console.log('Fetching latest updates from Bato, page', page);
 
-    const paths = [
-      '/browse?sort=update',
-      '/latest',
-      '/recent',
-    ];
+  const html = await fetchFirstAvailable([
+    '/browse?sort=update',
+    '/latest',
+    '/recent',
+  ].map(path => withPage(path, page)));
 
-    let html = '';
-    for (const path of paths) {
-      try {
-        const response = await tryBatoDomains(path);
-        html = await response.text();
-        if (html.length > 1000) break;
-      } catch (error) {
-        console.log(`Path ${path} failed, trying next...`);
-      }
-    }
-
-    const mangaPatterns = [
-      /<div[^>]*class=["'][^"']*(?:item-|manga-|series-)[^"']*["'][^>]*>[\s\S]*?(?=<div[^>]*class=["'][^"']*(?:item-|manga-|series-)|$)/gi,
-      /<a[^>]*class=["'][^"']*(?:item|card)[^"']*["'][^>]*>[\s\S]*?<\/a>/gi,
-    ];
-
-    let mangaCards = [];
-    for (const pattern of mangaPatterns) {
-      mangaCards = extractAll(html, pattern);
-      if (mangaCards.length > 0) break;
-    }
-
-    const results = [];
-    for (const cardMatch of mangaCards) {
-      const card = cardMatch[0];
-      const manga = parseMangaCard(card);
-      
-      if (manga && manga.id) {
-        results.push({
-          id: manga.id,
-          title: manga.title,
-          coverUrl: manga.coverUrl,
-          description: '',
-          author: null,
-          status: 'unknown',
-        });
-      }
-    }
-
-    return results.slice(0, 20);
-  } catch (error) {
-    console.error('Error fetching latest updates:', error);
-    return [];
-  }
+  return parseBatoMangaList(html);
 };
 
 /**
@@ -736,4 +662,17 @@ export const testBatoConnection = async () => {
     console.error('Failed to connect to Bato:', error);
     return false;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Bato implementation of the source contract (see SOURCE_METHODS in sourceManager.js)
+ */
+export const BatoSource = {
+  searchManga: (query, page = 1, filters = null) => searchBatoManga(query, page, filters),
+  getPopularManga: (page = 1) => getBatoPopularManga(page),
+  getLatestUpdates: (page = 1) => getBatoLatestUpdates(page),
+  getMangaDetails: (mangaId) => getBatoMangaDetails(mangaId),
+  getChapters: (mangaId) => getBatoChapters(mangaId),
+  getChapterPages: (chapterId) => getBatoChapterPages(chapterId),
+  getFilterList: () => createBatoFilters(),
+};
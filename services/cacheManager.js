@@ -16,6 +16,7 @@ const CACHE_KEYS = {
   MANGA: 'inkora_manga_',
   EXTENSIONS: 'inkora_extensions',
   PREFERENCES: 'inkora_prefs_',
+  IMAGE_INDEX: 'inkora_image_index',
 };
 
 /**
@@ -28,6 +29,26 @@ const CACHE_EXPIRATION = {
   EXTENSIONS: 24 * 60 * 60 * 1000,      // 1 day
 };
 
+/**
+ * Disk space per image type; past it the least recently used images are deleted
+ * Similar to the size-bound disk LRU behind Mihon's ChapterCache
+ */
+const IMAGE_CACHE_MAX_BYTES = {
+  page: 150 * 1024 * 1024,              // 150 MB
+};
+
+/**
+ * File extensions for image content types
+ */
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif',
+};
+
 /**
  * File cache directory
  */
@@ -307,50 +328,162 @@ export const ExtensionsCache = {
   },
 };
 
+/**
+ * Cached images by key ({ type, path, size, lastAccess }), persisted so lookups
+ * don't have to list the directory and eviction knows what was used last
+ */
+let imageIndexLoad = null;
+let imageIndexWrite = Promise.resolve();
+let imageIndexWritePending = false;
+
+const getImageKey = (mangaId, type) => `${type}_${mangaId}`;
+
+const getImageIndex = () => {
+  if (!imageIndexLoad) {
+    imageIndexLoad = (async () => {
+      try {
+        const data = await AsyncStorage.getItem(CACHE_KEYS.IMAGE_INDEX);
+        if (data) return JSON.parse(data);
+
+        // Pages cached before the index existed can't be tracked, so start over
+        await FileSystem.deleteAsync(`${getCacheDirectory()}pages/`, { idempotent: true });
+        await FileSystem.makeDirectoryAsync(`${getCacheDirectory()}pages/`, { intermediates: true });
+      } catch (error) {
+        console.error('[CacheManager] Error loading image index:', error);
+      }
+      return {};
+    })();
+  }
+  return imageIndexLoad;
+};
+
+/**
+ * Persist the image index; writes run one at a time and calls made while one
+ * is waiting share it
+ */
+const saveImageIndex = () => {
+  if (imageIndexWritePending) return imageIndexWrite;
+
+  imageIndexWritePending = true;
+  imageIndexWrite = imageIndexWrite
+    .then(async () => {
+      imageIndexWritePending = false;
+      const index = await getImageIndex();
+      await AsyncStorage.setItem(CACHE_KEYS.IMAGE_INDEX, JSON.stringify(index));
+    })
+    .catch(error => console.error('[CacheManager] Error saving image index:', error));
+  return imageIndexWrite;
+};
+
+/**
+ * Extension for a downloaded image, from its content type or else its URL
+ */
+const getImageExtension = (url, headers = {}) => {
+  const contentTypeKey = Object.keys(headers).find(key => key.toLowerCase() === 'content-type');
+  const contentType = contentTypeKey ? headers[contentTypeKey].split(';')[0].trim().toLowerCase() : '';
+  if (IMAGE_EXTENSIONS[contentType]) return IMAGE_EXTENSIONS[contentType];
+
+  const urlMatch = url.match(/\.(jpe?g|png|webp|gif|avif)(?:[?#]|$)/i);
+  return urlMatch ? urlMatch[1].toLowerCase().replace('jpeg', 'jpg') : 'jpg';
+};
+
+/**
+ * Delete the least recently used images of a type until it fits its size limit
+ * `keepKey` (the image just cached) is never deleted
+ */
+const evictImages = async (index, type, keepKey) => {
+  const maxBytes = IMAGE_CACHE_MAX_BYTES[type];
+  if (!maxBytes) return;
+
+  const entries = Object.entries(index)
+    .filter(([, entry]) => entry.type === type)
+    .sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+  let totalBytes = entries.reduce((total, [, entry]) => total + entry.size, 0);
+
+  for (const [key, entry] of entries) {
+    if (totalBytes <= maxBytes) break;
+    if (key === keepKey) continue;
+
+    await FileSystem.deleteAsync(entry.path, { idempotent: true });
+    delete index[key];
+    totalBytes -= entry.size;
+  }
+};
+
 /**
  * Download and cache an image file
  * Similar to Mihon's image download and caching
+ *
+ * `onProgress` receives the downloaded fraction (0-1) when the size is known;
+ * `headers` go with the request, e.g. a source's Referer for hotlink-protected images
  */
-export const downloadAndCacheImage = async (url, mangaId, type = 'cover') => {
-  try {
-    const cacheDir = getCacheDirectory();
-    const filename = `${type}_${mangaId}_${Date.now()}.jpg`;
-    const filePath = `${cacheDir}${type}s/${filename}`;
+export const downloadAndCacheImage = async (url, mangaId, type = 'cover', { onProgress = null, headers = {} } = {}) => {
+  const key = getImageKey(mangaId, type);
+  const basePath = `${getCacheDirectory()}${type}s/${key}`;
+  // Downloaded under a temporary name, so getCachedImage never finds half a file
+  const partialPath = `${basePath}.part`;
 
+  try {
+    // Loaded first: the first load may clear out untracked pages
+    const index = await getImageIndex();
     console.log(`[CacheManager] Downloading image to cache: ${url}`);
 
-    const downloadResult = await FileSystem.downloadAsync(url, filePath);
+    const download = FileSystem.createDownloadResumable(url, partialPath, { headers }, onProgress
+      ? ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+        if (totalBytesExpectedToWrite > 0) {
+          onProgress(totalBytesWritten / totalBytesExpectedToWrite);
+        }
+      }
+      : undefined);
+    const downloadResult = await download.downloadAsync();
 
-    if (downloadResult.status === 200) {
-      console.log(`[CacheManager] Image cached at: ${filePath}`);
-      return filePath;
+    if (downloadResult?.status !== 200) {
+      // Don't leave an error page behind
+      await FileSystem.deleteAsync(partialPath, { idempotent: true });
+      return null;
     }
 
-    return null;
+    const filePath = `${basePath}.${getImageExtension(url, downloadResult.headers)}`;
+    if (index[key] && index[key].path !== filePath) {
+      await FileSystem.deleteAsync(index[key].path, { idempotent: true });
+    }
+    await FileSystem.deleteAsync(filePath, { idempotent: true });
+    await FileSystem.moveAsync({ from: partialPath, to: filePath });
+
+    const fileInfo = await FileSystem.getInfoAsync(filePath);
+    index[key] = { type, path: filePath, size: fileInfo.size || 0, lastAccess: Date.now() };
+    await evictImages(index, type, key);
+    await saveImageIndex();
+
+    console.log(`[CacheManager] Image cached at: ${filePath}`);
+    return filePath;
   } catch (error) {
     console.error('[CacheManager] Error downloading image:', error);
+    await FileSystem.deleteAsync(partialPath, { idempotent: true }).catch(() => {});
     return null;
   }
 };
 
 /**
- * Get cached image file
+ * Get cached image file, marking it as recently used
  */
 export const getCachedImage = async (mangaId, type = 'cover') => {
   try {
-    const cacheDir = `${getCacheDirectory()}${type}s/`;
-    const dirInfo = await FileSystem.getInfoAsync(cacheDir);
-
-    if (!dirInfo.exists) return null;
-
-    const files = await FileSystem.readDirectoryAsync(cacheDir);
-    const cachedFile = files.find(file => file.includes(`${type}_${mangaId}_`));
-
-    if (cachedFile) {
-      return `${cacheDir}${cachedFile}`;
+    const key = getImageKey(mangaId, type);
+    const index = await getImageIndex();
+    const entry = index[key];
+    if (!entry) return null;
+
+    const fileInfo = await FileSystem.getInfoAsync(entry.path);
+    if (!fileInfo.exists) {
+      delete index[key];
+      saveImageIndex();
+      return null;
     }
 
-    return null;
+    entry.lastAccess = Date.now();
+    saveImageIndex();
+    return entry.path;
   } catch (error) {
     console.error('[CacheManager] Error getting cached image:', error);
     return null;
@@ -383,6 +516,8 @@ export const clearAllCaches = async () => {
       await FileSystem.deleteAsync(cacheDir, { idempotent: true });
       await initializeCacheDirectories();
     }
+    imageIndexLoad = Promise.resolve({});
+    await saveImageIndex();
 
     console.log('[CacheManager] All caches cleared');
   } catch (error) {
@@ -0,0 +1,469 @@
+/**
+ * Download Manager - Inspired by Mihon's DownloadManager and Downloader
+ * Downloads chapters for offline reading through a persisted queue
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Use legacy API to avoid deprecation warnings in Expo SDK 54+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Network from 'expo-network';
+import { SourceManager } from './sourceManager';
+import { getChapterPages } from './mangaService';
+import { getAppPreferences } from './storageService';
+import { getSourceHeaders } from './networkUtils';
+
+const QUEUE_STORAGE_KEY = '@inkora_download_queue';
+
+/**
+ * Written last into a chapter directory; its presence marks the chapter as downloaded
+ */
+const MANIFEST_FILE = 'index.json';
+
+const MAX_PAGE_ATTEMPTS = 3;
+
+/**
+ * Download states
+ * Similar to Mihon's Download.State
+ */
+export const DownloadState = {
+  QUEUED: 'queued',
+  DOWNLOADING: 'downloading',
+  DOWNLOADED: 'downloaded',
+  ERROR: 'error',
+};
+
+/**
+ * Downloads live in the document directory, so clearing caches never removes them
+ */
+const getDownloadsDirectory = () => {
+  return `${FileSystem.documentDirectory}inkora/downloads/`;
+};
+
+/**
+ * Make an ID safe to use as a directory name
+ */
+const toPathSegment = (id) => String(id).replace(/[^a-zA-Z0-9._-]/g, '_');
+
+const getMangaDirectory = (sourceId, mangaId) =>
+  `${getDownloadsDirectory()}${toPathSegment(sourceId)}/${toPathSegment(mangaId)}/`;
+
+const getChapterDirectory = (sourceId, mangaId, chapterId) =>
+  `${getMangaDirectory(sourceId, mangaId)}${toPathSegment(chapterId)}/`;
+
+const getDownloadId = (sourceId, mangaId, chapterId) => `${sourceId}:${mangaId}:${chapterId}`;
+
+/**
+ * Keep the image's extension when the URL has one
+ */
+const getPageFileName = (url, index) => {
+  const extensionMatch = url.match(/\.(jpe?g|png|webp|gif|avif)(?:[?#]|$)/i);
+  const extension = extensionMatch ? extensionMatch[1].toLowerCase() : 'jpg';
+  return `${String(index + 1).padStart(3, '0')}.${extension}`;
+};
+
+/**
+ * Read a downloaded chapter's manifest, or null if it isn't fully downloaded
+ */
+const readManifest = async (sourceId, mangaId, chapterId) => {
+  try {
+    const manifestPath = `${getChapterDirectory(sourceId, mangaId, chapterId)}${MANIFEST_FILE}`;
+    const info = await FileSystem.getInfoAsync(manifestPath);
+    if (!info.exists) return null;
+
+    return JSON.parse(await FileSystem.readAsStringAsync(manifestPath));
+  } catch (error) {
+    console.error('[DownloadManager] Error reading manifest:', error);
+    return null;
+  }
+};
+
+/**
+ * Check if a chapter is downloaded
+ */
+export const isChapterDownloaded = async (sourceId, mangaId, chapterId) => {
+  return (await readManifest(sourceId, mangaId, chapterId)) !== null;
+};
+
+/**
+ * Get a downloaded chapter's pages as local file URIs, in the same shape
+ * getChapterPages returns, or null if the chapter isn't downloaded
+ */
+export const getDownloadedPages = async (sourceId, mangaId, chapterId) => {
+  const manifest = await readManifest(sourceId, mangaId, chapterId);
+  if (!manifest) return null;
+
+  const chapterDir = getChapterDirectory(sourceId, mangaId, chapterId);
+  return manifest.pages.map((fileName, index) => ({
+    url: `${chapterDir}${fileName}`,
+    page: index + 1,
+  }));
+};
+
+/**
+ * Get the IDs of a manga's downloaded chapters
+ */
+export const getDownloadedChapterIds = async (sourceId, mangaId, chapters) => {
+  const results = await Promise.all(
+    chapters.map(chapter => isChapterDownloaded(sourceId, mangaId, chapter.id))
+  );
+  return chapters.filter((chapter, index) => results[index]).map(chapter => chapter.id);
+};
+
+/**
+ * Delete downloaded chapters
+ */
+export const deleteDownloadedChapters = async (sourceId, mangaId, chapterIds) => {
+  try {
+    for (const chapterId of chapterIds) {
+      await FileSystem.deleteAsync(getChapterDirectory(sourceId, mangaId, chapterId), { idempotent: true });
+    }
+    console.log(`[DownloadManager] Deleted ${chapterIds.length} chapters`);
+    return true;
+  } catch (error) {
+    console.error('[DownloadManager] Error deleting chapters:', error);
+    return false;
+  }
+};
+
+const isWifi = (state) => state.type === Network.NetworkStateType.WIFI && state.isConnected !== false;
+
+/**
+ * Whether the current connection allows downloading
+ */
+const canDownloadOnCurrentNetwork = async () => {
+  const prefs = await getAppPreferences();
+  if (!prefs.downloadOnlyOnWifi) return true;
+
+  try {
+    return isWifi(await Network.getNetworkStateAsync());
+  } catch (error) {
+    console.error('[DownloadManager] Error getting network state:', error);
+    return false;
+  }
+};
+
+/**
+ * Download queue runner
+ * Downloads one chapter at a time; finished pages stay on disk, so a paused
+ * or interrupted chapter continues where it stopped
+ */
+class DownloadManagerImpl {
+  constructor() {
+    this.queue = [];
+    this.paused = false;
+    // Set when the queue paused itself for leaving Wi-Fi, rather than by the user
+    this.waitingForWifi = false;
+    this.running = false;
+    this.listeners = new Set();
+    this.initPromise = null;
+    this.networkSubscription = null;
+  }
+
+  /**
+   * Restore the persisted queue and continue downloading unless paused
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this._restore();
+    }
+    return this.initPromise;
+  }
+
+  async _restore() {
+    try {
+      const data = await AsyncStorage.getItem(QUEUE_STORAGE_KEY);
+      if (data) {
+        const parsed = JSON.parse(data);
+        this.paused = !!parsed.paused;
+        this.waitingForWifi = this.paused && !!parsed.waitingForWifi;
+        // A chapter that was downloading when the app closed goes back in line
+        this.queue = (parsed.queue || []).map(item =>
+          item.state === DownloadState.DOWNLOADING ? { ...item, state: DownloadState.QUEUED } : item
+        );
+      }
+      console.log(`[DownloadManager] Restored ${this.queue.length} queued downloads`);
+    } catch (error) {
+      console.error('[DownloadManager] Error restoring queue:', error);
+    }
+
+    this.networkSubscription = Network.addNetworkStateListener(state => this._onNetworkStateChange(state));
+    // Wi-Fi may have come back while the app was closed
+    if (this.waitingForWifi && await canDownloadOnCurrentNetwork()) {
+      this.paused = false;
+      this.waitingForWifi = false;
+    }
+
+    this._notify();
+    this._start();
+  }
+
+  /**
+   * Resume a queue that paused itself for Wi-Fi once the device is back on it
+   */
+  async _onNetworkStateChange(state) {
+    if (!this.waitingForWifi || !isWifi(state)) return;
+
+    console.log('[DownloadManager] Back on Wi-Fi, resuming downloads');
+    await this.resume();
+  }
+
+  async _persist() {
+    try {
+      await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify({
+        paused: this.paused,
+        waitingForWifi: this.waitingForWifi,
+        queue: this.queue,
+      }));
+    } catch (error) {
+      console.error('[DownloadManager] Error saving queue:', error);
+    }
+  }
+
+  /**
+   * Listen for queue changes; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getQueue());
+    return () => this.listeners.delete(listener);
+  }
+
+  _notify() {
+    const snapshot = this.getQueue();
+    this.listeners.forEach(listener => listener(snapshot));
+  }
+
+  getQueue() {
+    return this.queue.map(item => ({ ...item }));
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Queue chapters of a manga for download, skipping ones already queued or downloaded
+   */
+  async enqueue(source, manga, chapters) {
+    await this.init();
+
+    const sourceId = SourceManager.resolveSource(source)?.id || source.id;
+    let added = 0;
+
+    for (const chapter of chapters) {
+      const id = getDownloadId(sourceId, manga.id, chapter.id);
+      if (this.queue.some(item => item.id === id)) continue;
+      if (await isChapterDownloaded(sourceId, manga.id, chapter.id)) continue;
+
+      this.queue.push({
+        id,
+        sourceId,
+        manga: { id: manga.id, title: manga.title, coverUrl: manga.coverUrl },
+        chapter: { id: chapter.id, name: chapter.name },
+        state: DownloadState.QUEUED,
+        downloadedPages: 0,
+        totalPages: 0,
+        error: null,
+      });
+      added++;
+    }
+
+    console.log(`[DownloadManager] Queued ${added} chapters`);
+    await this._persist();
+    this._notify();
+    this._start();
+    return added;
+  }
+
+  /**
+   * Pause the queue; `waitingForWifi` lets it resume by itself when Wi-Fi returns
+   */
+  async pause({ waitingForWifi = false } = {}) {
+    this.paused = true;
+    this.waitingForWifi = waitingForWifi;
+    await this._persist();
+    this._notify();
+  }
+
+  async resume() {
+    this.paused = false;
+    this.waitingForWifi = false;
+    // Failed chapters get another try when the queue is resumed
+    this.queue = this.queue.map(item =>
+      item.state === DownloadState.ERROR ? { ...item, state: DownloadState.QUEUED, error: null } : item
+    );
+    await this._persist();
+    this._notify();
+    this._start();
+  }
+
+  /**
+   * Remove a download from the queue and delete its partial files
+   */
+  async cancel(downloadId) {
+    const item = this.queue.find(entry => entry.id === downloadId);
+    if (!item) return;
+
+    this.queue = this.queue.filter(entry => entry.id !== downloadId);
+    await this._persist();
+    this._notify();
+
+    // The runner notices the removal between pages; files are deleted once it lets go
+    if (item.state !== DownloadState.DOWNLOADING) {
+      await deleteDownloadedChapters(item.sourceId, item.manga.id, [item.chapter.id]);
+    }
+  }
+
+  async clearQueue() {
+    const ids = this.queue.map(item => item.id);
+    for (const id of ids) {
+      await this.cancel(id);
+    }
+  }
+
+  _update(downloadId, changes) {
+    const index = this.queue.findIndex(item => item.id === downloadId);
+    if (index === -1) return;
+
+    this.queue[index] = { ...this.queue[index], ...changes };
+    this._notify();
+  }
+
+  async _start() {
+    if (this.running || this.paused) return;
+
+    this.running = true;
+    try {
+      while (!this.paused) {
+        const item = this.queue.find(entry => entry.state === DownloadState.QUEUED);
+        if (!item) break;
+
+        if (!(await canDownloadOnCurrentNetwork())) {
+          console.log('[DownloadManager] Waiting for Wi-Fi, pausing downloads');
+          await this.pause({ waitingForWifi: true });
+          break;
+        }
+
+        await this._downloadChapter(item);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _downloadChapter(item) {
+    const { sourceId, manga, chapter } = item;
+    const isCancelled = () => !this.queue.some(entry => entry.id === item.id);
+    const chapterDir = getChapterDirectory(sourceId, manga.id, chapter.id);
+
+    this._update(item.id, { state: DownloadState.DOWNLOADING, error: null });
+
+    try {
+      const source = SourceManager.getSource(sourceId);
+      if (!source) {
+        throw new Error(`Source ${sourceId} is not available`);
+      }
+
+      const pages = await getChapterPages(source, chapter.id);
+      if (pages.length === 0) {
+        throw new Error('No pages found');
+      }
+
+      await FileSystem.makeDirectoryAsync(chapterDir, { intermediates: true });
+      this._update(item.id, { totalPages: pages.length });
+      const headers = getSourceHeaders(source);
+
+      const fileNames = [];
+      for (let index = 0; index < pages.length; index++) {
+        if (isCancelled() || this.paused) break;
+
+        const fileName = getPageFileName(pages[index].url, index);
+        await this._downloadPage(pages[index].url, `${chapterDir}${fileName}`, headers);
+        fileNames.push(fileName);
+        this._update(item.id, { downloadedPages: index + 1 });
+      }
+
+      if (isCancelled()) {
+        await FileSystem.deleteAsync(chapterDir, { idempotent: true });
+        return;
+      }
+
+      if (this.paused) {
+        this._update(item.id, { state: DownloadState.QUEUED });
+        await this._persist();
+        return;
+      }
+
+      await FileSystem.writeAsStringAsync(`${chapterDir}${MANIFEST_FILE}`, JSON.stringify({
+        mangaId: manga.id,
+        chapterId: chapter.id,
+        chapterName: chapter.name,
+        pages: fileNames,
+        downloadedAt: Date.now(),
+      }));
+
+      console.log(`[DownloadManager] Downloaded ${manga.title} - ${chapter.name}`);
+      // Finished chapters leave the queue; the manifest now tracks them
+      this.queue = this.queue.filter(entry => entry.id !== item.id);
+      this._notify();
+      await this._persist();
+    } catch (error) {
+      console.error('[DownloadManager] Error downloading chapter:', error.message);
+      this._update(item.id, { state: DownloadState.ERROR, error: error.message });
+      await this._persist();
+    }
+  }
+
+  /**
+   * Download a page unless a previous run already saved it
+   */
+  async _downloadPage(url, filePath, headers = {}) {
+    const existing = await FileSystem.getInfoAsync(filePath);
+    if (existing.exists && existing.size > 0) return;
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_PAGE_ATTEMPTS; attempt++) {
+      try {
+        const result = await FileSystem.downloadAsync(url, filePath, { headers });
+        if (result.status === 200) return;
+        lastError = new Error(`HTTP ${result.status}`);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    await FileSystem.deleteAsync(filePath, { idempotent: true });
+    throw new Error(`Failed to download page: ${lastError.message}`);
+  }
+}
+
+/**
+ * Singleton download manager instance
+ */
+let downloadManagerInstance = null;
+
+export const getDownloadManager = () => {
+  if (!downloadManagerInstance) {
+    downloadManagerInstance = new DownloadManagerImpl();
+  }
+  return downloadManagerInstance;
+};
+
+/**
+ * Aggregate DownloadManager object for convenient imports
+ */
+export const DownloadManager = {
+  init: () => getDownloadManager().init(),
+  enqueue: (source, manga, chapters) => getDownloadManager().enqueue(source, manga, chapters),
+  pause: () => getDownloadManager().pause(),
+  resume: () => getDownloadManager().resume(),
+  cancel: (downloadId) => getDownloadManager().cancel(downloadId),
+  clearQueue: () => getDownloadManager().clearQueue(),
+  subscribe: (listener) => getDownloadManager().subscribe(listener),
+  getQueue: () => getDownloadManager().getQueue(),
+  isPaused: () => getDownloadManager().isPaused(),
+  isChapterDownloaded,
+  getDownloadedPages,
+  getDownloadedChapterIds,
+  deleteDownloadedChapters,
+};
@@ -38,6 +38,25 @@ class Filter {
   toQuery() {
     return {};
   }
+
+  /**
+   * Restore the filter's default state
+   */
+  reset() {}
+
+  /**
+   * Whether the filter is still in its default state
+   */
+  isDefault() {
+    return true;
+  }
+
+  /**
+   * Copy of the filter with the same state; editing one doesn't change the other
+   */
+  clone() {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+  }
 }
 
 /**
@@ -72,6 +91,14 @@ export class TextFilter extends Filter {
     this.value = value;
   }
 
+  reset() {
+    this.value = '';
+  }
+
+  isDefault() {
+    return this.value.trim() === '';
+  }
+
   toQuery() {
     return this.value ? { [this.name.toLowerCase()]: this.value } : {};
   }
@@ -84,12 +111,21 @@ export class CheckboxFilter extends Filter {
   constructor(name, defaultValue = false) {
     super(name, FilterType.CHECKBOX);
     this.checked = defaultValue;
+    this.defaultValue = defaultValue;
   }
 
   setChecked(checked) {
     this.checked = checked;
   }
 
+  reset() {
+    this.checked = this.defaultValue;
+  }
+
+  isDefault() {
+    return this.checked === this.defaultValue;
+  }
+
   toQuery() {
     return { [this.name.toLowerCase()]: this.checked };
   }
@@ -103,6 +139,7 @@ export class SelectFilter extends Filter {
     super(name, FilterType.SELECT);
     this.options = options;
     this.selectedIndex = defaultIndex;
+    this.defaultIndex = defaultIndex;
   }
 
   setSelected(index) {
@@ -115,6 +152,14 @@ export class SelectFilter extends Filter {
     return this.options[this.selectedIndex];
   }
 
+  reset() {
+    this.selectedIndex = this.defaultIndex;
+  }
+
+  isDefault() {
+    return this.selectedIndex === this.defaultIndex;
+  }
+
   toQuery() {
     const selected = this.getSelected();
     return selected ? { [this.name.toLowerCase()]: selected.value || selected } : {};
@@ -125,11 +170,13 @@ export class SelectFilter extends Filter {
  * Sort filter
  */
 export class SortFilter extends Filter {
-  constructor(name, options, defaultSort = null) {
+  constructor(name, options, defaultSort = null, ascending = true) {
     super(name, FilterType.SORT);
     this.options = options;
     this.selected = defaultSort || (options.length > 0 ? options[0] : null);
-    this.ascending = true;
+    this.ascending = ascending;
+    this.defaultSelected = this.selected;
+    this.defaultAscending = ascending;
   }
 
   setSort(option, ascending = true) {
@@ -137,6 +184,19 @@ export class SortFilter extends Filter {
     this.ascending = ascending;
   }
 
+  reset() {
+    this.selected = this.defaultSelected;
+    this.ascending = this.defaultAscending;
+  }
+
+  /**
+   * Whether the sort is still the one the source set up
+   */
+  isDefault() {
+    return this.selected?.value === this.defaultSelected?.value
+      && this.ascending === this.defaultAscending;
+  }
+
   toQuery() {
     if (!this.selected) return {};
     
@@ -154,6 +214,7 @@ export class TriStateFilter extends Filter {
   constructor(name, defaultState = TriState.DISABLED) {
     super(name, FilterType.TRISTATE);
     this.state = defaultState;
+    this.defaultState = defaultState;
   }
 
   setState(state) {
@@ -168,6 +229,14 @@ export class TriStateFilter extends Filter {
     this.state = states[(currentIndex + 1) % states.length];
   }
 
+  reset() {
+    this.state = this.defaultState;
+  }
+
+  isDefault() {
+    return this.state === this.defaultState;
+  }
+
   toQuery() {
     if (this.state === TriState.DISABLED) return {};
     
@@ -193,6 +262,20 @@ export class GroupFilter extends Filter {
     });
     return query;
   }
+
+  reset() {
+    this.filters.forEach(filter => filter.reset());
+  }
+
+  isDefault() {
+    return this.filters.every(filter => filter.isDefault());
+  }
+
+  clone() {
+    const copy = super.clone();
+    copy.filters = this.filters.map(filter => filter.clone());
+    return copy;
+  }
 }
 
 /**
@@ -219,8 +302,12 @@ export class FilterList {
     return this.filters[index];
   }
 
+  /**
+   * Find a filter by name; headers are skipped since they often share a name
+   * with the filter they introduce (e.g. the "Genres" header and group)
+   */
   getByName(name) {
-    return this.filters.find(f => f.name === name);
+    return this.filters.find(f => f.name === name && f.type !== FilterType.HEADER);
   }
 
   toQuery() {
@@ -232,21 +319,22 @@ export class FilterList {
   }
 
   reset() {
-    this.filters.forEach(filter => {
-      if (filter.type === FilterType.TEXT) {
-        filter.setValue('');
-      } else if (filter.type === FilterType.CHECKBOX) {
-        filter.setChecked(false);
-      } else if (filter.type === FilterType.SELECT) {
-        filter.setSelected(0);
-      } else if (filter.type === FilterType.TRISTATE) {
-        filter.setState(TriState.DISABLED);
-      } else if (filter.type === FilterType.GROUP) {
-        filter.filters.forEach(f => {
-          if (f.reset) f.reset();
-        });
-      }
-    });
+    this.filters.forEach(filter => filter.reset());
+  }
+
+  /**
+   * Whether every filter is still in its default state, i.e. applying the
+   * list would browse the same as applying no filters
+   */
+  isDefault() {
+    return this.filters.every(filter => filter.isDefault());
+  }
+
+  /**
+   * Deep copy, e.g. to keep the applied filters apart from the ones being edited
+   */
+  clone() {
+    return new FilterList(this.filters.map(filter => filter.clone()));
   }
 
   size() {
@@ -292,7 +380,7 @@ export const CommonFilters = {
       { label: 'Popular', value: 'popular' },
       { label: 'Rating', value: 'rating' },
       { label: 'Title', value: 'title' },
-    ]);
+    ], null, false);
   },
 
   /**
@@ -381,6 +469,7 @@ export const createMangaDexFilters = () => {
 
 /**
  * Bato specific filters
+ * Option values are Bato's own browse parameters (see buildBatoBrowsePath in batoService.js)
  */
 export const createBatoFilters = () => {
   const filters = new FilterList();
@@ -396,9 +485,21 @@ export const createBatoFilters = () => {
   filters.add(new HeaderFilter('Sort'));
   filters.add(new SortFilter('Sort', [
     { label: 'Latest', value: 'update' },
-    { label: 'Popular', value: 'popular' },
-    { label: 'Views', value: 'views' },
-  ]));
+    { label: 'Popular', value: 'views_a' },
+    { label: 'Views (30 days)', value: 'views_d030' },
+    { label: 'Newly Added', value: 'create' },
+    { label: 'Title', value: 'title' },
+  ], null, false));
+  filters.add(new SeparatorFilter());
+
+  filters.add(new HeaderFilter('Genres'));
+  const genres = [
+    'Action', 'Adventure', 'Comedy', 'Drama', 'Fantasy',
+    'Horror', 'Isekai', 'Martial Arts', 'Mystery', 'Psychological',
+    'Romance', 'School Life', 'Sci-Fi', 'Slice of Life', 'Sports',
+    'Supernatural', 'Thriller', 'Tragedy',
+  ];
+  filters.add(new GroupFilter('Genres', CommonFilters.createGenreFilters(genres)));
 
   return filters;
 };
@@ -419,3 +520,24 @@ export const applyFiltersToUrl = (baseUrl, filters) => {
   const queryString = params.toString();
   return queryString ? `${baseUrl}?${queryString}` : baseUrl;
 };
+
+/**
+ * Aggregate FilterSystem object for convenient imports
+ */
+export const FilterSystem = {
+  FilterType,
+  TriState,
+  HeaderFilter,
+  SeparatorFilter,
+  TextFilter,
+  CheckboxFilter,
+  SelectFilter,
+  SortFilter,
+  TriStateFilter,
+  GroupFilter,
+  FilterList,
+  CommonFilters,
+  createMangaDexFilters,
+  createBatoFilters,
+  applyFiltersToUrl,
+};
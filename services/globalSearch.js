@@ -0,0 +1,95 @@
+/**
+ * Global Search - Inspired by Mihon's GlobalSearchScreenModel
+ * Searches every source in parallel and reports each source as soon as it finishes
+ */
+
+import { SourceManager } from './sourceManager';
+import { toMangasPage } from './mangaService';
+import { TimeoutError } from './networkUtils';
+import { runWithConcurrency } from '../utils/concurrency';
+
+/**
+ * Sources searched at the same time
+ */
+const CONCURRENT_SOURCES = 3;
+
+/**
+ * How long one source gets before it's reported as timed out
+ */
+const SOURCE_TIMEOUT_MS = 20000;
+
+/**
+ * Sources a global search runs against
+ */
+export const getSearchableSources = () => SourceManager.getAllSources().filter(source => !source.isStub);
+
+const withTimeout = (promise, timeoutMs) => {
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(
+      () => reject(new TimeoutError(`No response after ${timeoutMs / 1000}s`)),
+      timeoutMs
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+};
+
+const searchSource = async (source, query, filters, timeoutMs) => {
+  const result = {
+    source,
+    sourceId: source.id,
+    sourceName: source.name,
+    mangas: [],
+    hasNextPage: false,
+    error: null,
+  };
+
+  try {
+    // Call the source directly; mangaService.searchManga would swallow the error
+    const page = toMangasPage(await withTimeout(source.searchManga(query, 1, filters), timeoutMs));
+    result.mangas = page.mangas;
+    result.hasNextPage = page.hasNextPage;
+  } catch (error) {
+    console.error(`[GlobalSearch] Error searching ${source.name}:`, error.message);
+    result.error = error.message || 'Search failed';
+  }
+
+  return result;
+};
+
+/**
+ * Search every source for `query`
+ * `onResult` is called with each source's result as soon as it finishes, so
+ * screens can render rows before the slowest source answers
+ *
+ * Returns [{ source, sourceId, sourceName, mangas, hasNextPage, error }] in source order;
+ * `error` is set (and `mangas` empty) for sources that failed or timed out
+ */
+export const searchAllSources = async (query, {
+  filters = null,
+  onResult = null,
+  sources = getSearchableSources(),
+  concurrency = CONCURRENT_SOURCES,
+  timeoutMs = SOURCE_TIMEOUT_MS,
+} = {}) => {
+  console.log(`[GlobalSearch] Searching ${sources.length} sources for "${query}"`);
+  const results = new Array(sources.length);
+
+  const indexes = sources.map((_, index) => index);
+  await runWithConcurrency(indexes, concurrency, async (index) => {
+    results[index] = await searchSource(sources[index], query, filters, timeoutMs);
+    if (onResult) {
+      onResult(results[index]);
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Aggregate GlobalSearch object for convenient imports
+ */
+export const GlobalSearch = {
+  searchAllSources,
+  getSearchableSources,
+};
@@ -0,0 +1,598 @@
+/**
+ * HTML Parser - Inspired by Mihon's use of Jsoup in sources
+ * Builds a lightweight DOM from scraped pages and queries it with CSS selectors,
+ * so source modules don't have to match markup with regexes.
+ * Tolerant of the messy HTML manga sites serve (unclosed tags, stray end tags).
+ */
+
+/**
+ * Elements that never have children
+ */
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+/**
+ * Elements whose content is not parsed as markup
+ */
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const BLOCK_ELEMENTS = [
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'footer',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav',
+  'ol', 'p', 'pre', 'section', 'table', 'ul',
+];
+
+/**
+ * Open elements that are implicitly closed when one of the listed tags starts
+ */
+const IMPLIED_END_TAGS = {
+  p: new Set(BLOCK_ELEMENTS),
+  li: new Set(['li']),
+  option: new Set(['option', 'optgroup']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  tr: new Set(['tr']),
+  td: new Set(['td', 'th', 'tr']),
+  th: new Set(['td', 'th', 'tr']),
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  copy: '©',
+};
+
+/**
+ * Decode HTML character references
+ */
+export const decodeEntities = (text) => {
+  if (!text || text.indexOf('&') === -1) return text;
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+};
+
+/**
+ * DOM node (document, element or text)
+ */
+export class HtmlNode {
+  constructor(type, tagName = null, attributes = {}) {
+    this.type = type;
+    this.tagName = tagName;
+    this.attributes = attributes;
+    this.children = [];
+    this.parent = null;
+    this.data = '';
+  }
+
+  appendChild(node) {
+    node.parent = this;
+    this.children.push(node);
+    return node;
+  }
+
+  get elementChildren() {
+    return this.children.filter(child => child.type === 'element');
+  }
+
+  /**
+   * Attribute value, or null when missing
+   */
+  attr(name) {
+    const value = this.attributes[name.toLowerCase()];
+    return value === undefined ? null : value;
+  }
+
+  hasClass(className) {
+    const classes = this.attributes.class;
+    return !!classes && classes.split(/\s+/).includes(className);
+  }
+
+  /**
+   * Unmodified text of all descendants (useful for script contents)
+   */
+  rawText() {
+    if (this.type === 'text') return this.data;
+    if (this.tagName === 'br') return '\n';
+    return this.children.map(child => child.rawText()).join('');
+  }
+
+  /**
+   * Text of all descendants with whitespace collapsed, like Jsoup's text()
+   */
+  text() {
+    return this.rawText().replace(/\s+/g, ' ').trim();
+  }
+
+  previousElementSibling() {
+    if (!this.parent) return null;
+    const siblings = this.parent.children;
+    for (let i = siblings.indexOf(this) - 1; i >= 0; i--) {
+      if (siblings[i].type === 'element') return siblings[i];
+    }
+    return null;
+  }
+
+  nextElementSibling() {
+    if (!this.parent) return null;
+    const siblings = this.parent.children;
+    for (let i = siblings.indexOf(this) + 1; i < siblings.length; i++) {
+      if (siblings[i].type === 'element') return siblings[i];
+    }
+    return null;
+  }
+
+  /**
+   * Check whether this element matches a selector
+   */
+  matches(selector) {
+    return this.type === 'element' && matchesSelectorList(this, parseSelector(selector));
+  }
+
+  /**
+   * Nearest ancestor (or self) matching a selector
+   */
+  closest(selector) {
+    const groups = parseSelector(selector);
+    for (let node = this; node && node.type === 'element'; node = node.parent) {
+      if (matchesSelectorList(node, groups)) return node;
+    }
+    return null;
+  }
+
+  /**
+   * All descendant elements matching a selector, in document order
+   */
+  querySelectorAll(selector) {
+    const groups = parseSelector(selector);
+    const results = [];
+
+    const walk = (node) => {
+      for (const child of node.children) {
+        if (child.type !== 'element') continue;
+        if (matchesSelectorList(child, groups)) results.push(child);
+        walk(child);
+      }
+    };
+
+    walk(this);
+    return results;
+  }
+
+  /**
+   * First descendant element matching a selector, or null
+   */
+  querySelector(selector) {
+    const groups = parseSelector(selector);
+
+    const walk = (node) => {
+      for (const child of node.children) {
+        if (child.type !== 'element') continue;
+        if (matchesSelectorList(child, groups)) return child;
+        const found = walk(child);
+        if (found) return found;
+      }
+      return null;
+    };
+
+    return walk(this);
+  }
+}
+
+const TAG_NAME_PATTERN = /[a-zA-Z][^\s/>]*/y;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+
+/**
+ * Parse a start tag at `start` (pointing at '<')
+ * Returns { tagName, attributes, selfClosing, end } or null if it isn't a tag
+ */
+const readStartTag = (html, start) => {
+  TAG_NAME_PATTERN.lastIndex = start + 1;
+  const nameMatch = TAG_NAME_PATTERN.exec(html);
+  if (!nameMatch) return null;
+
+  const attributes = {};
+  let pos = TAG_NAME_PATTERN.lastIndex;
+  let selfClosing = false;
+
+  while (pos < html.length) {
+    const ch = html[pos];
+
+    if (ch === '>') {
+      return { tagName: nameMatch[0].toLowerCase(), attributes, selfClosing, end: pos + 1 };
+    }
+    if (ch === '/') {
+      selfClosing = html[pos + 1] === '>';
+      pos++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    ATTRIBUTE_PATTERN.lastIndex = pos;
+    const attrMatch = ATTRIBUTE_PATTERN.exec(html);
+    if (!attrMatch) {
+      pos++;
+      continue;
+    }
+
+    const name = attrMatch[1].toLowerCase();
+    if (!(name in attributes)) {
+      const value = attrMatch[2] ?? attrMatch[3] ?? attrMatch[4] ?? '';
+      attributes[name] = decodeEntities(value);
+    }
+    pos = ATTRIBUTE_PATTERN.lastIndex;
+    selfClosing = false;
+  }
+
+  // Unterminated tag at end of input
+  return { tagName: nameMatch[0].toLowerCase(), attributes, selfClosing, end: html.length };
+};
+
+/**
+ * Parse an HTML string into a document node
+ */
+export const parseHTML = (html) => {
+  const document = new HtmlNode('document');
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+  const source = html || '';
+  let pos = 0;
+
+  const addText = (text) => {
+    if (!text) return;
+    const node = new HtmlNode('text');
+    node.data = decodeEntities(text);
+    current().appendChild(node);
+  };
+
+  while (pos < source.length) {
+    const tagStart = source.indexOf('<', pos);
+    if (tagStart === -1) {
+      addText(source.slice(pos));
+      break;
+    }
+
+    addText(source.slice(pos, tagStart));
+    pos = tagStart;
+
+    // Comments
+    if (source.startsWith('<!--', pos)) {
+      const end = source.indexOf('-->', pos + 4);
+      pos = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    // Doctype and processing instructions
+    if (source[pos + 1] === '!' || source[pos + 1] === '?') {
+      const end = source.indexOf('>', pos);
+      pos = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    // End tags close the nearest matching open element; stray ones are ignored
+    if (source[pos + 1] === '/') {
+      const end = source.indexOf('>', pos);
+      const tagName = source.slice(pos + 2, end === -1 ? source.length : end).trim().toLowerCase();
+      pos = end === -1 ? source.length : end + 1;
+
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tagName === tagName) {
+          stack.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+
+    const tag = readStartTag(source, pos);
+    if (!tag) {
+      // A lone '<' is just text
+      addText('<');
+      pos++;
+      continue;
+    }
+    pos = tag.end;
+
+    const impliedEnd = IMPLIED_END_TAGS[current().tagName];
+    if (impliedEnd && impliedEnd.has(tag.tagName)) {
+      stack.pop();
+    }
+
+    const element = current().appendChild(new HtmlNode('element', tag.tagName, tag.attributes));
+
+    if (RAW_TEXT_ELEMENTS.has(tag.tagName) && !tag.selfClosing) {
+      const closeIndex = source.toLowerCase().indexOf(`</${tag.tagName}`, pos);
+      const end = closeIndex === -1 ? source.length : closeIndex;
+      const text = new HtmlNode('text');
+      const raw = source.slice(pos, end);
+      text.data = tag.tagName === 'script' || tag.tagName === 'style' ? raw : decodeEntities(raw);
+      element.appendChild(text);
+
+      const closeEnd = closeIndex === -1 ? -1 : source.indexOf('>', closeIndex);
+      pos = closeEnd === -1 ? source.length : closeEnd + 1;
+      continue;
+    }
+
+    if (!VOID_ELEMENTS.has(tag.tagName) && !tag.selfClosing) {
+      stack.push(element);
+    }
+  }
+
+  return document;
+};
+
+// ---------------------------------------------------------------------------
+// CSS selectors
+// Supported: tag, *, #id, .class, [attr], [attr=v], [attr~=v], [attr|=v],
+// [attr^=v], [attr$=v], [attr*=v], descendant, >, +, ~, comma groups,
+// :first-child, :last-child, :nth-child(n), :not(selector),
+// :contains(text) (Jsoup extension, case-insensitive)
+// ---------------------------------------------------------------------------
+
+const IDENT_PATTERN = /-?[_a-zA-Z0-9\u00a0-\uffff][-_a-zA-Z0-9\u00a0-\uffff]*/y;
+const SELECTOR_ATTRIBUTE_PATTERN = /\[\s*([^\s~|^$*=\]]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*(i)?\s*)?\]/y;
+
+const selectorCache = new Map();
+
+/**
+ * Read an identifier at pos, returns [value, nextPos] or null
+ */
+const readIdent = (selector, pos) => {
+  IDENT_PATTERN.lastIndex = pos;
+  const match = IDENT_PATTERN.exec(selector);
+  return match ? [match[0], IDENT_PATTERN.lastIndex] : null;
+};
+
+/**
+ * Read the contents of a parenthesised pseudo-class argument
+ */
+const readPseudoArgument = (selector, pos) => {
+  let depth = 1;
+  let end = pos;
+  let quote = null;
+
+  while (end < selector.length) {
+    const ch = selector[end];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) break;
+    }
+    end++;
+  }
+
+  if (depth !== 0) throw new Error(`Invalid selector: ${selector}`);
+  return [selector.slice(pos, end).trim(), end + 1];
+};
+
+/**
+ * Parse a compound selector (e.g. `a.item-title[href^="/series/"]`)
+ */
+const parseCompound = (selector, start) => {
+  const compound = { tag: null, id: null, classes: [], attributes: [], pseudos: [] };
+  let pos = start;
+
+  if (selector[pos] === '*') {
+    compound.tag = '*';
+    pos++;
+  } else {
+    const tag = readIdent(selector, pos);
+    if (tag) {
+      compound.tag = tag[0].toLowerCase();
+      pos = tag[1];
+    }
+  }
+
+  while (pos < selector.length) {
+    const ch = selector[pos];
+
+    if (ch === '.' || ch === '#') {
+      const ident = readIdent(selector, pos + 1);
+      if (!ident) throw new Error(`Invalid selector: ${selector}`);
+      if (ch === '.') compound.classes.push(ident[0]);
+      else compound.id = ident[0];
+      pos = ident[1];
+    } else if (ch === '[') {
+      SELECTOR_ATTRIBUTE_PATTERN.lastIndex = pos;
+      const match = SELECTOR_ATTRIBUTE_PATTERN.exec(selector);
+      if (!match) throw new Error(`Invalid selector: ${selector}`);
+      const ignoreCase = !!match[6];
+      const value = match[3] ?? match[4] ?? match[5] ?? null;
+      compound.attributes.push({
+        name: match[1].toLowerCase(),
+        operator: match[2] || null,
+        value: value !== null && ignoreCase ? value.toLowerCase() : value,
+        ignoreCase,
+      });
+      pos = SELECTOR_ATTRIBUTE_PATTERN.lastIndex;
+    } else if (ch === ':') {
+      const ident = readIdent(selector, pos + 1);
+      if (!ident) throw new Error(`Invalid selector: ${selector}`);
+      const pseudo = { name: ident[0].toLowerCase(), argument: null };
+      pos = ident[1];
+
+      if (selector[pos] === '(') {
+        const [argument, next] = readPseudoArgument(selector, pos + 1);
+        pseudo.argument = pseudo.name === 'not' ? parseSelector(argument) : argument;
+        pos = next;
+      }
+      compound.pseudos.push(pseudo);
+    } else {
+      break;
+    }
+  }
+
+  if (pos === start) throw new Error(`Invalid selector: ${selector}`);
+  return [compound, pos];
+};
+
+/**
+ * Parse a selector list into groups of [{ combinator, compound }]
+ * The combinator links each compound to the one before it
+ */
+const parseSelector = (selector) => {
+  const cached = selectorCache.get(selector);
+  if (cached) return cached;
+
+  const groups = [];
+  let parts = [];
+  let combinator = null;
+  let pos = 0;
+
+  const finishGroup = () => {
+    if (parts.length === 0 || combinator) throw new Error(`Invalid selector: ${selector}`);
+    groups.push(parts);
+    parts = [];
+  };
+
+  while (pos < selector.length) {
+    const ch = selector[pos];
+
+    if (/\s/.test(ch)) {
+      if (parts.length > 0 && !combinator) combinator = ' ';
+      pos++;
+    } else if (ch === '>' || ch === '+' || ch === '~') {
+      if (parts.length === 0) throw new Error(`Invalid selector: ${selector}`);
+      combinator = ch;
+      pos++;
+    } else if (ch === ',') {
+      if (combinator === ' ') combinator = null;
+      finishGroup();
+      pos++;
+    } else {
+      const [compound, next] = parseCompound(selector, pos);
+      parts.push({ combinator: parts.length > 0 ? combinator : null, compound });
+      combinator = null;
+      pos = next;
+    }
+  }
+
+  if (combinator === ' ') combinator = null;
+  finishGroup();
+
+  selectorCache.set(selector, groups);
+  return groups;
+};
+
+const matchesAttribute = (element, { name, operator, value, ignoreCase }) => {
+  let actual = element.attributes[name];
+  if (actual === undefined) return false;
+  if (!operator) return true;
+  if (ignoreCase) actual = actual.toLowerCase();
+
+  switch (operator) {
+    case '=':
+      return actual === value;
+    case '~=':
+      return actual.split(/\s+/).includes(value);
+    case '|=':
+      return actual === value || actual.startsWith(`${value}-`);
+    case '^=':
+      return value !== '' && actual.startsWith(value);
+    case '$=':
+      return value !== '' && actual.endsWith(value);
+    case '*=':
+      return value !== '' && actual.includes(value);
+    default:
+      return false;
+  }
+};
+
+const matchesPseudo = (element, { name, argument }) => {
+  switch (name) {
+    case 'first-child':
+      return element.previousElementSibling() === null;
+    case 'last-child':
+      return element.nextElementSibling() === null;
+    case 'nth-child': {
+      const index = element.parent ? element.parent.elementChildren.indexOf(element) + 1 : 1;
+      return index === parseInt(argument, 10);
+    }
+    case 'not':
+      return !matchesSelectorList(element, argument);
+    case 'contains': {
+      const needle = (argument || '').replace(/^["']|["']$/g, '').toLowerCase();
+      return element.text().toLowerCase().includes(needle);
+    }
+    default:
+      throw new Error(`Unsupported pseudo-class: :${name}`);
+  }
+};
+
+const matchesCompound = (element, compound) => {
+  if (compound.tag && compound.tag !== '*' && element.tagName !== compound.tag) return false;
+  if (compound.id && element.attributes.id !== compound.id) return false;
+  if (!compound.classes.every(className => element.hasClass(className))) return false;
+  if (!compound.attributes.every(attribute => matchesAttribute(element, attribute))) return false;
+  return compound.pseudos.every(pseudo => matchesPseudo(element, pseudo));
+};
+
+/**
+ * Match right-to-left, backtracking through ancestors/siblings
+ */
+const matchesParts = (element, parts, index) => {
+  if (!matchesCompound(element, parts[index].compound)) return false;
+  if (index === 0) return true;
+
+  const isElement = (node) => node && node.type === 'element';
+
+  switch (parts[index].combinator) {
+    case '>':
+      return isElement(element.parent) && matchesParts(element.parent, parts, index - 1);
+    case '+': {
+      const previous = element.previousElementSibling();
+      return !!previous && matchesParts(previous, parts, index - 1);
+    }
+    case '~':
+      for (let sibling = element.previousElementSibling(); sibling; sibling = sibling.previousElementSibling()) {
+        if (matchesParts(sibling, parts, index - 1)) return true;
+      }
+      return false;
+    default:
+      for (let ancestor = element.parent; isElement(ancestor); ancestor = ancestor.parent) {
+        if (matchesParts(ancestor, parts, index - 1)) return true;
+      }
+      return false;
+  }
+};
+
+const matchesSelectorList = (element, groups) =>
+  groups.some(parts => matchesParts(element, parts, parts.length - 1));
+
+/**
+ * Aggregate HtmlParser object for convenient imports
+ */
+export const HtmlParser = {
+  parseHTML,
+  decodeEntities,
+  HtmlNode,
+};
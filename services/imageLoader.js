@@ -16,6 +16,20 @@ export const ImageLoadState = {
   ERROR: 'error',
 };
 
+/**
+ * Cache key for an image URL, safe to use in a file name
+ */
+const getImageCacheKey = (url) => {
+  let hashA = 5381;
+  let hashB = 0;
+  for (let i = 0; i < url.length; i++) {
+    const code = url.charCodeAt(i);
+    hashA = (Math.imul(hashA, 33) + code) | 0;
+    hashB = (Math.imul(hashB, 65599) + code) | 0;
+  }
+  return `${(hashA >>> 0).toString(36)}${(hashB >>> 0).toString(36)}`;
+};
+
 /**
  * Image loader class with progress tracking
  * Similar to Mihon's ProgressResponseBody and image fetchers
@@ -28,65 +42,84 @@ class ImageLoaderImpl {
 
   /**
    * Load an image with caching and progress tracking
+   * Cached images are downloaded to the page cache and resolve to the local file;
+   * `onProgress` receives the downloaded fraction (0-1) and `headers` go with the
+   * request either way (see getSourceHeaders)
    */
   async loadImage(url, options = {}) {
     const {
-      cacheKey = url,
+      cacheKey = getImageCacheKey(url),
       useCache = true,
       onProgress = null,
       headers = {},
     } = options;
 
-    // Check if already loading
-    if (this.loadingImages.has(cacheKey)) {
-      return this.loadingImages.get(cacheKey);
+    // Local files (downloaded chapters) are already loaded
+    if (url.startsWith('file://')) {
+      return { uri: url, cached: true };
     }
 
-    // Check cache first
-    if (useCache) {
-      const cached = await getCachedImage(cacheKey, 'pages');
-      if (cached) {
-        console.log(`[ImageLoader] Using cached image: ${cacheKey}`);
-        return { uri: cached, cached: true };
+    // Check if already loading
+    if (this.loadingImages.has(cacheKey)) {
+      if (onProgress) {
+        this.progressListeners.get(cacheKey).add(onProgress);
       }
+      return this.loadingImages.get(cacheKey);
     }
 
     // Create loading promise
-    const loadPromise = this._fetchImage(url, headers, onProgress);
+    this.progressListeners.set(cacheKey, new Set(onProgress ? [onProgress] : []));
+    const loadPromise = useCache
+      ? this._loadCachedImage(url, cacheKey, headers)
+      : this._fetchImage(url, headers);
     this.loadingImages.set(cacheKey, loadPromise);
 
     try {
-      const result = await loadPromise;
-      
-      // Cache if requested
-      if (useCache && result.uri) {
-        await downloadAndCacheImage(url, cacheKey, 'pages');
-      }
-
-      return result;
+      return await loadPromise;
     } finally {
       this.loadingImages.delete(cacheKey);
+      this.progressListeners.delete(cacheKey);
+    }
+  }
+
+  /**
+   * Image from the page cache, downloading it first if needed and reporting
+   * progress to its listeners
+   */
+  async _loadCachedImage(url, cacheKey, headers = {}) {
+    const cached = await getCachedImage(cacheKey, 'page');
+    if (cached) {
+      console.log(`[ImageLoader] Using cached image: ${cacheKey}`);
+      return { uri: cached, cached: true };
     }
+
+    const uri = await downloadAndCacheImage(url, cacheKey, 'page', {
+      headers,
+      onProgress: (progress) => {
+        (this.progressListeners.get(cacheKey) || []).forEach(listener => listener(progress));
+      },
+    });
+
+    if (!uri) {
+      throw new Error(`Failed to load image: ${url}`);
+    }
+    return { uri, cached: false };
   }
 
   /**
-   * Internal fetch with progress tracking
+   * Internal fetch, for images that aren't cached
    */
-  async _fetchImage(url, headers = {}, onProgress = null) {
+  async _fetchImage(url, headers = {}) {
     try {
       console.log(`[ImageLoader] Fetching image: ${url}`);
 
-      // For now, return URL directly (React Native Image handles the actual loading)
-      // In a full implementation, you could download and track progress
-      
       const response = await GET(url, headers, { maxRetries: 3 });
       
       if (!response.ok) {
         throw new Error(`Failed to load image: ${response.status}`);
       }
 
-      // For web/blob URLs, we could read the blob
-      // For native, we just return the URL
+      // React Native's Image loads the URL itself
       return { uri: url, cached: false };
     } catch (error) {
       console.error('[ImageLoader] Error loading image:', error);
@@ -97,11 +130,16 @@ class ImageLoaderImpl {
   /**
    * Preload multiple images
    * Similar to Mihon's chapter page preloading
+   *
+   * `onImageLoaded(url, result)` and `onError(url, error)` are called as each
+   * image finishes; the returned promise resolves once all of them have
    */
   async preloadImages(urls, options = {}) {
     const {
       concurrent = 3,
       onProgress = null,
+      onImageLoaded = null,
+      onError = null,
     } = options;
 
     const results = [];
@@ -129,8 +167,14 @@ class ImageLoaderImpl {
         });
         
         results.push({ url, result, success: true });
+        if (onImageLoaded) {
+          onImageLoaded(url, result);
+        }
       } catch (error) {
         results.push({ url, error, success: false });
+        if (onError) {
+          onError(url, error);
+        }
       } finally {
         completed++;
         await loadNext();
@@ -238,7 +282,7 @@ export const fetchImageWithRetry = async (url, maxRetries = 3) => {
     try {
       return await loader.loadImage(url, {
         onProgress: (progress) => {
-          console.log(`[ImageLoader] Progress for ${url}: ${progress}%`);
+          console.log(`[ImageLoader] Progress for ${url}: ${Math.round(progress * 100)}%`);
         },
       });
     } catch (error) {
@@ -7,10 +7,11 @@
 // Core Network & Source Services
 import { NetworkUtils } from './networkUtils';
 import { SourceManager } from './sourceManager';
-import { BatoService } from './batoService';
-import { XbatoService } from './xbatoService';
-import { MangaService } from './mangaService';
-import { ExtensionService } from './extensionService';
+import * as BatoService from './batoService';
+import * as XbatoService from './xbatoService';
+import * as MangaDexService from './mangadexService';
+import * as MangaService from './mangaService';
+import * as ExtensionService from './extensionService';
 
 // Cache & Storage Services
 import { CacheManager } from './cacheManager';
@@ -19,14 +20,27 @@ import {
   HistoryService, 
   ProgressService,
   CategoriesService,
+  UpdatesService,
   AppPreferences,
-  SourcePreferences 
+  SourcePreferences,
+  getReadingMode,
 } from './storageService';
+import { StorageMigrations, runStorageMigrations, StorageMigrationError } from './storageMigrations';
+import { BackupService } from './backupService';
+import { TachiyomiBackup } from './tachiyomiBackup';
 
 // UI Enhancement Services
 import { FilterSystem } from './filterSystem';
 import { ImageLoader } from './imageLoader';
 
+// Offline Services
+import { DownloadManager } from './downloadManager';
+import { LibraryUpdater } from './libraryUpdater';
+
+// Search & Migration
+import { GlobalSearch } from './globalSearch';
+import { MigrationService } from './migrationService';
+
 /**
  * Service initialization state
  */
@@ -35,6 +49,9 @@ let servicesInitialized = false;
 /**
  * Initialize all services in the correct order
  * Call this once at app startup (e.g., in App.js)
+ *
+ * Throws StorageMigrationError if stored data can't be upgraded, so the app
+ * doesn't start on half-migrated data; other failures return false
  */
 export async function initializeServices() {
   if (servicesInitialized) {
@@ -49,32 +66,49 @@ export async function initializeServices() {
     console.log('[Services] Setting up cache directories...');
     await CacheManager.initializeCacheDirectories();
 
-    // Step 2: Load app preferences
+    // Step 2: Upgrade stored data to the current schema before anything reads it
+    console.log('[Services] Checking storage schema...');
+    await runStorageMigrations();
+
+    // Step 3: Load app preferences
     console.log('[Services] Loading preferences...');
     const prefs = await AppPreferences.getAll();
-    console.log('[Services] Theme:', prefs.theme, '| Reading Mode:', prefs.readingMode);
+    console.log('[Services] Theme:', prefs.theme, '| Reading Mode:', await getReadingMode());
 
-    // Step 3: Initialize source manager with built-in sources
+    // Step 4: Initialize source manager with built-in sources
     console.log('[Services] Initializing source manager...');
     await SourceManager.initialize();
     const sources = SourceManager.getAllSources();
     console.log(`[Services] Loaded ${sources.length} sources`);
 
-    // Step 4: Initialize image loader
+    // Step 5: Initialize image loader
     console.log('[Services] Configuring image loader...');
     ImageLoader.setDefaultQuality(prefs.imageQuality || 'high');
 
-    // Step 5: Load categories
+    // Step 6: Load categories
     console.log('[Services] Loading categories...');
     const categories = await CategoriesService.getAll();
     console.log(`[Services] Found ${categories.length} categories`);
 
+    // Step 7: Restore the download queue (needs sources to resume downloads)
+    console.log('[Services] Restoring download queue...');
+    await DownloadManager.init();
+
+    // Step 8: Check the library for new chapters once the update interval has passed
+    // Not awaited, so startup doesn't wait on every source
+    LibraryUpdater.checkLibraryUpdates().catch(error => {
+      console.error('[Services] Library update failed:', error);
+    });
+
     servicesInitialized = true;
     console.log('[Services] ✓ Service layer initialized successfully');
     
     return true;
   } catch (error) {
     console.error('[Services] Failed to initialize:', error);
+    if (error instanceof StorageMigrationError) {
+      throw error;
+    }
     return false;
   }
 }
@@ -127,9 +161,12 @@ export async function getServiceStatus() {
     cache: {
       totalSizeMB: (cacheSize / (1024 * 1024)).toFixed(2),
     },
+    storage: {
+      schemaVersion: await StorageMigrations.getVersion(),
+    },
     preferences: {
       theme: prefs.theme,
-      readingMode: prefs.readingMode,
+      readingMode: await getReadingMode(),
       imageQuality: prefs.imageQuality,
     },
   };
@@ -144,6 +181,7 @@ export {
   SourceManager,
   BatoService,
   XbatoService,
+  MangaDexService,
   MangaService,
   ExtensionService,
   
@@ -153,37 +191,34 @@ export {
   HistoryService,
   ProgressService,
   CategoriesService,
+  UpdatesService,
   AppPreferences,
   SourcePreferences,
+  BackupService,
+  TachiyomiBackup,
+  StorageMigrations,
   
   // UI Enhancement
   FilterSystem,
   ImageLoader,
+
+  // Offline
+  DownloadManager,
+  LibraryUpdater,
+
+  // Search & Migration
+  GlobalSearch,
+  MigrationService,
 };
 
 /**
  * Convenience exports for common operations
  */
 
-// Search across all sources
-export async function searchAllSources(query, filters = {}) {
-  const sources = SourceManager.getAllSources().filter(s => !s.isStub);
-  const results = [];
-
-  for (const source of sources) {
-    try {
-      const sourceResults = await source.searchManga(query, filters);
-      results.push({
-        sourceId: source.id,
-        sourceName: source.name,
-        results: sourceResults,
-      });
-    } catch (error) {
-      console.error(`[Search] Error searching ${source.name}:`, error.message);
-    }
-  }
-
-  return results;
+// Search across all sources in parallel
+// Pass { onResult } to receive each source's result as soon as it finishes
+export async function searchAllSources(query, options = {}) {
+  return GlobalSearch.searchAllSources(query, options);
 }
 
 // Get popular manga from all sources
@@ -193,11 +228,12 @@ export async function getPopularFromAllSources(page = 1) {
 
   for (const source of sources) {
     try {
-      const popularManga = await source.getPopularManga(page);
+      const { mangas, hasNextPage } = MangaService.toMangasPage(await source.getPopularManga(page));
       results.push({
         sourceId: source.id,
         sourceName: source.name,
-        manga: popularManga,
+        manga: mangas,
+        hasNextPage,
       });
     } catch (error) {
       console.error(`[Popular] Error fetching from ${source.name}:`, error.message);
@@ -208,33 +244,9 @@ export async function getPopularFromAllSources(page = 1) {
 }
 
 // Check for library updates
-export async function checkLibraryUpdates() {
-  console.log('[Library] Checking for updates...');
-  const library = await LibraryService.getAll();
-  const updates = [];
-
-  for (const manga of library) {
-    try {
-      const source = SourceManager.getSource(manga.sourceId);
-      if (!source || source.isStub) continue;
-
-      const details = await source.getMangaDetails(manga.id);
-      
-      // Compare last update time or chapter count
-      if (details.lastUpdate > manga.lastUpdate) {
-        updates.push({
-          manga: manga,
-          hasUpdate: true,
-          newChapters: details.chapters || [],
-        });
-      }
-    } catch (error) {
-      console.error(`[Library] Error checking ${manga.title}:`, error.message);
-    }
-  }
-
-  console.log(`[Library] Found ${updates.length} updates`);
-  return updates;
+// Pass { force: true } to ignore libraryUpdateInterval (e.g. a manual refresh)
+export async function checkLibraryUpdates(options = {}) {
+  return LibraryUpdater.checkLibraryUpdates(options);
 }
 
 // Export utility functions
@@ -0,0 +1,187 @@
+/**
+ * Library Updater - Inspired by Mihon's LibraryUpdateJob
+ * Fetches every library entry's chapter list and reports chapters not seen before
+ */
+
+import { SourceManager } from './sourceManager';
+import { getChapters } from './mangaService';
+import {
+  getLibrary,
+  updateLibraryManga,
+  getMangaProgress,
+  getAppPreferences,
+  getKnownChapterIds,
+  saveKnownChapterIds,
+  addUpdates,
+  getLastLibraryUpdate,
+  setLastLibraryUpdate,
+} from './storageService';
+import { DownloadManager } from './downloadManager';
+import { runWithConcurrency } from '../utils/concurrency';
+
+/**
+ * Library entries checked at the same time for one source, to avoid hammering it
+ */
+const CONCURRENT_PER_SOURCE = 2;
+
+/**
+ * The update that is currently running, so overlapping calls share it
+ */
+let runningUpdate = null;
+
+/**
+ * Check one library entry
+ * Returns the chapters not seen in previous checks and the entry's new unread count
+ */
+const updateManga = async (manga, source) => {
+  const chapters = await getChapters(source, manga.id);
+  if (chapters.length === 0) {
+    // An empty list is far more likely a failed scrape than a manga losing every chapter
+    throw new Error('No chapters returned');
+  }
+
+  const knownIds = await getKnownChapterIds(manga.id, manga.sourceId);
+  // The first check only records a baseline, so a new entry doesn't report its whole list
+  const newChapters = knownIds
+    ? chapters.filter(chapter => !knownIds.includes(chapter.id))
+    : [];
+
+  await saveKnownChapterIds(manga.id, manga.sourceId, chapters.map(chapter => chapter.id));
+
+  const progress = await getMangaProgress(manga.id);
+  const readIds = new Set(progress.filter(p => p.completed).map(p => p.chapterId));
+  const unreadCount = chapters.filter(chapter => !readIds.has(chapter.id)).length;
+
+  return { newChapters, unreadCount };
+};
+
+const runLibraryUpdate = async (onProgress) => {
+  console.log('[LibraryUpdater] Checking for updates...');
+  const library = await getLibrary();
+  const prefs = await getAppPreferences();
+
+  const result = {
+    checkedAt: Date.now(),
+    skipped: false,
+    checked: 0,
+    updates: [],
+    errors: [],
+  };
+
+  // Group entries by source so each source gets its own concurrency limit
+  const bySource = new Map();
+  library.forEach(manga => {
+    if (!bySource.has(manga.sourceId)) {
+      bySource.set(manga.sourceId, []);
+    }
+    bySource.get(manga.sourceId).push(manga);
+  });
+
+  let completed = 0;
+  await Promise.all([...bySource.entries()].map(([sourceId, mangas]) => {
+    const source = SourceManager.getSource(sourceId);
+
+    return runWithConcurrency(mangas, CONCURRENT_PER_SOURCE, async (manga) => {
+      try {
+        if (!source || source.isStub) {
+          throw new Error(`Source ${manga.sourceName || sourceId} is not available`);
+        }
+
+        const { newChapters, unreadCount } = await updateManga(manga, source);
+        result.checked++;
+        // Each entry is its own record, written in a store transaction, so checks
+        // running side by side can save their counts as they finish
+        if (unreadCount !== manga.unreadCount) {
+          await updateLibraryManga(manga.id, manga.sourceId, { unreadCount });
+        }
+        if (newChapters.length > 0) {
+          result.updates.push({ manga, newChapters });
+        }
+      } catch (error) {
+        console.error(`[LibraryUpdater] Error checking ${manga.title}:`, error.message);
+        result.errors.push({ manga, error: error.message });
+      } finally {
+        completed++;
+        if (onProgress) {
+          onProgress({ completed, total: library.length, manga });
+        }
+      }
+    });
+  }));
+
+  const entries = result.updates.flatMap(({ manga, newChapters }) =>
+    newChapters.map(chapter => ({
+      mangaId: manga.id,
+      sourceId: manga.sourceId,
+      mangaTitle: manga.title,
+      coverUrl: manga.coverUrl,
+      chapterId: chapter.id,
+      chapterName: chapter.name,
+      chapterDate: chapter.date,
+      fetchedAt: result.checkedAt,
+    }))
+  );
+  if (entries.length > 0) {
+    await addUpdates(entries);
+  }
+
+  if (prefs.autoDownloadChapters) {
+    for (const { manga, newChapters } of result.updates) {
+      const source = SourceManager.getSource(manga.sourceId);
+      await DownloadManager.enqueue(source, manga, newChapters);
+    }
+  }
+
+  await setLastLibraryUpdate(result.checkedAt);
+
+  console.log(`[LibraryUpdater] Found ${entries.length} new chapters in ${result.updates.length} manga`);
+  return result;
+};
+
+/**
+ * Check the library for new chapters
+ * Without `force`, nothing runs until libraryUpdateInterval hours have passed
+ * since the last update; the result then has `skipped: true`
+ *
+ * Returns { checkedAt, skipped, checked, updates: [{ manga, newChapters }], errors: [{ manga, error }] }
+ */
+export const checkLibraryUpdates = async ({ force = false, onProgress = null } = {}) => {
+  if (runningUpdate) return runningUpdate;
+
+  if (!force) {
+    const prefs = await getAppPreferences();
+    const lastUpdate = await getLastLibraryUpdate();
+    const intervalMs = prefs.libraryUpdateInterval * 60 * 60 * 1000;
+
+    // An interval of 0 turns automatic updates off
+    if (!prefs.libraryUpdateInterval || Date.now() - lastUpdate < intervalMs) {
+      return { checkedAt: lastUpdate, skipped: true, checked: 0, updates: [], errors: [] };
+    }
+  }
+
+  runningUpdate = runLibraryUpdate(onProgress);
+  try {
+    return await runningUpdate;
+  } finally {
+    runningUpdate = null;
+  }
+};
+
+/**
+ * Record a library entry's current chapters as already seen
+ * Called when a manga is added, so its existing chapters never show up as updates
+ */
+export const markChaptersSeen = async (manga, chapters) => {
+  await saveKnownChapterIds(manga.id, manga.sourceId, chapters.map(chapter => chapter.id));
+};
+
+export const isLibraryUpdateRunning = () => runningUpdate !== null;
+
+/**
+ * Aggregate LibraryUpdater object for convenient imports
+ */
+export const LibraryUpdater = {
+  checkLibraryUpdates,
+  markChaptersSeen,
+  isRunning: isLibraryUpdateRunning,
+};
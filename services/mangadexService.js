@@ -0,0 +1,453 @@
+/**
+ * Service for MangaDex (mangadex.org) manga source
+ * Uses the official MangaDex API: https://api.mangadex.org
+ */
+
+import { GET, parseJSON } from './networkUtils';
+import { createMangaDexFilters, FilterType, TriState } from './filterSystem';
+import { getSourcePreferences } from './storageService';
+
+const MANGADEX_API_BASE = 'https://api.mangadex.org';
+
+/**
+ * Manga per page for popular/latest/search
+ */
+export const MANGADEX_PAGE_SIZE = 20;
+
+/**
+ * Chapters per feed request (the API maximum)
+ */
+const FEED_PAGE_SIZE = 500;
+
+/**
+ * The API refuses list requests with offset + limit beyond this
+ */
+const MAX_LIST_RESULTS = 10000;
+
+const CONTENT_RATINGS = ['safe', 'suggestive', 'erotica', 'pornographic'];
+const DEFAULT_CONTENT_RATINGS = ['safe', 'suggestive', 'erotica'];
+
+/**
+ * Source preferences are shared by every language variant
+ */
+const MANGADEX_SOURCE_ID = 'mangadex_org';
+
+/**
+ * Content ratings to request when no filter picks them
+ * Reads the `contentRatings` source preference, like Mihon's MangaDex extension setting
+ */
+const getContentRatings = async () => {
+  const { contentRatings } = await getSourcePreferences(MANGADEX_SOURCE_ID);
+  const ratings = Array.isArray(contentRatings)
+    ? contentRatings.filter(rating => CONTENT_RATINGS.includes(rating))
+    : [];
+  return ratings.length > 0 ? ratings : DEFAULT_CONTENT_RATINGS;
+};
+
+/**
+ * Extension repositories use BCP 47 codes, MangaDex uses its own for a few languages
+ */
+const LANGUAGE_OVERRIDES = {
+  'es-419': 'es-la',
+  'pt-BR': 'pt-br',
+  'zh-Hans': 'zh',
+  'zh-Hant': 'zh-hk',
+};
+
+/**
+ * Filter sort values (CommonFilters.createSortFilter) to MangaDex order fields
+ */
+const SORT_FIELDS = {
+  updated: 'latestUploadedChapter',
+  added: 'createdAt',
+  popular: 'followedCount',
+  rating: 'rating',
+  title: 'title',
+};
+
+/**
+ * Tag name -> tag UUID, loaded once from /manga/tag
+ */
+let tagIdsByName = null;
+
+/**
+ * Convert a source language to a MangaDex language code, or null for all languages
+ */
+export const toMangaDexLanguage = (lang) => {
+  if (!lang || lang === 'all') return null;
+  return LANGUAGE_OVERRIDES[lang] || lang.toLowerCase();
+};
+
+/**
+ * Helper function to make API requests
+ * `params` is a list of [key, value] pairs so array parameters can repeat
+ */
+const fetchMangaDexApi = async (path, params = []) => {
+  const query = params
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  const url = query ? `${MANGADEX_API_BASE}${path}?${query}` : `${MANGADEX_API_BASE}${path}`;
+
+  const response = await GET(url, {}, { maxRetries: 2, checkCloudflare: false });
+  return parseJSON(response);
+};
+
+/**
+ * Pick a localized string, preferring the source language, then English
+ */
+const pickLocalized = (values, language) => {
+  if (!values) return '';
+  return (language && values[language]) ||
+         values.en ||
+         values['ja-ro'] ||
+         values[Object.keys(values)[0]] || '';
+};
+
+/**
+ * Map a MangaDex manga entity to the app's manga shape
+ */
+const parseManga = (manga, language = null) => ({
+  id: manga.id,
+  title: pickLocalized(manga.attributes.title, language),
+  description: pickLocalized(manga.attributes.description, language),
+  coverUrl: getCoverUrl(manga),
+  author: getAuthor(manga.relationships),
+  status: manga.attributes.status,
+  contentRating: manga.attributes.contentRating,
+});
+
+/**
+ * Build a { mangas, hasNextPage } page from a manga list response
+ */
+const toMangasPage = (data, language) => ({
+  mangas: data.data.map(manga => parseManga(manga, language)),
+  hasNextPage: data.offset + data.data.length < Math.min(data.total, MAX_LIST_RESULTS),
+});
+
+/**
+ * Parameters shared by every manga list request
+ */
+const listParams = (page, language) => {
+  const params = [
+    ['limit', MANGADEX_PAGE_SIZE],
+    ['offset', (Math.max(page, 1) - 1) * MANGADEX_PAGE_SIZE],
+    ['includes[]', 'cover_art'],
+    ['includes[]', 'author'],
+    ['includes[]', 'artist'],
+  ];
+
+  if (language) {
+    params.push(['availableTranslatedLanguage[]', language]);
+  }
+
+  return params;
+};
+
+/**
+ * Load and cache tag UUIDs, keyed by lowercase English name
+ */
+const getTagIds = async () => {
+  if (tagIdsByName) return tagIdsByName;
+
+  const data = await fetchMangaDexApi('/manga/tag');
+  tagIdsByName = {};
+  data.data.forEach(tag => {
+    const name = tag.attributes.name.en;
+    if (name) tagIdsByName[name.toLowerCase()] = tag.id;
+  });
+
+  return tagIdsByName;
+};
+
+/**
+ * Look up author/artist UUIDs by name
+ */
+const getAuthorIds = async (name) => {
+  const data = await fetchMangaDexApi('/author', [['name', name], ['limit', 10]]);
+  return data.data.map(author => author.id);
+};
+
+/**
+ * Translate a FilterList from createMangaDexFilters() into MangaDex query parameters
+ * The sort comes back as `order` rather than in `params`, so a title search can
+ * keep relevance ordering while the sort is still the default
+ */
+export const buildMangaDexFilterParams = async (filters) => {
+  const params = [];
+  const contentRatings = [];
+  let order = null;
+  let orderChanged = false;
+
+  if (!filters) {
+    (await getContentRatings()).forEach(rating => params.push(['contentRating[]', rating]));
+    return { params, title: '', order, orderChanged };
+  }
+
+  const titleFilter = filters.getByName('Title');
+  const title = titleFilter ? titleFilter.value.trim() : '';
+
+  const authorFilter = filters.getByName('Author');
+  if (authorFilter && authorFilter.value.trim()) {
+    const authorIds = await getAuthorIds(authorFilter.value.trim());
+    // An unknown author must not silently widen the search
+    if (authorIds.length === 0) return null;
+    params.push(['authorOrArtist', authorIds[0]]);
+  }
+
+  const statusFilter = filters.getByName('Status');
+  const status = statusFilter?.getSelected()?.value;
+  if (status) params.push(['status[]', status]);
+
+  const demographicFilter = filters.getByName('Demographic');
+  const demographic = demographicFilter?.getSelected()?.value;
+  if (demographic) params.push(['publicationDemographic[]', demographic]);
+
+  const ratingGroup = filters.getByName('Content Rating');
+  if (ratingGroup) {
+    ratingGroup.filters
+      .filter(filter => filter.checked)
+      .forEach(filter => contentRatings.push(filter.name.toLowerCase()));
+  }
+  (contentRatings.length > 0 ? contentRatings : await getContentRatings())
+    .forEach(rating => params.push(['contentRating[]', rating]));
+
+  const sortFilter = filters.filters.find(filter => filter.type === FilterType.SORT);
+  const sortField = sortFilter?.selected && SORT_FIELDS[sortFilter.selected.value];
+  if (sortField) {
+    order = [`order[${sortField}]`, sortFilter.ascending ? 'asc' : 'desc'];
+    orderChanged = !sortFilter.isDefault();
+  }
+
+  const genreGroup = filters.getByName('Genres');
+  const activeGenres = genreGroup
+    ? genreGroup.filters.filter(filter => filter.state !== TriState.DISABLED)
+    : [];
+  if (activeGenres.length > 0) {
+    const tagIds = await getTagIds();
+    activeGenres.forEach(filter => {
+      const tagId = tagIds[filter.name.toLowerCase()];
+      if (!tagId) {
+        console.log('[MangaDexService] Unknown tag:', filter.name);
+        return;
+      }
+      const key = filter.state === TriState.INCLUDED ? 'includedTags[]' : 'excludedTags[]';
+      params.push([key, tagId]);
+    });
+  }
+
+  return { params, title, order, orderChanged };
+};
+
+/**
+ * Search manga on MangaDex
+ */
+export const searchMangaDex = async (query, { page = 1, lang = null, filters = null } = {}) => {
+  console.log('[MangaDexService] Searching for:', query, 'page', page);
+
+  const language = toMangaDexLanguage(lang);
+  const filterParams = await buildMangaDexFilterParams(filters);
+  if (!filterParams) return { mangas: [], hasNextPage: false };
+
+  const title = (query || '').trim() || filterParams.title;
+  const params = [...listParams(page, language), ...filterParams.params];
+  if (title) params.push(['title', title]);
+  // Title searches rank by relevance unless the user picked a sort themselves
+  if (filterParams.order && (filterParams.orderChanged || !title)) {
+    params.push(filterParams.order);
+  } else {
+    params.push(title ? ['order[relevance]', 'desc'] : ['order[followedCount]', 'desc']);
+  }
+
+  const data = await fetchMangaDexApi('/manga', params);
+  return toMangasPage(data, language);
+};
+
+/**
+ * Get popular manga from MangaDex (most followed)
+ */
+export const getMangaDexPopular = async ({ page = 1, lang = null } = {}) => {
+  console.log('[MangaDexService] Fetching popular manga, page', page);
+
+  const language = toMangaDexLanguage(lang);
+  const params = [...listParams(page, language), ['order[followedCount]', 'desc']];
+  (await getContentRatings()).forEach(rating => params.push(['contentRating[]', rating]));
+
+  const data = await fetchMangaDexApi('/manga', params);
+  return toMangasPage(data, language);
+};
+
+/**
+ * Get latest updated manga from MangaDex
+ */
+export const getMangaDexLatest = async ({ page = 1, lang = null } = {}) => {
+  console.log('[MangaDexService] Fetching latest updates, page', page);
+
+  const language = toMangaDexLanguage(lang);
+  const params = [...listParams(page, language), ['order[latestUploadedChapter]', 'desc']];
+  (await getContentRatings()).forEach(rating => params.push(['contentRating[]', rating]));
+
+  const data = await fetchMangaDexApi('/manga', params);
+  return toMangasPage(data, language);
+};
+
+/**
+ * Get manga details from MangaDex
+ */
+export const getMangaDexDetails = async (mangaId, { lang = null } = {}) => {
+  console.log('[MangaDexService] Fetching manga details for ID:', mangaId);
+
+  const language = toMangaDexLanguage(lang);
+  const data = await fetchMangaDexApi(`/manga/${mangaId}`, [
+    ['includes[]', 'cover_art'],
+    ['includes[]', 'author'],
+    ['includes[]', 'artist'],
+  ]);
+  const manga = data.data;
+
+  return {
+    ...parseManga(manga, language),
+    artist: getArtist(manga.relationships),
+    tags: manga.attributes.tags.map(tag => tag.attributes.name.en),
+  };
+};
+
+/**
+ * Get every chapter for a manga from MangaDex
+ * Follows the feed's `total` so long series are not truncated
+ */
+export const getMangaDexChapters = async (mangaId, { lang = null } = {}) => {
+  console.log('[MangaDexService] Fetching chapters for manga ID:', mangaId);
+
+  const language = toMangaDexLanguage(lang);
+  const contentRatings = await getContentRatings();
+  let allChapters = [];
+  let offset = 0;
+  let total = Infinity;
+
+  while (offset < total) {
+    const params = [
+      ['limit', FEED_PAGE_SIZE],
+      ['offset', offset],
+      ['includes[]', 'scanlation_group'],
+      ['order[chapter]', 'desc'],
+      ...contentRatings.map(rating => ['contentRating[]', rating]),
+    ];
+    if (language) params.push(['translatedLanguage[]', language]);
+
+    const data = await fetchMangaDexApi(`/manga/${mangaId}/feed`, params);
+
+    const chapters = data.data.map(chapter => ({
+      id: chapter.id,
+      name: chapter.attributes.title
+        ? `Chapter ${chapter.attributes.chapter || '?'}: ${chapter.attributes.title}`
+        : `Chapter ${chapter.attributes.chapter || '?'}`,
+      chapter: chapter.attributes.chapter,
+      volume: chapter.attributes.volume,
+      date: new Date(chapter.attributes.publishAt).toLocaleDateString(),
+      scanlationGroup: getScanlationGroup(chapter.relationships),
+      pages: chapter.attributes.pages,
+      language: chapter.attributes.translatedLanguage,
+    }));
+
+    allChapters = allChapters.concat(chapters);
+
+    total = data.total;
+    offset += FEED_PAGE_SIZE;
+    if (data.data.length === 0) break;
+  }
+
+  return allChapters;
+};
+
+/**
+ * Get chapter pages/images from MangaDex
+ */
+export const getMangaDexChapterPages = async (chapterId) => {
+  console.log('[MangaDexService] Fetching chapter pages for chapter ID:', chapterId);
+
+  // Get chapter data with baseUrl
+  const data = await fetchMangaDexApi(`/at-home/server/${chapterId}`);
+  const baseUrl = data.baseUrl;
+  const chapterHash = data.chapter.hash;
+  const pageFiles = data.chapter.data; // High quality images
+
+  return pageFiles.map((filename, index) => ({
+    url: `${baseUrl}/data/${chapterHash}/${filename}`,
+    page: index + 1,
+  }));
+};
+
+/**
+ * Helper function to get cover URL
+ */
+const getCoverUrl = (manga) => {
+  const coverRelation = manga.relationships.find(rel => rel.type === 'cover_art');
+  if (coverRelation && coverRelation.attributes) {
+    const fileName = coverRelation.attributes.fileName;
+    return `https://uploads.mangadex.org/covers/${manga.id}/${fileName}.512.jpg`;
+  }
+  return null;
+};
+
+/**
+ * Helper function to get author name
+ */
+const getAuthor = (relationships) => {
+  const authorRelation = relationships.find(rel => rel.type === 'author');
+  if (authorRelation && authorRelation.attributes) {
+    return authorRelation.attributes.name;
+  }
+  return null;
+};
+
+/**
+ * Helper function to get artist name
+ */
+const getArtist = (relationships) => {
+  const artistRelation = relationships.find(rel => rel.type === 'artist');
+  if (artistRelation && artistRelation.attributes) {
+    return artistRelation.attributes.name;
+  }
+  return null;
+};
+
+/**
+ * Helper function to get scanlation group
+ */
+const getScanlationGroup = (relationships) => {
+  const groupRelation = relationships.find(rel => rel.type === 'scanlation_group');
+  if (groupRelation && groupRelation.attributes) {
+    return groupRelation.attributes.name;
+  }
+  return null;
+};
+
+/**
+ * MangaDex implementation of the source contract (see SOURCE_METHODS in sourceManager.js)
+ * Methods read `this.lang`, so language variants registered by SourceManager
+ * share this implementation
+ */
+export const MangaDexSource = {
+  searchManga(query, page = 1, filters = null) {
+    return searchMangaDex(query, { page, lang: this.lang, filters });
+  },
+  getPopularManga(page = 1) {
+    return getMangaDexPopular({ page, lang: this.lang });
+  },
+  getLatestUpdates(page = 1) {
+    return getMangaDexLatest({ page, lang: this.lang });
+  },
+  getMangaDetails(mangaId) {
+    return getMangaDexDetails(mangaId, { lang: this.lang });
+  },
+  getChapters(mangaId) {
+    return getMangaDexChapters(mangaId, { lang: this.lang });
+  },
+  getChapterPages(chapterId) {
+    return getMangaDexChapterPages(chapterId);
+  },
+  getFilterList() {
+    return createMangaDexFilters();
+  },
+};
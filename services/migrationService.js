@@ -0,0 +1,204 @@
+/**
+ * Source Migration - Inspired by Mihon's MigrationScreen
+ * Finds a library entry on other sources and moves it there with its read state and history
+ */
+
+import { SourceManager } from './sourceManager';
+import { getMangaDetails, getChapters, getSourceId } from './mangaService';
+import {
+  getMangaHistory,
+  getMangaProgress,
+  markChaptersRead,
+  replaceLibraryManga,
+  moveMangaHistory,
+} from './storageService';
+import { searchAllSources, getSearchableSources } from './globalSearch';
+import { markChaptersSeen } from './libraryUpdater';
+import { parseChapterNumber } from '../utils/chapters';
+
+/**
+ * Share of the score given to the author when both sides have one
+ */
+const AUTHOR_WEIGHT = 0.2;
+
+const normalize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const bigrams = (text) => {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    grams.push(text.slice(i, i + 2));
+  }
+  return grams;
+};
+
+/**
+ * Dice coefficient of two strings' character bigrams, from 0 to 1
+ */
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (gramsA.length === 0 || gramsB.length === 0) return 0;
+
+  const counts = new Map();
+  gramsA.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+
+  let shared = 0;
+  gramsB.forEach(gram => {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      counts.set(gram, count - 1);
+      shared++;
+    }
+  });
+
+  return (2 * shared) / (gramsA.length + gramsB.length);
+};
+
+/**
+ * How likely `candidate` is the same series as `manga`, from 0 to 1
+ * Mostly title similarity; the author counts too when both sides list one
+ */
+export const scoreMatch = (manga, candidate) => {
+  const titleScore = similarity(normalize(manga.title), normalize(candidate.title));
+
+  const author = normalize(manga.author);
+  const candidateAuthor = normalize(candidate.author);
+  if (!author || !candidateAuthor) return titleScore;
+
+  const authorScore = author.includes(candidateAuthor) || candidateAuthor.includes(author) ? 1 : 0;
+  return titleScore * (1 - AUTHOR_WEIGHT) + authorScore * AUTHOR_WEIGHT;
+};
+
+/**
+ * Search every other source for a library entry, by its title unless `query` is given
+ * `onResult` is called per source as it finishes, like searchAllSources
+ *
+ * Returns [{ source, sourceName, error, candidates: [{ manga, score }] }],
+ * candidates sorted best match first
+ */
+export const findMigrationCandidates = async (manga, { query = manga.title, onResult = null } = {}) => {
+  const sources = getSearchableSources().filter(source => source.id !== manga.sourceId);
+
+  const withCandidates = (result) => ({
+    ...result,
+    candidates: result.mangas
+      .map(candidate => ({ manga: candidate, score: scoreMatch(manga, candidate) }))
+      .sort((a, b) => b.score - a.score),
+  });
+
+  const results = await searchAllSources(query, {
+    sources,
+    onResult: onResult ? (result) => onResult(withCandidates(result)) : null,
+  });
+  return results.map(withCandidates);
+};
+
+/**
+ * Chapter numbers of a library entry's chapters, keyed by chapter ID
+ * Uses the old source's chapter list while it still works, and falls back to
+ * the chapter titles saved in history once it doesn't
+ */
+const getOldChapterNumbers = async (manga) => {
+  const numbers = new Map();
+
+  const source = SourceManager.getSource(manga.sourceId);
+  if (source && !source.isStub) {
+    const chapters = await getChapters(source, manga.id);
+    chapters.forEach(chapter => numbers.set(chapter.id, parseChapterNumber(chapter)));
+  }
+
+  const history = await getMangaHistory(manga.id, manga.sourceId);
+  history.forEach(entry => {
+    if (numbers.get(entry.chapterId) == null) {
+      numbers.set(entry.chapterId, parseChapterNumber({ name: entry.chapterTitle }));
+    }
+  });
+
+  return numbers;
+};
+
+/**
+ * Move a library entry to `newManga` on `newSource`
+ * Categories and the library position carry over, chapters read on the old
+ * source are marked read on the new one by chapter number, and history
+ * entries move to the matching new chapters
+ *
+ * Returns { manga, source, readCount, historyCount }
+ */
+export const migrateManga = async (manga, newSource, newManga) => {
+  console.log(`[Migration] Migrating ${manga.title} to ${newSource.name}`);
+
+  const chapters = await getChapters(newSource, newManga.id);
+  if (chapters.length === 0) {
+    throw new Error(`No chapters found on ${newSource.name}`);
+  }
+  const details = await getMangaDetails(newSource, newManga.id);
+
+  const oldNumbers = await getOldChapterNumbers(manga);
+  const progress = await getMangaProgress(manga.id);
+  const readNumbers = new Set(
+    progress
+      .filter(p => p.completed)
+      .map(p => oldNumbers.get(p.chapterId))
+      .filter(number => number != null)
+  );
+
+  // Sources can list a chapter more than once (one per group); history follows the first
+  const newIdByNumber = new Map();
+  chapters.forEach(chapter => {
+    const number = parseChapterNumber(chapter);
+    if (number != null && !newIdByNumber.has(number)) {
+      newIdByNumber.set(number, chapter.id);
+    }
+  });
+
+  const readIds = chapters
+    .filter(chapter => readNumbers.has(parseChapterNumber(chapter)))
+    .map(chapter => chapter.id);
+
+  const chapterIdMap = {};
+  oldNumbers.forEach((number, chapterId) => {
+    if (newIdByNumber.has(number)) {
+      chapterIdMap[chapterId] = newIdByNumber.get(number);
+    }
+  });
+
+  const target = {
+    ...newManga,
+    ...details,
+    id: newManga.id,
+    sourceId: getSourceId(newSource),
+    sourceName: newSource.name,
+    unreadCount: chapters.length - readIds.length,
+  };
+
+  if (readIds.length > 0) {
+    await markChaptersRead(target.id, readIds, true);
+  }
+  const historyCount = await moveMangaHistory(manga.id, manga.sourceId, target, chapterIdMap);
+
+  const replaced = await replaceLibraryManga(manga.id, manga.sourceId, target);
+  if (!replaced) {
+    throw new Error('Library entry could not be updated');
+  }
+  await markChaptersSeen(target, chapters);
+
+  console.log(`[Migration] Carried over ${readIds.length} read chapters and ${historyCount} history entries`);
+  return { manga: target, source: newSource, readCount: readIds.length, historyCount };
+};
+
+/**
+ * Aggregate MigrationService object for convenient imports
+ */
+export const MigrationService = {
+  findCandidates: findMigrationCandidates,
+  migrate: migrateManga,
+  scoreMatch,
+  parseChapterNumber,
+};
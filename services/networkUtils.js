@@ -38,6 +38,17 @@ export const getDefaultHeaders = () => ({
   'Pragma': 'no-cache',
 });
 
+/**
+ * Headers for requests made on a source's behalf outside of GET, such as file downloads
+ * Adds a Referer for hotlink-protected images and any headers the source declares,
+ * like Mihon's HttpSource.headers
+ */
+export const getSourceHeaders = (source) => ({
+  ...getDefaultHeaders(),
+  ...(source?.baseUrl ? { Referer: `${source.baseUrl}/` } : {}),
+  ...source?.headers,
+});
+
 /**
  * Check if response is from Cloudflare challenge
  * Based on Mihon's CloudflareInterceptor.shouldIntercept()
@@ -358,6 +369,7 @@ export const NetworkUtils = {
   DEFAULT_USER_AGENT,
   TIMEOUTS,
   getDefaultHeaders,
+  getSourceHeaders,
   isCloudflareChallenge,
   fetchWithTimeout,
   fetchWithRetry,
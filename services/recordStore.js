@@ -0,0 +1,485 @@
+/**
+ * Record Store - Inspired by Mihon's database tables
+ * Keeps each record under its own AsyncStorage key instead of one JSON array,
+ * with the key list and secondary indexes stored next to them, so reads and
+ * writes only touch the records involved.
+ *
+ * Writes run as transactions, one at a time per store, so overlapping
+ * read-modify-write calls can't lose each other's updates.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Index from a value (e.g. a source ID) to the keys of the records that have it
+ * A record can have several values, e.g. one per category
+ */
+class LookupIndex {
+  constructor(data) {
+    this.keysByValue = new Map();
+    this.valuesByKey = new Map();
+
+    Object.entries(data || {}).forEach(([value, keys]) => {
+      keys.forEach(key => this.set(key, [...(this.valuesByKey.get(key) || []), value]));
+    });
+  }
+
+  /**
+   * Returns whether the index changed
+   */
+  set(key, values) {
+    const current = this.valuesByKey.get(key);
+    if (current && current.length === values.length && current.every((value, i) => value === values[i])) {
+      return false;
+    }
+
+    this.delete(key);
+    this.valuesByKey.set(key, values);
+    values.forEach(value => {
+      if (!this.keysByValue.has(value)) {
+        this.keysByValue.set(value, new Set());
+      }
+      this.keysByValue.get(value).add(key);
+    });
+    return true;
+  }
+
+  delete(key) {
+    const values = this.valuesByKey.get(key);
+    if (!values) return false;
+
+    values.forEach(value => {
+      const keys = this.keysByValue.get(value);
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.keysByValue.delete(value);
+      }
+    });
+    this.valuesByKey.delete(key);
+    return true;
+  }
+
+  get(value) {
+    return [...(this.keysByValue.get(String(value)) || [])];
+  }
+
+  entries() {
+    return [...this.keysByValue.entries()].map(([value, keys]) => [value, [...keys]]);
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.entries());
+  }
+}
+
+/**
+ * Index of record keys ordered by a number, highest first (e.g. last read time)
+ */
+class SortedIndex {
+  constructor(data) {
+    this.valueByKey = new Map(data || []);
+    this.sorted = null;
+  }
+
+  set(key, value) {
+    if (this.valueByKey.get(key) === value) return false;
+    this.valueByKey.set(key, value);
+    this.sorted = null;
+    return true;
+  }
+
+  delete(key) {
+    if (!this.valueByKey.delete(key)) return false;
+    this.sorted = null;
+    return true;
+  }
+
+  entries() {
+    if (!this.sorted) {
+      this.sorted = [...this.valueByKey.entries()].sort((a, b) => b[1] - a[1]);
+    }
+    return this.sorted;
+  }
+
+  toJSON() {
+    return this.entries();
+  }
+}
+
+const indexValues = (definition, record) => {
+  if (definition.sorted) {
+    return Number(definition.sortBy(record)) || 0;
+  }
+  return [].concat(definition.valuesOf(record) ?? [])
+    .filter(value => value != null)
+    .map(String);
+};
+
+/**
+ * Changes made inside RecordStore.transaction
+ * Reads see the transaction's own pending changes
+ */
+class Transaction {
+  constructor(store, state) {
+    this.store = store;
+    this.state = state;
+    this.changes = new Map();
+  }
+
+  async get(key) {
+    if (this.changes.has(key)) return this.changes.get(key);
+    if (!this.state.keySet.has(key)) return null;
+    return this.store.readRecord(key);
+  }
+
+  async getMany(keys) {
+    const records = await Promise.all(keys.map(key => this.get(key)));
+    return records.filter(record => record !== null);
+  }
+
+  findKeys(indexName, value) {
+    const definition = this.store.getIndexDefinition(indexName);
+    const keys = new Set(this.state.indexes[indexName].get(value));
+
+    this.changes.forEach((record, key) => {
+      keys.delete(key);
+      if (record && indexValues(definition, record).includes(String(value))) {
+        keys.add(key);
+      }
+    });
+    return [...keys];
+  }
+
+  async find(indexName, value) {
+    return this.getMany(this.findKeys(indexName, value));
+  }
+
+  put(record) {
+    this.changes.set(this.store.keyOf(record), record);
+  }
+
+  remove(key) {
+    this.changes.set(key, null);
+  }
+
+  /**
+   * Remove every record; records put afterwards in the same transaction are kept
+   * Nothing is deleted until the new records are written, as with any commit
+   */
+  removeAll() {
+    this.state.keys.forEach(key => this.remove(key));
+  }
+}
+
+/**
+ * A store of keyed records, e.g. library entries
+ *
+ * `indexes` maps an index name to either a function returning a record's value
+ * (or array of values) for lookups, or `{ sortBy }` with a function returning a
+ * number, for an index ordered highest first. `limit` ({ index, max }) drops the
+ * lowest records of a sorted index once the store holds more than `max`.
+ */
+export class RecordStore {
+  constructor(name, { keyOf, indexes = {}, limit = null, deserialize = (data) => data }) {
+    this.name = name;
+    this.keyOf = keyOf;
+    this.limit = limit;
+    this.deserialize = deserialize;
+    this.indexDefinitions = Object.entries(indexes).map(([indexName, definition]) => (
+      typeof definition === 'function'
+        ? { name: indexName, sorted: false, valuesOf: definition }
+        : { name: indexName, sorted: true, sortBy: definition.sortBy }
+    ));
+
+    this.state = null;
+    this.loading = null;
+    this.queue = Promise.resolve();
+  }
+
+  recordKey(key) {
+    return `${this.name}/${key}`;
+  }
+
+  keysKey() {
+    return `${this.name}#keys`;
+  }
+
+  indexKey(indexName) {
+    return `${this.name}#index/${indexName}`;
+  }
+
+  getIndexDefinition(indexName) {
+    const definition = this.indexDefinitions.find(d => d.name === indexName);
+    if (!definition) {
+      throw new Error(`${this.name} has no index ${indexName}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Load the key list and indexes, once
+   */
+  async load() {
+    if (this.state) return this.state;
+
+    if (!this.loading) {
+      this.loading = this.readState().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async readState() {
+    const stored = await AsyncStorage.multiGet([
+      this.keysKey(),
+      ...this.indexDefinitions.map(definition => this.indexKey(definition.name)),
+    ]);
+    const [keys, ...indexData] = stored.map(([, value]) => (value ? JSON.parse(value) : null));
+
+    const state = {
+      keys: keys || [],
+      keySet: new Set(keys || []),
+      indexes: {},
+    };
+    this.indexDefinitions.forEach((definition, i) => {
+      state.indexes[definition.name] = definition.sorted
+        ? new SortedIndex(indexData[i])
+        : new LookupIndex(indexData[i]);
+    });
+
+    this.state = state;
+    return state;
+  }
+
+  async readRecord(key) {
+    const data = await AsyncStorage.getItem(this.recordKey(key));
+    return data ? this.deserialize(JSON.parse(data)) : null;
+  }
+
+  async readRecords(keys) {
+    if (keys.length === 0) return [];
+
+    const stored = await AsyncStorage.multiGet(keys.map(key => this.recordKey(key)));
+    return stored
+      .filter(([, value]) => value)
+      .map(([, value]) => this.deserialize(JSON.parse(value)));
+  }
+
+  /**
+   * Wait for queued writes, so reads see them
+   */
+  async ready() {
+    await this.queue;
+    return this.load();
+  }
+
+  async has(key) {
+    const state = await this.ready();
+    return state.keySet.has(key);
+  }
+
+  async count() {
+    const state = await this.ready();
+    return state.keys.length;
+  }
+
+  async get(key) {
+    const state = await this.ready();
+    return state.keySet.has(key) ? this.readRecord(key) : null;
+  }
+
+  async getMany(keys) {
+    const state = await this.ready();
+    return this.readRecords(keys.filter(key => state.keySet.has(key)));
+  }
+
+  /**
+   * All records, in the order they were first added
+   */
+  async getAll() {
+    const state = await this.ready();
+    return this.readRecords([...state.keys]);
+  }
+
+  async findKeys(indexName, value) {
+    this.getIndexDefinition(indexName);
+    const state = await this.ready();
+    return state.indexes[indexName].get(value);
+  }
+
+  /**
+   * Records with `value` in a lookup index
+   */
+  async find(indexName, value) {
+    return this.readRecords(await this.findKeys(indexName, value));
+  }
+
+  /**
+   * [value, keys] pairs of a lookup index, or [key, number] pairs of a sorted
+   * one (highest first), without reading any records
+   */
+  async getIndexEntries(indexName) {
+    this.getIndexDefinition(indexName);
+    const state = await this.ready();
+    return [...state.indexes[indexName].entries()];
+  }
+
+  /**
+   * Records in the order of a sorted index, highest first
+   */
+  async getSorted(indexName, limit = null) {
+    const entries = await this.getIndexEntries(indexName);
+    const keys = entries.map(([key]) => key);
+    return this.readRecords(limit ? keys.slice(0, limit) : keys);
+  }
+
+  /**
+   * Run `task(tx)` with exclusive write access to the store
+   * `tx` has get/getMany/find/findKeys, which see the transaction's own changes,
+   * and put/remove, which are written together once the task resolves
+   *
+   * Returns what the task returned
+   */
+  transaction(task) {
+    const run = this.queue.then(async () => {
+      const state = await this.load();
+      const tx = new Transaction(this, state);
+      const result = await task(tx);
+      await this.commit(state, tx.changes);
+      return result;
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async commit(state, changes) {
+    if (changes.size === 0) return;
+
+    const dirty = new Set();
+    const removed = new Set();
+
+    const apply = (key, record) => {
+      if (record) {
+        if (!state.keySet.has(key)) {
+          state.keySet.add(key);
+          state.keys.push(key);
+          dirty.add(this.keysKey());
+        }
+        this.indexDefinitions.forEach(definition => {
+          if (state.indexes[definition.name].set(key, indexValues(definition, record))) {
+            dirty.add(this.indexKey(definition.name));
+          }
+        });
+      } else if (state.keySet.has(key)) {
+        state.keySet.delete(key);
+        removed.add(key);
+        dirty.add(this.keysKey());
+        this.indexDefinitions.forEach(definition => {
+          if (state.indexes[definition.name].delete(key)) {
+            dirty.add(this.indexKey(definition.name));
+          }
+        });
+      }
+    };
+
+    changes.forEach((record, key) => apply(key, record));
+
+    if (this.limit && state.keySet.size > this.limit.max) {
+      state.indexes[this.limit.index].entries()
+        .slice(this.limit.max)
+        .forEach(([key]) => {
+          changes.set(key, null);
+          apply(key, null);
+        });
+    }
+
+    if (removed.size > 0) {
+      state.keys = state.keys.filter(key => !removed.has(key));
+    }
+
+    const meta = {
+      [this.keysKey()]: state.keys,
+      ...Object.fromEntries(this.indexDefinitions.map(definition => [
+        this.indexKey(definition.name),
+        state.indexes[definition.name],
+      ])),
+    };
+
+    const entries = [];
+    changes.forEach((record, key) => {
+      if (record) {
+        entries.push([this.recordKey(key), JSON.stringify(record)]);
+      }
+    });
+    dirty.forEach(metaKey => entries.push([metaKey, JSON.stringify(meta[metaKey])]));
+
+    try {
+      // Records and the indexes pointing at them are written in one call;
+      // removed records go afterwards, once nothing points at them
+      await AsyncStorage.multiSet(entries);
+      if (removed.size > 0) {
+        await AsyncStorage.multiRemove([...removed].map(key => this.recordKey(key)));
+      }
+    } catch (error) {
+      // The in-memory indexes may be ahead of storage now; reload them next time
+      this.state = null;
+      throw error;
+    }
+  }
+
+  put(record) {
+    return this.transaction(tx => tx.put(record));
+  }
+
+  putMany(records) {
+    return this.transaction(tx => records.forEach(record => tx.put(record)));
+  }
+
+  /**
+   * Replace a record with `updater(current)`, where `current` is null if it doesn't exist
+   * The updater returns the new record, null to remove it, or undefined to leave it
+   *
+   * Returns the stored record afterwards
+   */
+  update(key, updater) {
+    return this.transaction(async (tx) => {
+      const current = await tx.get(key);
+      const updated = await updater(current);
+      if (updated === undefined) return current;
+
+      if (updated === null) {
+        tx.remove(key);
+      } else {
+        tx.put(updated);
+      }
+      return updated;
+    });
+  }
+
+  remove(key) {
+    return this.transaction(tx => tx.remove(key));
+  }
+
+  removeMany(keys) {
+    return this.transaction(tx => keys.forEach(key => tx.remove(key)));
+  }
+
+  /**
+   * Remove every record and index
+   */
+  clear() {
+    const run = this.queue.then(async () => {
+      const state = await this.load();
+      await AsyncStorage.multiRemove([
+        ...state.keys.map(key => this.recordKey(key)),
+        this.keysKey(),
+        ...this.indexDefinitions.map(definition => this.indexKey(definition.name)),
+      ]);
+      this.state = null;
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
@@ -3,9 +3,10 @@
  * Manages sources, extensions, and their lifecycle
  */
 
-import { GET, parseJSON } from './networkUtils';
-import * as BatoService from './batoService';
-import * as XbatoService from './xbatoService';
+import { getDomain } from './networkUtils';
+import { BatoSource } from './batoService';
+import { XbatoSource } from './xbatoService';
+import { MangaDexSource } from './mangadexService';
 
 /**
  * Source types
@@ -16,8 +17,42 @@ export const SourceType = {
   STUB: 'stub',
 };
 
+/**
+ * Methods every catalogue source must implement
+ * Similar to Mihon's CatalogueSource interface:
+ *   searchManga(query, page, filters)  -> { mangas, hasNextPage }
+ *   getPopularManga(page)              -> { mangas, hasNextPage }
+ *   getLatestUpdates(page)             -> { mangas, hasNextPage }
+ *   getMangaDetails(mangaId)           -> manga
+ *   getChapters(mangaId)               -> chapter[]
+ *   getChapterPages(chapterId)         -> [{ url, page }]
+ *   getFilterList()                    -> FilterList
+ * Methods may reject; callers decide how to surface the error.
+ */
+export const SOURCE_METHODS = [
+  'searchManga',
+  'getPopularManga',
+  'getLatestUpdates',
+  'getMangaDetails',
+  'getChapters',
+  'getChapterPages',
+  'getFilterList',
+];
+
+/**
+ * Error thrown when a source does not satisfy the source contract
+ */
+export class InvalidSourceError extends Error {
+  constructor(sourceName, missingMethods = []) {
+    super(`Source ${sourceName} is missing: ${missingMethods.join(', ')}`);
+    this.name = 'InvalidSourceError';
+    this.missingMethods = missingMethods;
+  }
+}
+
 /**
  * Built-in sources (like Mihon's LocalSource and built-in sources)
+ * `domains` lets extension repository entries resolve to a built-in implementation
  */
 const BUILT_IN_SOURCES = [
   {
@@ -25,35 +60,44 @@ const BUILT_IN_SOURCES = [
     name: 'Bato',
     lang: 'en',
     baseUrl: 'https://bato.to',
+    domains: ['bato.to', 'battwo.com', 'mto.to', 'ruru.to', 'xdxd.to', 'batocc.com'],
     type: SourceType.HTTP,
     versionId: 1,
     supportsLatest: true,
     isNsfw: false,
-    service: BatoService,
+    ...BatoSource,
   },
   {
     id: 'xbato_com',
     name: 'Xbato',
     lang: 'en',
     baseUrl: 'https://xbato.com',
+    domains: ['xbato.com'],
     type: SourceType.HTTP,
     versionId: 1,
-    supportsLatest: true,
+    supportsLatest: false,
     isNsfw: false,
-    service: XbatoService,
+    ...XbatoSource,
   },
   {
     id: 'mangadex_org',
     name: 'MangaDex',
     lang: 'all',
     baseUrl: 'https://mangadex.org',
+    domains: ['mangadex.org'],
     type: SourceType.HTTP,
     versionId: 1,
     supportsLatest: true,
     isNsfw: false,
+    ...MangaDexSource,
   },
 ];
 
+/**
+ * Strip a leading "www." so hosts compare equal
+ */
+const normalizeHost = (host) => (host || '').toLowerCase().replace(/^www\./, '');
+
 /**
  * Source Manager class - Singleton pattern like Mihon
  */
@@ -79,7 +123,12 @@ class SourceManager {
 
     // Load built-in sources
     BUILT_IN_SOURCES.forEach(source => {
-      this.registerSource(source);
+      try {
+        this.registerSource(source);
+      } catch (error) {
+        console.error(`[SourceManager] ${error.message}`);
+        this.registerStubSource(source.id, source.name);
+      }
     });
 
     console.log(`[SourceManager] Loaded ${this.sources.size} built-in sources`);
@@ -88,10 +137,24 @@ class SourceManager {
     this.notifyListeners();
   }
 
+  /**
+   * Validate a source against the source contract
+   * Returns the list of missing methods (empty when valid)
+   */
+  validateSource(source) {
+    return SOURCE_METHODS.filter(method => typeof source[method] !== 'function');
+  }
+
   /**
    * Register a source
+   * Throws InvalidSourceError if the source does not implement SOURCE_METHODS
    */
   registerSource(source) {
+    const missingMethods = this.validateSource(source);
+    if (missingMethods.length > 0) {
+      throw new InvalidSourceError(source.name, missingMethods);
+    }
+
     const enrichedSource = {
       ...source,
       id: source.id || this.generateSourceId(source.name, source.lang),
@@ -127,24 +190,85 @@ class SourceManager {
    * Similar to Mihon's get()
    */
   getSource(sourceId) {
-    return this.sources.get(sourceId) || null;
+    return this.sources.get(sourceId) || this.getLanguageVariantById(sourceId);
+  }
+
+  /**
+   * Get (and register on first use) a single-language variant of a
+   * multi-language source, e.g. MangaDex restricted to Spanish.
+   * Variants share the implementation and differ only in `id` and `lang`.
+   */
+  getLanguageVariant(source, lang) {
+    if (!lang || lang === source.lang || source.lang !== 'all') return source;
+
+    const variantId = `${source.id}_${lang}`;
+    if (!this.sources.has(variantId)) {
+      this.sources.set(variantId, {
+        ...source,
+        id: variantId,
+        lang,
+        parentId: source.id,
+      });
+    }
+    return this.sources.get(variantId);
+  }
+
+  /**
+   * Recreate a language variant from its ID (e.g. `mangadex_org_es-la`)
+   * so entries saved against a variant still resolve after a restart
+   */
+  getLanguageVariantById(sourceId) {
+    if (!sourceId) return null;
+
+    for (const source of this.sources.values()) {
+      if (source.lang === 'all' && sourceId.startsWith(`${source.id}_`)) {
+        return this.getLanguageVariant(source, sourceId.slice(source.id.length + 1));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve any source reference (a registered source, or an entry from an
+   * extension repository) to a registered source implementation.
+   * Matches by ID first, then by the host of its baseUrl; multi-language
+   * sources resolve to the variant for the reference's language.
+   */
+  resolveSource(sourceRef) {
+    if (!sourceRef) return null;
+
+    const byId = this.getSource(sourceRef.id);
+    if (byId) return byId;
+
+    const host = normalizeHost(getDomain(sourceRef.baseUrl));
+    if (!host) return null;
+
+    for (const source of this.sources.values()) {
+      const domains = source.domains || [getDomain(source.baseUrl)];
+      if (!source.parentId && domains.some(domain => normalizeHost(domain) === host)) {
+        return this.getLanguageVariant(source, sourceRef.lang);
+      }
+    }
+
+    return null;
   }
 
   /**
    * Get source or stub
-   * Similar to Mihon's getOrStub()
+   * Similar to Mihon's getOrStub(); `sourceName` names a stub created here,
+   * e.g. the name saved with a library entry
    */
-  getSourceOrStub(sourceId) {
-    return this.sources.get(sourceId) || this.stubSources.get(sourceId) || this.createStubSource(sourceId);
+  getSourceOrStub(sourceId, sourceName) {
+    return this.getSource(sourceId) || this.stubSources.get(sourceId) || this.createStubSource(sourceId, sourceName);
   }
 
   /**
    * Create a stub source on the fly
    */
-  createStubSource(sourceId) {
+  createStubSource(sourceId, sourceName) {
     const stub = {
       id: sourceId,
-      name: `Source ${sourceId}`,
+      name: sourceName || `Source ${sourceId}`,
       lang: 'unknown',
       baseUrl: '',
       type: SourceType.STUB,
@@ -160,8 +284,9 @@ class SourceManager {
    * Similar to Mihon's getOnlineSources()
    */
   getOnlineSources() {
+    // Language variants are reachable through their parent, don't list them twice
     return Array.from(this.sources.values()).filter(
-      source => source.type === SourceType.HTTP && !source.isStub
+      source => source.type === SourceType.HTTP && !source.isStub && !source.parentId
     );
   }
 
@@ -260,8 +385,10 @@ export const SourceManagerAPI = {
   initialize: async () => getSourceManager().initialize(),
   getAllSources: () => getSourceManager().getOnlineSources(),
   getSource: (id) => getSourceManager().getSource(id),
-  getSourceOrStub: (id) => getSourceManager().getSourceOrStub(id),
+  getSourceOrStub: (id, name) => getSourceManager().getSourceOrStub(id, name),
+  resolveSource: (sourceRef) => getSourceManager().resolveSource(sourceRef),
   registerSource: (src) => getSourceManager().registerSource(src),
+  registerStubSource: (id, name) => getSourceManager().registerStubSource(id, name),
   addListener: (cb) => getSourceManager().addListener(cb),
   clear: () => getSourceManager().clear(),
   getSourcesByLanguage: (lang) => getSourceManager().getSourcesByLanguage(lang),
@@ -0,0 +1,122 @@
+/**
+ * Storage Migrations - Inspired by Mihon's Migrator
+ * Upgrades persisted data one schema version at a time at startup.
+ * The schema version is stored with the data; while a step runs, a marker
+ * records it, so an interrupted upgrade is finished on the next start instead
+ * of the app running on half-migrated data.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { migrateToRecordStores, migrateReadingMode } from './storageService';
+
+const STORAGE_VERSION_KEY = '@inkora_storage_version';
+const PENDING_MIGRATION_KEY = '@inkora_storage_migration_pending';
+
+/**
+ * Migration steps in order; never change or remove a released step, add a new one
+ * `migrate` must be safe to run again and returns a summary of what it changed
+ * (or null if there was nothing to do)
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move library, history and progress into record stores',
+    migrate: migrateToRecordStores,
+  },
+  {
+    version: 2,
+    description: 'Keep the reading mode only in the reading preferences',
+    migrate: migrateReadingMode,
+  },
+];
+
+export const STORAGE_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Thrown when stored data can't be brought up to STORAGE_VERSION
+ */
+export class StorageMigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageMigrationError';
+  }
+}
+
+/**
+ * Schema version of the stored data (0 before versioning was added)
+ */
+export const getStorageVersion = async () => {
+  const data = await AsyncStorage.getItem(STORAGE_VERSION_KEY);
+  return data ? Number(data) : 0;
+};
+
+/**
+ * Bring stored data up to STORAGE_VERSION
+ * Throws StorageMigrationError if the data is from a newer app version or a
+ * step fails; the failed step runs again on the next start
+ *
+ * Returns { from, to, applied: [{ version, description, summary }] }
+ */
+export const runStorageMigrations = async () => {
+  const [[, versionData], [, pendingData]] = await AsyncStorage.multiGet([
+    STORAGE_VERSION_KEY,
+    PENDING_MIGRATION_KEY,
+  ]);
+
+  const from = versionData ? Number(versionData) : 0;
+  if (!Number.isInteger(from) || from < 0) {
+    throw new StorageMigrationError(`Stored data has an invalid schema version (${versionData})`);
+  }
+  if (from > STORAGE_VERSION) {
+    throw new StorageMigrationError(
+      `Stored data is from a newer version of Inkora (schema ${from}, this app supports ${STORAGE_VERSION}); update the app`
+    );
+  }
+
+  if (pendingData) {
+    const pending = JSON.parse(pendingData);
+    console.warn(`[Migrations] Migration to version ${pending.version} was interrupted; running it again`);
+  }
+
+  const steps = MIGRATIONS.filter(step => step.version > from);
+  if (steps.length === 0) {
+    console.log(`[Migrations] Storage is up to date (version ${from})`);
+    return { from, to: from, applied: [] };
+  }
+
+  console.log(`[Migrations] Upgrading storage from version ${from} to ${STORAGE_VERSION}`);
+  const applied = [];
+
+  for (const step of steps) {
+    await AsyncStorage.setItem(PENDING_MIGRATION_KEY, JSON.stringify({
+      version: step.version,
+      startedAt: Date.now(),
+    }));
+
+    let summary;
+    try {
+      summary = await step.migrate();
+    } catch (error) {
+      console.error(`[Migrations] Version ${step.version} failed:`, error);
+      throw new StorageMigrationError(
+        `Could not upgrade stored data to version ${step.version} (${step.description}): ${error.message}`
+      );
+    }
+
+    await AsyncStorage.setItem(STORAGE_VERSION_KEY, String(step.version));
+    await AsyncStorage.removeItem(PENDING_MIGRATION_KEY);
+
+    console.log(`[Migrations] ✓ Version ${step.version}: ${step.description} (${summary || 'nothing to change'})`);
+    applied.push({ version: step.version, description: step.description, summary });
+  }
+
+  return { from, to: STORAGE_VERSION, applied };
+};
+
+/**
+ * Aggregate StorageMigrations object for convenient imports
+ */
+export const StorageMigrations = {
+  run: runStorageMigrations,
+  getVersion: getStorageVersion,
+  version: STORAGE_VERSION,
+};
@@ -1,20 +1,36 @@
 /**
  * Service to manage app storage using AsyncStorage
  * Handles pinned extensions, reading preferences, library, history, etc.
+ * Library, history and progress are indexed record stores (see recordStore.js)
  * Inspired by Mihon's database and storage layers
  */
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { RecordStore } from './recordStore';
+import { DEFAULT_TAP_ZONE_LAYOUT } from '../utils/tapZones';
 
 const STORAGE_KEYS = {
   PINNED_SOURCES: '@inkora_pinned_sources',
-  READING_MODE: '@inkora_reading_mode',
   READING_PREFERENCES: '@inkora_reading_preferences',
-  LIBRARY: '@inkora_library',
-  HISTORY: '@inkora_history',
-  READING_PROGRESS: '@inkora_reading_progress_',
+  // Record stores (see recordStore.js)
+  LIBRARY: '@inkora_library_records',
+  HISTORY: '@inkora_history_records',
+  READING_PROGRESS: '@inkora_progress_records',
   CATEGORIES: '@inkora_categories',
   APP_PREFS: '@inkora_app_prefs',
   SOURCE_PREFS: '@inkora_source_prefs_',
+  KNOWN_CHAPTERS: '@inkora_known_chapters_',
+  UPDATES: '@inkora_updates',
+  LAST_LIBRARY_UPDATE: '@inkora_last_library_update',
+};
+
+/**
+ * Keys no longer used, kept for the storage migrations
+ */
+const LEGACY_KEYS = {
+  READING_MODE: '@inkora_reading_mode',
+  LIBRARY: '@inkora_library',
+  HISTORY: '@inkora_history',
+  READING_PROGRESS: '@inkora_reading_progress_',
 };
 
 /**
@@ -74,30 +90,34 @@ export const togglePinSource = async (sourceId) => {
   }
 };
 
+/**
+ * Reader modes; the mode is part of the reading preferences
+ */
+export const READING_MODES = ['paged', 'paged_rtl', 'webtoon', 'continuous'];
+
+const DEFAULT_READING_PREFERENCES = {
+  mode: 'paged', // one of READING_MODES
+  tapZones: DEFAULT_TAP_ZONE_LAYOUT, // see utils/tapZones.js
+  preloadPages: 4, // pages kept loaded ahead of and behind the current one
+  tapToHideUI: true,
+  swipeToChangePage: true,
+};
+
 /**
  * Get reading mode preference
  */
 export const getReadingMode = async () => {
-  try {
-    const mode = await AsyncStorage.getItem(STORAGE_KEYS.READING_MODE);
-    return mode || 'paged'; // default to paged mode
-  } catch (error) {
-    console.error('Error getting reading mode:', error);
-    return 'paged';
-  }
+  const prefs = await getReadingPreferences();
+  return prefs.mode;
 };
 
 /**
  * Set reading mode preference
  */
 export const setReadingMode = async (mode) => {
-  try {
-    await AsyncStorage.setItem(STORAGE_KEYS.READING_MODE, mode);
-    return mode;
-  } catch (error) {
-    console.error('Error setting reading mode:', error);
-    return 'paged';
-  }
+  const prefs = await getReadingPreferences();
+  await setReadingPreferences({ ...prefs, mode });
+  return mode;
 };
 
 /**
@@ -106,18 +126,10 @@ export const setReadingMode = async (mode) => {
 export const getReadingPreferences = async () => {
   try {
     const data = await AsyncStorage.getItem(STORAGE_KEYS.READING_PREFERENCES);
-    return data ? JSON.parse(data) : {
-      mode: 'paged', // 'paged', 'webtoon', 'continuous'
-      tapToHideUI: true,
-      swipeToChangePage: true,
-    };
+    return { ...DEFAULT_READING_PREFERENCES, ...(data ? JSON.parse(data) : {}) };
   } catch (error) {
     console.error('Error getting reading preferences:', error);
-    return {
-      mode: 'paged',
-      tapToHideUI: true,
-      swipeToChangePage: true,
-    };
+    return { ...DEFAULT_READING_PREFERENCES };
   }
 };
 
@@ -150,6 +162,7 @@ export class LibraryManga {
   constructor(data) {
     this.id = data.id;
     this.sourceId = data.sourceId;
+    this.sourceName = data.sourceName;
     this.title = data.title;
     this.author = data.author;
     this.artist = data.artist;
@@ -166,47 +179,85 @@ export class LibraryManga {
   }
 }
 
+const libraryKey = (mangaId, sourceId) => `${sourceId}:${mangaId}`;
+
+const libraryStore = new RecordStore(STORAGE_KEYS.LIBRARY, {
+  keyOf: (manga) => libraryKey(manga.id, manga.sourceId),
+  indexes: {
+    source: (manga) => manga.sourceId,
+    category: (manga) => manga.categories,
+  },
+  deserialize: (data) => new LibraryManga(data),
+});
+
 /**
  * Get all library manga
  */
 export const getLibrary = async () => {
   try {
-    const data = await AsyncStorage.getItem(STORAGE_KEYS.LIBRARY);
-    if (!data) return [];
-    
-    const parsed = JSON.parse(data);
-    return parsed.map(item => new LibraryManga(item));
+    return await libraryStore.getAll();
   } catch (error) {
     console.error('[Library] Error getting library:', error);
     return [];
   }
 };
 
+/**
+ * Get one library entry, or null if the manga isn't in the library
+ */
+export const getLibraryManga = async (mangaId, sourceId) => {
+  try {
+    return await libraryStore.get(libraryKey(mangaId, sourceId));
+  } catch (error) {
+    console.error('[Library] Error getting manga:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the library entries from one source
+ */
+export const getLibraryBySource = async (sourceId) => {
+  try {
+    return await libraryStore.find('source', sourceId);
+  } catch (error) {
+    console.error('[Library] Error getting source entries:', error);
+    return [];
+  }
+};
+
+/**
+ * Get the library entries in one category
+ */
+export const getLibraryByCategory = async (categoryId) => {
+  try {
+    return await libraryStore.find('category', categoryId);
+  } catch (error) {
+    console.error('[Library] Error getting category entries:', error);
+    return [];
+  }
+};
+
 /**
  * Add manga to library
  */
 export const addToLibrary = async (manga) => {
   try {
-    const library = await getLibrary();
-    
-    // Check if already exists
-    const exists = library.find(m => m.id === manga.id && m.sourceId === manga.sourceId);
-    if (exists) {
-      console.log('[Library] Manga already in library');
-      return false;
-    }
+    const added = await libraryStore.transaction(async (tx) => {
+      if (await tx.get(libraryKey(manga.id, manga.sourceId))) {
+        return false;
+      }
 
-    const libraryManga = new LibraryManga({
-      ...manga,
-      favorite: true,
-      dateAdded: Date.now(),
+      tx.put(new LibraryManga({
+        ...manga,
+        favorite: true,
+        dateAdded: Date.now(),
+      }));
+      return true;
     });
 
-    library.push(libraryManga);
-    await AsyncStorage.setItem(STORAGE_KEYS.LIBRARY, JSON.stringify(library));
-    
-    console.log('[Library] Added manga:', manga.title);
-    return true;
+    console.log(added ? `[Library] Added manga: ${manga.title}` : '[Library] Manga already in library');
+    return added;
   } catch (error) {
     console.error('[Library] Error adding to library:', error);
     return false;
@@ -218,10 +269,7 @@ export const addToLibrary = async (manga) => {
  */
 export const removeFromLibrary = async (mangaId, sourceId) => {
   try {
-    const library = await getLibrary();
-    const filtered = library.filter(m => !(m.id === mangaId && m.sourceId === sourceId));
-    
-    await AsyncStorage.setItem(STORAGE_KEYS.LIBRARY, JSON.stringify(filtered));
+    await libraryStore.remove(libraryKey(mangaId, sourceId));
     console.log('[Library] Removed manga from library');
     return true;
   } catch (error) {
@@ -234,7 +282,7 @@ export const removeFromLibrary = async (mangaId, sourceId) => {
  * Clear entire library
  */
 export const clearLibrary = async () => {
-  await AsyncStorage.removeItem(STORAGE_KEYS.LIBRARY);
+  await libraryStore.clear();
 };
 
 /**
@@ -242,21 +290,55 @@ export const clearLibrary = async () => {
  */
 export const updateLibraryManga = async (mangaId, sourceId, updates) => {
   try {
-    const library = await getLibrary();
-    const index = library.findIndex(m => m.id === mangaId && m.sourceId === sourceId);
-    
-    if (index === -1) return false;
+    const updated = await libraryStore.update(libraryKey(mangaId, sourceId), (manga) => (
+      manga ? new LibraryManga({ ...manga, ...updates, lastUpdate: Date.now() }) : undefined
+    ));
+    return !!updated;
+  } catch (error) {
+    console.error('[Library] Error updating:', error);
+    return false;
+  }
+};
 
-    library[index] = {
-      ...library[index],
-      ...updates,
-      lastUpdate: Date.now(),
-    };
+/**
+ * Replace a library entry with another manga (e.g. the same series on a new source),
+ * keeping its categories and date added. If the new manga is already in the library,
+ * the old entry is dropped and its categories are merged into the existing one.
+ */
+export const replaceLibraryManga = async (mangaId, sourceId, manga) => {
+  try {
+    const old = await libraryStore.transaction(async (tx) => {
+      const oldKey = libraryKey(mangaId, sourceId);
+      const current = await tx.get(oldKey);
+      if (!current) return null;
+
+      const newKey = libraryKey(manga.id, manga.sourceId);
+      const existing = newKey !== oldKey ? await tx.get(newKey) : null;
+
+      tx.remove(oldKey);
+      if (existing) {
+        tx.put(new LibraryManga({
+          ...existing,
+          categories: [...new Set([...existing.categories, ...current.categories])],
+          lastUpdate: Date.now(),
+        }));
+      } else {
+        tx.put(new LibraryManga({
+          ...manga,
+          favorite: true,
+          dateAdded: current.dateAdded,
+          categories: current.categories,
+          lastUpdate: Date.now(),
+        }));
+      }
+      return current;
+    });
 
-    await AsyncStorage.setItem(STORAGE_KEYS.LIBRARY, JSON.stringify(library));
+    if (!old) return false;
+    console.log('[Library] Replaced manga:', old.title);
     return true;
   } catch (error) {
-    console.error('[Library] Error updating:', error);
+    console.error('[Library] Error replacing:', error);
     return false;
   }
 };
@@ -265,8 +347,12 @@ export const updateLibraryManga = async (mangaId, sourceId, updates) => {
  * Check if manga is in library
  */
 export const isInLibrary = async (mangaId, sourceId) => {
-  const library = await getLibrary();
-  return library.some(m => m.id === mangaId && m.sourceId === sourceId);
+  try {
+    return await libraryStore.has(libraryKey(mangaId, sourceId));
+  } catch (error) {
+    console.error('[Library] Error checking library:', error);
+    return false;
+  }
 };
 
 /**
@@ -291,55 +377,68 @@ export class HistoryEntry {
   }
 }
 
+const MAX_HISTORY_ENTRIES = 500;
+
+// One entry per chapter; reading it again moves the entry to the top
+const historyKey = (mangaId, chapterId) => `${mangaId}_${chapterId}`;
+
+const historyMangaKey = (mangaId, sourceId) => `${sourceId}:${mangaId}`;
+
+const historyStore = new RecordStore(STORAGE_KEYS.HISTORY, {
+  keyOf: (entry) => historyKey(entry.mangaId, entry.chapterId),
+  indexes: {
+    manga: (entry) => historyMangaKey(entry.mangaId, entry.sourceId),
+    lastRead: { sortBy: (entry) => entry.readAt },
+  },
+  // Keep only the last 500 entries
+  limit: { index: 'lastRead', max: MAX_HISTORY_ENTRIES },
+  deserialize: (data) => new HistoryEntry(data),
+});
+
 /**
  * Get reading history
  */
 export const getHistory = async (limit = 100) => {
   try {
-    const data = await AsyncStorage.getItem(STORAGE_KEYS.HISTORY);
-    if (!data) return [];
-    
-    const parsed = JSON.parse(data);
-    const history = parsed.map(item => new HistoryEntry(item));
-    
-    // Sort by read date (most recent first)
-    history.sort((a, b) => b.readAt - a.readAt);
-    
-    return limit ? history.slice(0, limit) : history;
+    // Most recent first
+    return await historyStore.getSorted('lastRead', limit);
   } catch (error) {
     console.error('[History] Error getting history:', error);
     return [];
   }
 };
 
+/**
+ * Get every history entry of a manga, most recent first
+ */
+export const getMangaHistory = async (mangaId, sourceId) => {
+  try {
+    const entries = await historyStore.find('manga', historyMangaKey(mangaId, sourceId));
+    return entries.sort((a, b) => b.readAt - a.readAt);
+  } catch (error) {
+    console.error('[History] Error getting manga history:', error);
+    return [];
+  }
+};
+
 /**
  * Add history entry
  */
 export const addToHistory = async (manga, chapter, readDuration = 0) => {
   try {
-    const history = await getHistory(null); // Get all
-    
-    // Remove existing entry for this chapter
-    const filtered = history.filter(h => 
-      !(h.mangaId === manga.id && h.chapterId === chapter.id)
-    );
-    
-    // Add new entry
-    filtered.unshift(new HistoryEntry({
+    await historyStore.update(historyKey(manga.id, chapter.id), (existing) => new HistoryEntry({
       mangaId: manga.id,
       mangaTitle: manga.title,
       chapterId: chapter.id,
-      chapterTitle: chapter.title,
+      // Sources name chapters with `name`
+      chapterTitle: chapter.name || chapter.title,
       sourceId: manga.sourceId,
       coverUrl: manga.coverUrl,
       readAt: Date.now(),
-      readDuration,
+      // Time spent on a chapter adds up across reading sessions
+      readDuration: (existing?.readDuration || 0) + readDuration,
     }));
 
-    // Keep only last 500 entries
-    const limited = filtered.slice(0, 500);
-    
-    await AsyncStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(limited));
     console.log('[History] Added entry');
     return true;
   } catch (error) {
@@ -348,11 +447,112 @@ export const addToHistory = async (manga, chapter, readDuration = 0) => {
   }
 };
 
+/**
+ * Most recent read time per manga, keyed by `${sourceId}:${mangaId}`
+ * Read from the history indexes, without loading the entries
+ */
+export const getLastReadTimes = async () => {
+  try {
+    const [readTimes, mangaEntries] = await Promise.all([
+      historyStore.getIndexEntries('lastRead'),
+      historyStore.getIndexEntries('manga'),
+    ]);
+    const readAtByKey = new Map(readTimes);
+    const lastRead = {};
+
+    mangaEntries.forEach(([mangaKey, keys]) => {
+      lastRead[mangaKey] = Math.max(...keys.map(key => readAtByKey.get(key) || 0));
+    });
+
+    return lastRead;
+  } catch (error) {
+    console.error('[History] Error getting last read times:', error);
+    return {};
+  }
+};
+
+/**
+ * Remove the history entry for one chapter
+ */
+export const removeHistoryEntry = async (mangaId, chapterId) => {
+  try {
+    await historyStore.remove(historyKey(mangaId, chapterId));
+    console.log('[History] Removed entry');
+    return true;
+  } catch (error) {
+    console.error('[History] Error removing entry:', error);
+    return false;
+  }
+};
+
+/**
+ * Remove every history entry of a manga
+ */
+export const removeMangaHistory = async (mangaId, sourceId) => {
+  try {
+    const removed = await historyStore.transaction(async (tx) => {
+      const keys = tx.findKeys('manga', historyMangaKey(mangaId, sourceId));
+      keys.forEach(key => tx.remove(key));
+      return keys.length;
+    });
+
+    console.log(`[History] Removed ${removed} entries`);
+    return true;
+  } catch (error) {
+    console.error('[History] Error removing manga history:', error);
+    return false;
+  }
+};
+
+/**
+ * Move a manga's history entries to another manga
+ * `chapterIdMap` maps old chapter IDs to new ones; entries for chapters
+ * without a match are left where they are
+ */
+export const moveMangaHistory = async (mangaId, sourceId, manga, chapterIdMap) => {
+  try {
+    const moved = await historyStore.transaction(async (tx) => {
+      const entries = await tx.find('manga', historyMangaKey(mangaId, sourceId));
+      let count = 0;
+
+      for (const entry of entries) {
+        const chapterId = chapterIdMap[entry.chapterId];
+        if (!chapterId) continue;
+
+        const oldKey = historyKey(entry.mangaId, entry.chapterId);
+        const newKey = historyKey(manga.id, chapterId);
+        // The new manga may already have its own entry for a moved chapter; keep the most recent
+        const existing = newKey !== oldKey ? await tx.get(newKey) : null;
+
+        tx.remove(oldKey);
+        count++;
+        if (existing && existing.readAt >= entry.readAt) continue;
+
+        tx.put(new HistoryEntry({
+          ...entry,
+          mangaId: manga.id,
+          mangaTitle: manga.title,
+          sourceId: manga.sourceId,
+          coverUrl: manga.coverUrl,
+          chapterId,
+        }));
+      }
+      return count;
+    });
+
+    console.log(`[History] Moved ${moved} entries`);
+    return moved;
+  } catch (error) {
+    console.error('[History] Error moving manga history:', error);
+    return 0;
+  }
+};
+
 /**
  * Clear all history
  */
 export const clearHistory = async () => {
-  await AsyncStorage.removeItem(STORAGE_KEYS.HISTORY);
+  await historyStore.clear();
   console.log('[History] Cleared all history');
 };
 
@@ -380,17 +580,22 @@ export class ReadingProgress {
   }
 }
 
+const progressKey = (mangaId, chapterId) => `${mangaId}_${chapterId}`;
+
+const progressStore = new RecordStore(STORAGE_KEYS.READING_PROGRESS, {
+  keyOf: (progress) => progressKey(progress.mangaId, progress.chapterId),
+  indexes: {
+    manga: (progress) => progress.mangaId,
+  },
+  deserialize: (data) => new ReadingProgress(data),
+});
+
 /**
  * Get reading progress for a chapter
  */
 export const getReadingProgress = async (mangaId, chapterId) => {
   try {
-    const key = `${STORAGE_KEYS.READING_PROGRESS}${mangaId}_${chapterId}`;
-    const data = await AsyncStorage.getItem(key);
-    
-    if (!data) return null;
-    
-    return new ReadingProgress(JSON.parse(data));
+    return await progressStore.get(progressKey(mangaId, chapterId));
   } catch (error) {
     console.error('[Progress] Error getting progress:', error);
     return null;
@@ -402,18 +607,16 @@ export const getReadingProgress = async (mangaId, chapterId) => {
  */
 export const saveReadingProgress = async (mangaId, chapterId, page, totalPages) => {
   try {
-    const progress = new ReadingProgress({
+    await progressStore.update(progressKey(mangaId, chapterId), (previous) => new ReadingProgress({
       mangaId,
       chapterId,
       lastPageRead: page,
       totalPages,
-      completed: page >= totalPages - 1,
+      // A completed chapter stays completed when paging back through it
+      completed: page >= totalPages - 1 || !!previous?.completed,
       lastRead: Date.now(),
-    });
+    }));
 
-    const key = `${STORAGE_KEYS.READING_PROGRESS}${mangaId}_${chapterId}`;
-    await AsyncStorage.setItem(key, JSON.stringify(progress));
-    
     console.log(`[Progress] Saved: ${page}/${totalPages}`);
     return true;
   } catch (error) {
@@ -422,21 +625,45 @@ export const saveReadingProgress = async (mangaId, chapterId, page, totalPages)
   }
 };
 
+/**
+ * Mark chapters as read or unread
+ * Read chapters are stored as completed; unread ones lose their progress entirely
+ */
+export const markChaptersRead = async (mangaId, chapterIds, read = true) => {
+  try {
+    const keys = chapterIds.map(chapterId => progressKey(mangaId, chapterId));
+
+    if (read) {
+      await progressStore.transaction(async (tx) => {
+        for (const [index, key] of keys.entries()) {
+          const existing = await tx.get(key);
+          tx.put(new ReadingProgress({
+            ...(existing || {}),
+            mangaId,
+            chapterId: chapterIds[index],
+            completed: true,
+            lastRead: Date.now(),
+          }));
+        }
+      });
+    } else {
+      await progressStore.removeMany(keys);
+    }
+
+    console.log(`[Progress] Marked ${chapterIds.length} chapters as ${read ? 'read' : 'unread'}`);
+    return true;
+  } catch (error) {
+    console.error('[Progress] Error marking chapters:', error);
+    return false;
+  }
+};
+
 /**
  * Get all progress for a manga
  */
 export const getMangaProgress = async (mangaId) => {
   try {
-    const allKeys = await AsyncStorage.getAllKeys();
-    const progressKeys = allKeys.filter(key => 
-      key.startsWith(`${STORAGE_KEYS.READING_PROGRESS}${mangaId}_`)
-    );
-
-    const progressData = await AsyncStorage.multiGet(progressKeys);
-    
-    return progressData
-      .map(([key, value]) => value ? new ReadingProgress(JSON.parse(value)) : null)
-      .filter(p => p !== null);
+    return await progressStore.find('manga', mangaId);
   } catch (error) {
     console.error('[Progress] Error getting manga progress:', error);
     return [];
@@ -494,6 +721,110 @@ export const addCategory = async (name) => {
   }
 };
 
+/**
+ * ========================================
+ * LIBRARY UPDATES (Mihon-inspired)
+ * ========================================
+ */
+
+/**
+ * Get the chapter IDs last seen for a library manga, or null if it was never checked
+ */
+export const getKnownChapterIds = async (mangaId, sourceId) => {
+  try {
+    const data = await AsyncStorage.getItem(`${STORAGE_KEYS.KNOWN_CHAPTERS}${sourceId}_${mangaId}`);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('[Updates] Error getting known chapters:', error);
+    return null;
+  }
+};
+
+/**
+ * Remember a library manga's current chapters, so later checks only report newer ones
+ */
+export const saveKnownChapterIds = async (mangaId, sourceId, chapterIds) => {
+  try {
+    await AsyncStorage.setItem(
+      `${STORAGE_KEYS.KNOWN_CHAPTERS}${sourceId}_${mangaId}`,
+      JSON.stringify(chapterIds)
+    );
+    return true;
+  } catch (error) {
+    console.error('[Updates] Error saving known chapters:', error);
+    return false;
+  }
+};
+
+/**
+ * Update entry model: one newly found chapter
+ */
+export class UpdateEntry {
+  constructor(data) {
+    this.mangaId = data.mangaId;
+    this.sourceId = data.sourceId;
+    this.mangaTitle = data.mangaTitle;
+    this.coverUrl = data.coverUrl;
+    this.chapterId = data.chapterId;
+    this.chapterName = data.chapterName;
+    this.chapterDate = data.chapterDate;
+    this.fetchedAt = data.fetchedAt || Date.now();
+  }
+}
+
+/**
+ * Get found chapter updates, most recent first
+ */
+export const getUpdates = async () => {
+  try {
+    const data = await AsyncStorage.getItem(STORAGE_KEYS.UPDATES);
+    if (!data) return [];
+
+    return JSON.parse(data).map(item => new UpdateEntry(item));
+  } catch (error) {
+    console.error('[Updates] Error getting updates:', error);
+    return [];
+  }
+};
+
+/**
+ * Add found chapter updates
+ */
+export const addUpdates = async (entries) => {
+  try {
+    const updates = await getUpdates();
+    const added = entries.map(entry => new UpdateEntry(entry));
+
+    // Keep only last 500 entries
+    const limited = [...added, ...updates].slice(0, 500);
+
+    await AsyncStorage.setItem(STORAGE_KEYS.UPDATES, JSON.stringify(limited));
+    return true;
+  } catch (error) {
+    console.error('[Updates] Error adding updates:', error);
+    return false;
+  }
+};
+
+/**
+ * Clear all updates
+ */
+export const clearUpdates = async () => {
+  await AsyncStorage.removeItem(STORAGE_KEYS.UPDATES);
+};
+
+/**
+ * Time of the last completed library update, or 0 if it never ran
+ */
+export const getLastLibraryUpdate = async () => {
+  const data = await AsyncStorage.getItem(STORAGE_KEYS.LAST_LIBRARY_UPDATE);
+  return data ? Number(data) : 0;
+};
+
+export const setLastLibraryUpdate = async (timestamp) => {
+  await AsyncStorage.setItem(STORAGE_KEYS.LAST_LIBRARY_UPDATE, String(timestamp));
+};
+
 /**
  * ========================================
  * APP PREFERENCES (Mihon-inspired)
@@ -502,7 +833,6 @@ export const addCategory = async (name) => {
 
 const DEFAULT_PREFS = {
   theme: 'system',
-  readingMode: 'ltr', // ltr, rtl, vertical
   imageQuality: 'high',
   autoDownloadChapters: false,
   downloadOnlyOnWifi: true,
@@ -511,6 +841,10 @@ const DEFAULT_PREFS = {
   libraryUpdateInterval: 24, // hours
   keepScreenOn: true,
   volumeKeyNavigation: true,
+  libraryDisplayMode: 'grid', // grid, list
+  librarySortMode: 'alphabetical', // alphabetical, lastRead, dateAdded, unread
+  librarySortAscending: true,
+  compressBackups: true, // gzip backup files
 };
 
 /**
@@ -529,28 +863,48 @@ export const getAppPreferences = async () => {
 };
 
 /**
- * Set app preference
+ * Preference writes rewrite the whole blob, so they run one at a time;
+ * otherwise two quick writes can each drop the other's key
+ */
+let appPrefsQueue = Promise.resolve();
+
+const queueAppPrefsWrite = (write) => {
+  const run = appPrefsQueue.then(write);
+  appPrefsQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Set several app preferences in a single write
+ * Returns false if they couldn't be saved
  */
-export const setAppPreference = async (key, value) => {
+export const setAppPreferences = async (values) => {
   try {
-    const prefs = await getAppPreferences();
-    prefs[key] = value;
-    
-    await AsyncStorage.setItem(STORAGE_KEYS.APP_PREFS, JSON.stringify(prefs));
-    console.log(`[Preferences] Set ${key} = ${value}`);
+    await queueAppPrefsWrite(async () => {
+      // Read directly: a failed read must not be mistaken for empty prefs and overwrite them
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.APP_PREFS);
+      const prefs = { ...DEFAULT_PREFS, ...(data ? JSON.parse(data) : {}), ...values };
+      await AsyncStorage.setItem(STORAGE_KEYS.APP_PREFS, JSON.stringify(prefs));
+    });
+    console.log('[Preferences] Set', values);
     return true;
   } catch (error) {
-    console.error('[Preferences] Error setting pref:', error);
+    console.error('[Preferences] Error setting prefs:', error);
     return false;
   }
 };
 
+/**
+ * Set app preference
+ */
+export const setAppPreference = (key, value) => setAppPreferences({ [key]: value });
+
 /**
  * Reset app preferences to defaults
  */
-export const resetAppPreferences = async () => {
-  await AsyncStorage.setItem(STORAGE_KEYS.APP_PREFS, JSON.stringify(DEFAULT_PREFS));
-};
+export const resetAppPreferences = () => queueAppPrefsWrite(() => (
+  AsyncStorage.setItem(STORAGE_KEYS.APP_PREFS, JSON.stringify(DEFAULT_PREFS))
+));
 
 /**
  * Get source-specific preferences
@@ -585,28 +939,287 @@ export const setSourcePreference = async (sourceId, key, value) => {
   }
 };
 
+/**
+ * ========================================
+ * BACKUP (Mihon-inspired)
+ * ========================================
+ */
+
+const parseEntries = (entries) => entries
+  .filter(([, value]) => value)
+  .map(([key, value]) => [key, JSON.parse(value)]);
+
+/**
+ * Everything the user would lose on reinstall, as plain JSON
+ * Caches, downloads and library update bookkeeping are left out
+ */
+export const getBackupData = async () => {
+  const allKeys = await AsyncStorage.getAllKeys();
+  const sourcePrefKeys = allKeys.filter(key => key.startsWith(STORAGE_KEYS.SOURCE_PREFS));
+
+  const [library, progress, history, sourcePrefData, appPrefsData] = await Promise.all([
+    libraryStore.getAll(),
+    progressStore.getAll(),
+    historyStore.getSorted('lastRead'),
+    AsyncStorage.multiGet(sourcePrefKeys),
+    AsyncStorage.getItem(STORAGE_KEYS.APP_PREFS),
+  ]);
+
+  const sourcePreferences = {};
+  parseEntries(sourcePrefData).forEach(([key, prefs]) => {
+    sourcePreferences[key.slice(STORAGE_KEYS.SOURCE_PREFS.length)] = prefs;
+  });
+
+  return {
+    library,
+    categories: await getCategories(),
+    progress,
+    history,
+    pinnedSources: await getPinnedSources(),
+    // Only what the user changed, so restoring doesn't pin today's defaults
+    appPreferences: appPrefsData ? JSON.parse(appPrefsData) : {},
+    sourcePreferences,
+    readingMode: await getReadingMode(),
+    readingPreferences: await getReadingPreferences(),
+  };
+};
+
+/**
+ * Combine two progress records for the same chapter
+ * The most recent position wins, and a chapter read on either side stays read
+ */
+const mergeProgress = (current, restored) => {
+  const newer = restored.lastRead > current.lastRead ? restored : current;
+  return new ReadingProgress({ ...newer, completed: current.completed || restored.completed });
+};
+
+/**
+ * Write backup data (as returned by getBackupData) to storage
+ * With `merge`, restored entries are added to the existing data: library entries
+ * and categories already present are kept (library entries gain the restored
+ * categories), and progress and history keep the most recent record per chapter.
+ * Without it, the existing data is replaced. Records are built before anything
+ * is written, and each store swaps its old records for the restored ones in a
+ * single commit, so a failure part way leaves every store either as it was or restored.
+ * Preferences from the backup are applied either way.
+ *
+ * Returns the number of library entries, progress records and history entries written
+ */
+export const restoreBackupData = async (data, { merge = true } = {}) => {
+  const library = data.library.map(manga => new LibraryManga(manga));
+  const progressRecords = data.progress.map(progress => new ReadingProgress(progress));
+  const historyEntries = data.history.map(entry => new HistoryEntry(entry));
+
+  const current = merge ? {
+    categories: await getCategories(),
+    pinnedSources: await getPinnedSources(),
+    appPreferences: JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.APP_PREFS) || '{}'),
+  } : null;
+
+  // Library: restored entries join existing ones, matched by source and ID
+  await libraryStore.transaction(async (tx) => {
+    if (!merge) tx.removeAll();
+
+    for (const manga of library) {
+      const existing = await tx.get(libraryKey(manga.id, manga.sourceId));
+      tx.put(existing ? new LibraryManga({
+        ...existing,
+        categories: [...new Set([...existing.categories, ...manga.categories])],
+      }) : manga);
+    }
+  });
+
+  const categories = current ? [...current.categories] : [];
+  data.categories.forEach(category => {
+    if (!categories.some(c => c.id === category.id)) {
+      categories.push({ ...category, order: categories.length });
+    }
+  });
+
+  await progressStore.transaction(async (tx) => {
+    if (!merge) tx.removeAll();
+
+    for (const restored of progressRecords) {
+      const existing = await tx.get(progressKey(restored.mangaId, restored.chapterId));
+      tx.put(existing ? mergeProgress(existing, restored) : restored);
+    }
+  });
+
+  // The store keeps the most recent MAX_HISTORY_ENTRIES
+  await historyStore.transaction(async (tx) => {
+    if (!merge) tx.removeAll();
+
+    for (const entry of historyEntries) {
+      const existing = await tx.get(historyKey(entry.mangaId, entry.chapterId));
+      if (!existing || entry.readAt > existing.readAt) {
+        tx.put(entry);
+      }
+    }
+  });
+
+  const pinnedSources = [...new Set([...(current?.pinnedSources || []), ...data.pinnedSources])];
+
+  const sourcePrefEntries = await Promise.all(
+    Object.entries(data.sourcePreferences || {}).map(async ([sourceId, prefs]) => [
+      `${STORAGE_KEYS.SOURCE_PREFS}${sourceId}`,
+      JSON.stringify({ ...(merge ? await getSourcePreferences(sourceId) : {}), ...prefs }),
+    ])
+  );
+
+  const entries = [
+    [STORAGE_KEYS.CATEGORIES, JSON.stringify(categories)],
+    [STORAGE_KEYS.PINNED_SOURCES, JSON.stringify(pinnedSources)],
+    [STORAGE_KEYS.APP_PREFS, JSON.stringify({ ...(current?.appPreferences || {}), ...(data.appPreferences || {}) })],
+    ...sourcePrefEntries,
+  ];
+  if (data.readingPreferences) {
+    entries.push([STORAGE_KEYS.READING_PREFERENCES, JSON.stringify(data.readingPreferences)]);
+  } else if (READING_MODES.includes(data.readingMode)) {
+    entries.push([STORAGE_KEYS.READING_PREFERENCES, JSON.stringify({ ...(await getReadingPreferences()), mode: data.readingMode })]);
+  }
+  await AsyncStorage.multiSet(entries);
+
+  // Replacing: preferences the backup doesn't have go back to their defaults
+  if (!merge) {
+    const writtenKeys = new Set(entries.map(([key]) => key));
+    const allKeys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.multiRemove(allKeys.filter(key =>
+      (key.startsWith(STORAGE_KEYS.SOURCE_PREFS) || key === STORAGE_KEYS.READING_PREFERENCES) &&
+      !writtenKeys.has(key)
+    ));
+  }
+
+  console.log(`[Backup] Restored ${data.library.length} library entries, ${data.progress.length} progress records and ${data.history.length} history entries`);
+  return {
+    library: data.library.length,
+    progress: data.progress.length,
+    history: data.history.length,
+  };
+};
+
+/**
+ * ========================================
+ * STORAGE MIGRATIONS (see storageMigrations.js)
+ * ========================================
+ * Each step can run again after an interruption, and returns a summary of what
+ * it changed (null if there was nothing to do)
+ */
+
+/**
+ * Move data saved before the record stores (the library and history as single
+ * JSON arrays, progress as one key per chapter) into them, then remove the old keys
+ * A second run overwrites what the first one wrote, since records are keyed
+ */
+export const migrateToRecordStores = async () => {
+  const allKeys = await AsyncStorage.getAllKeys();
+  const progressKeys = allKeys.filter(key => key.startsWith(LEGACY_KEYS.READING_PROGRESS));
+  const legacyKeys = [LEGACY_KEYS.LIBRARY, LEGACY_KEYS.HISTORY].filter(key => allKeys.includes(key));
+  if (legacyKeys.length === 0 && progressKeys.length === 0) {
+    return null;
+  }
+
+  const [libraryData, historyData, progressData] = await Promise.all([
+    AsyncStorage.getItem(LEGACY_KEYS.LIBRARY),
+    AsyncStorage.getItem(LEGACY_KEYS.HISTORY),
+    AsyncStorage.multiGet(progressKeys),
+  ]);
+
+  const library = libraryData ? JSON.parse(libraryData).map(item => new LibraryManga(item)) : [];
+  // Oldest first, so the most recent entry wins if a chapter appears twice
+  const history = historyData
+    ? JSON.parse(historyData).map(item => new HistoryEntry(item)).sort((a, b) => a.readAt - b.readAt)
+    : [];
+  const progress = parseEntries(progressData).map(([, item]) => new ReadingProgress(item));
+
+  await libraryStore.putMany(library);
+  await historyStore.putMany(history);
+  await progressStore.putMany(progress);
+  await AsyncStorage.multiRemove([...legacyKeys, ...progressKeys]);
+
+  return `moved ${library.length} library entries, ${history.length} history entries and ${progress.length} progress records`;
+};
+
+/**
+ * Keep the reading mode only in the reading preferences
+ * It used to also live in the app preferences ('ltr', 'rtl', 'vertical') and
+ * under its own key, neither of which the reader read
+ */
+export const migrateReadingMode = async () => {
+  const [[, modeData], [, appPrefsData], [, readingPrefsData]] = await AsyncStorage.multiGet([
+    LEGACY_KEYS.READING_MODE,
+    STORAGE_KEYS.APP_PREFS,
+    STORAGE_KEYS.READING_PREFERENCES,
+  ]);
+  const appPrefs = appPrefsData ? JSON.parse(appPrefsData) : {};
+  if (modeData === null && !('readingMode' in appPrefs)) {
+    return null;
+  }
+
+  const changes = [];
+  // Reading preferences the user already has win; otherwise keep a valid old mode
+  if (!readingPrefsData && READING_MODES.includes(modeData)) {
+    await AsyncStorage.setItem(
+      STORAGE_KEYS.READING_PREFERENCES,
+      JSON.stringify({ ...DEFAULT_READING_PREFERENCES, mode: modeData })
+    );
+    changes.push(`reader mode set to ${modeData}`);
+  }
+
+  if ('readingMode' in appPrefs) {
+    const { readingMode, ...rest } = appPrefs;
+    await AsyncStorage.setItem(STORAGE_KEYS.APP_PREFS, JSON.stringify(rest));
+    changes.push(`removed app preference readingMode (${readingMode})`);
+  }
+  if (modeData !== null) {
+    await AsyncStorage.removeItem(LEGACY_KEYS.READING_MODE);
+    changes.push('removed the separate reading mode key');
+  }
+
+  return changes.join(', ');
+};
+
 /**
  * Aggregate service-style exports to align with services/index.js usage
  */
 export const LibraryService = {
   getAll: getLibrary,
+  get: getLibraryManga,
+  getBySource: getLibraryBySource,
+  getByCategory: getLibraryByCategory,
   add: addToLibrary,
   remove: removeFromLibrary,
   update: updateLibraryManga,
+  replace: replaceLibraryManga,
   isInLibrary,
   clear: clearLibrary,
 };
 
 export const HistoryService = {
   getAll: getHistory,
+  getForManga: getMangaHistory,
   add: addToHistory,
+  remove: removeHistoryEntry,
+  removeManga: removeMangaHistory,
+  moveManga: moveMangaHistory,
   clear: clearHistory,
+  getLastReadTimes,
 };
 
 export const ProgressService = {
   get: getReadingProgress,
   save: saveReadingProgress,
   getAllForManga: getMangaProgress,
+  markRead: markChaptersRead,
+};
+
+export const UpdatesService = {
+  getAll: getUpdates,
+  add: addUpdates,
+  clear: clearUpdates,
+  getKnownChapterIds,
+  saveKnownChapterIds,
+  getLastUpdate: getLastLibraryUpdate,
+  setLastUpdate: setLastLibraryUpdate,
 };
 
 export const CategoriesService = {
@@ -617,6 +1230,7 @@ export const CategoriesService = {
 export const AppPreferences = {
   getAll: getAppPreferences,
   set: setAppPreference,
+  setMany: setAppPreferences,
   reset: resetAppPreferences,
 };
 
@@ -0,0 +1,295 @@
+/**
+ * Tachiyomi Backup Import - Inspired by Mihon's BackupRestorer
+ * Reads .tachibk/.proto.gz backups (gzipped protobuf) and converts them into an
+ * Inkora backup, so they restore through backupService like our own files
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as DocumentPicker from 'expo-document-picker';
+import pako from 'pako';
+import { SourceManager } from './sourceManager';
+import { BACKUP_VERSION, BackupError, validateBackup, restoreBackup, RestoreMode } from './backupService';
+import { getCategories } from './storageService';
+import { decodeMessage } from '../utils/protobuf';
+import { base64ToBytes } from '../utils/base64';
+
+/**
+ * Subset of Mihon's backup schema (eu.kanade.tachiyomi.data.backup.models)
+ */
+const CHAPTER_FIELDS = {
+  1: { name: 'url', type: 'string' },
+  2: { name: 'name', type: 'string' },
+  4: { name: 'read', type: 'bool' },
+  6: { name: 'lastPageRead', type: 'long' },
+  7: { name: 'dateFetch', type: 'long' },
+  9: { name: 'chapterNumber', type: 'float' },
+};
+
+const HISTORY_FIELDS = {
+  1: { name: 'url', type: 'string' },
+  2: { name: 'lastRead', type: 'long' },
+  3: { name: 'readDuration', type: 'long' },
+};
+
+// Older backups stored history in a message with the fields numbered from 0
+const BROKEN_HISTORY_FIELDS = {
+  0: { name: 'url', type: 'string' },
+  1: { name: 'lastRead', type: 'long' },
+  2: { name: 'readDuration', type: 'long' },
+};
+
+const MANGA_FIELDS = {
+  1: { name: 'source', type: 'longString' },
+  2: { name: 'url', type: 'string' },
+  3: { name: 'title', type: 'string' },
+  4: { name: 'artist', type: 'string' },
+  5: { name: 'author', type: 'string' },
+  6: { name: 'description', type: 'string' },
+  7: { name: 'genre', type: 'string', repeated: true },
+  8: { name: 'status', type: 'int' },
+  9: { name: 'thumbnailUrl', type: 'string' },
+  13: { name: 'dateAdded', type: 'long' },
+  16: { name: 'chapters', type: 'message', repeated: true, fields: CHAPTER_FIELDS },
+  17: { name: 'categories', type: 'long', repeated: true },
+  100: { name: 'favorite', type: 'bool' },
+  102: { name: 'brokenHistory', type: 'message', repeated: true, fields: BROKEN_HISTORY_FIELDS },
+  104: { name: 'history', type: 'message', repeated: true, fields: HISTORY_FIELDS },
+};
+
+const CATEGORY_FIELDS = {
+  1: { name: 'name', type: 'string' },
+  2: { name: 'order', type: 'long' },
+};
+
+const SOURCE_FIELDS = {
+  1: { name: 'name', type: 'string' },
+  2: { name: 'sourceId', type: 'longString' },
+};
+
+const BACKUP_FIELDS = {
+  1: { name: 'backupManga', type: 'message', repeated: true, fields: MANGA_FIELDS },
+  2: { name: 'backupCategories', type: 'message', repeated: true, fields: CATEGORY_FIELDS },
+  101: { name: 'backupSources', type: 'message', repeated: true, fields: SOURCE_FIELDS },
+};
+
+/**
+ * Mihon's SManga status codes
+ */
+const STATUS_NAMES = {
+  1: 'ongoing',
+  2: 'completed',
+  3: 'licensed',
+  4: 'completed',
+  5: 'cancelled',
+  6: 'hiatus',
+};
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Find the Inkora source for a Mihon source by name, e.g. "MangaDex" or "Bato.to"
+ * Also matches a source's domains, since Mihon extensions are often named after them
+ */
+const findInkoraSource = (name) => {
+  const key = normalizeName(name);
+  if (!key) return null;
+
+  return SourceManager.getAllSources().find(source =>
+    [source.name, ...(source.domains || [])].some(candidate => normalizeName(candidate) === key)
+  ) || null;
+};
+
+/**
+ * Mihon stores site paths (e.g. "/manga/<uuid>", "/series/123/title-slug", "/chapter/456");
+ * Inkora sources use the ID part of them
+ */
+const mangaIdFromUrl = (url) => {
+  const match = (url || '').match(/\/(?:manga|series|title|comic)\/([^/?#]+)/);
+  return match ? match[1] : chapterIdFromUrl(url);
+};
+
+const chapterIdFromUrl = (url) => (url || '').split(/[?#]/)[0].split('/').filter(Boolean).pop() || url;
+
+const readBackupBytes = async (uri) => {
+  try {
+    const bytes = base64ToBytes(await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+    }));
+    // .tachibk files are gzipped; accept an already extracted .proto too
+    return bytes[0] === 0x1f && bytes[1] === 0x8b ? pako.ungzip(bytes) : bytes;
+  } catch (error) {
+    throw new BackupError(`Backup file could not be read: ${error.message}`);
+  }
+};
+
+/**
+ * Convert a decoded Mihon backup into an Inkora backup
+ * Returns { backup, stubSources: [{ id, name }] } where stubSources are the
+ * Mihon sources with no Inkora implementation
+ */
+export const convertTachiyomiBackup = (tachiyomiBackup, existingCategories = []) => {
+  const sourceNames = {};
+  tachiyomiBackup.backupSources.forEach(source => {
+    sourceNames[source.sourceId] = source.name;
+  });
+
+  // Mihon links manga to categories by the category's order; categories with
+  // the same name as an existing one are reused
+  const categoryIdByOrder = {};
+  const categories = [...tachiyomiBackup.backupCategories]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(category => {
+      const order = category.order || 0;
+      const existing = existingCategories.find(c => c.name.toLowerCase() === category.name.toLowerCase());
+      const id = existing ? existing.id : `cat_mihon_${order}`;
+      categoryIdByOrder[order] = id;
+      return { id, name: category.name, order };
+    });
+
+  const stubSources = new Map();
+  const library = [];
+  const progress = [];
+  const history = [];
+
+  tachiyomiBackup.backupManga.forEach(entry => {
+    const sourceName = sourceNames[entry.source];
+    const inkoraSource = findInkoraSource(sourceName);
+    const sourceId = inkoraSource ? inkoraSource.id : entry.source;
+    if (!inkoraSource) {
+      stubSources.set(entry.source, sourceName || `Source ${entry.source}`);
+    }
+
+    const mangaId = mangaIdFromUrl(entry.url);
+    const chaptersByUrl = new Map(entry.chapters.map(chapter => [chapter.url, chapter]));
+    const historyEntries = [...entry.history, ...entry.brokenHistory];
+    const lastReadByUrl = new Map(historyEntries.map(h => [h.url, h.lastRead || 0]));
+
+    // Mihon omits `favorite` when it has its default value, true
+    if (entry.favorite !== false) {
+      const mangaCategories = entry.categories
+        .map(order => categoryIdByOrder[order])
+        .filter(Boolean);
+
+      library.push({
+        id: mangaId,
+        sourceId,
+        sourceName: inkoraSource ? inkoraSource.name : stubSources.get(entry.source),
+        title: entry.title || '',
+        author: entry.author || null,
+        artist: entry.artist || null,
+        description: entry.description || '',
+        genres: entry.genre,
+        status: STATUS_NAMES[entry.status] || 'unknown',
+        coverUrl: entry.thumbnailUrl || null,
+        url: entry.url,
+        favorite: true,
+        dateAdded: entry.dateAdded || Date.now(),
+        categories: mangaCategories.length > 0 ? mangaCategories : ['default'],
+        unreadCount: entry.chapters.filter(chapter => !chapter.read).length,
+      });
+    }
+
+    entry.chapters
+      .filter(chapter => chapter.read || chapter.lastPageRead > 0)
+      .forEach(chapter => {
+        progress.push({
+          mangaId,
+          chapterId: chapterIdFromUrl(chapter.url),
+          lastPageRead: chapter.lastPageRead || 0,
+          totalPages: 0,
+          completed: !!chapter.read,
+          lastRead: lastReadByUrl.get(chapter.url) || chapter.dateFetch || Date.now(),
+        });
+      });
+
+    historyEntries
+      .filter(h => h.url && h.lastRead)
+      .forEach(h => {
+        history.push({
+          mangaId,
+          mangaTitle: entry.title || '',
+          chapterId: chapterIdFromUrl(h.url),
+          chapterTitle: chaptersByUrl.get(h.url)?.name || null,
+          sourceId,
+          coverUrl: entry.thumbnailUrl || null,
+          readAt: h.lastRead,
+          readDuration: h.readDuration || 0,
+        });
+      });
+  });
+
+  const backup = {
+    app: 'inkora',
+    version: BACKUP_VERSION,
+    createdAt: Date.now(),
+    data: {
+      library,
+      categories,
+      progress,
+      history,
+      pinnedSources: [],
+    },
+  };
+
+  return {
+    backup: validateBackup(backup),
+    stubSources: [...stubSources.entries()].map(([id, name]) => ({ id, name })),
+  };
+};
+
+/**
+ * Read a Mihon/Tachiyomi backup file and convert it
+ * Returns { backup, stubSources } like convertTachiyomiBackup
+ */
+export const readTachiyomiBackupFile = async (uri) => {
+  const bytes = await readBackupBytes(uri);
+
+  let tachiyomiBackup;
+  try {
+    tachiyomiBackup = decodeMessage(bytes, BACKUP_FIELDS);
+  } catch (error) {
+    throw new BackupError(`Not a Tachiyomi/Mihon backup: ${error.message}`);
+  }
+  if (tachiyomiBackup.backupManga.length === 0 && tachiyomiBackup.backupCategories.length === 0) {
+    throw new BackupError('Backup has no library entries or categories');
+  }
+
+  return convertTachiyomiBackup(tachiyomiBackup, await getCategories());
+};
+
+/**
+ * Let the user pick a Mihon/Tachiyomi backup
+ * Returns the converted backup, or null if the picker was cancelled
+ */
+export const pickTachiyomiBackupFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: '*/*',
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets?.length) return null;
+
+  return readTachiyomiBackupFile(result.assets[0].uri);
+};
+
+/**
+ * Import a converted backup, merging it into the current data
+ * Sources Inkora can't open are registered as stubs so their entries still show
+ * up; migrate them to a supported source to read them
+ *
+ * Returns { library, progress, history } counts like restoreBackup
+ */
+export const importTachiyomiBackup = async ({ backup, stubSources }) => {
+  stubSources.forEach(({ id, name }) => SourceManager.registerStubSource(id, name));
+  console.log(`[TachiyomiBackup] Importing ${backup.data.library.length} manga (${stubSources.length} unsupported sources)`);
+  return restoreBackup(backup, { mode: RestoreMode.MERGE });
+};
+
+/**
+ * Aggregate TachiyomiBackup object for convenient imports
+ */
+export const TachiyomiBackup = {
+  convert: convertTachiyomiBackup,
+  readFile: readTachiyomiBackupFile,
+  pickFile: pickTachiyomiBackupFile,
+  import: importTachiyomiBackup,
+};
@@ -1,240 +1,196 @@
 /**
  * Service for Xbato (xbato.com) manga source
- * Using unofficial Xbato API: https://xbato-api.hanifu.id
+ * Uses the self-hosted scraper API in backend/server.js
+ *
+ * SETUP:
+ * 1. Run the backend (`cd backend && npm install && npm start`) or deploy it
+ * 2. Update XBATO_API_BASE below with the backend URL
  */
 
-import { GET, parseJSON } from './networkUtils';
+import { GET } from './networkUtils';
+import { FilterList } from './filterSystem';
 
-const XBATO_API_BASE = 'https://xbato-api.hanifu.id';
+// CHANGE THIS to your deployed backend URL
+const XBATO_API_BASE = 'http://localhost:3000'; // For local testing
+// const XBATO_API_BASE = 'https://your-app.example.com'; // For production
 
 /**
- * Helper function to encode URL to base64
+ * Helper function to make fetch request with better error handling
+ * The backend answers errors with { error: message }
  */
-const encodeBase64 = (str) => {
-  // Use btoa for base64 encoding (works in React Native)
-  try {
-    return btoa(str);
-  } catch (error) {
-    // Fallback for environments without btoa
-    return Buffer.from(str).toString('base64');
+const fetchXbatoApi = async (endpoint) => {
+  const url = `${XBATO_API_BASE}${endpoint}`;
+  console.log('[XbatoService] Fetching from:', url);
+
+  const response = await GET(url, { 'Accept': 'application/json' }, {
+    maxRetries: 2,
+    checkCloudflare: false,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
   }
+
+  const data = await response.json();
+  console.log('[XbatoService] Response received');
+  return data;
 };
 
 /**
- * Helper function to decode base64 to URL
+ * Map a backend manga entry to the app's manga shape
  */
-const decodeBase64 = (str) => {
-  try {
-    return atob(str);
-  } catch (error) {
-    return Buffer.from(str, 'base64').toString('utf-8');
-  }
-};
+const parseManga = (item) => ({
+  id: item.id,
+  title: item.title,
+  description: item.description || '',
+  coverUrl: item.coverUrl,
+  author: item.author || null,
+  status: item.status || 'unknown',
+  type: 'manga',
+  _originalUrl: item.url,
+});
+
+const EMPTY_PAGE = { mangas: [], hasNextPage: false };
 
 /**
- * Helper function to make fetch request with better error handling
- * Uses networkUtils for consistent error handling
+ * Titles on a full xbato.com search page, which the backend passes through unchanged
  */
-const fetchXbatoApi = async (url) => {
-  console.log('[XbatoService] Fetching from:', url);
-  
-  const response = await GET(url, { 'Accept': 'application/json' }, {
-    maxRetries: 2,
-    checkCloudflare: false,
-  });
-  
-  const data = await parseJSON(response);
-  console.log('[XbatoService] Response received');
+export const XBATO_PAGE_SIZE = 36;
+
+/**
+ * Build a { mangas, hasNextPage } page from a backend list response
+ * The backend doesn't report pagination; a short page is the last one
+ */
+const toMangasPage = (data) => ({
+  mangas: data.map(parseManga),
+  hasNextPage: data.length >= XBATO_PAGE_SIZE,
+});
+
+/**
+ * Backend list responses are arrays; anything else means the backend is misbehaving
+ */
+const expectArray = (data) => {
+  if (!Array.isArray(data)) {
+    throw new Error('Unexpected response format');
+  }
   return data;
 };
 
 /**
  * Search manga on Xbato
+ * Like the other source methods, rejects when the backend can't be reached
  */
-export const searchXbatoManga = async (query) => {
-  try {
-    console.log('[XbatoService] Searching for:', query);
-    
-    // API requires minimum 3 characters
-    if (query.trim().length < 3) {
-      console.log('[XbatoService] Query too short, minimum 3 characters required');
-      return [];
-    }
-    
-    const url = `${XBATO_API_BASE}/search?query=${encodeURIComponent(query)}`;
-    const data = await fetchXbatoApi(url);
-    
-    if (!data || !Array.isArray(data)) {
-      console.log('[XbatoService] No results found');
-      return [];
-    }
-    
-    console.log(`[XbatoService] Found ${data.length} results`);
-    
-    return data.map(item => ({
-      id: item.url || item.link, // Store the full URL as ID
-      title: item.title || item.name,
-      description: item.description || item.synopsis || '',
-      coverUrl: item.image || item.thumbnail || item.cover || null,
-      author: item.author || null,
-      status: item.status || 'unknown',
-      type: item.type || 'manga',
-      // Store the original URL for later use
-      _originalUrl: item.url || item.link,
-    }));
-  } catch (error) {
-    console.error('[XbatoService] Error searching manga:', error.message);
-    return [];
+export const searchXbatoManga = async (query, page = 1) => {
+  console.log('[XbatoService] Searching for:', query, 'page', page);
+
+  // Backend requires minimum 2 characters
+  if (!query || query.trim().length < 2) {
+    console.log('[XbatoService] Query too short, minimum 2 characters required');
+    return EMPTY_PAGE;
   }
+
+  const data = expectArray(
+    await fetchXbatoApi(`/api/search?query=${encodeURIComponent(query.trim())}&page=${page}`)
+  );
+
+  console.log(`[XbatoService] Found ${data.length} results`);
+  return toMangasPage(data);
 };
 
 /**
- * Get popular/latest manga from Xbato
- * Uses a generic search term to get results since the API requires min 3 chars
+ * Get popular manga from Xbato
  */
-export const getXbatoPopularManga = async () => {
-  try {
-    console.log('[XbatoService] Fetching popular manga');
-    
-    // Use a generic search term that's likely to return many results
-    const popularSearchTerms = ['the', 'manga', 'one'];
-    const searchTerm = popularSearchTerms[Math.floor(Math.random() * popularSearchTerms.length)];
-    
-    const url = `${XBATO_API_BASE}/search?query=${encodeURIComponent(searchTerm)}`;
-    const data = await fetchXbatoApi(url);
-    
-    if (!data || !Array.isArray(data)) {
-      console.log('[XbatoService] No results found');
-      return [];
-    }
-    
-    console.log(`[XbatoService] Found ${data.length} manga`);
-    
-    return data.map(item => ({
-      id: item.url || item.link,
-      title: item.title || item.name,
-      description: item.description || item.synopsis || '',
-      coverUrl: item.image || item.thumbnail || item.cover || null,
-      author: item.author || null,
-      status: item.status || 'unknown',
-      type: item.type || 'manga',
-      _originalUrl: item.url || item.link,
-    }));
-  } catch (error) {
-    console.error('[XbatoService] Error fetching popular manga:', error.message);
-    return [];
-  }
+export const getXbatoPopularManga = async (page = 1) => {
+  console.log('[XbatoService] Fetching popular manga, page', page);
+
+  const data = expectArray(await fetchXbatoApi(`/api/popular?page=${page}`));
+
+  console.log(`[XbatoService] Found ${data.length} manga`);
+  return toMangasPage(data);
 };
 
 /**
  * Get manga details from Xbato
  */
-export const getXbatoMangaDetails = async (mangaUrl) => {
-  try {
-    console.log('[XbatoService] Fetching manga details for URL:', mangaUrl);
-    
-    // The manga URL should be the full xbato.com URL
-    // Encode it to base64
-    const encodedUrl = encodeBase64(mangaUrl);
-    const url = `${XBATO_API_BASE}/comic/${encodedUrl}`;
-    
-    const data = await fetchXbatoApi(url);
-    
-    if (!data) {
-      console.log('[XbatoService] No details found');
-      return null;
-    }
-    
-    return {
-      id: mangaUrl,
-      title: data.title || data.name,
-      description: data.description || data.synopsis || '',
-      coverUrl: data.image || data.thumbnail || data.cover || null,
-      author: data.author || null,
-      artist: data.artist || null,
-      status: data.status || 'unknown',
-      type: data.type || 'manga',
-      genres: data.genres || data.tags || [],
-      chapters: data.chapters || [],
-      _originalUrl: mangaUrl,
-    };
-  } catch (error) {
-    console.error('[XbatoService] Error fetching manga details:', error.message);
+export const getXbatoMangaDetails = async (mangaId) => {
+  console.log('[XbatoService] Fetching manga details for ID:', mangaId);
+
+  const data = await fetchXbatoApi(`/api/manga/${encodeURIComponent(mangaId)}`);
+
+  if (!data || !data.id) {
+    console.log('[XbatoService] No details found');
     return null;
   }
+
+  return {
+    ...parseManga(data),
+    artist: data.artist || null,
+    genres: data.genres || [],
+  };
 };
 
 /**
  * Get chapters for a manga from Xbato
  */
-export const getXbatoChapters = async (mangaUrl) => {
-  try {
-    console.log('[XbatoService] Fetching chapters for manga URL:', mangaUrl);
-    
-    // Get manga details which should include chapters
-    const details = await getXbatoMangaDetails(mangaUrl);
-    
-    if (!details || !details.chapters) {
-      console.log('[XbatoService] No chapters found');
-      return [];
-    }
-    
-    console.log(`[XbatoService] Found ${details.chapters.length} chapters`);
-    
-    return details.chapters.map((chapter, index) => ({
-      id: chapter.url || chapter.link, // Store full chapter URL
-      name: chapter.title || chapter.name || `Chapter ${chapter.number || index + 1}`,
-      chapter: chapter.number || chapter.chapter,
-      volume: chapter.volume || null,
-      date: chapter.date || chapter.uploadDate || null,
-      scanlationGroup: chapter.group || chapter.scanlator || null,
-      _originalUrl: chapter.url || chapter.link,
-    }));
-  } catch (error) {
-    console.error('[XbatoService] Error fetching chapters:', error.message);
-    return [];
-  }
+export const getXbatoChapters = async (mangaId) => {
+  console.log('[XbatoService] Fetching chapters for manga ID:', mangaId);
+
+  const data = expectArray(await fetchXbatoApi(`/api/manga/${encodeURIComponent(mangaId)}/chapters`));
+
+  console.log(`[XbatoService] Found ${data.length} chapters`);
+
+  return data.map((chapter, index) => ({
+    id: chapter.id,
+    name: chapter.name || `Chapter ${index + 1}`,
+    chapter: chapter.chapter || null,
+    volume: chapter.volume || null,
+    date: chapter.date || null,
+    scanlationGroup: chapter.scanlationGroup || null,
+    _originalUrl: chapter.url,
+  }));
 };
 
 /**
  * Get chapter pages/images from Xbato
  */
-export const getXbatoChapterPages = async (chapterUrl) => {
+export const getXbatoChapterPages = async (chapterId) => {
+  console.log('[XbatoService] Fetching chapter pages for chapter ID:', chapterId);
+
+  const data = expectArray(await fetchXbatoApi(`/api/chapter/${encodeURIComponent(chapterId)}/images`));
+
+  console.log(`[XbatoService] Found ${data.length} pages`);
+
+  return data.map((image, index) => ({
+    url: image.url,
+    page: image.page || index + 1,
+  }));
+};
+
+/**
+ * Test connection to the backend
+ */
+export const testXbatoConnection = async () => {
   try {
-    console.log('[XbatoService] Fetching chapter pages for URL:', chapterUrl);
-    
-    // Encode chapter URL to base64
-    const encodedUrl = encodeBase64(chapterUrl);
-    const url = `${XBATO_API_BASE}/images/${encodedUrl}`;
-    
-    const data = await fetchXbatoApi(url);
-    
-    if (!data) {
-      console.log('[XbatoService] No pages found');
-      return [];
-    }
-    
-    // The response should be an array of image URLs
-    if (Array.isArray(data)) {
-      console.log(`[XbatoService] Found ${data.length} pages`);
-      return data.map((imageUrl, index) => ({
-        url: imageUrl,
-        page: index + 1,
-      }));
-    }
-    
-    // If data has a different structure, adjust accordingly
-    if (data.images && Array.isArray(data.images)) {
-      console.log(`[XbatoService] Found ${data.images.length} pages`);
-      return data.images.map((imageUrl, index) => ({
-        url: imageUrl,
-        page: index + 1,
-      }));
-    }
-    
-    return [];
+    const data = await fetchXbatoApi('/');
+    console.log('[XbatoService] Backend connection test:', data);
+    return data.status === 'online';
   } catch (error) {
-    console.error('[XbatoService] Error fetching chapter pages:', error.message);
-    return [];
+    console.error('[XbatoService] Backend connection failed:', error.message);
+    return false;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Xbato implementation of the source contract (see SOURCE_METHODS in sourceManager.js)
+ * The backend has no latest-updates or filter endpoints
+ */
+export const XbatoSource = {
+  searchManga: (query, page = 1, filters = null) => searchXbatoManga(query, page),
+  getPopularManga: (page = 1) => getXbatoPopularManga(page),
+  getLatestUpdates: async (page = 1) => EMPTY_PAGE,
+  getMangaDetails: (mangaId) => getXbatoMangaDetails(mangaId),
+  getChapters: (mangaId) => getXbatoChapters(mangaId),
+  getChapterPages: (chapterId) => getXbatoChapterPages(chapterId),
+  getFilterList: () => new FilterList(),
+};
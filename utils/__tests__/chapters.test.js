@@ -0,0 +1,49 @@
+import { getChapterGap, getTransitionWarnings, parseChapterNumber } from '../chapters';
+
+const chapter = (number, extra = {}) => ({ id: `ch-${number}`, chapter: String(number), ...extra });
+
+describe('parseChapterNumber', () => {
+  it('reads the chapter field, then the name', () => {
+    expect(parseChapterNumber({ chapter: '11.5' })).toBe(11.5);
+    expect(parseChapterNumber({ name: 'Vol.2 Ch.14 - Rain' })).toBe(14);
+    expect(parseChapterNumber({ name: 'Oneshot' })).toBeNull();
+  });
+});
+
+describe('getChapterGap', () => {
+  it('counts the whole chapters missing between two chapters', () => {
+    expect(getChapterGap(chapter(12), chapter(15))).toBe(2);
+    expect(getChapterGap(chapter(15), chapter(12))).toBe(2);
+    expect(getChapterGap(chapter(10), chapter(11))).toBe(0);
+  });
+
+  it('reports gaps that end on a fractional chapter', () => {
+    expect(getChapterGap(chapter(10), chapter(11.5))).toBe(1);
+    expect(getChapterGap(chapter(10.5), chapter(12))).toBe(1);
+    expect(getChapterGap(chapter(9.5), chapter(12.5))).toBe(3);
+  });
+
+  it('does not count extras next to their chapter as a gap', () => {
+    expect(getChapterGap(chapter(10), chapter(10.5))).toBe(0);
+    expect(getChapterGap(chapter(10.5), chapter(11))).toBe(0);
+    expect(getChapterGap(chapter(10.1), chapter(10.2))).toBe(0);
+  });
+
+  it('tolerates float noise in chapter numbers', () => {
+    expect(getChapterGap({ chapter: 10.999999999 }, chapter(12))).toBe(0);
+    expect(getChapterGap(chapter(10), { chapter: 11.000000001 })).toBe(0);
+  });
+
+  it('is 0 when a number is unknown', () => {
+    expect(getChapterGap(chapter(10), { name: 'Extra' })).toBe(0);
+  });
+});
+
+describe('getTransitionWarnings', () => {
+  it('warns about missing chapters and a group change', () => {
+    expect(getTransitionWarnings(
+      chapter(10, { scanlationGroup: 'A' }),
+      chapter(11.5, { scanlationGroup: 'B' })
+    )).toEqual(['1 missing chapter', 'Different scanlation group: B']);
+  });
+});
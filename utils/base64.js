@@ -0,0 +1,22 @@
+/**
+ * Conversions between base64 strings and bytes, for binary files
+ * read and written through expo-file-system
+ */
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  // Chunked so String.fromCharCode doesn't exceed the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
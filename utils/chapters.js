@@ -0,0 +1,84 @@
+/**
+ * Chapter list helpers, like Mihon's chapter recognition and ChapterTransition
+ * Sources list chapters newest first; reading order is the reverse
+ */
+
+/**
+ * Chapter number of a chapter, from the source's `chapter` field or its name
+ */
+export const parseChapterNumber = (chapter) => {
+  const number = parseFloat(chapter.chapter);
+  if (Number.isFinite(number)) return number;
+
+  const name = chapter.name || chapter.title || '';
+  const match = name.match(/(?:chapter|ch\.?|episode|ep\.?)\s*(\d+(?:\.\d+)?)/i) || name.match(/(\d+(?:\.\d+)?)/);
+  return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * Chapter to read after `chapterId`, or null at the end of the list
+ * Sources can list a chapter once per scanlation group; those copies are
+ * skipped, and the same group's release of the next number is preferred
+ */
+export const getNextChapter = (chapters, chapterId) => {
+  const index = chapters.findIndex(chapter => chapter.id === chapterId);
+  if (index <= 0) return null;
+
+  const current = chapters[index];
+  const number = parseChapterNumber(current);
+  const newer = chapters.slice(0, index).reverse();
+  if (number === null) return newer[0];
+
+  const candidates = newer.filter(chapter => {
+    const candidateNumber = parseChapterNumber(chapter);
+    return candidateNumber === null || candidateNumber > number;
+  });
+  if (candidates.length === 0) return null;
+
+  const nextNumber = parseChapterNumber(candidates[0]);
+  return candidates.find(chapter => (
+    parseChapterNumber(chapter) === nextNumber && chapter.scanlationGroup === current.scanlationGroup
+  )) || candidates[0];
+};
+
+/**
+ * Absorbs float noise in parsed numbers such as 10.999999
+ */
+const CHAPTER_NUMBER_EPSILON = 1e-6;
+
+/**
+ * How many whole chapter numbers are missing between two chapters,
+ * e.g. 2 from 12 to 15 and 1 from 10 to 11.5; extras like 10.5 don't count
+ * 0 when either number is unknown
+ */
+export const getChapterGap = (from, to) => {
+  const fromNumber = parseChapterNumber(from);
+  const toNumber = parseChapterNumber(to);
+  if (fromNumber === null || toNumber === null) return 0;
+
+  const lower = Math.min(fromNumber, toNumber);
+  const higher = Math.max(fromNumber, toNumber);
+  // Whole numbers strictly between the two chapters
+  const firstMissing = Math.floor(lower + CHAPTER_NUMBER_EPSILON) + 1;
+  const lastMissing = Math.ceil(higher - CHAPTER_NUMBER_EPSILON) - 1;
+  return Math.max(0, lastMissing - firstMissing + 1);
+};
+
+/**
+ * Warnings to show on the transition from `from` to `to`
+ * Returns an array of messages, empty when there's nothing to warn about
+ */
+export const getTransitionWarnings = (from, to) => {
+  const warnings = [];
+
+  const gap = getChapterGap(from, to);
+  if (gap > 0) {
+    warnings.push(`${gap} missing chapter${gap === 1 ? '' : 's'}`);
+  }
+
+  if (from.scanlationGroup && to.scanlationGroup && from.scanlationGroup !== to.scanlationGroup) {
+    warnings.push(`Different scanlation group: ${to.scanlationGroup}`);
+  }
+
+  return warnings;
+};
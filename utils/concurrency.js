@@ -0,0 +1,21 @@
+/**
+ * Helpers for running async work in parallel with a limit
+ */
+
+/**
+ * Run tasks with at most `limit` of them in flight
+ */
+export const runWithConcurrency = async (items, limit, task) => {
+  const queue = [...items];
+  const worker = async () => {
+    while (queue.length > 0) {
+      await task(queue.shift());
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+};
@@ -0,0 +1,32 @@
+/**
+ * Helpers for lists grouped by day (Updates, History)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Section title for the day of a timestamp
+ */
+export const getDayLabel = (timestamp) => {
+  const startOfToday = new Date().setHours(0, 0, 0, 0);
+  if (timestamp >= startOfToday) return 'Today';
+  if (timestamp >= startOfToday - DAY_MS) return 'Yesterday';
+  return new Date(timestamp).toLocaleDateString();
+};
+
+/**
+ * Group items (already sorted newest first) into SectionList sections, one per day
+ */
+export const groupByDay = (items, getTimestamp) => {
+  const sections = [];
+  items.forEach(item => {
+    const title = getDayLabel(getTimestamp(item));
+    const last = sections[sections.length - 1];
+    if (last && last.title === title) {
+      last.data.push(item);
+    } else {
+      sections.push({ title, data: [item] });
+    }
+  });
+  return sections;
+};
@@ -0,0 +1,178 @@
+/**
+ * Minimal protobuf decoder, enough to read backups from other apps
+ * Messages are described by a schema of field number -> { name, type, repeated, fields }
+ *
+ * Types: 'string', 'bool', 'int' and 'long' (as numbers), 'longString' (64-bit IDs
+ * that don't fit a JS number, as decimal strings), 'float', and 'message' (with `fields`)
+ */
+
+const WireType = {
+  VARINT: 0,
+  FIXED64: 1,
+  LENGTH_DELIMITED: 2,
+  FIXED32: 5,
+};
+
+const VARINT_TYPES = ['bool', 'int', 'long', 'longString'];
+
+/**
+ * Decode UTF-8 bytes without relying on TextDecoder
+ */
+const decodeUtf8 = (bytes) => {
+  let result = '';
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i++];
+    let codePoint;
+    if (byte < 0x80) {
+      codePoint = byte;
+    } else if (byte >= 0xf0) {
+      codePoint = ((byte & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else if (byte >= 0xe0) {
+      codePoint = ((byte & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else {
+      codePoint = ((byte & 0x1f) << 6) | (bytes[i++] & 0x3f);
+    }
+    result += String.fromCodePoint(codePoint);
+  }
+  return result;
+};
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = 0;
+  }
+
+  get done() {
+    return this.pos >= this.bytes.length;
+  }
+
+  ensure(length) {
+    if (this.pos + length > this.bytes.length) {
+      throw new Error('Unexpected end of protobuf data');
+    }
+  }
+
+  varint() {
+    let result = 0n;
+    let shift = 0n;
+    while (true) {
+      this.ensure(1);
+      const byte = this.bytes[this.pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) return BigInt.asIntN(64, result);
+      shift += 7n;
+      if (shift > 63n) {
+        throw new Error('Invalid protobuf varint');
+      }
+    }
+  }
+
+  lengthDelimited() {
+    const length = Number(this.varint());
+    this.ensure(length);
+    const bytes = this.bytes.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return bytes;
+  }
+
+  float() {
+    this.ensure(4);
+    const value = this.view.getFloat32(this.pos, true);
+    this.pos += 4;
+    return value;
+  }
+
+  skip(wireType) {
+    switch (wireType) {
+      case WireType.VARINT:
+        this.varint();
+        break;
+      case WireType.FIXED64:
+        this.ensure(8);
+        this.pos += 8;
+        break;
+      case WireType.LENGTH_DELIMITED:
+        this.lengthDelimited();
+        break;
+      case WireType.FIXED32:
+        this.ensure(4);
+        this.pos += 4;
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
+
+const convertVarint = (value, type) => {
+  switch (type) {
+    case 'bool':
+      return value !== 0n;
+    case 'longString':
+      return value.toString();
+    default:
+      return Number(value);
+  }
+};
+
+const readScalar = (reader, field) => {
+  if (field.type === 'float') return reader.float();
+  return convertVarint(reader.varint(), field.type);
+};
+
+/**
+ * Decode one message into a plain object
+ * Repeated fields default to [], missing scalar fields are left undefined
+ */
+export const decodeMessage = (bytes, fields) => {
+  const message = {};
+  Object.values(fields).forEach(field => {
+    if (field.repeated) {
+      message[field.name] = [];
+    }
+  });
+
+  const reader = new Reader(bytes);
+  while (!reader.done) {
+    const key = Number(reader.varint());
+    const fieldNumber = key >>> 3;
+    const wireType = key & 0x7;
+    const field = fields[fieldNumber];
+
+    if (!field) {
+      reader.skip(wireType);
+      continue;
+    }
+
+    const lengthDelimited = field.type === 'string' || field.type === 'message';
+    if (lengthDelimited && wireType !== WireType.LENGTH_DELIMITED) {
+      throw new Error(`Unexpected wire type ${wireType} for ${field.name}`);
+    }
+
+    const values = [];
+    if (field.type === 'string') {
+      values.push(decodeUtf8(reader.lengthDelimited()));
+    } else if (field.type === 'message') {
+      values.push(decodeMessage(reader.lengthDelimited(), field.fields));
+    } else if (wireType === WireType.LENGTH_DELIMITED && (VARINT_TYPES.includes(field.type) || field.type === 'float')) {
+      // Packed repeated scalars
+      const packed = new Reader(reader.lengthDelimited());
+      while (!packed.done) {
+        values.push(readScalar(packed, field));
+      }
+    } else {
+      values.push(readScalar(reader, field));
+    }
+
+    if (field.repeated) {
+      message[field.name].push(...values);
+    } else {
+      message[field.name] = values[values.length - 1];
+    }
+  }
+
+  return message;
+};
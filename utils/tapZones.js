@@ -0,0 +1,78 @@
+/**
+ * Reader tap zones, like Mihon's ViewerNavigation layouts
+ * Regions are fractions of the screen (0-1); a tap outside every region opens the menu
+ */
+
+export const TapAction = {
+  PREVIOUS: 'previous',
+  NEXT: 'next',
+  MENU: 'menu',
+};
+
+const region = (x, y, width, height, action) => ({ x, y, width, height, action });
+
+/**
+ * Layouts in the order they're offered in the reader settings
+ * Written for left-to-right reading; right-to-left mirrors them
+ */
+export const TAP_ZONE_LAYOUTS = [
+  {
+    id: 'lshaped',
+    name: 'L-shaped',
+    regions: [
+      region(0, 0, 1, 0.33, TapAction.PREVIOUS),
+      region(0, 0.33, 0.33, 0.33, TapAction.PREVIOUS),
+      region(0.66, 0.33, 0.34, 0.33, TapAction.NEXT),
+      region(0, 0.66, 1, 0.34, TapAction.NEXT),
+    ],
+  },
+  {
+    id: 'kindle',
+    name: 'Kindle-ish',
+    regions: [
+      region(0, 0.33, 0.33, 0.67, TapAction.PREVIOUS),
+      region(0.33, 0.33, 0.67, 0.67, TapAction.NEXT),
+    ],
+  },
+  {
+    id: 'edge',
+    name: 'Edge',
+    regions: [
+      region(0, 0, 0.33, 1, TapAction.NEXT),
+      region(0.33, 0.66, 0.33, 0.34, TapAction.PREVIOUS),
+      region(0.66, 0, 0.34, 1, TapAction.NEXT),
+    ],
+  },
+  {
+    id: 'disabled',
+    name: 'Disabled',
+    regions: [],
+  },
+];
+
+export const DEFAULT_TAP_ZONE_LAYOUT = 'lshaped';
+
+export const getTapZoneLayout = (layoutId) => (
+  TAP_ZONE_LAYOUTS.find(layout => layout.id === layoutId)
+  || TAP_ZONE_LAYOUTS.find(layout => layout.id === DEFAULT_TAP_ZONE_LAYOUT)
+);
+
+/**
+ * Regions of a layout, mirrored horizontally when `rtl`
+ * Previous/next keep their meaning, so in right-to-left reading "next" moves to the left side
+ */
+export const getTapZoneRegions = (layoutId, { rtl = false } = {}) => (
+  getTapZoneLayout(layoutId).regions.map(r => (
+    rtl ? { ...r, x: 1 - r.x - r.width } : r
+  ))
+);
+
+/**
+ * Action for a tap at (x, y), given as fractions of the screen size
+ */
+export const getTapAction = (layoutId, x, y, options) => {
+  const hit = getTapZoneRegions(layoutId, options).find(r => (
+    x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height
+  ));
+  return hit ? hit.action : TapAction.MENU;
+};